@@ -79,7 +79,128 @@ declare namespace ShareDBSQLiteStorage {
     runAsync(sql: string, params?: SqlParameters): Promise<{ lastID?: number; changes?: number }>;
     getFirstAsync(sql: string, params?: SqlParameters): Promise<any>;
     getAllAsync(sql: string, params?: SqlParameters): Promise<any[]>;
-    transaction<T>(operations: () => Promise<T>): Promise<T>;
+    transaction<T>(operations: (transaction: SqliteAdapter) => Promise<T>, options?: TransactionOptions): Promise<T>;
+  }
+
+  interface TransactionOptions {
+    /** Roll back and re-run the whole transaction on retryable errors (default: the adapter's retryTransactions) */
+    retry?: boolean;
+  }
+
+  type JitterStrategy = 'none' | 'full' | 'equal' | 'decorrelated';
+
+  interface RetryPolicy {
+    /** Retries after the first attempt; 0 disables retrying (default: 3) */
+    maxRetries?: number;
+    /** Delay before the first retry in ms, doubled for each further one (default: 100) */
+    baseDelay?: number;
+    /** Cap on a single delay in ms (default: 5000) */
+    maxDelay?: number;
+    /** Randomization of the delays (default: 'none') */
+    jitter?: JitterStrategy;
+    /** Give up once this many ms have passed; 0 means no deadline (default: 0) */
+    maxTotalTime?: number;
+    /** Primary SQLite result codes to retry (default: ['SQLITE_BUSY', 'SQLITE_LOCKED']) */
+    retryableCodes?: string[];
+    /** Classify an error; return a boolean to decide, anything else to fall back to retryableCodes */
+    shouldRetry?: (error: Error, attempt: number) => boolean | void;
+  }
+
+  type RunResult = { lastID?: number; changes?: number };
+  /**
+   * Result of one statement run by executeMany(). A combined INSERT covers several parameter
+   * sets: changes counts all their rows and lastID is the rowid of the last one.
+   */
+  type ExecuteManyResult = RunResult & {
+    /** Parameter sets, taken in order, the statement ran for */
+    paramSetCount: number;
+  };
+
+  type BatchStatement = { sql: string; params?: SqlParameters } | [string, SqlParameters?] | string;
+
+  interface BatchWriteOptions {
+    /** Bound variables allowed per combined INSERT (default: the adapter's maxVariables) */
+    maxVariables?: number;
+    /** Name reported in log fields and query events (default: fileName) */
+    alias?: string;
+    /** Queries taking at least this many ms are logged as slow (default: disabled) */
+    slowQueryThreshold?: number;
+    /** Slow queries kept by getStats() (default: 20) */
+    slowQueryLogSize?: number;
+    /** Capture EXPLAIN QUERY PLAN for slow queries (default: true) */
+    explainSlowQueries?: boolean;
+  }
+
+  interface QueryKindStats {
+    count: number;
+    errors: number;
+    totalMs: number;
+    meanMs: number;
+    maxMs: number;
+    retries: number;
+    lockWaitMs: number;
+    rows: number;
+    /** Query counts keyed by bucket upper bound in ms ('1', '5', ... '2500', '+Inf') */
+    histogram: Record<string, number>;
+  }
+
+  interface SlowQuery {
+    alias: string;
+    method: string;
+    sql: string;
+    paramCount: number;
+    durationMs: number;
+    at: number;
+    plan: Array<{ id: number; parent: number; detail: string }> | null;
+    error?: string;
+  }
+
+  interface AdapterStats {
+    since: number;
+    queries: {
+      run: QueryKindStats;
+      getFirst: QueryKindStats;
+      getAll: QueryKindStats;
+      iterate: QueryKindStats;
+      transaction: QueryKindStats;
+    };
+    /** Sums over every kind except transaction */
+    totals: { count: number; errors: number; retries: number; lockWaitMs: number; rows: number };
+    /** Most recent first */
+    slowQueries: SlowQuery[];
+    statementCache: StatementCacheStats | null;
+  }
+
+  interface IterateOptions {
+    /** Rows per batch (default: 100) */
+    batchSize?: number;
+  }
+
+  interface PaginateOptions {
+    /** Unique key column(s) to page by (default: 'id') */
+    key?: string | string[];
+    /** Columns to select; must include the key (default: '*') */
+    columns?: string | string[];
+    /** Extra filter, ANDed with the key condition */
+    where?: string;
+    params?: SqlParameters;
+    order?: 'asc' | 'desc';
+    /** Rows per page (default: 100) */
+    pageSize?: number;
+  }
+
+  interface StreamingReadAdapter {
+    /** Yield the rows of a query in batches of at most batchSize rows */
+    iterateAsync<T = any>(sql: string, params?: SqlParameters, options?: IterateOptions): AsyncGenerator<T[], void, undefined>;
+    /** Yield pages of a table using keyset pagination */
+    paginateAsync<T = any>(table: string, options?: PaginateOptions): AsyncGenerator<T[], void, undefined>;
+  }
+
+  interface BatchWriteAdapter {
+    /** Execute the statements in one transaction; one result per statement */
+    runBatchAsync(statements: BatchStatement[]): Promise<RunResult[]>;
+    /** Execute sql for every parameter set in one transaction; one result per executed statement */
+    executeMany(sql: string, paramSets: SqlParameters[], options?: BatchWriteOptions): Promise<ExecuteManyResult[]>;
   }
 
 
@@ -87,19 +208,405 @@ declare namespace ShareDBSQLiteStorage {
   // Adapter Implementations
   // ===============================
 
-  interface ExpoSqliteAdapter extends SqliteAdapter {
+  type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+  interface Logger {
+    debug?(message: string, fields?: Record<string, any>): void;
+    info?(message: string, fields?: Record<string, any>): void;
+    warn?(message: string, fields?: Record<string, any>): void;
+    error?(message: string, fields?: Record<string, any>): void;
+  }
+
+  interface QueryEvent {
+    adapter: string;
+    alias: string;
+    method: 'runAsync' | 'getFirstAsync' | 'getAllAsync' | 'iterateAsync';
+    sql: string;
+    paramCount: number;
+    durationMs: number;
+    retries: number;
+    /** Time spent waiting out SQLITE_BUSY before the final attempt */
+    lockWaitMs: number;
+    rows?: number;
+    changes?: number;
+    lastID?: number;
+    /** Error message when the query failed */
+    error?: string;
+  }
+
+  interface LoggingOptions {
+    /** Receives structured log messages (default: console; debug messages only when debug is set) */
+    logger?: Logger;
+    /** Level for the default console logger */
+    logLevel?: LogLevel;
+    /** Called after every query, successful or not */
+    onQuery?: (event: QueryEvent) => void;
+  }
+
+  interface ExpoModuleOptions {
+    /** expo-sqlite compatible module (default: require('expo-sqlite')) */
+    SQLite?: any;
+    /** expo-file-system module, legacy or File/Directory/Paths API (default: require('expo-file-system/legacy')) */
+    FileSystem?: any;
+    /** expo-asset's Asset class, for bundled databases (default: require('expo-asset').Asset) */
+    Asset?: any;
+    /** React Native AppState compatible object, for the lifecycle option (default: require('react-native').AppState) */
+    AppState?: any;
+    /** iOS app group whose shared container relative dirPaths are resolved in (needs expo-file-system 19+) */
+    appGroup?: string;
+  }
+
+  /** A change to a table; a transaction's changes are merged per alias, table and operation */
+  interface ChangeEvent {
+    /** 'main', or the alias of an attached database */
+    alias: string;
+    table: string;
+    /** null when reported by expo-sqlite's change listener */
+    operation: 'insert' | 'update' | 'delete' | null;
+    /** Rowids changed, or null when not known */
+    rowIds: number[] | null;
+  }
+
+  interface ChangeSubscription {
+    remove(): void;
+  }
+
+  interface LiveQueryOptions {
+    /** Tables the query depends on, 'table' or 'alias.table' (default: those after FROM and JOIN) */
+    tables?: string[];
+    /** Called with the error of a failed run (default: logged as a warning) */
+    onError?: (error: Error) => void;
+  }
+
+  interface LiveQuery {
+    /** Run the query again; resolves once the rows are delivered */
+    refresh(): Promise<void>;
+    remove(): void;
+  }
+
+  interface ChangeNotifyingAdapter {
+    /** Listen for changes to the tables of the database and its attachments */
+    addChangeListener(listener: (event: ChangeEvent) => void): ChangeSubscription;
+    /** Run a query now and again whenever one of its tables changes */
+    liveQuery<T = any>(sql: string, params: any[], onResult: (rows: T[]) => void, options?: LiveQueryOptions): LiveQuery;
+  }
+
+  interface SearchIndexDefinition {
+    /** Document table to index */
+    table: string;
+    /** JSON paths to index by field name, or paths named after their last key */
+    fields: Record<string, string> | string[];
+    /** FTS5 table name (default: <table>_fts) */
+    name?: string;
+    /** 'main' or an attachment's alias (default: 'main') */
+    schema?: string;
+    /** Column holding the JSON document (default: 'data') */
+    column?: string;
+    /** FTS5 tokenizer (default: 'unicode61 remove_diacritics 2') */
+    tokenize?: string;
+    /** Prefix lengths to index, e.g. [2, 3] */
+    prefix?: number[];
+  }
+
+  interface SearchOptions {
+    /** Default: 20 */
+    limit?: number;
+    offset?: number;
+    /** Only match in these fields */
+    fields?: string[];
+    /** Weight of each field in the ranking (default: 1 each) */
+    weights?: Record<string, number>;
+    /** Match the last word as a prefix (default: true) */
+    prefix?: boolean;
+    /** Pass the text through as an FTS5 query */
+    raw?: boolean;
+    snippet?: boolean | { field?: string; before?: string; after?: string; ellipsis?: string; tokens?: number };
+    highlight?: boolean | { fields?: string[]; before?: string; after?: string };
+    /** Add the indexed row (default: true) */
+    includeRow?: boolean;
+  }
+
+  interface SearchResult<T = any> {
+    rowid: number;
+    /** bm25 score; lower is a better match */
+    rank: number;
+    snippet?: string;
+    highlights?: Record<string, string>;
+    /** The indexed row; absent for FTS5 tables built without createSearchIndex() */
+    row?: T;
+  }
+
+  interface SearchableAdapter {
+    /** Index JSON fields of a document table in an FTS5 table kept in sync by triggers */
+    createSearchIndex(definition: SearchIndexDefinition): Promise<{ name: string; created: boolean }>;
+    dropSearchIndex(name: string): Promise<void>;
+    rebuildSearchIndex(name: string): Promise<void>;
+    /** Search an index, as 'name' or 'alias.name', best matches first */
+    search<T = any>(name: string, text: string, options?: SearchOptions): Promise<SearchResult<T>[]>;
+  }
+
+  interface ExpoSqliteAdapterOptions extends ExpoModuleOptions, LoggingOptions {
+    /** Called with each change event (see addChangeListener) */
+    onChange?: (event: ChangeEvent) => void;
+    /**
+     * Take change events from expo-sqlite's addDatabaseChangeListener where available instead of
+     * the SQL run (default: false). Rows are reported as written, rolled back ones included
+     */
+    nativeChangeListener?: boolean;
+    debug?: boolean;
+    /** On connect, move a database found only in expo-sqlite's SQLite directory, where earlier versions put it, to dirPath (default: true) */
+    moveLegacyDatabase?: boolean;
+    enableWAL?: boolean;
+    maxRetries?: number;
+    baseDelay?: number;
+    /** Retry policy for lock errors; overrides maxRetries and baseDelay */
+    retry?: RetryPolicy;
+    /** PRAGMA busy_timeout set on connect, in ms (default: SQLite's setting) */
+    busyTimeout?: number;
+    /** Re-run whole transactions on retryable errors (default: false) */
+    retryTransactions?: boolean;
+    /** Check the database, and any attachments, on connect (default: no check) */
+    integrityCheck?: IntegrityCheckMode;
+    /** Quarantine a corrupt database and start over with an empty one, instead of rejecting connect */
+    recoverFromCorruption?: boolean;
+    /** Called after a corrupt database was quarantined, e.g. to fetch its data again */
+    onCorruption?: (event: CorruptionEvent) => void;
+    /** SQLCipher passphrase, or a function resolving to it, applied with PRAGMA key on connect (default: unencrypted) */
+    encryptionKey?: EncryptionKey;
+    /** Encrypt an existing plaintext database with encryptionKey on connect, instead of rejecting (default: false) */
+    migratePlaintext?: boolean;
+    /** Schema migrations run on connect, tracked with PRAGMA user_version */
+    migrations?: Migration[];
+    /** Called with the migration report after migrations ran */
+    onMigrate?: (report: MigrationReport) => void;
+    /** Force a dedicated connection (default: shared for sharedb_* files, dedicated otherwise) */
+    useNewConnection?: boolean;
+    /** Prepared statements kept per connection (default: 100, 0 disables the cache) */
+    statementCacheSize?: number;
+    /** Bound variables allowed per statement when executeMany() combines rows (default: 999) */
+    maxVariables?: number;
+    /** WAL checkpoints, incremental vacuum and PRAGMA optimize: true for the defaults (default: none) */
+    maintenance?: boolean | MaintenanceSettings;
+    /** Flush the connection when the app goes to the background: true for the defaults (default: off) */
+    lifecycle?: boolean | LifecycleSettings;
+  }
+
+  type CheckpointMode = 'PASSIVE' | 'FULL' | 'RESTART' | 'TRUNCATE';
+
+  interface MaintenanceSettings {
+    /** ms between maintenance runs; 0 disables (default: 300000) */
+    checkpointInterval?: number;
+    /** Rows written before a maintenance run; 0 disables (default: 1000) */
+    checkpointAfterWrites?: number;
+    /** wal_checkpoint mode (default: 'TRUNCATE', which empties the -wal file) */
+    checkpointMode?: CheckpointMode;
+    /** Switch to auto_vacuum=INCREMENTAL on connect, running VACUUM once if needed (default: false) */
+    autoVacuum?: boolean;
+    /** Pages incremental_vacuum frees per run; 0 disables (default: 500) */
+    vacuumPages?: number;
+    /** Run PRAGMA optimize before disconnecting (default: true) */
+    optimizeOnClose?: boolean;
+  }
+
+  interface LifecycleSettings {
+    /** wal_checkpoint every database on the connection (default: true) */
+    checkpoint?: boolean;
+    /** wal_checkpoint mode (default: 'TRUNCATE') */
+    checkpointMode?: CheckpointMode;
+    /** Close the connection until the next query, which reopens it (default: false) */
+    closeOnBackground?: boolean;
+  }
+
+  interface SuspendOptions {
+    /** wal_checkpoint every database on the connection (default: true) */
+    checkpoint?: boolean;
+    /** wal_checkpoint mode (default: 'TRUNCATE') */
+    checkpointMode?: CheckpointMode;
+    /** Close the connection until the next query, which reopens it (default: false) */
+    close?: boolean;
+  }
+
+  interface SuspendResult {
+    /** null when not checkpointed */
+    checkpoint: MaintenanceReport['checkpoint'] | null;
+    closed: boolean;
+  }
+
+  interface MaintenanceReport {
+    vacuumedPages: number;
+    checkpoint: {
+      /** The checkpoint couldn't finish because of another connection */
+      busy: boolean;
+      /** Pages in the WAL; -1 when not in WAL mode */
+      walPages: number;
+      checkpointedPages: number;
+    };
+  }
+
+  interface StorageInfo {
+    alias: string;
+    path: string | null;
+    pageSize: number;
+    pageCount: number;
+    /** Unused pages, which incremental_vacuum returns to the file system */
+    freelistCount: number;
+    /** pageSize * pageCount */
+    size: number;
+    /** pageSize * freelistCount */
+    freeBytes: number;
+    /** Size of the -wal file in bytes; null without expo-file-system */
+    walSize: number | null;
+    autoVacuum: 'none' | 'full' | 'incremental' | null;
+    journalMode: string;
+    /** Size of each table and index, largest first; null where SQLite has no dbstat table */
+    tables: Array<{ name: string; pages: number; bytes: number }> | null;
+  }
+
+  interface DestroyDatabaseOptions {
+    /** Drop every table with PRAGMA secure_delete on before deleting the files (default: false) */
+    secureDelete?: boolean;
+  }
+
+  interface DestroyResult {
+    path: string;
+    /** Whether the content was overwritten; false without secureDelete or when overwriting failed */
+    overwritten: boolean;
+  }
+
+  interface StatementCacheStats {
+    size: number;
+    maxSize: number;
+    hits: number;
+    misses: number;
+    evictions: number;
+    hitRate: number;
+  }
+
+  interface ExpoSqliteAdapter extends SqliteAdapter, BatchWriteAdapter, StreamingReadAdapter, ChangeNotifyingAdapter, SearchableAdapter {
     readonly dirPath: string;
+    /** Directory the database is opened in: dirPath resolved, with a trailing slash */
+    readonly databaseDirectory: string;
     readonly fileName: string;
     readonly debug: boolean;
+    readonly SQLite: any;
+    readonly FileSystem: any | null;
+
+    /** Full path of the database file, without file:// */
+    getDatabasePath(): string;
+    /** Prepared statement cache statistics, or null when the cache is disabled */
+    getStatementCacheStats(): StatementCacheStats | null;
+    getStats(): AdapterStats;
+    resetStats(): void;
+    /** Run PRAGMA quick_check ('quick', default) or integrity_check ('full') */
+    checkIntegrity(mode?: IntegrityCheckMode, schema?: string): Promise<IntegrityCheckResult>;
+    /** Write a consistent snapshot with VACUUM INTO; resolves with the backup path */
+    backupTo(fileName: string, dirPath?: string, options?: BackupOptions): Promise<string>;
+    /** Swap in a backup (dropping the current -wal/-shm files) and reconnect */
+    restoreFrom(fileName: string, dirPath?: string): Promise<void>;
+    /** Disconnect and delete the database with its -wal, -shm and -journal files */
+    destroyDatabase(options?: DestroyDatabaseOptions): Promise<DestroyResult>;
+    /** Re-encrypt the database with PRAGMA rekey; requires encryptionKey */
+    rekey(newKey: EncryptionKey): Promise<void>;
+    /** Run the migrations newer than PRAGMA user_version (default: the migrations option) */
+    migrate(migrations?: Migration[]): Promise<MigrationReport>;
+    /** PRAGMA user_version */
+    getSchemaVersion(): Promise<number>;
+    /** Free deleted pages and checkpoint the WAL now, per the maintenance option */
+    runMaintenance(): Promise<{ [schema: string]: MaintenanceReport }>;
+    /** Page counts, free pages, -wal size and table sizes of 'main' (default) or an attachment */
+    getStorageInfo(schema?: string): Promise<StorageInfo>;
+    /** Checkpoint after queued transactions and in-flight queries, optionally closing until the next query */
+    suspend(options?: SuspendOptions): Promise<SuspendResult>;
+    /** Resolves once no query is in flight, open iterateAsync() cursors included */
+    whenIdle(): Promise<void>;
+    /** Run a task after queued transactions, once no query is in flight */
+    runExclusive<T>(task: () => Promise<T>): Promise<T>;
+  }
+
+  interface Migration {
+    /** Positive integer; the database's user_version after the migration */
+    version: number;
+    name?: string;
+    /** Runs inside a transaction; or SQL statements run one after another */
+    up: ((tx: SqliteAdapter) => Promise<void> | void) | string | string[];
+  }
+
+  interface MigrationReport {
+    alias: string;
+    fileName: string;
+    fromVersion: number;
+    toVersion: number;
+    latestVersion: number;
+    applied: Array<{ version: number; name: string | null; durationMs: number }>;
+  }
+
+  /** A passphrase, or a function resolving to one, e.g. read from secure storage */
+  type EncryptionKey = string | (() => string | Promise<string>);
+
+  interface BackupOptions {
+    /** Replace an existing backup file (default: false) */
+    overwrite?: boolean;
+    /** Attached database to back up instead of the main one */
+    schema?: string;
+  }
+
+  type IntegrityCheckMode = 'quick' | 'full';
+
+  interface IntegrityCheckResult {
+    ok: boolean;
+    mode: IntegrityCheckMode;
+    /** Messages reported by SQLite; empty when ok */
+    problems: string[];
+  }
+
+  interface CorruptionEvent {
+    adapter: 'ExpoSqliteAdapter';
+    alias: string;
+    fileName: string;
+    /** Path of the database file, now empty */
+    path: string;
+    /** Where the corrupt file was moved: <path>.corrupt-<timestamp> */
+    quarantinedPath: string;
+    error: CorruptDatabaseError;
+    problems: string[];
   }
 
   interface ExpoSqliteAdapterStatic {
-    new (fileName: string, dirPath: string, debug?: boolean): ExpoSqliteAdapter;
+    new (fileName: string, dirPath: string, options?: boolean | ExpoSqliteAdapterOptions): ExpoSqliteAdapter;
     
     // Convenient static factory method
-    createWithDocumentDirectory(fileName: string, debug?: boolean): ExpoSqliteAdapter;
-    checkDatabaseExists(fileName: string, dirPath?: string): Promise<boolean>;
-    copyDatabase(fromPath: string, fileName: string, dirPath?: string): Promise<void>;
+    createWithDocumentDirectory(fileName: string, options?: boolean | ExpoSqliteAdapterOptions): ExpoSqliteAdapter;
+    checkDatabaseExists(fileName: string, dirPath?: string, options?: ExpoModuleOptions): Promise<boolean>;
+    copyDatabase(fromPath: string, fileName: string, dirPath?: string, options?: ExpoModuleOptions): Promise<void>;
+    /** Delete a database that isn't open, with its -wal, -shm and -journal files */
+    destroyDatabase(fileName: string, dirPath?: string, options?: ExpoModuleOptions & DestroyDatabaseOptions & {
+      encryptionKey?: EncryptionKey;
+      logger?: Logger | null;
+    }): Promise<DestroyResult>;
+    /** Copy a bundled database into place, atomically, when missing or older than version */
+    installDatabaseAsset(asset: AssetSource, options: InstallDatabaseAssetOptions): Promise<InstallDatabaseAssetResult>;
+  }
+
+  /** Module reference from require(), an expo-asset Asset, or a file URI */
+  type AssetSource = number | string | { downloadAsync(): Promise<any>; localUri?: string | null; uri?: string; hash?: string | null };
+
+  interface InstallDatabaseAssetOptions extends ExpoModuleOptions, LoggingOptions {
+    fileName: string;
+    /** Version of the bundled database, a positive integer */
+    version: number;
+    /** Defaults to the SQLite directory in the document directory */
+    dirPath?: string;
+    /** Checksum the copy must have (default: the asset's hash) */
+    md5?: string;
+  }
+
+  interface InstallDatabaseAssetResult {
+    path: string;
+    version: number;
+    /** Installed version before, null when there was none */
+    previousVersion: number | null;
+    /** Whether the asset was copied */
+    installed: boolean;
   }
 
   interface BetterSqliteAdapter extends SqliteAdapter {
@@ -115,6 +622,240 @@ declare namespace ShareDBSQLiteStorage {
 
 
 
+  // ===============================
+  // One-call Setup
+  // ===============================
+
+  interface ExpoAttachmentOptions {
+    /** Optional with an asset (default: <alias>.db) */
+    fileName?: string;
+    /** Defaults to the primary database directory */
+    dirPath?: string;
+    alias: string;
+    /** Key of this attachment; null for an unencrypted one (default: the primary's key) */
+    encryptionKey?: EncryptionKey | null;
+    /** Attach read-only by URI, without pre-initialization or migrations (default: 'readwrite') */
+    mode?: AttachmentMode;
+    /** Short for mode: 'readonly' */
+    readOnly?: boolean;
+    /** MD5 checksum the file must have before it is attached */
+    md5?: string;
+    /** PRAGMA user_version the database must have once attached; with an asset, the asset's version */
+    version?: number;
+    /** Bundled database to install before attaching */
+    asset?: AssetSource;
+    /** Overrides the primary's maintenance option (default: the primary's; none when read-only) */
+    maintenance?: boolean | MaintenanceSettings;
+  }
+
+  interface CreateExpoStorageOptions {
+    fileName: string;
+    /** Defaults to FileSystem.documentDirectory */
+    dirPath?: string;
+    /** Defaults to new DefaultSchemaStrategy() */
+    strategy?: SchemaStrategy;
+    attachments?: ExpoAttachmentOptions[];
+    adapterOptions?: AttachedExpoSqliteAdapterConstructorOptions;
+    debug?: boolean;
+  }
+
+  // ===============================
+  // Per-account Databases
+  // ===============================
+
+  interface AccountAttachmentOptions extends ExpoAttachmentOptions {
+    /** One file for all accounts (default: true for read-only and asset attachments) */
+    shared?: boolean;
+  }
+
+  interface AccountDatabasesOptions {
+    /** File name before the account is added: app.db becomes app.<account>.db */
+    fileName: string;
+    /** Defaults to FileSystem.documentDirectory */
+    dirPath?: string;
+    attachments?: AccountAttachmentOptions[];
+    adapterOptions?: AttachedExpoSqliteAdapterConstructorOptions;
+  }
+
+  interface AccountInfo {
+    accountId: string;
+    fileName: string;
+    path: string;
+    /** Whether it is the account switched to */
+    active: boolean;
+  }
+
+  interface AccountDatabases {
+    readonly fileName: string;
+    readonly dirPath: string;
+    /** The active account, null when none is */
+    readonly accountId: string | null;
+    /** The active account's connected adapter */
+    readonly adapter: ExpoSqliteAdapter | AttachedExpoSqliteAdapter | null;
+
+    /** Unconnected adapter for an account's databases */
+    createAdapter(accountId: string): ExpoSqliteAdapter | AttachedExpoSqliteAdapter;
+    /** Disconnect the active account and connect this one */
+    switchAccount(accountId: string): Promise<ExpoSqliteAdapter | AttachedExpoSqliteAdapter>;
+    /** Disconnect the active account */
+    close(): Promise<void>;
+    /** Accounts with a primary database in the directory, sorted by accountId */
+    listAccounts(): Promise<AccountInfo[]>;
+    /** Delete an account's databases, shared attachments excepted */
+    destroyAccount(accountId: string, options?: DestroyDatabaseOptions): Promise<DestroyResult | { [schema: string]: DestroyResult }>;
+  }
+
+  interface AccountDatabasesStatic {
+    new (options: AccountDatabasesOptions): AccountDatabases;
+    /** app.db -> app.<account>.db */
+    accountFileName(fileName: string, accountId: string): string;
+  }
+
+  interface ExpoSqliteStorageStatic extends SqliteStorageStatic {
+    readonly SqliteStorage: SqliteStorageStatic;
+    readonly ExpoSqliteAdapter: ExpoSqliteAdapterStatic;
+    readonly AttachedExpoSqliteAdapter: AttachedExpoSqliteAdapterStatic;
+    readonly StandardSQLiteConnectionPool: StandardSQLiteConnectionPoolStatic;
+    readonly DefaultSchemaStrategy: DefaultSchemaStrategyStatic;
+    readonly CollectionPerTableStrategy: CollectionPerTableStrategyStatic;
+    readonly AttachedCollectionPerTableStrategy: AttachedCollectionPerTableStrategyStatic;
+    createExpoStorage(options: CreateExpoStorageOptions): SqliteStorage;
+    readonly AccountDatabases: AccountDatabasesStatic;
+    readonly SqliteStorageError: SqliteStorageErrorStatic<SqliteStorageError>;
+    readonly NotConnectedError: SqliteStorageErrorStatic<NotConnectedError>;
+    readonly BusyError: SqliteStorageErrorStatic<BusyError>;
+    readonly ConstraintError: SqliteStorageErrorStatic<ConstraintError>;
+    readonly CorruptDatabaseError: SqliteStorageErrorStatic<CorruptDatabaseError>;
+    readonly EncryptionKeyError: SqliteStorageErrorStatic<EncryptionKeyError>;
+    readonly DiskFullError: SqliteStorageErrorStatic<DiskFullError>;
+    readonly ReadOnlyDatabaseError: SqliteStorageErrorStatic<ReadOnlyDatabaseError>;
+    readonly AttachmentError: SqliteStorageErrorStatic<AttachmentError>;
+    readonly SchemaError: SqliteStorageErrorStatic<SchemaError>;
+    readonly SchemaVersionError: SqliteStorageErrorStatic<SchemaVersionError>;
+    readonly MigrationError: SqliteStorageErrorStatic<MigrationError>;
+  }
+
+  // ===============================
+  // Errors
+  // ===============================
+
+  interface SqliteStorageErrorDetails {
+    /** Primary SQLite result code, e.g. 'SQLITE_BUSY' */
+    code?: string | null;
+    sql?: string | null;
+    fileName?: string | null;
+    alias?: string | null;
+    retries?: number;
+    /** The error reported by expo-sqlite */
+    cause?: Error | null;
+  }
+
+  interface SqliteStorageError extends Error {
+    readonly code: string | null;
+    readonly sql: string | null;
+    readonly fileName: string | null;
+    readonly alias: string | null;
+    readonly retries: number;
+    readonly cause: Error | null;
+  }
+
+  interface NotConnectedError extends SqliteStorageError { readonly name: 'NotConnectedError'; }
+  /** SQLITE_BUSY or SQLITE_LOCKED after the retries ran out */
+  interface BusyError extends SqliteStorageError { readonly name: 'BusyError'; }
+  interface ConstraintError extends SqliteStorageError { readonly name: 'ConstraintError'; }
+  /** SQLITE_CORRUPT or SQLITE_NOTADB */
+  interface CorruptDatabaseError extends SqliteStorageError {
+    readonly name: 'CorruptDatabaseError';
+    /** Problems found by the integrity check on connect */
+    readonly problems?: string[];
+  }
+  /** SQLITE_NOTADB with an encryptionKey: wrong key, or an unencrypted database */
+  interface EncryptionKeyError extends SqliteStorageError { readonly name: 'EncryptionKeyError'; }
+  /** SQLITE_FULL */
+  interface DiskFullError extends SqliteStorageError { readonly name: 'DiskFullError'; }
+  /** SQLITE_READONLY, e.g. a write to a readonly or immutable attachment */
+  interface ReadOnlyDatabaseError extends SqliteStorageError { readonly name: 'ReadOnlyDatabaseError'; }
+  interface AttachmentError extends SqliteStorageError { readonly name: 'AttachmentError'; }
+  /** Missing table or column, or SQLITE_SCHEMA */
+  interface SchemaError extends SqliteStorageError { readonly name: 'SchemaError'; }
+  /** The database's user_version is newer than the latest migration */
+  interface SchemaVersionError extends SqliteStorageError {
+    readonly name: 'SchemaVersionError';
+    readonly version: number;
+    readonly latestVersion: number;
+  }
+  /** A migration failed and was rolled back */
+  interface MigrationError extends SqliteStorageError {
+    readonly name: 'MigrationError';
+    readonly migration: { version: number; name: string | null };
+    /** What ran before the failed migration */
+    readonly report: MigrationReport;
+  }
+
+  interface SqliteStorageErrorStatic<T extends SqliteStorageError> {
+    new (message?: string | null, details?: SqliteStorageErrorDetails): T;
+    readonly prototype: T;
+  }
+
+  // ===============================
+  // Connection Pool
+  // ===============================
+
+  type PoolCallback<T> = (error: Error | null, result?: T) => void;
+
+  interface StandardSQLiteConnectionPoolOptions extends LoggingOptions {
+    fileName?: string;
+    dirPath?: string;
+    adapterOptions?: ExpoSqliteAdapterOptions;
+    createConnection?: (role: 'writer' | 'reader') => any | Promise<any>;
+    destroyConnection?: (connection: any) => any;
+    validateConnection?: (connection: any) => any;
+    maxConnections?: number;
+    minConnections?: number;
+    acquireTimeout?: number;
+    createTimeout?: number;
+    destroyTimeout?: number;
+    idleTimeout?: number;
+    evictionInterval?: number;
+    reapInterval?: number;
+    testOnBorrow?: boolean;
+    testOnReturn?: boolean;
+    debug?: boolean;
+  }
+
+  interface PoolSizeStats {
+    size: number;
+    available: number;
+    borrowed: number;
+    pending: number;
+  }
+
+  interface ConnectionPoolStats extends PoolSizeStats {
+    max: number;
+    min: number;
+    writer: PoolSizeStats;
+    readers: PoolSizeStats;
+    connectionsCreated: number;
+    connectionsDestroyed: number;
+    acquireSuccesses: number;
+    acquireFailures: number;
+    invalid: number;
+    healthScore: number;
+    isHealthy: boolean;
+  }
+
+  interface StandardSQLiteConnectionPool extends SqliteAdapter, BatchWriteAdapter, StreamingReadAdapter {
+    withConnection<T>(operation: (connection: any) => T | Promise<T>): Promise<T>;
+    withConnection<T>(operation: (connection: any) => T | Promise<T>, callback: PoolCallback<T>): void;
+    withReadConnection<T>(operation: (connection: any) => T | Promise<T>): Promise<T>;
+    withReadConnection<T>(operation: (connection: any) => T | Promise<T>, callback: PoolCallback<T>): void;
+    getStats(): ConnectionPoolStats;
+  }
+
+  interface StandardSQLiteConnectionPoolStatic {
+    new (options: StandardSQLiteConnectionPoolOptions): StandardSQLiteConnectionPool;
+  }
+
   // ===============================
   // Schema Strategies
   // ===============================
@@ -196,19 +937,96 @@ declare namespace ShareDBSQLiteStorage {
     dirPath: string;
     alias: string;
     strategy?: SchemaStrategy;
+    /** Key of this attachment; null for an unencrypted one (default: the primary's key) */
+    encryptionKey?: EncryptionKey | null;
+    /** Attach read-only by URI, without pre-initialization or migrations (default: 'readwrite') */
+    mode?: AttachmentMode;
+    /** Short for mode: 'readonly' */
+    readOnly?: boolean;
+    /** MD5 checksum the file must have before it is attached */
+    md5?: string;
+    /** PRAGMA user_version the database must have once attached */
+    version?: number;
+    /** Overrides the primary's maintenance option (default: the primary's; none when read-only) */
+    maintenance?: boolean | MaintenanceSettings;
+  }
+
+  type AttachmentMode = 'readwrite' | 'readonly' | 'immutable';
+
+  /** Attachment installed from a bundled database before it is attached */
+  interface AssetAttachmentConfig extends Omit<AttachmentConfig, 'fileName' | 'dirPath' | 'version'> {
+    asset: AssetSource;
+    /** Version of the bundled database; a newer one is installed over the old */
+    version: number;
+    /** Defaults to <alias>.db */
+    fileName?: string;
+    /** Defaults to the primary database directory */
+    dirPath?: string;
+  }
+
+  interface AttachmentInfo {
+    alias: string;
+    fileName: string;
+    dirPath: string;
+    /** Full path of the database file */
+    path: string;
+    mode: AttachmentMode;
+    readOnly: boolean;
+    attached: boolean;
+    /** File size in bytes; null when the file doesn't exist */
+    size: number | null;
+    /** PRAGMA user_version; null while not attached */
+    schemaVersion: number | null;
   }
 
   interface AttachedExpoSqliteAdapterOptions {
-    attachments: AttachmentConfig[];
+    attachments: Array<AttachmentConfig | AssetAttachmentConfig>;
   }
 
-  interface AttachedExpoSqliteAdapter extends AttachedSqliteAdapter {
+  interface AttachedExpoSqliteAdapter extends AttachedSqliteAdapter, BatchWriteAdapter, StreamingReadAdapter, ChangeNotifyingAdapter, SearchableAdapter {
     readonly database: any;
+    readonly SQLite: any;
+    readonly FileSystem: any | null;
     schemaStrategy?: SchemaStrategy;
+    getStats(): AdapterStats;
+    resetStats(): void;
+    /** Integrity of the primary database ('main') and of every attachment, by alias */
+    checkIntegrity(mode?: IntegrityCheckMode): Promise<{ [schema: string]: IntegrityCheckResult }>;
+    /** Maintain the primary database and the maintained attachments now */
+    runMaintenance(): Promise<{ [schema: string]: MaintenanceReport }>;
+    /** Storage info of the primary database ('main') and of every attachment, by alias */
+    getStorageInfo(): Promise<{ [schema: string]: StorageInfo }>;
+    /** Suspend the primary connection; reopening it attaches every database again */
+    suspend(options?: SuspendOptions): Promise<SuspendResult>;
+    /** Back up every database; attachments go to <name>.<alias>.<ext>. Resolves with the path per schema */
+    backupTo(fileName: string, dirPath?: string, options?: { overwrite?: boolean }): Promise<{ [schema: string]: string }>;
+    /** Restore every database from backupTo() files and reattach */
+    restoreFrom(fileName: string, dirPath?: string): Promise<void>;
+    /** Delete the primary database and every read-write attachment; read-only attachments stay */
+    destroyDatabase(options?: DestroyDatabaseOptions): Promise<{ [schema: string]: DestroyResult }>;
+    /** Attach another database; once connected, after in-flight queries have finished */
+    attach(attachment: AttachmentConfig | AssetAttachmentConfig): Promise<void>;
+    /** Detach a database once in-flight queries have finished, and forget it */
+    detach(alias: string): Promise<void>;
+    listAttachments(): Promise<AttachmentInfo[]>;
+    /** Full path of the primary database file, without file:// */
+    getDatabasePath(): string;
+    /** Whether the primary database and each attachment exist where they are opened from */
+    checkAllDatabasesExist(): Promise<{
+      primary: { fileName: string; exists: boolean };
+      attachments?: { [alias: string]: { fileName: string; exists: boolean } };
+    }>;
+  }
+
+  interface AttachedExpoSqliteAdapterConstructorOptions extends Omit<ExpoSqliteAdapterOptions, 'migrations'> {
+    /** Migrations of the primary database, or migration sets by schema: { main, <alias> } */
+    migrations?: Migration[] | { [schema: string]: Migration[] };
   }
 
   interface AttachedExpoSqliteAdapterStatic {
-    new (mainDbFileName: string, mainDbDirPath: string, options?: AttachedExpoSqliteAdapterOptions, readonly?: boolean): AttachedExpoSqliteAdapter;
+    new (mainDbFileName: string, mainDbDirPath: string, attachmentConfig?: AttachedExpoSqliteAdapterOptions, options?: boolean | AttachedExpoSqliteAdapterConstructorOptions): AttachedExpoSqliteAdapter;
+
+    createWithDocumentDirectory(mainDbFileName: string, attachmentConfig: AttachedExpoSqliteAdapterOptions, options?: boolean | AttachedExpoSqliteAdapterConstructorOptions): AttachedExpoSqliteAdapter;
   }
 
   interface AttachedCollectionPerTableStrategy extends CollectionPerTableStrategy {
@@ -230,12 +1048,27 @@ declare namespace ShareDBSQLiteStorage {
 export const SqliteStorage: ShareDBSQLiteStorage.SqliteStorageStatic;
 export const ExpoSqliteAdapter: ShareDBSQLiteStorage.ExpoSqliteAdapterStatic;
 export const AttachedExpoSqliteAdapter: ShareDBSQLiteStorage.AttachedExpoSqliteAdapterStatic;
+export const StandardSQLiteConnectionPool: ShareDBSQLiteStorage.StandardSQLiteConnectionPoolStatic;
 export const DefaultSchemaStrategy: ShareDBSQLiteStorage.DefaultSchemaStrategyStatic;
 export const CollectionPerTableStrategy: ShareDBSQLiteStorage.CollectionPerTableStrategyStatic;
 export const AttachedCollectionPerTableStrategy: ShareDBSQLiteStorage.AttachedCollectionPerTableStrategyStatic;
+export function createExpoStorage(options: ShareDBSQLiteStorage.CreateExpoStorageOptions): ShareDBSQLiteStorage.SqliteStorage;
+export const AccountDatabases: ShareDBSQLiteStorage.AccountDatabasesStatic;
+export const SqliteStorageError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.SqliteStorageError>;
+export const NotConnectedError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.NotConnectedError>;
+export const BusyError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.BusyError>;
+export const ConstraintError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.ConstraintError>;
+export const CorruptDatabaseError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.CorruptDatabaseError>;
+export const EncryptionKeyError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.EncryptionKeyError>;
+export const DiskFullError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.DiskFullError>;
+export const ReadOnlyDatabaseError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.ReadOnlyDatabaseError>;
+export const AttachmentError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.AttachmentError>;
+export const SchemaError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.SchemaError>;
+export const SchemaVersionError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.SchemaVersionError>;
+export const MigrationError: ShareDBSQLiteStorage.SqliteStorageErrorStatic<ShareDBSQLiteStorage.MigrationError>;
 
 // Default export
-declare const _default: ShareDBSQLiteStorage.SqliteStorageStatic;
+declare const _default: ShareDBSQLiteStorage.ExpoSqliteStorageStatic;
 export default _default;
 
 // ===============================
@@ -256,4 +1089,43 @@ export type AttachedExpoSqliteAdapterType = ShareDBSQLiteStorage.AttachedExpoSql
 export type AttachedCollectionPerTableStrategyType = ShareDBSQLiteStorage.AttachedCollectionPerTableStrategy;
 export type AttachedCollectionPerTableStrategyOptions = BaseAttachedCollectionPerTableStrategyOptions;
 export type DatabaseAttachment = ShareDBSQLiteStorage.DatabaseAttachment;
-export type AttachmentConfig = ShareDBSQLiteStorage.AttachmentConfig;
\ No newline at end of file
+export type AttachmentConfig = ShareDBSQLiteStorage.AttachmentConfig;
+export type AttachmentInfo = ShareDBSQLiteStorage.AttachmentInfo;
+export type AttachmentMode = ShareDBSQLiteStorage.AttachmentMode;
+export type AssetAttachmentConfig = ShareDBSQLiteStorage.AssetAttachmentConfig;
+export type AssetSource = ShareDBSQLiteStorage.AssetSource;
+export type InstallDatabaseAssetOptions = ShareDBSQLiteStorage.InstallDatabaseAssetOptions;
+export type InstallDatabaseAssetResult = ShareDBSQLiteStorage.InstallDatabaseAssetResult;
+export type ExpoSqliteAdapterOptions = ShareDBSQLiteStorage.ExpoSqliteAdapterOptions;
+export type ExpoModuleOptions = ShareDBSQLiteStorage.ExpoModuleOptions;
+export type StandardSQLiteConnectionPoolOptions = ShareDBSQLiteStorage.StandardSQLiteConnectionPoolOptions;
+export type ConnectionPoolStats = ShareDBSQLiteStorage.ConnectionPoolStats;
+export type StatementCacheStats = ShareDBSQLiteStorage.StatementCacheStats;
+export type Logger = ShareDBSQLiteStorage.Logger;
+export type LogLevel = ShareDBSQLiteStorage.LogLevel;
+export type QueryEvent = ShareDBSQLiteStorage.QueryEvent;
+export type AdapterStats = ShareDBSQLiteStorage.AdapterStats;
+export type QueryKindStats = ShareDBSQLiteStorage.QueryKindStats;
+export type SlowQuery = ShareDBSQLiteStorage.SlowQuery;
+export type BatchStatement = ShareDBSQLiteStorage.BatchStatement;
+export type BatchWriteOptions = ShareDBSQLiteStorage.BatchWriteOptions;
+export type IterateOptions = ShareDBSQLiteStorage.IterateOptions;
+export type PaginateOptions = ShareDBSQLiteStorage.PaginateOptions;
+export type CreateExpoStorageOptions = ShareDBSQLiteStorage.CreateExpoStorageOptions;
+export type ExpoAttachmentOptions = ShareDBSQLiteStorage.ExpoAttachmentOptions;
+export type AccountDatabasesOptions = ShareDBSQLiteStorage.AccountDatabasesOptions;
+export type AccountAttachmentOptions = ShareDBSQLiteStorage.AccountAttachmentOptions;
+export type AccountInfo = ShareDBSQLiteStorage.AccountInfo;
+export type DestroyDatabaseOptions = ShareDBSQLiteStorage.DestroyDatabaseOptions;
+export type DestroyResult = ShareDBSQLiteStorage.DestroyResult;
+export type RetryPolicy = ShareDBSQLiteStorage.RetryPolicy;
+export type JitterStrategy = ShareDBSQLiteStorage.JitterStrategy;
+export type TransactionOptions = ShareDBSQLiteStorage.TransactionOptions;
+export type SqliteStorageErrorDetails = ShareDBSQLiteStorage.SqliteStorageErrorDetails;
+export type IntegrityCheckMode = ShareDBSQLiteStorage.IntegrityCheckMode;
+export type IntegrityCheckResult = ShareDBSQLiteStorage.IntegrityCheckResult;
+export type CorruptionEvent = ShareDBSQLiteStorage.CorruptionEvent;
+export type BackupOptions = ShareDBSQLiteStorage.BackupOptions;
+export type EncryptionKey = ShareDBSQLiteStorage.EncryptionKey;
+export type Migration = ShareDBSQLiteStorage.Migration;
+export type MigrationReport = ShareDBSQLiteStorage.MigrationReport;
@@ -1,5 +1,54 @@
-// Export Expo-specific adapters
-module.exports = {
-  ExpoSqliteAdapter: require('./lib/adapters/expo-sqlite-adapter'),
-  AttachedExpoSqliteAdapter: require('./lib/adapters/attached-expo-sqlite-adapter')
-};
\ No newline at end of file
+const {
+  SqliteStorage,
+  DefaultSchemaStrategy,
+  CollectionPerTableStrategy,
+  AttachedCollectionPerTableStrategy
+} = require('@shaxpir/sharedb-storage-sqlite');
+
+const ExpoSqliteAdapter = require('./lib/adapters/expo-sqlite-adapter');
+const AttachedExpoSqliteAdapter = require('./lib/adapters/attached-expo-sqlite-adapter');
+const StandardSQLiteConnectionPool = require('./lib/pool/standard-sqlite-connection-pool');
+const createExpoStorage = require('./lib/create-expo-storage');
+const AccountDatabases = require('./lib/account-databases');
+const errors = require('./lib/errors');
+
+/**
+ * Default export: constructs a SqliteStorage, with the Expo adapters and the
+ * schema strategies hanging off it, so that
+ *
+ *   import SqliteStorage from '@shaxpir/sharedb-storage-expo-sqlite';
+ *   new SqliteStorage({ adapter: new SqliteStorage.ExpoSqliteAdapter('app.db', FileSystem.documentDirectory) });
+ *
+ * works without decorating the class exported by @shaxpir/sharedb-storage-sqlite.
+ */
+function ExpoSqliteStorage(options) {
+  return new SqliteStorage(options);
+}
+ExpoSqliteStorage.prototype = SqliteStorage.prototype;
+
+Object.assign(ExpoSqliteStorage, {
+  SqliteStorage: SqliteStorage,
+  ExpoSqliteAdapter: ExpoSqliteAdapter,
+  AttachedExpoSqliteAdapter: AttachedExpoSqliteAdapter,
+  StandardSQLiteConnectionPool: StandardSQLiteConnectionPool,
+  DefaultSchemaStrategy: DefaultSchemaStrategy,
+  CollectionPerTableStrategy: CollectionPerTableStrategy,
+  AttachedCollectionPerTableStrategy: AttachedCollectionPerTableStrategy,
+  createExpoStorage: createExpoStorage,
+  AccountDatabases: AccountDatabases,
+  SqliteStorageError: errors.SqliteStorageError,
+  NotConnectedError: errors.NotConnectedError,
+  BusyError: errors.BusyError,
+  ConstraintError: errors.ConstraintError,
+  CorruptDatabaseError: errors.CorruptDatabaseError,
+  EncryptionKeyError: errors.EncryptionKeyError,
+  DiskFullError: errors.DiskFullError,
+  ReadOnlyDatabaseError: errors.ReadOnlyDatabaseError,
+  AttachmentError: errors.AttachmentError,
+  SchemaError: errors.SchemaError,
+  SchemaVersionError: errors.SchemaVersionError,
+  MigrationError: errors.MigrationError
+});
+ExpoSqliteStorage.default = ExpoSqliteStorage;
+
+module.exports = ExpoSqliteStorage;
@@ -0,0 +1,268 @@
+const ExpoSqliteAdapter = require('./adapters/expo-sqlite-adapter');
+const AttachedExpoSqliteAdapter = require('./adapters/attached-expo-sqlite-adapter');
+const { resolveSQLite, requireFileSystem } = require('./utils/expo-modules');
+const { resolveLogger } = require('./logger');
+const { toFileUri, fileExists } = require('./utils/database-files');
+const { joinPath, resolveDatabaseDirectory } = require('./utils/paths');
+
+/**
+ * Databases kept per account, for apps where several accounts sign in on
+ * one device
+ *
+ * Each account gets its own primary database, and its own copy of every
+ * attachment that isn't shared, named after the account: app.db becomes
+ * app.<account>.db. Account ids are encoded into safe file names, so any
+ * string works; prefer an opaque id to an email address, since file names
+ * are readable by anyone who can list the app's files.
+ *
+ *   const accounts = new AccountDatabases({ fileName: 'app.db', attachments, adapterOptions });
+ *   const adapter = await accounts.switchAccount(user.id);
+ *   // on logout
+ *   await accounts.destroyAccount(user.id, { secureDelete: true });
+ *
+ * @param {Object} options
+ * @param {string} options.fileName - Primary database file name, before the account is added
+ * @param {string} [options.dirPath] - Database directory (default: FileSystem.documentDirectory)
+ * @param {Array} [options.attachments] - Databases to attach, as for AttachedExpoSqliteAdapter;
+ *   dirPath defaults to the primary's. Each is kept per account unless shared: true, which
+ *   read-only and bundled (asset) attachments default to.
+ * @param {Object} [options.adapterOptions] - Adapter options (SQLite, FileSystem, migrations, ...)
+ */
+function AccountDatabases(options) {
+  options = options || {};
+  if (!options.fileName) {
+    throw new Error('AccountDatabases requires a fileName');
+  }
+
+  this.fileName = options.fileName;
+  this.adapterOptions = Object.assign({}, options.adapterOptions);
+  try {
+    this.FileSystem = requireFileSystem(this.adapterOptions);
+  } catch (e) {
+    throw new Error('AccountDatabases requires expo-file-system: ' + e.message);
+  }
+  this.dirPath = options.dirPath || this.FileSystem.documentDirectory;
+  this.attachments = options.attachments || [];
+  this.logger = resolveLogger(this.adapterOptions, 'AccountDatabases');
+
+  let SQLite = null;
+  try {
+    SQLite = resolveSQLite(this.adapterOptions);
+  } catch (e) {
+    // Without expo-sqlite the SQLite directory is found from the document directory
+  }
+  // Where the primary databases are, to list them
+  this.databaseDirectory = resolveDatabaseDirectory(this.dirPath, {
+    SQLite: SQLite,
+    FileSystem: this.FileSystem,
+    appGroup: this.adapterOptions.appGroup
+  });
+
+  this.accountId = null;
+  this.adapter = null;
+  // Switches, closes and deletions run one at a time, in call order
+  this.queue = Promise.resolve();
+}
+
+/**
+ * File name of a database for an account: app.db -> app.<account>.db
+ * @param {string} fileName - File name shared by all accounts
+ * @param {string} accountId - Account id
+ * @returns {string}
+ */
+function accountFileName(fileName, accountId) {
+  if (!fileName) {
+    return fileName;
+  }
+  const dot = fileName.lastIndexOf('.');
+  const key = encodeAccountId(accountId);
+  return dot > 0
+    ? fileName.slice(0, dot) + '.' + key + fileName.slice(dot)
+    : fileName + '.' + key;
+}
+
+/**
+ * Account id in a form that is safe in a file name and has no dots, so it
+ * can be read back: percent-encoding with ~ for %
+ */
+function encodeAccountId(accountId) {
+  return encodeURIComponent(accountId).replace(/[.!~*'()]/g, function(character) {
+    return '%' + character.charCodeAt(0).toString(16).toUpperCase();
+  }).replace(/%/g, '~');
+}
+
+function decodeAccountId(key) {
+  return decodeURIComponent(key.replace(/~/g, '%'));
+}
+
+function checkAccountId(accountId) {
+  if (accountId === undefined || accountId === null || String(accountId) === '') {
+    throw new Error('accountId is required');
+  }
+  return String(accountId);
+}
+
+/**
+ * Shared attachments have one file for all accounts
+ */
+function isShared(attachment) {
+  if (attachment.shared !== undefined) {
+    return !!attachment.shared;
+  }
+  const readOnly = attachment.readOnly || (attachment.mode && attachment.mode !== 'readwrite');
+  return !!readOnly || attachment.asset !== undefined;
+}
+
+/**
+ * Create the adapter for an account's databases, without connecting it or
+ * making it the active one
+ * @param {string} accountId - Account id
+ * @returns {ExpoSqliteAdapter|AttachedExpoSqliteAdapter}
+ */
+AccountDatabases.prototype.createAdapter = function(accountId) {
+  const accounts = this;
+  accountId = checkAccountId(accountId);
+  const fileName = accountFileName(accounts.fileName, accountId);
+
+  if (accounts.attachments.length === 0) {
+    return new ExpoSqliteAdapter(fileName, accounts.dirPath, accounts.adapterOptions);
+  }
+
+  const attachments = accounts.attachments.map(function(attachment) {
+    const namespaced = Object.assign({}, attachment, { dirPath: attachment.dirPath || accounts.dirPath });
+    delete namespaced.shared;
+    if (!isShared(attachment)) {
+      namespaced.fileName = accountFileName(attachment.fileName, accountId);
+    }
+    return namespaced;
+  });
+  return new AttachedExpoSqliteAdapter(fileName, accounts.dirPath, { attachments: attachments }, accounts.adapterOptions);
+};
+
+/**
+ * Make an account the active one: disconnect the previous account's
+ * databases and connect this account's, creating them if it is new.
+ * Switching to the active account changes nothing.
+ *
+ * @param {string} accountId - Account id
+ * @returns {Promise<ExpoSqliteAdapter|AttachedExpoSqliteAdapter>} The connected adapter
+ */
+AccountDatabases.prototype.switchAccount = function(accountId) {
+  const accounts = this;
+  accountId = checkAccountId(accountId);
+
+  return enqueue(accounts, async function() {
+    if (accounts.adapter && accounts.accountId === accountId) {
+      return accounts.adapter;
+    }
+    await closeActive(accounts);
+
+    const adapter = accounts.createAdapter(accountId);
+    await adapter.connect();
+    accounts.adapter = adapter;
+    accounts.accountId = accountId;
+    accounts.logger.info('Switched account', { fileName: accountFileName(accounts.fileName, accountId) });
+    return adapter;
+  });
+};
+
+/**
+ * Disconnect the active account's databases, leaving no account active
+ * @returns {Promise<void>}
+ */
+AccountDatabases.prototype.close = function() {
+  const accounts = this;
+  return enqueue(accounts, function() {
+    return closeActive(accounts);
+  });
+};
+
+/**
+ * List the accounts that have a primary database in the directory
+ * @returns {Promise<Array<Object>>} [{ accountId, fileName, path, active }], sorted by accountId
+ */
+AccountDatabases.prototype.listAccounts = async function() {
+  const accounts = this;
+  const directory = accounts.databaseDirectory;
+  if (!(await fileExists(accounts.FileSystem, directory))) {
+    return [];
+  }
+
+  const dot = accounts.fileName.lastIndexOf('.');
+  const base = dot > 0 ? accounts.fileName.slice(0, dot) : accounts.fileName;
+  const extension = dot > 0 ? accounts.fileName.slice(dot) : '';
+  const names = await accounts.FileSystem.readDirectoryAsync(toFileUri(directory));
+  const list = [];
+  names.forEach(function(name) {
+    if (name.indexOf(base + '.') !== 0 || name.slice(name.length - extension.length) !== extension) {
+      return;
+    }
+    const key = name.slice(base.length + 1, name.length - extension.length);
+    if (!/^[A-Za-z0-9_~-]+$/.test(key)) {
+      return;
+    }
+    let accountId;
+    try {
+      accountId = decodeAccountId(key);
+    } catch (e) {
+      return; // Not a name this class made
+    }
+    list.push({
+      accountId: accountId,
+      fileName: name,
+      path: joinPath(directory, name),
+      active: accountId === accounts.accountId
+    });
+  });
+  return list.sort(function(a, b) {
+    return a.accountId < b.accountId ? -1 : a.accountId > b.accountId ? 1 : 0;
+  });
+};
+
+/**
+ * Delete an account's databases, shared attachments excepted; see
+ * destroyDatabase() on the adapters. An active account is disconnected
+ * first and no account is active afterwards.
+ *
+ * @param {string} accountId - Account id
+ * @param {Object} [options] - { secureDelete }
+ * @returns {Promise<Object>} What destroyDatabase() resolved with
+ */
+AccountDatabases.prototype.destroyAccount = function(accountId, options) {
+  const accounts = this;
+  accountId = checkAccountId(accountId);
+
+  return enqueue(accounts, async function() {
+    let adapter;
+    if (accounts.adapter && accounts.accountId === accountId) {
+      adapter = accounts.adapter;
+      accounts.adapter = null;
+      accounts.accountId = null;
+    } else {
+      adapter = accounts.createAdapter(accountId);
+    }
+    const result = await adapter.destroyDatabase(options);
+    accounts.logger.info('Destroyed account databases', { fileName: accountFileName(accounts.fileName, accountId) });
+    return result;
+  });
+};
+
+async function closeActive(accounts) {
+  if (!accounts.adapter) {
+    return;
+  }
+  const adapter = accounts.adapter;
+  accounts.adapter = null;
+  accounts.accountId = null;
+  await adapter.disconnect();
+}
+
+function enqueue(accounts, task) {
+  const run = accounts.queue.then(task, task);
+  accounts.queue = run.catch(function() {});
+  return run;
+}
+
+AccountDatabases.accountFileName = accountFileName;
+
+module.exports = AccountDatabases;
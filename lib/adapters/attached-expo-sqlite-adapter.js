@@ -1,5 +1,27 @@
 const { AttachedSqliteAdapter } = require('@shaxpir/sharedb-storage-sqlite');
 const ExpoSqliteAdapter = require('./expo-sqlite-adapter');
+const { requireFileSystem } = require('../utils/expo-modules');
+const { resolveLogger } = require('../logger');
+const { AttachmentError, ReadOnlyDatabaseError, toSqliteStorageError } = require('../errors');
+const { toFileUri, fileExists, moveDatabaseFiles, deleteDatabaseFiles } = require('../utils/database-files');
+const { resolveEncryptionKey } = require('../utils/encryption');
+const { sortMigrations } = require('../utils/migrations');
+const { joinPath, stripFileUri, toSqliteUri } = require('../utils/paths');
+const { installDatabaseAsset } = require('../utils/asset-installer');
+const { createLiveQuery } = require('../utils/live-query');
+const fullTextSearch = require('../utils/full-text-search');
+const { normalizeMaintenance, enableIncrementalVacuum } = require('../utils/maintenance');
+
+// Schema names an attachment can't take
+const RESERVED_ALIASES = ['main', 'temp'];
+
+// URI parameters each attachment mode attaches with. immutable also tells
+// SQLite the file can't change, so it takes no locks and keeps no -shm file.
+const ATTACHMENT_MODES = {
+  readwrite: null,
+  readonly: { mode: 'ro' },
+  immutable: { mode: 'ro', immutable: 1 }
+};
 
 /**
  * AttachedExpoSqliteAdapter - Expo-specific implementation of database attachment
@@ -12,8 +34,29 @@ const ExpoSqliteAdapter = require('./expo-sqlite-adapter');
  * @param {string} primaryDirPath - Primary database directory path
  * @param {Object} attachmentConfig - Configuration for database attachments
  * @param {Array} attachmentConfig.attachments - Array of databases to attach
- *   Each attachment should have: { fileName, dirPath, alias }
- * @param {boolean} debug - Enable debug logging
+ *   Each attachment should have: { fileName, dirPath, alias }, and may have an
+ *   encryptionKey (passphrase or async function returning it; null or '' for an unencrypted
+ *   attachment; default: the primary database's key), and:
+ *   - mode: 'readwrite' (default), 'readonly' or 'immutable'. A read-only attachment is
+ *     attached by URI (mode=ro, plus immutable=1) and left out of pre-initialization and
+ *     migrations; writes to it reject with a ReadOnlyDatabaseError. readOnly: true is
+ *     short for mode: 'readonly'.
+ *   - md5: checksum the file must have before it is attached
+ *   - version: PRAGMA user_version it must have once attached
+ *   - asset: bundled database (require() reference, Asset or URI) installed before it is
+ *     attached; version is then the asset's version, and fileName (default: <alias>.db) and
+ *     dirPath (default: primaryDirPath) where it is installed. See lib/utils/asset-installer.js.
+ *   - maintenance: false, true or settings overriding the primary's maintenance option for
+ *     this attachment (default: the primary's settings; none for a read-only attachment).
+ *     See lib/utils/maintenance.js.
+ * @param {Object|boolean} options - ExpoSqliteAdapter options (debug, SQLite, FileSystem, logger,
+ *   onQuery, ...), or legacy debug flag
+ * @param {Object} options.Asset - expo-asset's Asset class, for asset attachments
+ * @param {Array|Object} options.migrations - Migrations of the primary database, or migration
+ *   sets by schema: { main: [...], <alias>: [...] }
+ * @param {boolean|Object} options.lifecycle - Flush the connection when the app goes to the
+ *   background, as for ExpoSqliteAdapter; a connection closed then reopens on the next query
+ *   with every attachment attached again
  */
 function AttachedExpoSqliteAdapter(primaryFileName, primaryDirPath, attachmentConfig, options) {
   if (!primaryFileName) {
@@ -29,23 +72,23 @@ function AttachedExpoSqliteAdapter(primaryFileName, primaryDirPath, attachmentCo
   }
   options = options || {};
 
+  const attachments = (attachmentConfig.attachments || []).map(function(attachment) {
+    return withAssetDefaults(attachment, primaryDirPath);
+  });
+  attachments.forEach(function(attachment, index) {
+    validateAttachment(attachment, attachments.slice(0, index));
+  });
+  const migrationSets = migrationSetsBySchema(options.migrations, attachments);
+
   // Create the primary database adapter with options
-  const primaryAdapter = new ExpoSqliteAdapter(primaryFileName, primaryDirPath, options);
+  const primaryAdapter = new ExpoSqliteAdapter(primaryFileName, primaryDirPath, Object.assign({}, options, {
+    migrations: migrationSets.main
+  }));
   
   // Process attachment config to convert expo-style paths to full paths
   const processedConfig = {
-    attachments: (attachmentConfig.attachments || []).map(function(attachment) {
-      if (!attachment.fileName || !attachment.dirPath || !attachment.alias) {
-        throw new Error('Each attachment must have fileName, dirPath, and alias properties');
-      }
-      
-      // For expo-sqlite, we need the full path to the database file
-      // Build the full path from dirPath and fileName
-      const fullPath = attachment.dirPath.replace('file://', '') + attachment.fileName;
-      return {
-        path: fullPath,
-        alias: attachment.alias
-      };
+    attachments: attachments.map(function(attachment) {
+      return processAttachment(primaryAdapter, attachment);
     })
   };
   
@@ -55,14 +98,126 @@ function AttachedExpoSqliteAdapter(primaryFileName, primaryDirPath, attachmentCo
   // Store original config for reference
   this.primaryFileName = primaryFileName;
   this.primaryDirPath = primaryDirPath;
-  this.originalAttachmentConfig = attachmentConfig;
+  // attach() and detach() change the attachments, so they are a copy
+  this.originalAttachmentConfig = Object.assign({}, attachmentConfig, { attachments: attachments });
+  this.primaryAdapter = primaryAdapter;
+  // Attachment databases are opened with the same modules as the primary
+  this.SQLite = primaryAdapter.SQLite;
+  this.FileSystem = primaryAdapter.FileSystem;
+  this.Asset = options.Asset;
+  this.logger = resolveLogger(options, 'AttachedExpoSqliteAdapter');
+  this.onQuery = options.onQuery || null;
+  this.loggerOption = options.logger;
+  this.logLevel = options.logLevel;
+  // Attachments are checked and recovered like the primary database
+  this.integrityCheck = primaryAdapter.integrityCheck;
+  this.recoverFromCorruption = primaryAdapter.recoverFromCorruption;
+  this.onCorruption = primaryAdapter.onCorruption;
+  this.migrationSets = migrationSets;
+  this.onMigrate = primaryAdapter.onMigrate;
   this.schemaStrategy = null; // Will be set by SqliteStorage
+
+  // A connection closed by suspend() comes back without its attachments
+  const adapter = this;
+  primaryAdapter.onReopen = function(db) {
+    return reattachDatabases(adapter, db);
+  };
 }
 
 // Inherit from AttachedSqliteAdapter
 AttachedExpoSqliteAdapter.prototype = Object.create(AttachedSqliteAdapter.prototype);
 AttachedExpoSqliteAdapter.prototype.constructor = AttachedExpoSqliteAdapter;
 
+/**
+ * Where an asset attachment is installed unless it says otherwise
+ */
+function withAssetDefaults(attachment, primaryDirPath) {
+  if (!attachment || attachment.asset === undefined) {
+    return attachment;
+  }
+  return Object.assign({}, attachment, {
+    fileName: attachment.fileName || attachment.alias + '.db',
+    dirPath: attachment.dirPath || primaryDirPath
+  });
+}
+
+/**
+ * Check an attachment's properties and that its alias is a free schema name
+ */
+function validateAttachment(attachment, existing) {
+  if (!attachment || !attachment.fileName || !attachment.dirPath || !attachment.alias) {
+    throw new Error('Each attachment must have fileName, dirPath, and alias properties');
+  }
+  const alias = attachment.alias;
+  // The alias goes into SQL unquoted
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(alias)) {
+    throw new Error('Invalid attachment alias: ' + alias + ' (use letters, digits and underscores)');
+  }
+  if (RESERVED_ALIASES.indexOf(alias.toLowerCase()) !== -1) {
+    throw new Error('Attachment alias is reserved: ' + alias);
+  }
+  // Schema names are case-insensitive
+  const duplicate = existing.some(function(other) {
+    return other.alias.toLowerCase() === alias.toLowerCase();
+  });
+  if (duplicate) {
+    throw new Error('Duplicate attachment alias: ' + alias);
+  }
+  if (!Object.prototype.hasOwnProperty.call(ATTACHMENT_MODES, attachmentMode(attachment))) {
+    throw new Error('Unknown attachment mode: ' + attachment.mode + ' (expected readwrite, readonly or immutable)');
+  }
+  if (attachment.maintenance && isReadOnly(attachment)) {
+    throw new Error('Maintenance for read-only database: ' + alias);
+  }
+}
+
+function attachmentMode(attachment) {
+  return attachment.mode || (attachment.readOnly ? 'readonly' : 'readwrite');
+}
+
+function isReadOnly(attachment) {
+  return attachmentMode(attachment) !== 'readwrite';
+}
+
+/**
+ * Attachment as AttachedSqliteAdapter takes it: the full path of the file
+ */
+function processAttachment(primaryAdapter, attachment) {
+  return {
+    path: attachmentPath(primaryAdapter, attachment),
+    alias: attachment.alias
+  };
+}
+
+/**
+ * Full path of an attachment, its dirPath resolved like the primary's
+ */
+function attachmentPath(primaryAdapter, attachment) {
+  return joinPath(primaryAdapter.resolveExpoDirPath(attachment.dirPath), attachment.fileName);
+}
+
+/**
+ * Accept migrations for the primary database alone, or keyed by schema
+ */
+function migrationSetsBySchema(migrations, attachments) {
+  if (!migrations || Array.isArray(migrations)) {
+    return { main: migrations };
+  }
+  Object.keys(migrations).forEach(function(schema) {
+    const attachment = attachments.find(function(candidate) {
+      return candidate.alias === schema;
+    });
+    if (schema !== 'main' && !attachment) {
+      throw new Error('Migrations for unknown database: ' + schema);
+    }
+    if (attachment && isReadOnly(attachment)) {
+      throw new Error('Migrations for read-only database: ' + schema);
+    }
+    sortMigrations(migrations[schema]);
+  });
+  return migrations;
+}
+
 /**
  * Set the schema strategy (called by SqliteStorage during initialization)
  * @param {Object} strategy - The schema strategy to use
@@ -73,6 +228,16 @@ AttachedExpoSqliteAdapter.prototype.setSchemaStrategy = function(strategy) {
 
 /**
  * Override connect to pre-initialize attachment databases if needed
+ *
+ * A database that fails to pre-initialize or to attach rejects with an
+ * AttachmentError naming its alias; the SQLite failure is its cause.
+ *
+ * With the integrityCheck option, every existing attachment is checked
+ * before it is attached, and quarantined when recoverFromCorruption is set.
+ * Attachments with migrations are migrated after pre-initialization; the
+ * primary database when it connects, before anything is attached.
+ * Read-only attachments are neither pre-initialized nor migrated, and their
+ * integrity is checked once attached, on the primary connection.
  */
 AttachedExpoSqliteAdapter.prototype.connect = async function() {
   const adapter = this;
@@ -80,123 +245,954 @@ AttachedExpoSqliteAdapter.prototype.connect = async function() {
   // Check if already connected/attached (idempotent)
   // Must check BEFORE pre-initialization to avoid opening the database twice
   if (adapter.attached) {
-    adapter.debug && console.log('[AttachedExpoSqliteAdapter] Already attached, skipping connection');
+    adapter.logger.debug('Already attached, skipping connection');
     return Promise.resolve();
   }
 
-  // If we have a schema strategy that supports pre-initialization, use it
+  for (const attachment of adapter.originalAttachmentConfig.attachments) {
+    await prepareAttachment(adapter, attachment);
+  }
+
+  // Now proceed with normal connection and attachment
+  return AttachedSqliteAdapter.prototype.connect.call(adapter);
+};
+
+/**
+ * Get an attachment ready to be attached: install it from its asset, verify
+ * its checksum, check its integrity, pre-initialize it through the schema
+ * strategy and migrate it
+ *
+ * A read-only attachment only gets installed and its checksum verified, since
+ * opening it on a connection of its own would write to it.
+ */
+async function prepareAttachment(adapter, attachment) {
+  if (attachment.asset !== undefined) {
+    await installAttachmentAsset(adapter, attachment);
+  }
+  if (attachment.md5) {
+    await verifyChecksum(adapter, attachment);
+  }
+  if (isReadOnly(attachment)) {
+    return;
+  }
+  if (adapter.integrityCheck) {
+    await verifyAttachment(adapter, attachment);
+  }
   if (adapter.schemaStrategy && adapter.schemaStrategy.preInitializeDatabase) {
-    adapter.debug && console.log('[AttachedExpoSqliteAdapter] Pre-initializing attachment databases...');
-    
-    // Pre-initialize each attachment database
+    await preInitializeAttachment(adapter, attachment);
+  }
+  if (adapter.migrationSets[attachment.alias]) {
+    await migrateAttachment(adapter, attachment, adapter.migrationSets[attachment.alias]);
+  }
+}
+
+/**
+ * Create an attachment's tables and indexes through the schema strategy
+ */
+async function preInitializeAttachment(adapter, attachment) {
+  const fullPath = attachmentPath(adapter.primaryAdapter, attachment);
+
+  try {
+    // Check if the database exists
+    if (adapter.FileSystem) {
+      const fileInfo = await adapter.FileSystem.getInfoAsync(toFileUri(fullPath));
+
+      if (!fileInfo.exists) {
+        adapter.logger.debug('Creating new database', { alias: attachment.alias, path: fullPath });
+      }
+    }
+
+    // Pre-initialize the database with proper schema and indexes
+    await adapter.schemaStrategy.preInitializeDatabase(
+      fullPath,
+      function(dbPath) {
+        // Factory function to create an ExpoSqliteAdapter for the given path
+        const pathParts = dbPath.split('/');
+        const fileName = pathParts.pop();
+        const dirPath = pathParts.join('/') + '/';
+        return new ExpoSqliteAdapter(fileName, dirPath, attachmentAdapterOptions(adapter, attachment));
+      }
+    );
+
+    adapter.logger.debug('Pre-initialized database', { alias: attachment.alias, path: fullPath });
+  } catch (error) {
+    adapter.logger.warn('Failed to pre-initialize database', {
+      alias: attachment.alias,
+      path: fullPath,
+      error: error.message
+    });
+    throw attachmentError('Failed to pre-initialize database ' + attachment.alias, attachment.alias, error);
+  }
+}
+
+/**
+ * Copy a bundled attachment into place when it is missing or outdated
+ */
+async function installAttachmentAsset(adapter, attachment) {
+  try {
+    await installDatabaseAsset(attachment.asset, {
+      fileName: attachment.fileName,
+      dirPath: adapter.primaryAdapter.resolveExpoDirPath(attachment.dirPath),
+      version: attachment.version,
+      md5: attachment.md5,
+      Asset: adapter.Asset,
+      FileSystem: adapter.FileSystem,
+      logger: adapter.loggerOption,
+      logLevel: adapter.logLevel,
+      debug: adapter.debug
+    });
+  } catch (error) {
+    throw attachmentError('Failed to install database ' + attachment.alias + ': ' + error.message, attachment.alias, error);
+  }
+}
+
+/**
+ * Compare the MD5 checksum of an attachment's file with the expected one
+ */
+async function verifyChecksum(adapter, attachment) {
+  if (!adapter.FileSystem) {
+    throw new Error('Verifying the md5 of an attachment requires expo-file-system');
+  }
+  const info = await adapter.FileSystem.getInfoAsync(toFileUri(attachmentPath(adapter.primaryAdapter, attachment)), { md5: true });
+  if (!info.exists) {
+    return;
+  }
+  if (info.md5 !== attachment.md5.toLowerCase()) {
+    throw new AttachmentError('Checksum mismatch for attached database ' + attachment.alias +
+      ': expected ' + attachment.md5 + ', got ' + info.md5, { alias: attachment.alias });
+  }
+}
+
+/**
+ * Check an attachment's integrity on a connection of its own, recovering it
+ * if configured to, before it gets attached
+ */
+async function verifyAttachment(adapter, attachment) {
+  const fullPath = attachmentPath(adapter.primaryAdapter, attachment);
+  if (adapter.FileSystem) {
+    const fileInfo = await adapter.FileSystem.getInfoAsync(toFileUri(fullPath));
+    if (!fileInfo.exists) {
+      return;
+    }
+  }
+
+  const checker = new ExpoSqliteAdapter(attachment.fileName, attachment.dirPath, Object.assign(
+    attachmentAdapterOptions(adapter, attachment), {
+      useNewConnection: true,
+      integrityCheck: adapter.integrityCheck,
+      recoverFromCorruption: adapter.recoverFromCorruption,
+      onCorruption: adapter.onCorruption
+    }
+  ));
+  try {
+    await checker.connect();
+  } catch (error) {
+    throw attachmentError('Attached database ' + attachment.alias + ' is corrupt: ' + error.message, attachment.alias, error);
+  } finally {
+    await checker.disconnect();
+  }
+}
+
+/**
+ * Bring an attachment's schema up to date on a connection of its own, before
+ * it gets attached. Migration errors are thrown as they are.
+ */
+async function migrateAttachment(adapter, attachment, migrations) {
+  const migrator = new ExpoSqliteAdapter(attachment.fileName, attachment.dirPath, Object.assign(
+    attachmentAdapterOptions(adapter, attachment), {
+      useNewConnection: true,
+      migrations: migrations,
+      onMigrate: adapter.onMigrate
+    }
+  ));
+  try {
+    await migrator.connect();
+  } finally {
+    await migrator.disconnect();
+  }
+}
+
+/**
+ * Options of the adapters opened on an attachment's own file
+ */
+function attachmentAdapterOptions(adapter, attachment) {
+  return {
+    debug: adapter.debug,
+    SQLite: adapter.SQLite,
+    FileSystem: adapter.FileSystem,
+    appGroup: adapter.primaryAdapter.appGroup,
+    logger: adapter.loggerOption,
+    logLevel: adapter.logLevel,
+    onQuery: adapter.onQuery,
+    alias: attachment.alias,
+    encryptionKey: attachmentEncryptionKey(adapter, attachment),
+    // Attachments have always been attached from their dirPath
+    moveLegacyDatabase: false
+  };
+}
+
+/**
+ * Key an attachment is encrypted with: its own, or else the primary's
+ */
+function attachmentEncryptionKey(adapter, attachment) {
+  return attachment.encryptionKey !== undefined ? attachment.encryptionKey : adapter.primaryAdapter.encryptionKey;
+}
+
+/**
+ * Check the primary database and every attachment for corruption
+ * @param {string} [mode] - 'quick' (default) or 'full'
+ * @returns {Promise<Object>} Integrity result per schema: { main, <alias>: ... }
+ */
+AttachedExpoSqliteAdapter.prototype.checkIntegrity = async function(mode) {
+  // Without a schema the check would cover the attachments as well
+  const results = { main: await this.primaryAdapter.checkIntegrity(mode, 'main') };
+  for (const alias of this.getAttachedAliases()) {
+    results[alias] = await this.primaryAdapter.checkIntegrity(mode, alias);
+  }
+  return results;
+};
+
+/**
+ * Back up the primary database and every attachment
+ *
+ * The primary database goes to fileName; each attachment to fileName with
+ * its alias inserted before the extension (backup.db -> backup.ref.db).
+ *
+ * @param {string} fileName - Backup file name of the primary database
+ * @param {string} [dirPath] - Backup directory (default: the primary's dirPath)
+ * @param {Object} [options] - { overwrite }
+ * @returns {Promise<Object>} Backup path per schema: { main, <alias>: ... }
+ */
+AttachedExpoSqliteAdapter.prototype.backupTo = async function(fileName, dirPath, options) {
+  const primaryAdapter = this.primaryAdapter;
+  const overwrite = !!(options && options.overwrite);
+
+  const paths = {
+    main: await primaryAdapter.backupTo(fileName, dirPath, { overwrite: overwrite, schema: 'main' })
+  };
+  for (const alias of this.getAttachedAliases()) {
+    paths[alias] = await primaryAdapter.backupTo(attachmentBackupName(fileName, alias), dirPath, {
+      overwrite: overwrite,
+      schema: alias
+    });
+  }
+  return paths;
+};
+
+/**
+ * Restore the primary database and every attachment from backups made by
+ * backupTo(), then reattach. Attachments without a backup file are left as
+ * they are.
+ *
+ * Waits for queued transactions and in-flight queries, and opens every
+ * backup on a connection of its own before anything is replaced. If a file
+ * can't be swapped in or the databases can't be connected again, every
+ * database is put back the way it was and reconnected.
+ *
+ * @param {string} fileName - Backup file name of the primary database
+ * @param {string} [dirPath] - Backup directory (default: the primary database's directory)
+ * @returns {Promise<void>}
+ */
+AttachedExpoSqliteAdapter.prototype.restoreFrom = function(fileName, dirPath) {
+  const adapter = this;
+  const primaryAdapter = adapter.primaryAdapter;
+  const backupDir = primaryAdapter.resolveExpoDirPath(dirPath) || primaryAdapter.databaseDirectory;
+
+  return primaryAdapter.runExclusive(async function() {
+    if (!adapter.FileSystem) {
+      throw new Error('restoreFrom requires expo-file-system');
+    }
+    const restores = await findRestores(adapter, fileName, backupDir);
+    for (const restore of restores) {
+      await checkBackup(adapter, restore, backupDir);
+    }
+
+    const wasAttached = adapter.attached;
+    await adapter.disconnect();
+    const swapped = [];
+    try {
+      for (const restore of restores) {
+        restore.asidePath = restore.databasePath + '.replaced-' + Date.now();
+        await moveDatabaseFiles(adapter.FileSystem, restore.databasePath, restore.asidePath);
+        swapped.push(restore);
+        await adapter.FileSystem.copyAsync({ from: toFileUri(restore.backupPath), to: toFileUri(restore.databasePath) });
+      }
+      if (wasAttached) {
+        await adapter.connect();
+      }
+    } catch (error) {
+      adapter.logger.warn('Restore failed, kept the current databases', { path: joinPath(backupDir, fileName), error: error.message });
+      await adapter.disconnect();
+      for (const restore of swapped.reverse()) {
+        await deleteDatabaseFiles(adapter.FileSystem, restore.databasePath);
+        await moveDatabaseFiles(adapter.FileSystem, restore.asidePath, restore.databasePath);
+      }
+      if (wasAttached) {
+        await adapter.connect();
+      }
+      throw error;
+    }
+
+    for (const restore of swapped) {
+      await deleteDatabaseFiles(adapter.FileSystem, restore.asidePath);
+      adapter.logger.debug('Restored database', { alias: restore.alias, path: restore.backupPath });
+    }
+    adapter.logger.info('Restored databases from backup', { path: joinPath(backupDir, fileName) });
+  });
+};
+
+/**
+ * The databases a restore replaces: the primary, whose backup must exist,
+ * and every attachment that has a backup
+ * @returns {Promise<Array<Object>>} [{ alias, fileName, backupPath, databasePath }]
+ */
+async function findRestores(adapter, fileName, backupDir) {
+  const restores = [{
+    alias: 'main',
+    fileName: fileName,
+    backupPath: joinPath(backupDir, fileName),
+    databasePath: adapter.primaryAdapter.getDatabasePath()
+  }];
+  if (!(await fileExists(adapter.FileSystem, restores[0].backupPath))) {
+    throw new Error('Backup file not found: ' + restores[0].backupPath);
+  }
+
+  for (const attachment of adapter.originalAttachmentConfig.attachments) {
+    const backupName = attachmentBackupName(fileName, attachment.alias);
+    const backupPath = joinPath(backupDir, backupName);
+    if (!(await fileExists(adapter.FileSystem, backupPath))) {
+      adapter.logger.warn('No backup for attached database', { alias: attachment.alias, path: backupPath });
+      continue;
+    }
+    restores.push({
+      alias: attachment.alias,
+      fileName: backupName,
+      backupPath: backupPath,
+      databasePath: attachmentPath(adapter.primaryAdapter, attachment)
+    });
+  }
+  return restores;
+}
+
+/**
+ * Open a backup on a connection of its own, with the key of the database it
+ * replaces, and read its schema
+ */
+async function checkBackup(adapter, restore, backupDir) {
+  const attachment = findAttachment(adapter, restore.alias) || { alias: restore.alias };
+  const checker = new ExpoSqliteAdapter(restore.fileName, backupDir, Object.assign(
+    attachmentAdapterOptions(adapter, attachment), { useNewConnection: true }
+  ));
+  try {
+    await checker.connect();
+    await checker.getFirstAsync('SELECT COUNT(*) AS count FROM sqlite_master');
+  } catch (error) {
+    throw attachmentError('Backup of ' + restore.alias + ' can\'t be opened: ' + error.message, restore.alias, error);
+  } finally {
+    await checker.disconnect();
+  }
+}
+
+/**
+ * Disconnect and delete the primary database and every read-write
+ * attachment, sidecar files included; see ExpoSqliteAdapter.destroyDatabase().
+ * Read-only attachments, such as bundled databases, are left in place.
+ *
+ * Waits for queued transactions and in-flight queries first.
+ *
+ * @param {Object} [options] - { secureDelete }
+ * @returns {Promise<Object>} { path, overwritten } per schema: { main, <alias>: ... }
+ */
+AttachedExpoSqliteAdapter.prototype.destroyDatabase = function(options) {
+  const adapter = this;
+
+  return adapter.primaryAdapter.runExclusive(async function() {
+    await adapter.disconnect();
+
+    // The primary's own destroyDatabase() would queue behind this task
+    const results = {
+      main: await destroyFiles(adapter, adapter.primaryFileName, adapter.primaryDirPath, { alias: 'main' }, options)
+    };
     for (const attachment of adapter.originalAttachmentConfig.attachments) {
-      const fullPath = attachment.dirPath.replace('file://', '') + attachment.fileName;
-      
-      try {
-        // Check if the database exists
-        const FileSystem = require('expo-file-system/legacy');
-        const fileInfo = await FileSystem.getInfoAsync(fullPath);
-        
-        if (!fileInfo.exists) {
-          adapter.debug && console.log('[AttachedExpoSqliteAdapter] Creating new database:', fullPath);
-        }
-        
-        // Pre-initialize the database with proper schema and indexes
-        await adapter.schemaStrategy.preInitializeDatabase(
-          fullPath,
-          function(dbPath) {
-            // Factory function to create an ExpoSqliteAdapter for the given path
-            const ExpoSqliteAdapter = require('./expo-sqlite-adapter');
-            const pathParts = dbPath.split('/');
-            const fileName = pathParts.pop();
-            const dirPath = pathParts.join('/') + '/';
-            return new ExpoSqliteAdapter(fileName, dirPath, adapter.debug);
-          }
-        );
-        
-        adapter.debug && console.log('[AttachedExpoSqliteAdapter] Pre-initialized database:', fullPath);
-      } catch (error) {
-        console.error('[AttachedExpoSqliteAdapter] Failed to pre-initialize database:', fullPath, error);
-        // Continue anyway - the database might already be initialized
+      if (isReadOnly(attachment)) {
+        continue;
       }
+      results[attachment.alias] = await destroyFiles(adapter, attachment.fileName, attachment.dirPath, attachment, options);
     }
+    return results;
+  });
+};
+
+/**
+ * Delete a database through an adapter of its own
+ */
+function destroyFiles(adapter, fileName, dirPath, attachment, options) {
+  const destroyer = new ExpoSqliteAdapter(fileName, dirPath, Object.assign(
+    attachmentAdapterOptions(adapter, attachment), { useNewConnection: true }
+  ));
+  return destroyer.destroyDatabase(options);
+}
+
+/**
+ * Backup file name of an attachment: backup.db -> backup.ref.db
+ */
+function attachmentBackupName(fileName, alias) {
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0
+    ? fileName.slice(0, dot) + '.' + alias + fileName.slice(dot)
+    : fileName + '.' + alias;
+}
+
+/**
+ * Attach a database, reporting failures as an AttachmentError
+ *
+ * The path is bound as a parameter. A read-only attachment is attached by
+ * URI with the parameters of its mode. An attachment with an encryptionKey of
+ * its own is attached with ATTACH ... KEY; without one, SQLCipher opens it
+ * with the primary's key. Once attached, the alias must be the file at path,
+ * read-only if its mode says so; an attachment that fails this or the other
+ * checks is detached again.
+ *
+ * @param {string} path - Full path of the database file
+ * @param {string} alias - Schema name to attach it as
+ */
+AttachedExpoSqliteAdapter.prototype.attachDatabase = async function(path, alias) {
+  const adapter = this;
+  const attachment = findAttachment(adapter, alias) || {};
+  try {
+    const statement = await attachStatement(attachment, path, alias);
+    await adapter.wrappedAdapter.runAsync(statement.sql, statement.params);
+  } catch (error) {
+    throw attachmentError('Failed to attach database ' + alias + ': ' + error.message, alias, error);
   }
-  
-  // Now proceed with normal connection and attachment
-  return AttachedSqliteAdapter.prototype.connect.call(adapter);
+
+  try {
+    await checkAttachedFile(adapter.primaryAdapter.db, attachment, path, alias);
+    await verifyAttachedDatabase(adapter, attachment, alias);
+    await setUpAttachmentMaintenance(adapter, attachment, alias);
+  } catch (error) {
+    try {
+      await adapter.wrappedAdapter.runAsync('DETACH DATABASE ' + alias);
+    } catch (detachError) {
+      adapter.logger.warn('Failed to detach database', { alias: alias, error: detachError.message });
+    }
+    throw error;
+  }
+  adapter.attachedAliases.add(alias);
+  // Changes expo-sqlite reports for the file are the attachment's
+  adapter.primaryAdapter.attachedPaths[path] = alias;
+};
+
+/**
+ * Check that ATTACH opened the file it was given, the way its mode asks
+ *
+ * SQLite built without URI filename support takes file:/path?mode=ro as a
+ * relative file name and attaches a new, empty, writable database in its
+ * place; a build that ignores the parameters attaches the right file
+ * writable. Either would go unnoticed until a write that should have failed
+ * succeeds, so the attachment's file is looked up in PRAGMA database_list,
+ * and a read-only one must refuse a write.
+ *
+ * @param {Object} db - The connection the database is attached to
+ * @throws {AttachmentError} When the alias is a different file or can be written
+ */
+async function checkAttachedFile(db, attachment, path, alias) {
+  const databases = await db.getAllAsync('PRAGMA database_list');
+  const attached = databases.find(function(database) {
+    return database.name === alias;
+  });
+  const file = attached ? attached.file : null;
+  if (!file || !isSamePath(file, path)) {
+    throw new AttachmentError('Attached database ' + alias + ' is ' + (file || 'not a file') +
+      ', expected ' + stripFileUri(path) + '; check that SQLite accepts URI filenames', { alias: alias });
+  }
+  if (isReadOnly(attachment) && !(await refusesWrites(db, alias))) {
+    throw new AttachmentError('Attached database ' + alias + ' is writable, expected ' +
+      attachmentMode(attachment) + '; check that SQLite accepts URI filenames', { alias: alias });
+  }
+}
+
+/**
+ * SQLite reports attached files by their real path: on iOS the app
+ * container's /var is a link to /private/var
+ */
+function isSamePath(file, path) {
+  const expected = stripFileUri(path);
+  return file === expected || file === '/private' + expected;
+}
+
+/**
+ * Try creating a table in the attachment, inside a savepoint that is rolled
+ * back whatever happens
+ */
+async function refusesWrites(db, alias) {
+  await db.execAsync('SAVEPOINT attachment_check');
+  try {
+    await db.execAsync('CREATE TABLE ' + alias + '.attachment_check (id INTEGER)');
+    return false;
+  } catch (error) {
+    if (toSqliteStorageError(error) instanceof ReadOnlyDatabaseError) {
+      return true;
+    }
+    throw error;
+  } finally {
+    await db.execAsync('ROLLBACK TO attachment_check; RELEASE attachment_check');
+  }
+}
+
+/**
+ * Checks that run on the attached database: the integrity of a read-only
+ * attachment, which can't be recovered, and the expected schema version
+ */
+async function verifyAttachedDatabase(adapter, attachment, alias) {
+  if (adapter.integrityCheck && isReadOnly(attachment)) {
+    const result = await adapter.primaryAdapter.checkIntegrity(adapter.integrityCheck, alias);
+    if (!result.ok) {
+      throw new AttachmentError('Attached database ' + alias + ' is corrupt: ' + result.problems.join('; '), {
+        code: 'SQLITE_CORRUPT',
+        alias: alias
+      });
+    }
+  }
+  // The version of an asset attachment is tracked by the installer instead
+  if (attachment.version !== undefined && attachment.asset === undefined) {
+    const row = await adapter.primaryAdapter.getFirstAsync('PRAGMA ' + alias + '.user_version');
+    if (row.user_version !== attachment.version) {
+      throw new AttachmentError('Attached database ' + alias + ' is at version ' + row.user_version +
+        ', expected ' + attachment.version, { alias: alias });
+    }
+  }
+}
+
+/**
+ * Have the primary's scheduler maintain the attachment, switching it to
+ * incremental auto_vacuum first if its settings ask for that
+ */
+async function setUpAttachmentMaintenance(adapter, attachment, alias) {
+  const primaryAdapter = adapter.primaryAdapter;
+  let settings = null;
+  if (attachment.maintenance !== undefined) {
+    settings = normalizeMaintenance(attachment.maintenance, primaryAdapter.maintenanceSettings);
+  } else if (!isReadOnly(attachment)) {
+    settings = primaryAdapter.maintenanceSettings;
+  }
+  if (settings && settings.autoVacuum) {
+    await enableIncrementalVacuum(primaryAdapter, alias);
+  }
+  primaryAdapter.maintenance.setSchema(alias, settings);
+}
+
+/**
+ * The ATTACH statement for an attachment, with the path bound as a parameter.
+ * An explicit key is bound too, so it stays out of query events and logs; an
+ * empty key attaches an unencrypted database.
+ * @returns {Promise<Object>} { sql, params }
+ */
+async function attachStatement(attachment, path, alias) {
+  const query = ATTACHMENT_MODES[attachmentMode(attachment)];
+  const target = query ? toSqliteUri(path, query) : path;
+  if (attachment.encryptionKey === undefined) {
+    return { sql: 'ATTACH DATABASE ? AS ' + alias, params: [target] };
+  }
+  const key = attachment.encryptionKey ? await resolveEncryptionKey(attachment.encryptionKey) : '';
+  return { sql: 'ATTACH DATABASE ? AS ' + alias + ' KEY ?', params: [target, key] };
+}
+
+/**
+ * Attach the databases again on a connection the primary reopened after
+ * suspend(). The statements go to the connection itself, since queries
+ * through the primary wait for the reopening to finish.
+ */
+async function reattachDatabases(adapter, db) {
+  for (const processed of adapter.attachments) {
+    if (!adapter.attachedAliases.has(processed.alias)) {
+      continue;
+    }
+    const attachment = findAttachment(adapter, processed.alias) || {};
+    try {
+      const statement = await attachStatement(attachment, processed.path, processed.alias);
+      await db.runAsync(statement.sql, statement.params);
+    } catch (error) {
+      throw attachmentError('Failed to attach database ' + processed.alias + ' again: ' + error.message, processed.alias, error);
+    }
+    try {
+      await checkAttachedFile(db, attachment, processed.path, processed.alias);
+    } catch (error) {
+      await db.runAsync('DETACH DATABASE ' + processed.alias).catch(function(detachError) {
+        adapter.logger.warn('Failed to detach database', { alias: processed.alias, error: detachError.message });
+      });
+      throw error;
+    }
+  }
+  adapter.logger.debug('Attached databases again', { aliases: adapter.getAttachedAliases() });
+}
+
+function findAttachment(adapter, alias) {
+  return adapter.originalAttachmentConfig.attachments.find(function(candidate) {
+    return candidate.alias === alias;
+  });
+}
+
+/**
+ * Attach another database, e.g. a downloaded data pack, without reopening
+ * the primary database
+ *
+ * Once connected, the database is checked, pre-initialized and migrated like
+ * the attachments given to the constructor, then attached when queued
+ * transactions and in-flight queries have finished. Before connect, it is
+ * only added to the databases connect() attaches. Either way it stays
+ * attached across reconnects until detach().
+ *
+ * @param {Object} attachment - { fileName, dirPath, alias, mode, encryptionKey, md5, version },
+ *   as given to the constructor
+ * @returns {Promise<void>}
+ * @throws {AttachmentError} When the database can't be prepared or attached
+ */
+AttachedExpoSqliteAdapter.prototype.attach = async function(attachment) {
+  const adapter = this;
+  const attachments = adapter.originalAttachmentConfig.attachments;
+  attachment = withAssetDefaults(attachment, adapter.primaryDirPath);
+  validateAttachment(attachment, attachments);
+  const processed = processAttachment(adapter.primaryAdapter, attachment);
+
+  // Claim the alias right away, so a concurrent attach() can't take it too
+  attachments.push(attachment);
+  adapter.attachments.push(processed);
+  if (!adapter.attached) {
+    return;
+  }
+
+  try {
+    await prepareAttachment(adapter, attachment);
+    await adapter.primaryAdapter.runExclusive(function() {
+      return adapter.attachDatabase(processed.path, processed.alias);
+    });
+  } catch (error) {
+    removeAttachment(adapter, attachment.alias);
+    throw error;
+  }
+  adapter.logger.info('Attached database', { alias: attachment.alias, path: processed.path });
+};
+
+/**
+ * Detach a database and forget it, so reconnecting doesn't attach it again
+ *
+ * DETACH fails while a statement uses the connection, so it waits for queued
+ * transactions and in-flight queries - open iterateAsync() cursors included -
+ * to finish.
+ *
+ * @param {string} alias - Alias the database was attached as
+ * @returns {Promise<void>}
+ * @throws {AttachmentError} When the database can't be detached
+ */
+AttachedExpoSqliteAdapter.prototype.detach = async function(alias) {
+  const adapter = this;
+  if (!findAttachment(adapter, alias)) {
+    throw new Error('No attachment with alias: ' + alias);
+  }
+
+  await adapter.primaryAdapter.runExclusive(async function() {
+    if (!adapter.attachedAliases.has(alias)) {
+      return;
+    }
+    try {
+      await adapter.detachDatabase(alias);
+    } catch (error) {
+      throw attachmentError('Failed to detach database ' + alias + ': ' + error.message, alias, error);
+    }
+  });
+  delete adapter.primaryAdapter.attachedPaths[attachmentPath(adapter.primaryAdapter, findAttachment(adapter, alias))];
+  removeAttachment(adapter, alias);
+  adapter.logger.info('Detached database', { alias: alias });
+};
+
+/**
+ * Detach a database from the primary connection and stop maintaining it
+ * @param {string} alias - Alias the database was attached as
+ */
+AttachedExpoSqliteAdapter.prototype.detachDatabase = async function(alias) {
+  await AttachedSqliteAdapter.prototype.detachDatabase.call(this, alias);
+  this.primaryAdapter.maintenance.removeSchema(alias);
+};
+
+/**
+ * Disconnect, running PRAGMA optimize on the attachments that ask for it
+ * while they are still attached
+ */
+AttachedExpoSqliteAdapter.prototype.disconnect = async function() {
+  await this.primaryAdapter.maintenance.close();
+  return AttachedSqliteAdapter.prototype.disconnect.call(this);
+};
+
+function removeAttachment(adapter, alias) {
+  function keep(attachment) {
+    return attachment.alias !== alias;
+  }
+  adapter.originalAttachmentConfig.attachments = adapter.originalAttachmentConfig.attachments.filter(keep);
+  adapter.attachments = adapter.attachments.filter(keep);
+}
+
+/**
+ * Describe every attachment
+ *
+ * size is null when the file doesn't exist or there is no expo-file-system;
+ * schemaVersion (PRAGMA user_version) is null while the database isn't attached.
+ *
+ * @returns {Promise<Array<Object>>} [{ alias, fileName, dirPath, path, mode, readOnly,
+ *   attached, size, schemaVersion }]
+ */
+AttachedExpoSqliteAdapter.prototype.listAttachments = async function() {
+  const adapter = this;
+  const list = [];
+
+  for (const attachment of adapter.originalAttachmentConfig.attachments) {
+    const fullPath = attachmentPath(adapter.primaryAdapter, attachment);
+    const attached = adapter.attachedAliases.has(attachment.alias);
+    let size = null;
+    if (adapter.FileSystem) {
+      const info = await adapter.FileSystem.getInfoAsync(toFileUri(fullPath));
+      size = info.exists ? info.size : null;
+    }
+    let schemaVersion = null;
+    if (attached) {
+      const row = await adapter.primaryAdapter.getFirstAsync('PRAGMA ' + attachment.alias + '.user_version');
+      schemaVersion = row ? row.user_version : 0;
+    }
+
+    list.push({
+      alias: attachment.alias,
+      fileName: attachment.fileName,
+      dirPath: attachment.dirPath,
+      path: fullPath,
+      mode: attachmentMode(attachment),
+      readOnly: isReadOnly(attachment),
+      attached: attached,
+      size: size,
+      schemaVersion: schemaVersion
+    });
+  }
+  return list;
+};
+
+/**
+ * Wrap the failure of one attachment, keeping its SQLite result code
+ */
+function attachmentError(message, alias, cause) {
+  const typed = toSqliteStorageError(cause);
+  return new AttachmentError(message, {
+    code: typed.code,
+    sql: typed.sql,
+    fileName: typed.fileName,
+    alias: alias,
+    retries: typed.retries,
+    cause: cause
+  });
+}
+
+/**
+ * Queries run on the primary connection, where the attachments live. A write
+ * rejected by a read-only attachment names the attachment.
+ */
+['runAsync', 'getFirstAsync', 'getAllAsync', 'transaction', 'runBatchAsync', 'executeMany'].forEach(function(method) {
+  AttachedExpoSqliteAdapter.prototype[method] = function() {
+    const adapter = this;
+    return adapter.primaryAdapter[method].apply(adapter.primaryAdapter, arguments).catch(function(error) {
+      throw readOnlyWriteError(adapter, error);
+    });
+  };
+});
+
+function readOnlyWriteError(adapter, error) {
+  if (!(error instanceof ReadOnlyDatabaseError) || !error.sql) {
+    return error;
+  }
+  const attachment = adapter.originalAttachmentConfig.attachments.find(function(candidate) {
+    return isReadOnly(candidate) && new RegExp('\\b' + candidate.alias + '\\s*\\.', 'i').test(error.sql);
+  });
+  if (attachment) {
+    error.message = 'Cannot write to ' + attachmentMode(attachment) + ' attachment ' + attachment.alias + ': ' + error.message;
+    error.alias = attachment.alias;
+  }
+  return error;
+}
+
+/**
+ * Listen for changes to the primary database and the attachments; see
+ * ExpoSqliteAdapter.addChangeListener(). alias tells them apart.
+ * @param {Function} listener - function({ alias, table, operation, rowIds })
+ * @returns {Object} Subscription with a remove() method
+ */
+AttachedExpoSqliteAdapter.prototype.addChangeListener = function(listener) {
+  return this.primaryAdapter.addChangeListener(listener);
+};
+
+/**
+ * Run a query now, and again whenever a table it reads changes; see
+ * ExpoSqliteAdapter.liveQuery(). Name attached tables as alias.table.
+ */
+AttachedExpoSqliteAdapter.prototype.liveQuery = function(sql, params, onResult, options) {
+  return createLiveQuery(this, sql, params, onResult, options);
+};
+
+/**
+ * Full-text search; see ExpoSqliteAdapter.createSearchIndex() and search().
+ * Name an attachment's indexes as alias.name, and create them with
+ * schema: alias. A read-only attachment's indexes can be searched but must
+ * be built before the file is bundled.
+ */
+AttachedExpoSqliteAdapter.prototype.createSearchIndex = function(definition) {
+  return fullTextSearch.createSearchIndex(this, definition);
+};
+
+AttachedExpoSqliteAdapter.prototype.dropSearchIndex = function(name) {
+  return fullTextSearch.dropSearchIndex(this, name);
+};
+
+AttachedExpoSqliteAdapter.prototype.rebuildSearchIndex = function(name) {
+  return fullTextSearch.rebuildSearchIndex(this, name);
+};
+
+AttachedExpoSqliteAdapter.prototype.search = function(name, text, options) {
+  return fullTextSearch.search(this, name, text, options);
+};
+
+/**
+ * Run maintenance on the primary database and the maintained attachments;
+ * see ExpoSqliteAdapter.runMaintenance()
+ * @returns {Promise<Object>} Report by schema: { main, <alias>: ... }
+ */
+AttachedExpoSqliteAdapter.prototype.runMaintenance = function() {
+  return this.primaryAdapter.runMaintenance();
+};
+
+/**
+ * Checkpoint the primary database and the attachments and optionally close
+ * the connection until the next query, which attaches them again; see
+ * ExpoSqliteAdapter.suspend()
+ * @returns {Promise<Object>} { checkpoint, closed }
+ */
+AttachedExpoSqliteAdapter.prototype.suspend = function(options) {
+  return this.primaryAdapter.suspend(options);
+};
+
+/**
+ * How the primary database and every attachment use their space; see
+ * ExpoSqliteAdapter.getStorageInfo()
+ * @returns {Promise<Object>} Storage info by schema: { main, <alias>: ... }
+ */
+AttachedExpoSqliteAdapter.prototype.getStorageInfo = async function() {
+  const results = { main: await this.primaryAdapter.getStorageInfo('main') };
+  for (const alias of this.getAttachedAliases()) {
+    results[alias] = await this.primaryAdapter.getStorageInfo(alias);
+  }
+  return results;
+};
+
+AttachedExpoSqliteAdapter.prototype.iterateAsync = function(sql, params, options) {
+  return this.primaryAdapter.iterateAsync(sql, params, options);
+};
+
+AttachedExpoSqliteAdapter.prototype.paginateAsync = function(table, options) {
+  return this.primaryAdapter.paginateAsync(table, options);
+};
+
+/**
+ * Query metrics of the primary connection, which runs every query
+ */
+AttachedExpoSqliteAdapter.prototype.getStats = function() {
+  return this.primaryAdapter.getStats();
+};
+
+AttachedExpoSqliteAdapter.prototype.resetStats = function() {
+  this.primaryAdapter.resetStats();
 };
 
 /**
  * Static helper to create an AttachedExpoSqliteAdapter using FileSystem.documentDirectory
  * @param {string} primaryFileName - Primary database file name
  * @param {Object} attachmentConfig - Configuration for database attachments
- * @param {boolean} debug - Enable debug logging
+ * @param {Object|boolean} options - Adapter options (SQLite, FileSystem, ...), or legacy debug flag
  * @returns {AttachedExpoSqliteAdapter} New adapter instance
  */
-AttachedExpoSqliteAdapter.createWithDocumentDirectory = function(primaryFileName, attachmentConfig, debug) {
+AttachedExpoSqliteAdapter.createWithDocumentDirectory = function(primaryFileName, attachmentConfig, options) {
+  if (typeof options === 'boolean') {
+    options = { debug: options };
+  }
+
+  let FileSystem;
   try {
-    const FileSystem = require('expo-file-system/legacy');
-    const docDir = FileSystem.documentDirectory;
-    
-    // Process attachment config to use document directory if not specified
-    const processedAttachments = (attachmentConfig.attachments || []).map(function(attachment) {
-      return {
-        fileName: attachment.fileName,
-        dirPath: attachment.dirPath || docDir,
-        alias: attachment.alias
-      };
-    });
-    
-    return new AttachedExpoSqliteAdapter(
-      primaryFileName,
-      docDir,
-      { attachments: processedAttachments },
-      debug
-    );
+    FileSystem = requireFileSystem(options);
   } catch (e) {
     throw new Error('AttachedExpoSqliteAdapter.createWithDocumentDirectory requires expo-file-system: ' + e.message);
   }
+  const docDir = FileSystem.documentDirectory;
+  
+  // Process attachment config to use document directory if not specified
+  const processedAttachments = (attachmentConfig.attachments || []).map(function(attachment) {
+    const processed = {
+      fileName: attachment.fileName,
+      dirPath: attachment.dirPath || docDir,
+      alias: attachment.alias
+    };
+    if (attachment.encryptionKey !== undefined) {
+      processed.encryptionKey = attachment.encryptionKey;
+    }
+    ['mode', 'readOnly', 'md5', 'version', 'asset', 'maintenance'].forEach(function(option) {
+      if (attachment[option] !== undefined) {
+        processed[option] = attachment[option];
+      }
+    });
+    return processed;
+  });
+  
+  return new AttachedExpoSqliteAdapter(
+    primaryFileName,
+    docDir,
+    { attachments: processedAttachments },
+    Object.assign({}, options, { FileSystem: FileSystem })
+  );
 };
 
 /**
- * Check if all database files exist (primary and attachments)
+ * Check if all database files exist (primary and attachments), at the paths
+ * they are opened and attached from
  * @returns {Promise<Object>} Object with exists status for each database
  */
 AttachedExpoSqliteAdapter.prototype.checkAllDatabasesExist = async function() {
   const adapter = this;
   const result = {};
-  
+
+  let FileSystem;
   try {
-    const FileSystem = require('expo-file-system/legacy');
-
-    // Check primary database
-    const primaryPath = adapter.primaryDirPath + adapter.primaryFileName;
-    const primaryInfo = await FileSystem.getInfoAsync(primaryPath);
-    result.primary = {
-      fileName: adapter.primaryFileName,
-      exists: primaryInfo.exists
-    };
-    
-    // Check each attachment
-    if (adapter.originalAttachmentConfig && adapter.originalAttachmentConfig.attachments) {
-      result.attachments = {};
-      
-      for (let i = 0; i < adapter.originalAttachmentConfig.attachments.length; i++) {
-        const attachment = adapter.originalAttachmentConfig.attachments[i];
-        const attachPath = attachment.dirPath + attachment.fileName;
-        const attachInfo = await FileSystem.getInfoAsync(attachPath);
-        
-        result.attachments[attachment.alias] = {
-          fileName: attachment.fileName,
-          exists: attachInfo.exists
-        };
-      }
-    }
-    
-    return result;
+    FileSystem = adapter.FileSystem || requireFileSystem();
   } catch (e) {
     throw new Error('checkAllDatabasesExist requires expo-file-system: ' + e.message);
   }
+
+  result.primary = {
+    fileName: adapter.primaryFileName,
+    exists: await fileExists(FileSystem, adapter.primaryAdapter.getDatabasePath())
+  };
+
+  if (adapter.originalAttachmentConfig && adapter.originalAttachmentConfig.attachments) {
+    result.attachments = {};
+    for (const attachment of adapter.originalAttachmentConfig.attachments) {
+      result.attachments[attachment.alias] = {
+        fileName: attachment.fileName,
+        exists: await fileExists(FileSystem, attachmentPath(adapter.primaryAdapter, attachment))
+      };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Full path of the primary database file, without a file:// prefix
+ * @returns {string}
+ */
+AttachedExpoSqliteAdapter.prototype.getDatabasePath = function() {
+  return this.primaryAdapter.getDatabasePath();
 };
 
 module.exports = AttachedExpoSqliteAdapter;
\ No newline at end of file
@@ -1,6 +1,26 @@
 const SqliteAdapter = require('../interfaces/sqlite-adapter');
 const { validateJsonPaths } = require('@shaxpir/sharedb-storage-sqlite').JsonPathValidator;
-const { retryWithBackoff } = require('../utils/retry-utils');
+const { retryWithBackoff, createRetryPolicy } = require('../utils/retry-utils');
+const { NotConnectedError, CorruptDatabaseError, EncryptionKeyError, toSqliteStorageError } = require('../errors');
+const { resolveSQLite, resolveFileSystem, requireFileSystem, resolveAppState } = require('../utils/expo-modules');
+const StatementCache = require('../utils/statement-cache');
+const { DEFAULT_MAX_VARIABLES, normalizeBatchStatement, chunkParameterSets } = require('../utils/batch-utils');
+const { paginate } = require('../utils/keyset-pagination');
+const { resolveLogger } = require('../logger');
+const QueryMetrics = require('../utils/query-metrics');
+const { INTEGRITY_PRAGMAS, integrityCheckSql, integrityResult, quarantineDatabase } = require('../utils/integrity');
+const { toFileUri, fileExists, moveDatabaseFiles, deleteDatabaseFiles, replaceDatabaseFiles } = require('../utils/database-files');
+const { resolveEncryptionKey, keyPragma, rekeyPragma } = require('../utils/encryption');
+const { sortMigrations, readSchemaVersion, runMigrations } = require('../utils/migrations');
+const { installDatabaseAsset } = require('../utils/asset-installer');
+const { stripFileUri, joinPath, resolveDatabaseDirectory, getDefaultDatabaseDirectory } = require('../utils/paths');
+const ChangeTracker = require('../utils/change-tracker');
+const { writtenTable } = require('../utils/sql-tables');
+const { createLiveQuery } = require('../utils/live-query');
+const fullTextSearch = require('../utils/full-text-search');
+const { normalizeMaintenance, MaintenanceScheduler, enableIncrementalVacuum, readStorageInfo } = require('../utils/maintenance');
+const { normalizeLifecycle, AppLifecycle, checkpointAll } = require('../utils/lifecycle');
+const { overwriteDatabase } = require('../utils/secure-delete');
 
 /**
  * ExpoSqliteAdapter Implementation
@@ -8,6 +28,70 @@ const { retryWithBackoff } = require('../utils/retry-utils');
  * React Native implementation that wraps expo-sqlite with the new clean interface.
  * Manages exactly one database with no cross-database awareness.
  * Handles expo-sqlite's requirement for separate fileName and dirPath parameters.
+ *
+ * @param {string} fileName - Database file name
+ * @param {string} dirPath - Database directory: an absolute path or file:// URI, or a path
+ *   relative to the document directory. The document directory itself means expo-sqlite's
+ *   SQLite directory in it. See lib/utils/paths.js.
+ * @param {Object|boolean} options - Options object, or legacy debug flag
+ * @param {Object} options.SQLite - expo-sqlite compatible module (default: require('expo-sqlite'))
+ * @param {Object} options.FileSystem - expo-file-system module, legacy or File/Directory/Paths API
+ *   (default: require('expo-file-system/legacy'))
+ * @param {string} options.appGroup - iOS app group whose shared container a relative dirPath
+ *   is resolved against, so app extensions can open the database (requires the
+ *   File/Directory/Paths API of expo-file-system)
+ * @param {boolean} options.moveLegacyDatabase - On connect, move a database that is only in
+ *   expo-sqlite's SQLite directory, where earlier versions opened it whatever dirPath said, to
+ *   dirPath (default: true)
+ * @param {number} options.statementCacheSize - Prepared statements kept per connection
+ *   (default: 100, 0 disables the cache)
+ * @param {number} options.maxVariables - Bound variables allowed per statement when
+ *   executeMany() combines rows (default: 999)
+ * @param {Object} options.logger - Logger with debug/info/warn/error(message, fields) methods
+ *   (default: console, debug messages only in debug mode)
+ * @param {string} options.logLevel - Level for the default console logger
+ * @param {Function} options.onQuery - Called with a query event after every query (see traceQuery)
+ * @param {string} options.alias - Name reported in log fields and query events (default: fileName)
+ * @param {number} options.slowQueryThreshold - Queries taking at least this many ms are logged
+ *   as slow (default: disabled)
+ * @param {number} options.slowQueryLogSize - Slow queries kept by getStats() (default: 20)
+ * @param {boolean} options.explainSlowQueries - Capture EXPLAIN QUERY PLAN for slow queries (default: true)
+ * @param {Object} options.retry - Retry policy for lock errors (see lib/utils/retry-utils.js);
+ *   overrides the legacy maxRetries and baseDelay options
+ * @param {number} options.busyTimeout - Set PRAGMA busy_timeout (ms) on connect, so SQLite
+ *   itself waits for locks before reporting SQLITE_BUSY (default: leave SQLite's setting)
+ * @param {boolean} options.retryTransactions - Re-run a whole transaction when it fails with a
+ *   retryable error (default: false; the operations must be safe to run again)
+ * @param {string} options.integrityCheck - Check the database on connect: 'quick' or 'full'
+ *   (default: no check)
+ * @param {boolean} options.recoverFromCorruption - When the database turns out to be corrupt on
+ *   connect, quarantine the file and start over with an empty database (default: false, which
+ *   makes connect reject with a CorruptDatabaseError)
+ * @param {Function} options.onCorruption - Called with a corruption event after a corrupt
+ *   database was quarantined (see recoverCorruptDatabase)
+ * @param {string|Function} options.encryptionKey - SQLCipher passphrase, or async function
+ *   returning it, applied with PRAGMA key before any other statement (requires an expo-sqlite
+ *   build with SQLCipher; default: no encryption)
+ * @param {boolean} options.migratePlaintext - When the database turns out to be an unencrypted
+ *   one, encrypt it with encryptionKey on connect (default: false, which makes connect reject
+ *   with an EncryptionKeyError)
+ * @param {Array<Object>} options.migrations - Schema migrations run on connect (see
+ *   lib/utils/migrations.js; default: none)
+ * @param {Function} options.onMigrate - Called with the migration report after migrations ran
+ *   (see migrate)
+ * @param {Function} options.onChange - Called with each change event (see addChangeListener)
+ * @param {boolean} options.nativeChangeListener - Take change events from expo-sqlite's
+ *   addDatabaseChangeListener where the module has it, instead of reading them from the SQL
+ *   of the statements this adapter runs. Rows are then reported as they are written, rolled
+ *   back ones too (default: false)
+ * @param {boolean|Object} options.maintenance - Checkpoint the WAL, free deleted pages and run
+ *   PRAGMA optimize on close: true for the defaults, or settings (see lib/utils/maintenance.js;
+ *   default: no maintenance)
+ * @param {boolean|Object} options.lifecycle - Follow the app's AppState: checkpoint the WAL when
+ *   the app goes to the background and, with closeOnBackground, close the connection until the
+ *   next query: true for the defaults, or settings (see lib/utils/lifecycle.js; default: off)
+ * @param {Object} options.AppState - React Native AppState compatible object for the lifecycle
+ *   option (default: require('react-native').AppState)
  */
 function ExpoSqliteAdapter(fileName, dirPath, options = {}) {
   if (!fileName) {
@@ -24,250 +108,1795 @@ function ExpoSqliteAdapter(fileName, dirPath, options = {}) {
 
   this.fileName = fileName;
   // Clean file:// prefix from dirPath if present
-  this.dirPath = dirPath ? dirPath.replace('file://', '') : dirPath;
+  this.dirPath = stripFileUri(dirPath);
+  this.appGroup = options.appGroup || null;
+  this.moveLegacyDatabase = options.moveLegacyDatabase !== false;
   this.debug = options.debug || false;
+  this.logger = resolveLogger(options, 'ExpoSqliteAdapter');
+  this.onQuery = options.onQuery || null;
+  this.alias = options.alias || fileName;
+  this.metrics = new QueryMetrics({
+    slowQueryThreshold: options.slowQueryThreshold,
+    slowQueryLogSize: options.slowQueryLogSize
+  });
+  this.explainSlowQueries = options.explainSlowQueries !== false;
   this.enableWAL = options.enableWAL !== false; // default true
-  this.retryOptions = {
-    maxRetries: options.maxRetries || 3,
-    baseDelay: options.baseDelay || 100
-  };
+  // undefined keeps the default: shared connection for sharedb_* files, new connection otherwise
+  this.useNewConnection = options.useNewConnection;
+  this.retryOptions = createRetryPolicy(Object.assign({
+    maxRetries: options.maxRetries,
+    baseDelay: options.baseDelay
+  }, options.retry));
+  this.busyTimeout = options.busyTimeout;
+  this.retryTransactions = !!options.retryTransactions;
+  if (options.integrityCheck && !INTEGRITY_PRAGMAS[options.integrityCheck]) {
+    throw new Error('integrityCheck must be quick or full');
+  }
+  this.integrityCheck = options.integrityCheck || null;
+  this.recoverFromCorruption = !!options.recoverFromCorruption;
+  this.onCorruption = options.onCorruption || null;
+  this.encryptionKey = options.encryptionKey || null;
+  this.migratePlaintext = !!options.migratePlaintext;
+  this.migrations = options.migrations ? sortMigrations(options.migrations) : null;
+  this.onMigrate = options.onMigrate || null;
+  this.maxVariables = options.maxVariables || DEFAULT_MAX_VARIABLES;
   this.db = null;
   this.SQLite = null;
+  // Transactions on this connection run one at a time, in call order
+  this.transactionQueue = Promise.resolve();
+  // Whether a runExclusive() task holds the transaction queue
+  this.exclusive = false;
+  // Queries in flight on this connection, transactions' queries included
+  this.activity = { pending: 0, idle: [] };
+  // Prepared statements are reused across calls until disconnect
+  this.statementCache = options.statementCacheSize === 0
+    ? null
+    : new StatementCache({ maxSize: options.statementCacheSize });
+  
+  // Use the injected expo-sqlite module, or load it
+  try {
+    this.SQLite = resolveSQLite(options);
+  } catch (e) {
+    throw new Error('ExpoSqliteAdapter requires expo-sqlite: ' + e.message);
+  }
   
-  // Try to load expo-sqlite
+  // FileSystem is optional - adapter will work without it
+  this.FileSystem = resolveFileSystem(options);
+  // Where the file is opened, passed as openDatabaseSync's directory argument
+  this.databaseDirectory = resolveDatabaseDirectory(dirPath, pathModules(this));
+
+  this.changes = new ChangeTracker({ logger: this.logger });
+  this.nativeChangeListener = options.nativeChangeListener === true &&
+    typeof this.SQLite.addDatabaseChangeListener === 'function';
+  this.changeSubscription = null;
+  // Paths of attached databases, to name the schema of changes expo-sqlite reports
+  this.attachedPaths = {};
+  if (options.onChange) {
+    this.changes.addListener(options.onChange);
+  }
+  this.maintenanceSettings = normalizeMaintenance(options.maintenance);
+  this.maintenance = new MaintenanceScheduler(this, this.maintenanceSettings);
+
+  this.lifecycleSettings = normalizeLifecycle(options.lifecycle);
+  this.lifecycle = null;
+  if (this.lifecycleSettings) {
+    try {
+      this.lifecycle = new AppLifecycle(this, resolveAppState(options), this.lifecycleSettings);
+    } catch (e) {
+      throw new Error('The lifecycle option requires react-native: ' + e.message);
+    }
+  }
+  // While suspend() has closed the connection, the next query reopens it
+  this.suspended = false;
+  this.closing = null;
+  this.reopening = null;
+  // Called with a reopened connection, before queries run on it
+  this.onReopen = null;
+}
+
+// Inherit from SqliteAdapter interface
+ExpoSqliteAdapter.prototype = Object.create(SqliteAdapter.prototype);
+ExpoSqliteAdapter.prototype.constructor = ExpoSqliteAdapter;
+
+/**
+ * Connect to the database
+ *
+ * Called from a runExclusive() task, which holds the transaction queue,
+ * migrations run right away instead of queuing behind the task.
+ */
+ExpoSqliteAdapter.prototype.connect = function() {
+  return connectDatabase(this, this.exclusive);
+};
+
+/**
+ * Open, check and migrate the connection
+ *
+ * @param {ExpoSqliteAdapter} adapter - Adapter to connect
+ * @param {boolean} withinQueue - Called from a task on the transaction queue, like
+ *   restoreFrom(); migrations then run their transactions directly instead of
+ *   queueing them behind that task
+ */
+function connectDatabase(adapter, withinQueue) {
+  return new Promise(async function(resolve, reject) {
+    try {
+      if (adapter.suspended) {
+        await reopenIfSuspended(adapter);
+        resolve();
+        return;
+      }
+      // If already connected, return immediately (idempotent)
+      if (adapter.db) {
+        adapter.logger.debug('Already connected to database', { alias: adapter.alias });
+        resolve();
+        return;
+      }
+
+      await moveLegacyDatabase(adapter);
+      await openConnection(adapter);
+      try {
+        await configureConnection(adapter);
+      } catch (error) {
+        const failure = toSqliteStorageError(error, errorContext(adapter, null));
+        if (adapter.encryptionKey && failure.code === 'SQLITE_NOTADB') {
+          await encryptPlaintextDatabase(adapter, failure);
+        } else {
+          await recoverOrThrow(adapter, failure);
+        }
+      }
+      if (adapter.integrityCheck) {
+        try {
+          await verifyIntegrity(adapter);
+        } catch (error) {
+          await recoverOrThrow(adapter, toSqliteStorageError(error, errorContext(adapter, null)));
+        }
+      }
+      if (adapter.maintenanceSettings && adapter.maintenanceSettings.autoVacuum) {
+        try {
+          await enableIncrementalVacuum(adapter, 'main');
+        } catch (error) {
+          await closeQuietly(adapter);
+          throw error;
+        }
+      }
+      if (adapter.migrations) {
+        try {
+          await migrateDatabase(adapter, adapter.migrations, withinQueue);
+        } catch (error) {
+          await closeQuietly(adapter);
+          throw error;
+        }
+      }
+      adapter.maintenance.start();
+      if (adapter.lifecycle) {
+        adapter.lifecycle.start();
+      }
+
+      resolve();
+    } catch (error) {
+      adapter.logger.debug('Connection error', { alias: adapter.alias, error: error.message });
+      reject(toSqliteStorageError(error, errorContext(adapter, null)));
+    }
+  });
+}
+
+/**
+ * Move the database to its directory from expo-sqlite's SQLite directory
+ *
+ * Earlier versions opened every database in the SQLite directory, whatever
+ * dirPath said. Where dirPath names another directory, a database found
+ * only in the SQLite directory is moved over with its sidecar files, once,
+ * before the connection opens; a file already in the directory wins. The
+ * move needs expo-file-system.
+ */
+async function moveLegacyDatabase(adapter) {
+  const FileSystem = adapter.FileSystem;
+  if (!adapter.moveLegacyDatabase || !FileSystem) {
+    return;
+  }
+  const legacyDirectory = getDefaultDatabaseDirectory(pathModules(adapter));
+  if (legacyDirectory === adapter.databaseDirectory) {
+    return;
+  }
+  const databasePath = joinPath(adapter.databaseDirectory, adapter.fileName);
+  const legacyPath = joinPath(legacyDirectory, adapter.fileName);
+  if (await fileExists(FileSystem, databasePath) || !(await fileExists(FileSystem, legacyPath))) {
+    return;
+  }
+
+  if (!(await fileExists(FileSystem, adapter.databaseDirectory))) {
+    await FileSystem.makeDirectoryAsync(toFileUri(adapter.databaseDirectory), { intermediates: true });
+  }
+  await moveDatabaseFiles(FileSystem, legacyPath, databasePath);
+  adapter.logger.info('Moved database from the SQLite directory to dirPath', {
+    alias: adapter.alias,
+    from: legacyPath,
+    to: databasePath
+  });
+}
+
+/**
+ * Open the connection in the resolved database directory.
+ *
+ * With an encryption key, PRAGMA key is the first statement on the
+ * connection, as SQLCipher requires.
+ *
+ * @param {ExpoSqliteAdapter} adapter - Adapter to open
+ * @param {boolean} [withoutKey] - Open without applying the encryption key
+ */
+async function openConnection(adapter, withoutKey) {
+  // For ShareDB databases, don't use a new connection if we're going to attach later
+  // This allows the database to be attached to another connection
+  // Callers such as the connection pool can force a dedicated connection
+  const useNewConnection = adapter.useNewConnection !== undefined
+    ? adapter.useNewConnection
+    : !adapter.fileName.startsWith('sharedb_');
+  const dbOptions = useNewConnection
+    ? { useNewConnection: true }
+    : {};
+  // Reporting changes costs a call into JS per row, so only with someone to tell
+  const reportChanges = adapter.nativeChangeListener && adapter.changes.hasListeners();
+  if (reportChanges) {
+    dbOptions.enableChangeListener = true;
+  }
+
+  adapter.db = adapter.SQLite.openDatabaseSync(adapter.fileName, dbOptions, adapter.databaseDirectory);
+  if (reportChanges && !adapter.changeSubscription) {
+    adapter.changeSubscription = adapter.SQLite.addDatabaseChangeListener(function(event) {
+      recordNativeChange(adapter, event);
+    });
+  }
+  if (adapter.encryptionKey && !withoutKey) {
+    await applyEncryptionKey(adapter);
+  }
+  adapter.logger.debug('Connected to database', { alias: adapter.alias, fileName: adapter.fileName });
+}
+
+/**
+ * Key the new connection. The key is checked by the first statement that
+ * reads the database, which fails with SQLITE_NOTADB when it is wrong.
+ */
+async function applyEncryptionKey(adapter) {
+  try {
+    const key = await resolveEncryptionKey(adapter.encryptionKey);
+    await adapter.db.execAsync(keyPragma(key));
+  } catch (error) {
+    await closeQuietly(adapter);
+    throw error;
+  }
+  adapter.logger.debug('Applied encryption key', { alias: adapter.alias });
+}
+
+/**
+ * Close the connection after a failed connect, keeping the original error
+ */
+async function closeQuietly(adapter) {
+  await clearStatementCache(adapter);
+  try {
+    await adapter.db.closeAsync();
+  } catch (closeError) {
+    adapter.logger.debug('Closing database failed', { alias: adapter.alias, error: closeError.message });
+  }
+  adapter.db = null;
+}
+
+/**
+ * Quarantine a corrupt database when configured to; otherwise close the
+ * connection and throw
+ */
+async function recoverOrThrow(adapter, failure) {
+  if (!(failure instanceof CorruptDatabaseError) || !adapter.recoverFromCorruption) {
+    await closeQuietly(adapter);
+    throw failure;
+  }
+  await recoverCorruptDatabase(adapter, failure);
+}
+
+/**
+ * Handle SQLITE_NOTADB on an adapter with an encryption key
+ *
+ * When the file opens without a key it is an unencrypted database. With
+ * migratePlaintext it is exported into an encrypted copy with
+ * sqlcipher_export(), which then replaces it; the original files are put
+ * back if the copy can't be opened with the key. Otherwise, and when the
+ * file doesn't open without a key either, the key is wrong and an
+ * EncryptionKeyError is thrown. The file is never quarantined.
+ *
+ * @param {ExpoSqliteAdapter} adapter - Adapter whose connect failed
+ * @param {SqliteStorageError} failure - The SQLITE_NOTADB error
+ */
+async function encryptPlaintextDatabase(adapter, failure) {
+  await closeQuietly(adapter);
+  await openConnection(adapter, true);
+  const databasePath = getDatabaseFilePath(adapter);
+
+  let userVersion;
+  try {
+    userVersion = (await adapter.db.getFirstAsync('PRAGMA user_version')).user_version;
+  } catch (error) {
+    await closeQuietly(adapter);
+    throw encryptionKeyError(adapter, 'Cannot open database with the given encryption key', failure);
+  }
+  if (!adapter.migratePlaintext) {
+    await closeQuietly(adapter);
+    throw encryptionKeyError(adapter, 'Database is not encrypted; set migratePlaintext to encrypt it', failure);
+  }
+  if (!adapter.FileSystem) {
+    await closeQuietly(adapter);
+    throw encryptionKeyError(adapter, 'Encrypting a plaintext database requires expo-file-system', failure);
+  }
+
+  const encryptedPath = databasePath + '.encrypting';
+  try {
+    await deleteDatabaseFiles(adapter.FileSystem, encryptedPath);
+    const key = await resolveEncryptionKey(adapter.encryptionKey);
+    await adapter.db.runAsync('ATTACH DATABASE ? AS encrypted KEY ?', [encryptedPath, key]);
+    await adapter.db.getFirstAsync("SELECT sqlcipher_export('encrypted')");
+    // sqlcipher_export() copies schema and data, but not the user version
+    await adapter.db.execAsync('PRAGMA encrypted.user_version = ' + Math.floor(userVersion));
+    await adapter.db.execAsync('DETACH DATABASE encrypted');
+  } finally {
+    await closeQuietly(adapter);
+  }
+
+  await replaceDatabaseFiles(adapter.FileSystem, encryptedPath, databasePath, async function() {
+    await openConnection(adapter);
+    await configureConnection(adapter);
+  }, function() {
+    return adapter.db ? closeQuietly(adapter) : null;
+  });
+  await deleteDatabaseFiles(adapter.FileSystem, encryptedPath);
+  adapter.logger.info('Encrypted plaintext database', { alias: adapter.alias, path: databasePath });
+}
+
+function encryptionKeyError(adapter, message, cause) {
+  return new EncryptionKeyError(message, {
+    code: 'SQLITE_NOTADB',
+    fileName: adapter.fileName,
+    alias: adapter.alias,
+    cause: cause
+  });
+}
+
+/**
+ * Apply the connection settings. Switching to WAL needs a lock, so another
+ * connection mid-write makes this fail with SQLITE_BUSY.
+ */
+function configureConnection(adapter) {
+  const db = adapter.db;
+  return withRetry(adapter, async function() {
+    if (adapter.busyTimeout !== undefined) {
+      await db.runAsync('PRAGMA busy_timeout = ' + Math.max(0, Math.floor(adapter.busyTimeout)));
+      adapter.logger.debug('Set busy timeout', { alias: adapter.alias, busyTimeout: adapter.busyTimeout });
+    }
+    if (adapter.enableWAL) {
+      await db.runAsync('PRAGMA journal_mode=WAL');
+      adapter.logger.debug('Enabled WAL mode', { alias: adapter.alias });
+    }
+    await db.runAsync('PRAGMA foreign_keys=ON');
+    adapter.logger.debug('Enabled foreign keys', { alias: adapter.alias });
+  });
+}
+
+/**
+ * Run the integrity check configured for connect
+ * @throws {CorruptDatabaseError} When the check finds problems
+ */
+async function verifyIntegrity(adapter) {
+  const result = await adapter.checkIntegrity(adapter.integrityCheck);
+  if (!result.ok) {
+    const error = new CorruptDatabaseError('Integrity check failed: ' + result.problems.slice(0, 3).join('; '), {
+      code: 'SQLITE_CORRUPT',
+      sql: integrityCheckSql(adapter.integrityCheck),
+      fileName: adapter.fileName,
+      alias: adapter.alias
+    });
+    error.problems = result.problems;
+    throw error;
+  }
+}
+
+/**
+ * Replace a corrupt database with an empty one
+ *
+ * Closes the connection, renames the file and its sidecars to
+ * `<name>.corrupt-<timestamp>`, reopens (which creates an empty database) and
+ * calls the onCorruption hook with { adapter, alias, fileName, path,
+ * quarantinedPath, error, problems }, so that the app can fetch its data
+ * again. Without a FileSystem module the file can't be moved and the original
+ * error is thrown.
+ *
+ * @param {ExpoSqliteAdapter} adapter - Adapter whose connection found the corruption
+ * @param {CorruptDatabaseError} error - What was wrong
+ */
+async function recoverCorruptDatabase(adapter, error) {
+  const databasePath = getDatabaseFilePath(adapter);
+  if (!adapter.FileSystem) {
+    adapter.logger.warn('Cannot recover corrupt database without expo-file-system', {
+      alias: adapter.alias,
+      error: error.message
+    });
+    throw error;
+  }
+
+  await closeQuietly(adapter);
+
+  const quarantinedPath = await quarantineDatabase(adapter.FileSystem, databasePath);
+  adapter.logger.warn('Quarantined corrupt database', {
+    alias: adapter.alias,
+    path: databasePath,
+    quarantinedPath: quarantinedPath,
+    error: error.message
+  });
+
+  await openConnection(adapter);
+  await configureConnection(adapter);
+
+  if (adapter.onCorruption) {
+    try {
+      adapter.onCorruption({
+        adapter: 'ExpoSqliteAdapter',
+        alias: adapter.alias,
+        fileName: adapter.fileName,
+        path: databasePath,
+        quarantinedPath: quarantinedPath,
+        error: error,
+        problems: error.problems || [error.message]
+      });
+    } catch (hookError) {
+      adapter.logger.warn('onCorruption hook failed', { alias: adapter.alias, error: hookError.message });
+    }
+  }
+}
+
+/**
+ * Path of the open database file. expo-sqlite reports it as databasePath;
+ * older versions fall back to the resolved directory.
+ */
+function getDatabaseFilePath(adapter) {
+  if (adapter.db && adapter.db.databasePath) {
+    return stripFileUri(adapter.db.databasePath);
+  }
+  return joinPath(adapter.databaseDirectory, adapter.fileName);
+}
+
+/**
+ * What resolveDatabaseDirectory needs to know about the adapter's environment
+ */
+function pathModules(adapter) {
+  return { SQLite: adapter.SQLite, FileSystem: adapter.FileSystem, appGroup: adapter.appGroup };
+}
+
+/**
+ * Check the database for corruption
+ *
+ * A file too damaged to run the check at all is reported as not ok, with
+ * the error as its problem.
+ *
+ * @param {string} [mode] - 'quick' (PRAGMA quick_check, the default) or 'full' (PRAGMA integrity_check)
+ * @param {string} [schema] - Schema to check, e.g. 'main' or an attachment alias
+ *   (default: every database on the connection)
+ * @returns {Promise<{ok: boolean, mode: string, problems: Array<string>}>}
+ */
+ExpoSqliteAdapter.prototype.checkIntegrity = async function(mode, schema) {
+  mode = mode || 'quick';
+  const sql = integrityCheckSql(mode, schema);
+
+  let rows;
+  try {
+    rows = await this.getAllAsync(sql);
+  } catch (error) {
+    if (error instanceof CorruptDatabaseError) {
+      return { ok: false, mode: mode, problems: [error.message] };
+    }
+    throw error;
+  }
+  return integrityResult(mode, rows);
+};
+
+/**
+ * Bring the schema up to date
+ *
+ * Runs the migrations newer than the database's PRAGMA user_version, each in
+ * a transaction of its own, then logs what ran and calls the onMigrate hook
+ * with the report.
+ *
+ * @param {Array<Object>} [migrations] - Migrations to run (default: the migrations option)
+ * @returns {Promise<Object>} Report: { alias, fileName, fromVersion, toVersion, latestVersion,
+ *   applied: [{ version, name, durationMs }] }
+ * @throws {SchemaVersionError} When the database is newer than the latest migration
+ * @throws {MigrationError} When a migration fails; the database stays at the version before it
+ */
+ExpoSqliteAdapter.prototype.migrate = function(migrations) {
+  return migrateDatabase(this, migrations || this.migrations || [], false);
+};
+
+/**
+ * @param {ExpoSqliteAdapter} adapter - Adapter to migrate
+ * @param {Array<Object>} migrations - Migrations to run
+ * @param {boolean} withinQueue - Already running as a task on the transaction queue
+ */
+async function migrateDatabase(adapter, migrations, withinQueue) {
+  await reopenIfSuspended(adapter);
+  if (!adapter.db) {
+    throw new NotConnectedError(null, errorContext(adapter, null));
+  }
+
+  const report = await runMigrations(adapter, migrations, function(operations) {
+    return withinQueue ? executeTransaction(adapter, operations) : adapter.transaction(operations);
+  });
+  if (report.applied.length > 0) {
+    adapter.logger.info('Migrated database', {
+      alias: adapter.alias,
+      fromVersion: report.fromVersion,
+      toVersion: report.toVersion,
+      applied: report.applied.map(function(migration) {
+        return migration.version;
+      })
+    });
+  }
+  if (adapter.onMigrate) {
+    try {
+      adapter.onMigrate(report);
+    } catch (hookError) {
+      adapter.logger.warn('onMigrate hook failed', { alias: adapter.alias, error: hookError.message });
+    }
+  }
+  return report;
+}
+
+/**
+ * Run maintenance now: free deleted pages with incremental_vacuum and
+ * checkpoint the WAL, for the database and any maintained attachments
+ *
+ * Runs once queued transactions and in-flight queries have finished. Needs
+ * the maintenance option, which says how; without it nothing runs.
+ *
+ * @returns {Promise<Object>} Report by schema: { main: { vacuumedPages, checkpoint:
+ *   { busy, walPages, checkpointedPages } }, <alias>: ... }
+ */
+ExpoSqliteAdapter.prototype.runMaintenance = function() {
+  if (!this.db && !this.suspended) {
+    return Promise.reject(new NotConnectedError(null, errorContext(this, null)));
+  }
+  return this.maintenance.run();
+};
+
+/**
+ * How the database uses its space: pages, free pages, the size of the
+ * -wal file and, where SQLite has the dbstat table, the size of each table
+ * and index. Reading table sizes visits every page, so it takes a while on
+ * a large database.
+ *
+ * @param {string} [schema] - 'main' (default) or an attachment's alias
+ * @returns {Promise<Object>} { alias, path, pageSize, pageCount, freelistCount, size,
+ *   freeBytes, walSize, autoVacuum, journalMode, tables } (see lib/utils/maintenance.js)
+ */
+ExpoSqliteAdapter.prototype.getStorageInfo = function(schema) {
+  if (!this.db && !this.suspended) {
+    return Promise.reject(new NotConnectedError(null, errorContext(this, null)));
+  }
+  return readStorageInfo(this, schema || 'main');
+};
+
+/**
+ * Schema version of the database (PRAGMA user_version)
+ * @returns {Promise<number>}
+ */
+ExpoSqliteAdapter.prototype.getSchemaVersion = function() {
+  return readSchemaVersion(this);
+};
+
+/**
+ * Re-encrypt the database with a new key
+ *
+ * Runs PRAGMA rekey after queued transactions have finished. The adapter uses
+ * the new key from then on; a key provider function is replaced by the new
+ * key, so store the new key wherever the provider reads it before the next
+ * adapter is created. Only an encrypted database can be rekeyed - encrypt a
+ * plaintext one with the migratePlaintext option.
+ *
+ * @param {string|Function} newKey - New passphrase, or async function returning it
+ * @returns {Promise<void>}
+ */
+ExpoSqliteAdapter.prototype.rekey = function(newKey) {
+  const adapter = this;
+
+  return enqueueTransaction(adapter, async function() {
+    await reopenIfSuspended(adapter);
+    if (!adapter.db) {
+      throw new NotConnectedError(null, errorContext(adapter, null));
+    }
+    if (!adapter.encryptionKey) {
+      throw new Error('rekey requires an encrypted database (set encryptionKey)');
+    }
+
+    const key = await resolveEncryptionKey(newKey);
+    try {
+      await adapter.db.execAsync(rekeyPragma(key));
+    } catch (error) {
+      // The failing statement holds the key, so it is left out of the error
+      throw toSqliteStorageError(error, errorContext(adapter, 'PRAGMA rekey'));
+    }
+    adapter.encryptionKey = key;
+    adapter.logger.info('Changed encryption key', { alias: adapter.alias });
+  });
+};
+
+/**
+ * Write a consistent snapshot of the live database to a new file
+ *
+ * Uses VACUUM INTO, which reads the database in one transaction, so the
+ * snapshot includes everything committed so far - also what is still in the
+ * WAL file - and is compacted. Waits for queued transactions on this adapter
+ * to finish first.
+ *
+ * @param {string} fileName - Backup file name
+ * @param {string} [dirPath] - Backup directory, created if missing (default: the database's
+ *   directory)
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite] - Replace an existing backup file (default: false)
+ * @param {string} [options.schema] - Attached database to back up instead of the main one
+ * @returns {Promise<string>} Path of the backup file
+ */
+ExpoSqliteAdapter.prototype.backupTo = function(fileName, dirPath, options) {
+  const adapter = this;
+  options = options || {};
+  // The schema name goes into SQL unquoted, like attachment aliases
+  if (options.schema !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(options.schema)) {
+    return Promise.reject(new Error('Invalid schema name: ' + options.schema + ' (use letters, digits and underscores)'));
+  }
+  const backupDir = adapter.resolveExpoDirPath(dirPath) || adapter.databaseDirectory;
+  const backupPath = joinPath(backupDir, fileName);
+
+  return enqueueTransaction(adapter, async function() {
+    await reopenIfSuspended(adapter);
+    if (!adapter.db) {
+      throw new NotConnectedError(null, errorContext(adapter, null));
+    }
+    if (adapter.FileSystem && !(await fileExists(adapter.FileSystem, backupDir))) {
+      await adapter.FileSystem.makeDirectoryAsync(toFileUri(backupDir), { intermediates: true });
+    }
+    if (adapter.FileSystem && await fileExists(adapter.FileSystem, backupPath)) {
+      if (!options.overwrite) {
+        throw new Error('Backup file already exists: ' + backupPath);
+      }
+      await deleteDatabaseFiles(adapter.FileSystem, backupPath);
+    }
+
+    await adapter.runAsync('VACUUM ' + (options.schema ? options.schema + ' ' : '') + 'INTO ?', [backupPath]);
+    adapter.logger.debug('Backed up database', { alias: adapter.alias, schema: options.schema, path: backupPath });
+    return backupPath;
+  });
+};
+
+/**
+ * Replace the database with a backup made by backupTo()
+ *
+ * Waits for queued transactions, closes the connection, swaps the backup in
+ * (removing the current -wal and -shm files along with the database) and
+ * connects again. If the backup can't be opened, the original files are put
+ * back. Queries issued while the restore runs fail with NotConnectedError.
+ * An adapter that wasn't connected is left disconnected.
+ *
+ * @param {string} fileName - Backup file name
+ * @param {string} [dirPath] - Backup directory (default: the database's directory)
+ * @returns {Promise<void>}
+ */
+ExpoSqliteAdapter.prototype.restoreFrom = function(fileName, dirPath) {
+  const adapter = this;
+  const backupPath = joinPath(adapter.resolveExpoDirPath(dirPath) || adapter.databaseDirectory, fileName);
+
+  return enqueueTransaction(adapter, async function() {
+    if (!adapter.FileSystem) {
+      throw new Error('restoreFrom requires expo-file-system');
+    }
+    if (!(await fileExists(adapter.FileSystem, backupPath))) {
+      throw new Error('Backup file not found: ' + backupPath);
+    }
+
+    const wasConnected = !!adapter.db || adapter.suspended;
+    // Connecting tells us where expo-sqlite keeps the file. This task holds the
+    // transaction queue, so connecting must not queue migrations behind it.
+    await connectDatabase(adapter, true);
+    const databasePath = getDatabaseFilePath(adapter);
+    await adapter.disconnect();
+
+    try {
+      await replaceDatabaseFiles(adapter.FileSystem, backupPath, databasePath, function() {
+        return connectDatabase(adapter, true);
+      }, function() {
+        return adapter.disconnect();
+      });
+    } catch (error) {
+      adapter.logger.warn('Restore failed, kept the current database', { alias: adapter.alias, path: backupPath, error: error.message });
+      if (wasConnected) {
+        await connectDatabase(adapter, true);
+      }
+      throw error;
+    }
+    adapter.logger.info('Restored database from backup', { alias: adapter.alias, path: backupPath });
+
+    if (!wasConnected) {
+      await adapter.disconnect();
+    }
+  });
+};
+
+/**
+ * Disconnect and delete the database file with its -wal, -shm and -journal
+ * files, e.g. when the user signs out
+ *
+ * Waits for queued transactions first. With secureDelete, every table is
+ * dropped with PRAGMA secure_delete on before the files go, so their content
+ * is overwritten with zeros rather than just unlinked (see
+ * lib/utils/secure-delete.js); a database that isn't connected is opened for
+ * that. When overwriting fails, the files are still deleted and overwritten
+ * is false. The adapter can connect again afterwards, to a new empty database.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.secureDelete] - Overwrite the content before deleting (default: false)
+ * @returns {Promise<Object>} { path, overwritten }
+ */
+ExpoSqliteAdapter.prototype.destroyDatabase = function(options) {
+  const adapter = this;
+  const secureDelete = !!(options && options.secureDelete);
+
+  return enqueueTransaction(adapter, async function() {
+    if (!adapter.FileSystem) {
+      throw new Error('destroyDatabase requires expo-file-system');
+    }
+    if (adapter.closing) {
+      await adapter.closing;
+    }
+
+    let overwritten = false;
+    if (secureDelete) {
+      try {
+        if (!adapter.db) {
+          await openConnection(adapter);
+        }
+        await overwriteDatabase(adapter.db, 'main');
+        overwritten = true;
+      } catch (error) {
+        adapter.logger.warn('Overwriting database failed, deleting it anyway', { alias: adapter.alias, error: error.message });
+      }
+    }
+
+    const databasePath = getDatabaseFilePath(adapter);
+    await adapter.disconnect();
+    await deleteDatabaseFiles(adapter.FileSystem, databasePath);
+    adapter.logger.info('Destroyed database', { alias: adapter.alias, path: databasePath, overwritten: overwritten });
+    return { path: databasePath, overwritten: overwritten };
+  });
+};
+
+/**
+ * Disconnect from the database, after running PRAGMA optimize when
+ * maintenance asks for it
+ */
+ExpoSqliteAdapter.prototype.disconnect = async function() {
+  const adapter = this;
+  if (adapter.lifecycle) {
+    adapter.lifecycle.stop();
+  }
+  if (adapter.closing) {
+    await adapter.closing;
+  }
+  adapter.suspended = false;
+  if (adapter.changeSubscription) {
+    adapter.changeSubscription.remove();
+    adapter.changeSubscription = null;
+  }
+  await adapter.maintenance.close();
+
+  return new Promise(function(resolve, reject) {
+    try {
+      if (adapter.db && adapter.db.closeAsync) {
+        clearStatementCache(adapter).then(function() {
+          return adapter.db.closeAsync();
+        }).then(function() {
+          adapter.db = null;
+          adapter.logger.debug('Disconnected from database', { alias: adapter.alias });
+          resolve();
+        }).catch(function(error) {
+          adapter.logger.debug('Disconnect error', { alias: adapter.alias, error: error.message });
+          reject(error);
+        });
+      } else {
+        clearStatementCache(adapter).then(function() {
+          adapter.db = null;
+          resolve();
+        });
+      }
+    } catch (error) {
+      adapter.logger.debug('Disconnect error', { alias: adapter.alias, error: error.message });
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Flush the connection, e.g. before the app is suspended
+ *
+ * Once queued transactions and in-flight queries have finished, checkpoints
+ * the WAL of every database on the connection and, with close, closes the
+ * connection after running PRAGMA optimize the way disconnect() does. A
+ * closed connection reopens on the next query, or on connect(), without
+ * running migrations or the integrity check again. The lifecycle option
+ * calls this when the app goes to the background.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.checkpoint] - Checkpoint the WAL (default: true)
+ * @param {string} [options.checkpointMode] - PASSIVE, FULL, RESTART or TRUNCATE (default: TRUNCATE)
+ * @param {boolean} [options.close] - Close the connection until the next query (default: false)
+ * @returns {Promise<Object>} { checkpoint: { busy, walPages, checkpointedPages } or null, closed }
+ */
+ExpoSqliteAdapter.prototype.suspend = function(options) {
+  const adapter = this;
+  const settings = normalizeLifecycle(Object.assign({}, options, {
+    closeOnBackground: !!(options && options.close)
+  }));
+
+  return adapter.runExclusive(async function() {
+    if (!adapter.db) {
+      return { checkpoint: null, closed: adapter.suspended };
+    }
+    const checkpoint = settings.checkpoint ? await checkpointAll(adapter, settings.checkpointMode) : null;
+    if (settings.closeOnBackground) {
+      await adapter.maintenance.close();
+      await closeSuspended(adapter);
+    }
+    adapter.logger.debug('Suspended connection', {
+      alias: adapter.alias,
+      checkpoint: checkpoint,
+      closed: settings.closeOnBackground
+    });
+    return { checkpoint: checkpoint, closed: settings.closeOnBackground };
+  });
+};
+
+/**
+ * Close the connection for suspend(). Queries arriving meanwhile wait for
+ * it to close before reopening it.
+ */
+async function closeSuspended(adapter) {
+  const db = adapter.db;
+  adapter.db = null;
+  adapter.suspended = true;
+  adapter.closing = clearStatementCache(adapter).then(function() {
+    return db.closeAsync();
+  }).catch(function(error) {
+    adapter.logger.debug('Closing database failed', { alias: adapter.alias, error: error.message });
+  });
+  await adapter.closing;
+  adapter.closing = null;
+}
+
+/**
+ * Reopen a connection suspend() closed, if it did. Concurrent callers share
+ * one reopening; when it fails, the next query tries again.
+ */
+function reopenIfSuspended(adapter) {
+  if (!adapter.suspended) {
+    return Promise.resolve();
+  }
+  if (!adapter.reopening) {
+    adapter.reopening = reopenConnection(adapter).finally(function() {
+      adapter.reopening = null;
+    });
+  }
+  return adapter.reopening;
+}
+
+async function reopenConnection(adapter) {
+  if (adapter.closing) {
+    await adapter.closing;
+  }
+  await openConnection(adapter);
+  try {
+    await configureConnection(adapter);
+    if (adapter.onReopen) {
+      await adapter.onReopen(adapter.db);
+    }
+  } catch (error) {
+    await closeQuietly(adapter);
+    throw error;
+  }
+  adapter.suspended = false;
+  adapter.maintenance.start();
+  adapter.logger.debug('Reopened connection', { alias: adapter.alias });
+}
+
+/**
+ * Execute a SQL statement (INSERT, UPDATE, DELETE, CREATE, etc.)
+ * Returns Promise directly (matching schema strategy expectations)
+ */
+ExpoSqliteAdapter.prototype.runAsync = function(sql, params) {
+  const adapter = this;
+  params = params || [];
+
+  return traceQuery(adapter, 'runAsync', sql, params, function(onRetry) {
+    return withRetry(adapter, async function() {
+      if (!adapter.db) {
+        throw new NotConnectedError(null, errorContext(adapter, sql));
+      }
+
+      const result = await executeStatement(adapter, sql, params, 'runAsync', function(execution) {
+        return execution;
+      });
+      return {
+        lastID: result.lastInsertRowId,
+        changes: result.changes
+      };
+    }, onRetry);
+  }, function(result) {
+    return { changes: result.changes, lastID: result.lastID };
+  }).then(function(result) {
+    recordStatementChange(adapter, sql, result);
+    adapter.maintenance.recordWrites(result.changes);
+    return result;
+  });
+};
+
+/**
+ * Get the first row from a SELECT query
+ * Returns promise directly (matching schema strategy expectations)
+ */
+ExpoSqliteAdapter.prototype.getFirstAsync = function(sql, params) {
+  const adapter = this;
+  params = params || [];
+
+  // Validate JsonPath expressions in the query
+  if (adapter.validateJsonPaths !== false) { // Allow disabling validation
+    validateJsonPaths(sql, {
+      throwOnError: false, // Don't throw, just warn
+      logWarnings: adapter.debug // Only log warnings if debug is enabled
+    });
+  }
+
+  return traceQuery(adapter, 'getFirstAsync', sql, params, function(onRetry) {
+    return withRetry(adapter, async function() {
+      if (!adapter.db) {
+        throw new NotConnectedError(null, errorContext(adapter, sql));
+      }
+
+      return executeStatement(adapter, sql, params, 'getFirstAsync', function(execution) {
+        return execution.getFirstAsync();
+      });
+    }, onRetry);
+  }, function(row) {
+    return { rows: row ? 1 : 0 };
+  });
+};
+
+/**
+ * Get all rows from a SELECT query
+ * Returns promise directly (matching schema strategy expectations)
+ */
+ExpoSqliteAdapter.prototype.getAllAsync = function(sql, params) {
+  const adapter = this;
+  params = params || [];
+
+  // Validate JsonPath expressions in the query
+  if (adapter.validateJsonPaths !== false) { // Allow disabling validation
+    validateJsonPaths(sql, {
+      throwOnError: false, // Don't throw, just warn
+      logWarnings: adapter.debug // Only log warnings if debug is enabled
+    });
+  }
+
+  return traceQuery(adapter, 'getAllAsync', sql, params, function(onRetry) {
+    return withRetry(adapter, async function() {
+      if (!adapter.db) {
+        throw new NotConnectedError(null, errorContext(adapter, sql));
+      }
+
+      return executeStatement(adapter, sql, params, 'getAllAsync', function(execution) {
+        return execution.getAllAsync();
+      });
+    }, onRetry);
+  }, function(rows) {
+    return { rows: rows.length };
+  });
+};
+
+/**
+ * Read the rows of a SELECT query in batches, holding at most batchSize rows
+ * in memory at a time
+ *
+ * Rows are stepped from a prepared statement as the batches are consumed. The
+ * query is retried like getAllAsync until it starts returning rows; errors
+ * after that are thrown from the loop. Leaving the loop early finalizes the
+ * statement.
+ *
+ *   for await (const rows of adapter.iterateAsync(sql, params, { batchSize: 500 })) { ... }
+ *
+ * @param {string} sql - The SQL query to execute
+ * @param {Array} [params] - Parameters for the SQL query
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Rows per batch (default: 100)
+ * @returns {AsyncGenerator<Array<Object>>} Non-empty batches of rows
+ */
+ExpoSqliteAdapter.prototype.iterateAsync = async function*(sql, params, options) {
+  const adapter = this;
+  params = params || [];
+  const batchSize = (options && options.batchSize) || 100;
+
+  // Validate JsonPath expressions in the query
+  if (adapter.validateJsonPaths !== false) { // Allow disabling validation
+    validateJsonPaths(sql, {
+      throwOnError: false, // Don't throw, just warn
+      logWarnings: adapter.debug // Only log warnings if debug is enabled
+    });
+  }
+
+  const startedAt = Date.now();
+  const retries = trackRetries(startedAt);
+  // An open cursor counts as in flight until it is closed
+  const done = beginActivity(adapter);
+  let count = 0;
+  let failure = null;
+  let cursor = null;
+  try {
+    await reopenIfSuspended(adapter);
+    cursor = await withRetry(adapter, async function() {
+      if (!adapter.db) {
+        throw new NotConnectedError(null, errorContext(adapter, sql));
+      }
+      return openCursor(adapter.db, sql, params);
+    }, retries.onRetry);
+
+    let batch = cursor.first.done ? [] : [cursor.first.value];
+    let step = cursor.first;
+    while (!step.done) {
+      if (batch.length === batchSize) {
+        count += batch.length;
+        yield batch;
+        batch = [];
+      }
+      step = await cursor.rows.next();
+      if (!step.done) {
+        batch.push(step.value);
+      }
+    }
+    if (batch.length) {
+      count += batch.length;
+      yield batch;
+    }
+  } catch (error) {
+    failure = toSqliteStorageError(error, errorContext(adapter, sql, retries.count));
+    throw failure;
+  } finally {
+    if (cursor) {
+      await cursor.close();
+    }
+    done();
+    // The duration includes the time the caller spent on each batch
+    reportQuery(adapter, 'iterateAsync', sql, params, startedAt, retries, failure, { rows: count });
+  }
+};
+
+/**
+ * Prepare and execute a query, stepping to its first row so that lock and
+ * syntax errors surface here, where they can still be retried
+ */
+async function openCursor(db, sql, params) {
+  if (typeof db.prepareAsync !== 'function') {
+    // Without statements there is no cursor; fall back to reading everything
+    const allRows = await db.getAllAsync(sql, params);
+    const rows = allRows[Symbol.iterator]();
+    return { first: rows.next(), rows: rows, close: function() { return Promise.resolve(); } };
+  }
+
+  const statement = await db.prepareAsync(sql);
+  async function close() {
+    try {
+      await statement.finalizeAsync();
+    } catch (error) {
+      // Already finalized along with the connection
+    }
+  }
+
+  try {
+    const execution = await statement.executeAsync(params);
+    const rows = execution[Symbol.asyncIterator]();
+    return { first: await rows.next(), rows: rows, close: close };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+}
+
+/**
+ * Read a table page by page using keyset pagination, each page through
+ * getAllAsync. See lib/utils/keyset-pagination.js for the options.
+ *
+ *   for await (const rows of adapter.paginateAsync('docs', { key: 'id', pageSize: 200 })) { ... }
+ *
+ * @param {string} table - Table to read
+ * @param {Object} [options] - { key, columns, where, params, order, pageSize }
+ * @returns {AsyncGenerator<Array<Object>>} Non-empty pages of rows
+ */
+ExpoSqliteAdapter.prototype.paginateAsync = function(table, options) {
+  return paginate(this, table, options);
+};
+
+/**
+ * Execute a list of write statements in one transaction
+ *
+ * Called on a transaction-scoped adapter, the batch runs in a nested
+ * transaction. If any statement fails, none of the batch is applied.
+ *
+ * @param {Array<Object|Array|string>} statements - { sql, params }, [sql, params] or sql
+ * @returns {Promise<Array<{lastID: number, changes: number}>>} One result per statement
+ */
+ExpoSqliteAdapter.prototype.runBatchAsync = async function(statements) {
+  const adapter = this;
+  const batch = (statements || []).map(normalizeBatchStatement);
+
+  if (batch.length === 0) {
+    return [];
+  }
+
+  const results = await adapter.transaction(async function(transactionAdapter) {
+    const batchResults = [];
+    for (const statement of batch) {
+      batchResults.push(await transactionAdapter.runAsync(statement.sql, statement.params));
+    }
+    return batchResults;
+  });
+  adapter.logger.debug('Executed batch', { alias: adapter.alias, statements: batch.length });
+  return results;
+};
+
+/**
+ * Execute one write statement for many parameter sets in one transaction
+ *
+ * A single-row INSERT with only ? placeholders in its VALUES tuple is sent as
+ * multi-row INSERTs binding at most maxVariables values each; other statements
+ * run once per parameter set. Results are per executed statement, so a
+ * combined INSERT reports the changes for all of its rows and the lastID of
+ * its last row; paramSetCount says how many parameter sets, in order, each
+ * result covers. Rowids can't be told apart per row: INSERT OR IGNORE skips
+ * some, and explicit ids need not be consecutive.
+ *
+ * @param {string} sql - Statement to execute
+ * @param {Array<Array>} paramSets - One parameter array per execution
+ * @param {Object} [options]
+ * @param {number} [options.maxVariables] - Override the adapter's bound variable limit
+ * @returns {Promise<Array<{lastID: number, changes: number, paramSetCount: number}>>} One
+ *   result per executed statement
+ */
+ExpoSqliteAdapter.prototype.executeMany = async function(sql, paramSets, options) {
+  const maxVariables = (options && options.maxVariables) || this.maxVariables;
+  const statements = chunkParameterSets(sql, paramSets || [], maxVariables);
+  const results = await this.runBatchAsync(statements);
+  return results.map(function(result, position) {
+    return Object.assign({}, result, { paramSetCount: statements[position].paramSetCount });
+  });
+};
+
+/**
+ * Query metrics for this connection
+ *
+ * Per kind of statement (run, getFirst, getAll, iterate, transaction): count,
+ * errors, totalMs, meanMs, maxMs, retries, lockWaitMs (time spent waiting
+ * out SQLITE_BUSY), rows and a latency histogram keyed by bucket upper bound
+ * in ms. Also the slow query log and the prepared statement cache counters.
+ *
+ * @returns {Object} { since, queries, totals, slowQueries, statementCache }
+ */
+ExpoSqliteAdapter.prototype.getStats = function() {
+  return Object.assign(this.metrics.getStats(), {
+    statementCache: this.getStatementCacheStats()
+  });
+};
+
+/**
+ * Clear the query metrics, the slow query log and the statement cache counters
+ */
+ExpoSqliteAdapter.prototype.resetStats = function() {
+  this.metrics.reset();
+  if (this.statementCache) {
+    this.statementCache.resetStats();
+  }
+};
+
+/**
+ * Prepared statement cache statistics for this connection
+ * @returns {Object|null} { size, maxSize, hits, misses, evictions, hitRate }, or null
+ *   when the cache is disabled
+ */
+ExpoSqliteAdapter.prototype.getStatementCacheStats = function() {
+  return this.statementCache ? this.statementCache.getStats() : null;
+};
+
+/**
+ * Run sql through a cached prepared statement. Falls back to the database
+ * method of the same name when caching is disabled, the database can't
+ * prepare statements, or the cached statement is busy with another query.
+ *
+ * @param {ExpoSqliteAdapter} adapter - Connected adapter
+ * @param {string} sql - SQL text, also the cache key
+ * @param {Array} params - Bound parameters
+ * @param {string} method - Database method to fall back to
+ * @param {Function} read - async function(executeResult) producing the value
+ *   the database method would have returned
+ */
+async function executeStatement(adapter, sql, params, method, read) {
+  const db = adapter.db;
+  const cache = adapter.statementCache;
+  const entry = cache && typeof db.prepareAsync === 'function'
+    ? await cache.acquire(db, sql)
+    : null;
+
+  if (!entry) {
+    return db[method](sql, params);
+  }
+
   try {
-    this.SQLite = require('expo-sqlite');
-    if (!this.SQLite) {
-      throw new Error('expo-sqlite module not found');
+    const execution = await entry.statement.executeAsync(params);
+    try {
+      return await read(execution);
+    } finally {
+      // Release the statement's read cursor so it doesn't pin a snapshot
+      await execution.resetAsync();
     }
-  } catch (e) {
-    throw new Error('ExpoSqliteAdapter requires expo-sqlite: ' + e.message);
+  } finally {
+    await cache.release(entry);
   }
-  
-  // Try to load expo-file-system (optional for helper methods)
+}
+
+/**
+ * Finalize cached statements before their connection goes away
+ */
+function clearStatementCache(adapter) {
+  return adapter.statementCache ? adapter.statementCache.clear() : Promise.resolve();
+}
+
+/**
+ * Execute multiple SQL statements in a transaction
+ *
+ * The operations function receives a transaction-scoped adapter. Queries made
+ * through it are part of the transaction, and calling its transaction() method
+ * opens a nested transaction backed by a SAVEPOINT. Concurrent calls to
+ * transaction() on the same adapter are queued rather than interleaved, so a
+ * nested transaction must go through the scoped adapter - calling transaction()
+ * on this adapter from inside the operations would wait for itself.
+ *
+ * With retry enabled, a transaction that fails with a retryable error (see the
+ * retry policy) is rolled back and run again from the start, operations
+ * included, so they must not have side effects outside the database.
+ *
+ * @param {Function} operations - async function(transactionAdapter) containing the operations
+ * @param {Object} [options]
+ * @param {boolean} [options.retry] - Re-run the whole transaction on retryable errors
+ *   (default: the adapter's retryTransactions option)
+ * @returns {Promise} Promise that resolves with the value returned by operations
+ */
+ExpoSqliteAdapter.prototype.transaction = function(operations, options) {
+  const adapter = this;
+
+  return enqueueTransaction(adapter, function() {
+    return executeTransaction(adapter, operations, options);
+  });
+};
+
+/**
+ * Run a transaction now, retrying it as transaction() would; for tasks that
+ * already hold the transaction queue
+ */
+function executeTransaction(adapter, operations, options) {
+  const retry = options && options.retry !== undefined ? options.retry : adapter.retryTransactions;
+  if (!retry) {
+    return runTransaction(adapter, operations);
+  }
+  return withRetry(adapter, function() {
+    return runTransaction(adapter, operations);
+  });
+}
+
+/**
+ * Run operations between BEGIN IMMEDIATE and COMMIT, rolling back on failure
+ */
+async function runTransaction(adapter, operations) {
+  await reopenIfSuspended(adapter);
+  if (!adapter.db) {
+    throw new NotConnectedError(null, errorContext(adapter, null));
+  }
+  const db = adapter.db;
+  const startedAt = Date.now();
+  const retries = trackRetries(startedAt);
+
+  // IMMEDIATE takes the write lock up front, so statements inside the
+  // transaction can't fail with SQLITE_BUSY when upgrading from a read lock
   try {
-    this.FileSystem = require('expo-file-system/legacy');
-  } catch (e) {
-    // FileSystem is optional - adapter will work without it
-    this.FileSystem = null;
+    await withRetry(adapter, function() {
+      return executeTransactionStatement(db, 'BEGIN IMMEDIATE');
+    }, retries.onRetry);
+  } catch (error) {
+    const failure = toSqliteStorageError(error, errorContext(adapter, 'BEGIN IMMEDIATE', retries.count));
+    recordTransaction(adapter, startedAt, retries, failure);
+    throw failure;
+  }
+
+  const transactionAdapter = new ExpoTransactionAdapter(adapter, 1);
+  let result;
+  adapter.changes.begin();
+  try {
+    result = await operations(transactionAdapter);
+  } catch (error) {
+    transactionAdapter.completed = true;
+    await rollbackQuietly(adapter, db, 'ROLLBACK');
+    adapter.changes.rollback();
+    adapter.logger.debug('Transaction rolled back', { alias: adapter.alias, error: error.message });
+    recordTransaction(adapter, startedAt, retries, error);
+    throw error;
+  }
+  transactionAdapter.completed = true;
+
+  try {
+    await withRetry(adapter, function() {
+      return executeTransactionStatement(db, 'COMMIT');
+    });
+  } catch (error) {
+    await rollbackQuietly(adapter, db, 'ROLLBACK');
+    adapter.changes.rollback();
+    adapter.logger.debug('Transaction commit failed', { alias: adapter.alias, error: error.message });
+    const failure = toSqliteStorageError(error, errorContext(adapter, 'COMMIT'));
+    recordTransaction(adapter, startedAt, retries, failure);
+    throw failure;
   }
+
+  adapter.changes.commit();
+  adapter.logger.debug('Transaction committed', { alias: adapter.alias });
+  recordTransaction(adapter, startedAt, retries, null);
+  return result;
 }
 
-// Inherit from SqliteAdapter interface
-ExpoSqliteAdapter.prototype = Object.create(SqliteAdapter.prototype);
-ExpoSqliteAdapter.prototype.constructor = ExpoSqliteAdapter;
+/**
+ * Run an operation with the adapter's retry settings
+ */
+function withRetry(adapter, operation, onRetry) {
+  return retryWithBackoff(operation, Object.assign({}, adapter.retryOptions, {
+    logger: adapter.logger,
+    onRetry: onRetry
+  }));
+}
 
 /**
- * Connect to the database
+ * Time a query, count its retries and report it once it settles
+ *
+ * @param {ExpoSqliteAdapter} adapter - Adapter running the query
+ * @param {string} method - Adapter method name
+ * @param {string} sql - SQL text
+ * @param {Array|Object} params - Bound parameters
+ * @param {Function} operation - function(onRetry) running the query with retries
+ * @param {Function} describe - function(result) returning result fields for the event
  */
-ExpoSqliteAdapter.prototype.connect = function() {
-  const adapter = this;
+async function traceQuery(adapter, method, sql, params, operation, describe) {
+  const startedAt = Date.now();
+  const retries = trackRetries(startedAt);
+  const done = beginActivity(adapter);
+  let result;
+  let event;
+  try {
+    await reopenIfSuspended(adapter);
+    result = await operation(retries.onRetry);
+  } catch (error) {
+    done();
+    const failure = toSqliteStorageError(error, errorContext(adapter, sql, retries.count));
+    event = reportQuery(adapter, method, sql, params, startedAt, retries, failure, null);
+    if (adapter.metrics.isSlow(event)) {
+      await captureSlowQuery(adapter, event, params);
+    }
+    throw failure;
+  }
+  done();
+  event = reportQuery(adapter, method, sql, params, startedAt, retries, null, describe(result));
+  if (adapter.metrics.isSlow(event)) {
+    await captureSlowQuery(adapter, event, params);
+  }
+  return result;
+}
 
-  return new Promise(async function(resolve, reject) {
-    try {
-      // If already connected, return immediately (idempotent)
-      if (adapter.db) {
-        adapter.debug && console.log('[ExpoSqliteAdapter] Already connected to database: ' + adapter.fileName);
+/**
+ * Count a query as in flight until the returned function is called
+ */
+function beginActivity(adapter) {
+  const activity = adapter.activity;
+  activity.pending++;
+  return function done() {
+    activity.pending--;
+    if (activity.pending === 0) {
+      activity.idle.splice(0).forEach(function(resolve) {
         resolve();
-        return;
-      }
+      });
+    }
+  };
+}
 
-      // expo-sqlite always uses the SQLite subdirectory, so we just need the filename
-      // The dirPath parameter is kept for compatibility but not used by expo-sqlite
-      // For ShareDB databases, don't use a new connection if we're going to attach later
-      // This allows the database to be attached to another connection
-      const dbOptions = adapter.fileName.startsWith('sharedb_')
-        ? {}
-        : { useNewConnection: true };
-
-      // Always open by filename - expo-sqlite handles the directory
-      adapter.db = adapter.SQLite.openDatabaseSync(adapter.fileName, dbOptions);
-      adapter.debug && console.log('[ExpoSqliteAdapter] Connected to database: ' + adapter.fileName + ' in SQLite directory');
-
-      // Configure database settings
-      if (adapter.enableWAL) {
-        await adapter.db.runAsync('PRAGMA journal_mode=WAL');
-        adapter.debug && console.log('[ExpoSqliteAdapter] Enabled WAL mode');
-      }
-      await adapter.db.runAsync('PRAGMA foreign_keys=ON');
-      adapter.debug && console.log('[ExpoSqliteAdapter] Enabled foreign keys');
+/**
+ * What a typed error should say about where it happened
+ */
+function errorContext(adapter, sql, retries) {
+  return {
+    sql: sql,
+    fileName: adapter.fileName,
+    alias: adapter.alias,
+    retries: retries
+  };
+}
 
-      resolve();
-    } catch (error) {
-      adapter.debug && console.error('[ExpoSqliteAdapter] Connection error: ' + error.message);
-      reject(error);
+/**
+ * Count the retries of an operation and how long it waited on locks: the
+ * time from its start until the final attempt began
+ */
+function trackRetries(startedAt) {
+  const retries = { count: 0, lockWaitMs: 0 };
+  retries.onRetry = function(retry) {
+    retries.count++;
+    retries.lockWaitMs = Date.now() + retry.delay - startedAt;
+  };
+  return retries;
+}
+
+/**
+ * Record a query in the metrics, log it at debug level and pass it to the
+ * onQuery hook as { adapter, alias, method, sql, paramCount, durationMs,
+ * retries, lockWaitMs, rows?, changes?, lastID?, error? }
+ * @returns {Object} The query event
+ */
+function reportQuery(adapter, method, sql, params, startedAt, retries, error, fields) {
+  const event = Object.assign({
+    adapter: 'ExpoSqliteAdapter',
+    alias: adapter.alias,
+    method: method,
+    sql: sql,
+    paramCount: Array.isArray(params) ? params.length : Object.keys(params || {}).length,
+    durationMs: Date.now() - startedAt,
+    retries: retries.count,
+    lockWaitMs: retries.lockWaitMs
+  }, fields);
+  if (error) {
+    event.error = error.message;
+  }
+
+  adapter.metrics.record(event);
+  adapter.logger.debug(error ? 'Query failed' : 'Query', event);
+
+  if (adapter.onQuery) {
+    try {
+      adapter.onQuery(event);
+    } catch (hookError) {
+      adapter.logger.warn('onQuery hook failed', { alias: adapter.alias, error: hookError.message });
     }
-  });
-};
+  }
+  return event;
+}
+
+// Statements EXPLAIN QUERY PLAN has something to say about
+const EXPLAINABLE = /^\s*(SELECT|INSERT|UPDATE|DELETE|REPLACE|WITH)\b/i;
 
 /**
- * Disconnect from the database
+ * Add a slow query to the metrics with its query plan, and log it
  */
-ExpoSqliteAdapter.prototype.disconnect = function() {
-  const adapter = this;
-  
-  return new Promise(function(resolve, reject) {
+async function captureSlowQuery(adapter, event, params) {
+  let plan = null;
+  if (adapter.explainSlowQueries && adapter.db && EXPLAINABLE.test(event.sql)) {
     try {
-      if (adapter.db && adapter.db.closeAsync) {
-        adapter.db.closeAsync().then(function() {
-          adapter.db = null;
-          adapter.debug && console.log('[ExpoSqliteAdapter] Disconnected from database');
-          resolve();
-        }).catch(function(error) {
-          adapter.debug && console.error('[ExpoSqliteAdapter] Disconnect error: ' + error.message);
-          reject(error);
-        });
-      } else {
-        adapter.db = null;
-        resolve();
-      }
+      const rows = await adapter.db.getAllAsync('EXPLAIN QUERY PLAN ' + event.sql, params);
+      plan = rows.map(function(row) {
+        return { id: row.id, parent: row.parent, detail: row.detail };
+      });
     } catch (error) {
-      adapter.debug && console.error('[ExpoSqliteAdapter] Disconnect error: ' + error.message);
-      reject(error);
+      adapter.logger.debug('EXPLAIN QUERY PLAN failed', { alias: adapter.alias, error: error.message });
     }
+  }
+
+  const entry = {
+    alias: adapter.alias,
+    method: event.method,
+    sql: event.sql,
+    paramCount: event.paramCount,
+    durationMs: event.durationMs,
+    at: Date.now(),
+    plan: plan
+  };
+  if (event.error) {
+    entry.error = event.error;
+  }
+  adapter.metrics.recordSlowQuery(entry);
+  adapter.logger.warn('Slow query', entry);
+}
+
+/**
+ * Record a finished top-level transaction in the metrics
+ */
+function recordTransaction(adapter, startedAt, retries, error) {
+  adapter.metrics.record({
+    method: 'transaction',
+    durationMs: Date.now() - startedAt,
+    retries: retries.count,
+    lockWaitMs: retries.lockWaitMs,
+    error: error ? error.message : undefined
+  });
+}
+
+/**
+ * Run a transaction task after every previously queued transaction on the
+ * adapter has settled
+ */
+function enqueueTransaction(adapter, task) {
+  const run = adapter.transactionQueue.then(task, task);
+  adapter.transactionQueue = run.catch(function() {});
+  return run;
+}
+
+/**
+ * Wait until no query is in flight on the connection, open iterateAsync()
+ * cursors included
+ * @returns {Promise<void>}
+ */
+ExpoSqliteAdapter.prototype.whenIdle = function() {
+  const activity = this.activity;
+  if (activity.pending === 0) {
+    return Promise.resolve();
+  }
+  return new Promise(function(resolve) {
+    activity.idle.push(resolve);
   });
 };
 
 /**
- * Execute a SQL statement (INSERT, UPDATE, DELETE, CREATE, etc.)
- * Returns Promise directly (matching schema strategy expectations)
+ * Run a task once queued transactions have settled and no query is in
+ * flight, for statements that fail while others use the connection, like
+ * DETACH. Transactions issued meanwhile wait for the task.
+ *
+ * A caller that keeps a cursor open while awaiting the task never lets the
+ * connection go idle, so close cursors first. The task may disconnect and
+ * connect again, e.g. to swap database files.
+ *
+ * @param {Function} task - async function() to run
+ * @returns {Promise} Promise that resolves with the task's result
  */
-ExpoSqliteAdapter.prototype.runAsync = function(sql, params) {
+ExpoSqliteAdapter.prototype.runExclusive = function(task) {
   const adapter = this;
-  params = params || [];
 
-  return retryWithBackoff(async function() {
-    if (!adapter.db) {
-      throw new Error('Database not connected');
-    }
-
-    const result = await adapter.db.runAsync(sql, params);
-    adapter.debug && console.log('[ExpoSqliteAdapter] Executed SQL: ' + sql.substring(0, 50));
-    return {
-      lastID: result.lastInsertRowId,
-      changes: result.changes
-    };
-  }, {
-    maxRetries: adapter.retryOptions.maxRetries,
-    baseDelay: adapter.retryOptions.baseDelay,
-    debug: adapter.debug
+  return enqueueTransaction(adapter, async function() {
+    await adapter.whenIdle();
+    adapter.exclusive = true;
+    try {
+      return await task();
+    } finally {
+      adapter.exclusive = false;
+    }
   });
 };
 
 /**
- * Get the first row from a SELECT query
- * Returns promise directly (matching schema strategy expectations)
+ * Issue a transaction control statement. Refuses to continue when the
+ * database can't execute one, since the operations would not be atomic.
  */
-ExpoSqliteAdapter.prototype.getFirstAsync = function(sql, params) {
-  const adapter = this;
-  params = params || [];
+function executeTransactionStatement(db, sql) {
+  if (typeof db.execAsync === 'function') {
+    return db.execAsync(sql);
+  }
+  if (typeof db.runAsync === 'function') {
+    return db.runAsync(sql);
+  }
+  throw new Error('Database does not support transactions: cannot execute ' + sql);
+}
 
-  // Validate JsonPath expressions in the query
-  if (adapter.validateJsonPaths !== false) { // Allow disabling validation
-    validateJsonPaths(sql, {
-      throwOnError: false, // Don't throw, just warn
-      logWarnings: adapter.debug // Only log warnings if debug is enabled
-    });
+/**
+ * Roll back after a failure without masking the original error
+ */
+async function rollbackQuietly(adapter, db, sql) {
+  try {
+    await executeTransactionStatement(db, sql);
+  } catch (rollbackError) {
+    adapter.logger.warn('Rollback failed', { alias: adapter.alias, sql: sql, error: rollbackError.message });
   }
+}
 
-  return retryWithBackoff(async function() {
-    if (!adapter.db) {
-      throw new Error('Database not connected');
-    }
+/**
+ * Listen for changes to the database's tables, attachments included
+ *
+ * Each event is { alias, table, operation, rowIds }: the schema ('main' or
+ * an attachment's alias), the table, insert, update or delete (null when
+ * expo-sqlite's change listener reported it), and the rowids changed or null
+ * when they aren't known. A transaction's changes arrive once it commits,
+ * one event per alias, table and operation. See lib/utils/change-tracker.js.
+ *
+ * Changes are read from the SQL of the INSERT, UPDATE and DELETE statements
+ * run through this adapter, so changes made by triggers, foreign key actions
+ * or other connections go unreported. With the nativeChangeListener option,
+ * expo-sqlite reports each row as it is written instead: those events don't
+ * wait for the transaction, arrive for rows later rolled back too, and only
+ * connections opened while a listener was registered report them.
+ *
+ * @param {Function} listener - function(event)
+ * @returns {Object} Subscription with a remove() method
+ */
+ExpoSqliteAdapter.prototype.addChangeListener = function(listener) {
+  return this.changes.addListener(listener);
+};
 
-    const row = await adapter.db.getFirstAsync(sql, params);
-    adapter.debug && console.log('[ExpoSqliteAdapter] Got row from: ' + sql.substring(0, 50));
-    return row;
-  }, {
-    maxRetries: adapter.retryOptions.maxRetries,
-    baseDelay: adapter.retryOptions.baseDelay,
-    debug: adapter.debug
-  });
+/**
+ * Run a query now, and again whenever a table it reads changes
+ *
+ *   const live = adapter.liveQuery('SELECT * FROM docs WHERE collection = ?', ['todos'], setRows);
+ *   // later
+ *   live.remove();
+ *
+ * @param {string} sql - SELECT statement
+ * @param {Array} params - Bound parameters
+ * @param {Function} onResult - Called with the rows after each run
+ * @param {Object} [options] - { tables, onError } (see lib/utils/live-query.js)
+ * @returns {Object} { refresh(), remove() }
+ */
+ExpoSqliteAdapter.prototype.liveQuery = function(sql, params, onResult, options) {
+  return createLiveQuery(this, sql, params, onResult, options);
 };
 
 /**
- * Get all rows from a SELECT query
- * Returns promise directly (matching schema strategy expectations)
+ * Create a full-text search index over JSON fields of a document table
+ *
+ * The index is an FTS5 table kept in sync by triggers on the table, so it
+ * is created once, e.g. in a migration, and covers documents already
+ * stored. Creating it again with the same definition does nothing; with a
+ * different one it is rebuilt. See lib/utils/full-text-search.js.
+ *
+ *   await adapter.createSearchIndex({
+ *     table: 'notes',
+ *     fields: { title: '$.payload.title', body: '$.payload.body' }
+ *   });
+ *
+ * @param {Object} definition - { table, fields, name, schema, column, tokenize, prefix }
+ * @returns {Promise<Object>} { name, created }
  */
-ExpoSqliteAdapter.prototype.getAllAsync = function(sql, params) {
-  const adapter = this;
-  params = params || [];
+ExpoSqliteAdapter.prototype.createSearchIndex = function(definition) {
+  return fullTextSearch.createSearchIndex(this, definition);
+};
 
-  // Validate JsonPath expressions in the query
-  if (adapter.validateJsonPaths !== false) { // Allow disabling validation
-    validateJsonPaths(sql, {
-      throwOnError: false, // Don't throw, just warn
-      logWarnings: adapter.debug // Only log warnings if debug is enabled
-    });
-  }
+/**
+ * Remove a full-text search index and its triggers
+ * @param {string} name - Index name, as 'name' or 'alias.name'
+ * @returns {Promise<void>}
+ */
+ExpoSqliteAdapter.prototype.dropSearchIndex = function(name) {
+  return fullTextSearch.dropSearchIndex(this, name);
+};
 
-  return retryWithBackoff(async function() {
-    if (!adapter.db) {
-      throw new Error('Database not connected');
-    }
+/**
+ * Fill a full-text search index again from its table
+ * @param {string} name - Index name, as 'name' or 'alias.name'
+ * @returns {Promise<void>}
+ */
+ExpoSqliteAdapter.prototype.rebuildSearchIndex = function(name) {
+  return fullTextSearch.rebuildSearchIndex(this, name);
+};
 
-    const rows = await adapter.db.getAllAsync(sql, params);
-    adapter.debug && console.log('[ExpoSqliteAdapter] Got ' + rows.length + ' rows from: ' + sql.substring(0, 50));
-    return rows;
-  }, {
-    maxRetries: adapter.retryOptions.maxRetries,
-    baseDelay: adapter.retryOptions.baseDelay,
-    debug: adapter.debug
-  });
+/**
+ * Search a full-text search index, best matches first
+ *
+ *   const results = await adapter.search('notes_fts', 'caf', { snippet: true });
+ *   // [{ rowid, rank, snippet: '... <b>café</b> au lait ...', row: { id, data } }]
+ *
+ * The words must all appear, the last one as a prefix. FTS5 tables built
+ * outside the adapter can be searched too; their results have no row.
+ *
+ * @param {string} name - Index name, as 'name' or 'alias.name'
+ * @param {string} text - Words to search for
+ * @param {Object} [options] - { limit, offset, fields, weights, prefix, raw, snippet,
+ *   highlight, includeRow }
+ * @returns {Promise<Array<Object>>} [{ rowid, rank, snippet?, highlights?, row? }]
+ */
+ExpoSqliteAdapter.prototype.search = function(name, text, options) {
+  return fullTextSearch.search(this, name, text, options);
 };
 
 /**
- * Execute multiple SQL statements in a transaction
- * Promise-based with clean interface
+ * Record the change a write statement made, read from its SQL, unless
+ * the connection reports its changes to expo-sqlite's listener
  */
-ExpoSqliteAdapter.prototype.transaction = function(operations) {
-  const adapter = this;
-  
-  return new Promise(function(resolve, reject) {
-    if (!adapter.db) {
-      reject(new Error('Database not connected'));
-      return;
-    }
-    
-    // expo-sqlite uses withTransactionAsync
-    if (adapter.db.withTransactionAsync) {
-      adapter.db.withTransactionAsync(function() {
-        // Execute the user's operations within the transaction
-        return operations();
-      }).then(function(result) {
-        adapter.debug && console.log('[ExpoSqliteAdapter] Transaction completed successfully');
-        resolve(result);
-      }).catch(function(error) {
-        adapter.debug && console.error('[ExpoSqliteAdapter] Transaction error: ' + error.message);
-        reject(error);
-      });
-    } else {
-      // Fallback: execute without explicit transaction
-      operations().then(resolve).catch(reject);
-    }
+function recordStatementChange(adapter, sql, result) {
+  if (adapter.changeSubscription || !adapter.changes.hasListeners() || !result.changes) {
+    return;
+  }
+  const written = writtenTable(sql);
+  if (!written) {
+    return;
+  }
+  adapter.changes.record({
+    alias: written.schema || 'main',
+    table: written.table,
+    operation: written.operation,
+    // The rowid is known for a single-row insert only
+    rowIds: written.operation === 'insert' && result.changes === 1 ? [result.lastID] : null
   });
-};
+}
 
 /**
- * Resolve expo-sqlite directory paths
- * Handles expo-sqlite's requirement to clean file:// prefixes from directory paths
+ * Record a row change reported by expo-sqlite's addDatabaseChangeListener,
+ * which reports changes to every open database. It can't be told which
+ * transaction the row belongs to, so the change is delivered on its own.
+ */
+function recordNativeChange(adapter, event) {
+  if (!adapter.changes.hasListeners()) {
+    return;
+  }
+  const filePath = stripFileUri(event.databaseFilePath);
+  let alias = null;
+  if (filePath && filePath === adapter.getDatabasePath()) {
+    alias = 'main';
+  } else if (filePath && adapter.attachedPaths[filePath]) {
+    alias = adapter.attachedPaths[filePath];
+  }
+  if (!alias) {
+    return;
+  }
+  adapter.changes.recordReported({
+    alias: alias,
+    table: event.tableName,
+    operation: null,
+    rowIds: event.rowId !== undefined && event.rowId !== null ? [event.rowId] : null
+  });
+}
+
+/**
+ * Resolve a directory the way this adapter's dirPath is resolved (see
+ * lib/utils/paths.js)
+ * @param {string} dirPath - Directory path or file:// URI
+ * @returns {string} Plain path with a trailing slash, or dirPath when it is empty
  */
 ExpoSqliteAdapter.prototype.resolveExpoDirPath = function(dirPath) {
   if (!dirPath) {
     return dirPath;
   }
-  
-  // Remove file:// prefix if present for SQLite compatibility
-  return dirPath.replace('file://', '');
+  return resolveDatabaseDirectory(dirPath, pathModules(this));
+};
+
+/**
+ * Full path of the database file, without a file:// prefix. Available
+ * before connecting.
+ * @returns {string}
+ */
+ExpoSqliteAdapter.prototype.getDatabasePath = function() {
+  return getDatabaseFilePath(this);
 };
 
 /**
  * Transaction adapter for expo-sqlite
- * Provides the same interface as the main adapter but within a transaction context
+ * Provides the same interface as the main adapter but within a transaction context.
+ * Its transaction() method nests using SAVEPOINT / RELEASE / ROLLBACK TO.
+ *
+ * @param {ExpoSqliteAdapter} parent - The adapter (or enclosing transaction adapter) that owns the connection
+ * @param {number} depth - Nesting depth, 1 for the outermost transaction
  */
-function ExpoTransactionAdapter(db, debug) {
-  this.db = db;
-  this.debug = debug;
+function ExpoTransactionAdapter(parent, depth) {
+  this.parent = parent;
+  this.depth = depth;
+  this.db = parent.db;
+  this.fileName = parent.fileName;
+  this.dirPath = parent.dirPath;
+  this.databaseDirectory = parent.databaseDirectory;
+  this.debug = parent.debug;
+  this.logger = parent.logger;
+  this.onQuery = parent.onQuery;
+  this.alias = parent.alias;
+  this.metrics = parent.metrics;
+  this.explainSlowQueries = parent.explainSlowQueries;
+  this.retryOptions = parent.retryOptions;
+  this.validateJsonPaths = parent.validateJsonPaths;
+  this.statementCache = parent.statementCache;
+  this.maxVariables = parent.maxVariables;
+  this.activity = parent.activity;
+  this.changes = parent.changes;
+  this.changeSubscription = parent.changeSubscription;
+  this.maintenance = parent.maintenance;
+  this.transactionQueue = Promise.resolve();
+  this.completed = false;
 }
 
 ExpoTransactionAdapter.prototype = Object.create(ExpoSqliteAdapter.prototype);
@@ -282,6 +1911,65 @@ ExpoTransactionAdapter.prototype.disconnect = function() {
   return Promise.resolve();
 };
 
+['runAsync', 'getFirstAsync', 'getAllAsync'].forEach(function(method) {
+  ExpoTransactionAdapter.prototype[method] = function() {
+    if (this.completed) {
+      return Promise.reject(new Error('Transaction has already completed'));
+    }
+    return ExpoSqliteAdapter.prototype[method].apply(this, arguments);
+  };
+});
+
+ExpoTransactionAdapter.prototype.iterateAsync = async function*(sql, params, options) {
+  if (this.completed) {
+    throw new Error('Transaction has already completed');
+  }
+  yield* ExpoSqliteAdapter.prototype.iterateAsync.call(this, sql, params, options);
+};
+
+/**
+ * Execute operations in a nested transaction backed by a SAVEPOINT.
+ * A failure rolls back to the savepoint only; the enclosing transaction
+ * continues and decides on its own whether to commit.
+ */
+ExpoTransactionAdapter.prototype.transaction = function(operations) {
+  const adapter = this;
+
+  return enqueueTransaction(adapter, async function() {
+    if (adapter.completed) {
+      throw new Error('Transaction has already completed');
+    }
+    const db = adapter.db;
+    const savepoint = 'sp_' + adapter.depth;
+
+    await executeTransactionStatement(db, 'SAVEPOINT ' + savepoint);
+
+    const transactionAdapter = new ExpoTransactionAdapter(adapter, adapter.depth + 1);
+    let result;
+    adapter.changes.begin();
+    try {
+      result = await operations(transactionAdapter);
+    } catch (error) {
+      transactionAdapter.completed = true;
+      await rollbackQuietly(adapter, db, 'ROLLBACK TO ' + savepoint);
+      await rollbackQuietly(adapter, db, 'RELEASE ' + savepoint);
+      adapter.changes.rollback();
+      adapter.logger.debug('Rolled back to savepoint', { alias: adapter.alias, savepoint: savepoint, error: error.message });
+      throw error;
+    }
+    transactionAdapter.completed = true;
+
+    try {
+      await executeTransactionStatement(db, 'RELEASE ' + savepoint);
+    } catch (error) {
+      adapter.changes.rollback();
+      throw error;
+    }
+    adapter.changes.commit();
+    return result;
+  });
+};
+
 /**
  * Static helper methods for working with expo-file-system
  */
@@ -289,64 +1977,144 @@ ExpoTransactionAdapter.prototype.disconnect = function() {
 /**
  * Create an ExpoSqliteAdapter using FileSystem.documentDirectory
  * @param {string} fileName - The database filename
- * @param {boolean} debug - Enable debug logging
+ * @param {Object|boolean} options - Adapter options (SQLite, FileSystem, ...), or legacy debug flag
  * @returns {ExpoSqliteAdapter} New adapter instance
  */
-ExpoSqliteAdapter.createWithDocumentDirectory = function(fileName, debug = false) {
+ExpoSqliteAdapter.createWithDocumentDirectory = function(fileName, options = false) {
+  if (typeof options === 'boolean') {
+    options = { debug: options };
+  }
+
+  let FileSystem;
   try {
-    const FileSystem = require('expo-file-system/legacy');
-    return new ExpoSqliteAdapter(fileName, FileSystem.documentDirectory, debug);
+    FileSystem = requireFileSystem(options);
   } catch (e) {
     throw new Error('ExpoSqliteAdapter.createWithDocumentDirectory requires expo-file-system: ' + e.message);
   }
+  return new ExpoSqliteAdapter(fileName, FileSystem.documentDirectory, Object.assign({}, options, { FileSystem: FileSystem }));
 };
 
 
 /**
- * Check if a database file exists at the given path
+ * Check if a database file exists where an adapter with the same fileName
+ * and dirPath would open it
  * @param {string} fileName - The database filename
- * @param {string} dirPath - The directory path (optional, defaults to documentDirectory)
+ * @param {string} dirPath - The directory path (optional, defaults to expo-sqlite's SQLite directory)
+ * @param {Object} options - Optional { SQLite, FileSystem, appGroup } (see the constructor)
  * @returns {Promise<boolean>} True if the file exists
  */
-ExpoSqliteAdapter.checkDatabaseExists = async function(fileName, dirPath) {
+ExpoSqliteAdapter.checkDatabaseExists = async function(fileName, dirPath, options) {
+  let FileSystem;
   try {
-    const FileSystem = require('expo-file-system/legacy');
-    
-    if (!dirPath) {
-      dirPath = FileSystem.documentDirectory;
-    }
-    
-    const fullPath = dirPath + fileName;
-    const { exists } = await FileSystem.getInfoAsync(fullPath);
-    return exists;
+    FileSystem = requireFileSystem(options);
   } catch (e) {
     throw new Error('ExpoSqliteAdapter.checkDatabaseExists requires expo-file-system: ' + e.message);
   }
+  return fileExists(FileSystem, staticDatabasePath(fileName, dirPath, FileSystem, options));
 };
 
 /**
  * Copy a database file from one location to another
+ *
+ * Copies the file alone, so it is only safe for databases that are not open.
+ * Use backupTo() and restoreFrom() for a database in use.
+ *
  * @param {string} fromPath - Source path (can be asset URI)
  * @param {string} fileName - The database filename
- * @param {string} dirPath - Destination directory path (optional, defaults to documentDirectory)
+ * @param {string} dirPath - Destination directory path, created if missing (optional, defaults
+ *   to expo-sqlite's SQLite directory)
+ * @param {Object} options - Optional { SQLite, FileSystem, appGroup } (see the constructor)
  * @returns {Promise<void>}
  */
-ExpoSqliteAdapter.copyDatabase = async function(fromPath, fileName, dirPath) {
+ExpoSqliteAdapter.copyDatabase = async function(fromPath, fileName, dirPath, options) {
+  let FileSystem;
   try {
-    const FileSystem = require('expo-file-system/legacy');
-    
-    if (!dirPath) {
-      dirPath = FileSystem.documentDirectory;
-    }
-    
-    const toPath = dirPath + fileName;
-    await FileSystem.copyAsync({
-      from: fromPath,
-      to: toPath,
-    });
+    FileSystem = requireFileSystem(options);
   } catch (e) {
     throw new Error('ExpoSqliteAdapter.copyDatabase requires expo-file-system: ' + e.message);
   }
+  const toPath = staticDatabasePath(fileName, dirPath, FileSystem, options);
+  const directory = toPath.slice(0, toPath.lastIndexOf('/') + 1);
+  if (!(await fileExists(FileSystem, directory))) {
+    await FileSystem.makeDirectoryAsync(toFileUri(directory), { intermediates: true });
+  }
+  await FileSystem.copyAsync({
+    from: toFileUri(fromPath),
+    to: toFileUri(toPath)
+  });
+};
+
+/**
+ * Delete a database file with its -wal, -shm and -journal files
+ *
+ * The database must not be open elsewhere. With secureDelete its content is
+ * overwritten first, on a connection opened with the given modules and
+ * encryptionKey; see destroyDatabase() on an adapter.
+ *
+ * @param {string} fileName - The database filename
+ * @param {string} dirPath - The directory path (optional, defaults to expo-sqlite's SQLite directory)
+ * @param {Object} options - Optional { SQLite, FileSystem, appGroup, encryptionKey, secureDelete }
+ * @returns {Promise<Object>} { path, overwritten }
+ */
+ExpoSqliteAdapter.destroyDatabase = async function(fileName, dirPath, options) {
+  options = options || {};
+  let FileSystem;
+  try {
+    FileSystem = requireFileSystem(options);
+  } catch (e) {
+    throw new Error('ExpoSqliteAdapter.destroyDatabase requires expo-file-system: ' + e.message);
+  }
+  if (options.secureDelete) {
+    const adapter = new ExpoSqliteAdapter(fileName, dirPath || FileSystem.documentDirectory, {
+      SQLite: options.SQLite,
+      FileSystem: FileSystem,
+      appGroup: options.appGroup,
+      encryptionKey: options.encryptionKey,
+      logger: options.logger,
+      useNewConnection: true
+    });
+    return adapter.destroyDatabase({ secureDelete: true });
+  }
+  const databasePath = staticDatabasePath(fileName, dirPath, FileSystem, options);
+  await deleteDatabaseFiles(FileSystem, databasePath);
+  return { path: databasePath, overwritten: false };
+};
+
+/**
+ * Path of a database for the static helpers, which have no adapter to ask
+ */
+function staticDatabasePath(fileName, dirPath, FileSystem, options) {
+  options = options || {};
+  let SQLite = null;
+  try {
+    SQLite = resolveSQLite(options);
+  } catch (e) {
+    // Without expo-sqlite the SQLite directory is found from the document directory
+  }
+  return joinPath(resolveDatabaseDirectory(dirPath || FileSystem.documentDirectory, {
+    SQLite: SQLite,
+    FileSystem: FileSystem,
+    appGroup: options.appGroup
+  }), fileName);
+}
+
+/**
+ * Install a database bundled as an Expo asset, copying it only when it is
+ * missing or an older version is installed. Unlike copyDatabase() the copy
+ * is atomic. See lib/utils/asset-installer.js.
+ *
+ *   await ExpoSqliteAdapter.installDatabaseAsset(require('./assets/dictionary.db'), {
+ *     fileName: 'dictionary.db',
+ *     version: 3
+ *   });
+ *
+ * @param {number|Object|string} asset - Module reference from require(), an expo-asset
+ *   Asset, or the URI of the file to copy
+ * @param {Object} options - { fileName, version, dirPath, md5, Asset, FileSystem, logger }
+ * @returns {Promise<Object>} { path, version, previousVersion, installed }
+ */
+ExpoSqliteAdapter.installDatabaseAsset = function(asset, options) {
+  return installDatabaseAsset(asset, options);
 };
 
 module.exports = ExpoSqliteAdapter;
\ No newline at end of file
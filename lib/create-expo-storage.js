@@ -0,0 +1,79 @@
+const {
+  SqliteStorage,
+  DefaultSchemaStrategy
+} = require('@shaxpir/sharedb-storage-sqlite');
+const ExpoSqliteAdapter = require('./adapters/expo-sqlite-adapter');
+const AttachedExpoSqliteAdapter = require('./adapters/attached-expo-sqlite-adapter');
+
+/**
+ * Create a SqliteStorage backed by expo-sqlite in one call
+ *
+ * Builds the adapter (attached when attachments are given), hands the schema
+ * strategy to the adapter so attachment databases can be pre-initialized, and
+ * returns the storage ready for storage.initialize().
+ *
+ * @param {Object} options - Storage options
+ * @param {string} options.fileName - Primary database file name
+ * @param {string} [options.dirPath] - Database directory (default: FileSystem.documentDirectory)
+ * @param {Object} [options.strategy] - Schema strategy (default: new DefaultSchemaStrategy())
+ * @param {Array} [options.attachments] - Databases to attach: { fileName, dirPath?, alias }, or
+ *   bundled ones: { asset, version, alias }; dirPath defaults to the primary database directory
+ * @param {Object} [options.adapterOptions] - ExpoSqliteAdapter options (SQLite, FileSystem, retries, ...)
+ * @param {boolean} [options.debug] - Enable debug logging in the adapter and the storage
+ * @returns {SqliteStorage} The storage
+ */
+function createExpoStorage(options) {
+  options = options || {};
+  if (!options.fileName) {
+    throw new Error('createExpoStorage requires a fileName');
+  }
+
+  const adapterOptions = Object.assign({}, options.adapterOptions);
+  if (options.debug !== undefined) {
+    adapterOptions.debug = options.debug;
+  }
+
+  const adapter = createAdapter(options, adapterOptions);
+  const strategy = options.strategy || new DefaultSchemaStrategy({ debug: !!options.debug });
+
+  if (typeof adapter.setSchemaStrategy === 'function') {
+    adapter.setSchemaStrategy(strategy);
+  }
+
+  return new SqliteStorage({
+    adapter: adapter,
+    schemaStrategy: strategy,
+    debug: !!options.debug
+  });
+}
+
+function createAdapter(options, adapterOptions) {
+  const attachments = options.attachments || [];
+
+  if (attachments.length === 0) {
+    return options.dirPath
+      ? new ExpoSqliteAdapter(options.fileName, options.dirPath, adapterOptions)
+      : ExpoSqliteAdapter.createWithDocumentDirectory(options.fileName, adapterOptions);
+  }
+
+  if (!options.dirPath) {
+    return AttachedExpoSqliteAdapter.createWithDocumentDirectory(
+      options.fileName,
+      { attachments: attachments },
+      adapterOptions
+    );
+  }
+
+  return new AttachedExpoSqliteAdapter(
+    options.fileName,
+    options.dirPath,
+    {
+      attachments: attachments.map(function(attachment) {
+        return Object.assign({}, attachment, { dirPath: attachment.dirPath || options.dirPath });
+      })
+    },
+    adapterOptions
+  );
+}
+
+module.exports = createExpoStorage;
@@ -0,0 +1,175 @@
+/**
+ * Error types thrown by the adapters
+ *
+ * Every error is a SqliteStorageError carrying what is known about the
+ * failure, so callers can pick a recovery path with instanceof:
+ *
+ *   try {
+ *     await adapter.runAsync(sql, params);
+ *   } catch (error) {
+ *     if (error instanceof DiskFullError) { ... }
+ *   }
+ *
+ * Fields: code (primary SQLite result code such as 'SQLITE_BUSY', or null),
+ * sql, fileName, alias, retries, and cause (the error reported by
+ * expo-sqlite, whose message the typed error keeps).
+ */
+
+const { getSqliteErrorCode } = require('./utils/retry-utils');
+
+// Messages of SQLITE_ERROR failures that mean the schema isn't what the query expects
+const SCHEMA_MESSAGES = /no such (table|column|index|view)|has no column named|already exists/i;
+
+/**
+ * Base class of the adapter errors
+ * @param {string} message - Error message
+ * @param {Object} [details] - { code, sql, fileName, alias, retries, cause }
+ */
+function SqliteStorageError(message, details) {
+  details = details || {};
+  this.name = 'SqliteStorageError';
+  this.message = message;
+  this.code = details.code || null;
+  this.sql = details.sql || null;
+  this.fileName = details.fileName || null;
+  this.alias = details.alias || null;
+  this.retries = details.retries || 0;
+  this.cause = details.cause || null;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = new Error(message).stack;
+  }
+}
+
+SqliteStorageError.prototype = Object.create(Error.prototype);
+SqliteStorageError.prototype.constructor = SqliteStorageError;
+
+/**
+ * Define a subclass of SqliteStorageError
+ * @param {string} name - Class name, also the error's name
+ * @param {string} [defaultMessage] - Message used when none is given
+ * @returns {Function} Constructor taking (message, details)
+ */
+function defineErrorType(name, defaultMessage) {
+  function ErrorType(message, details) {
+    SqliteStorageError.call(this, message || defaultMessage, details);
+    this.name = name;
+  }
+  Object.defineProperty(ErrorType, 'name', { value: name });
+  ErrorType.prototype = Object.create(SqliteStorageError.prototype);
+  ErrorType.prototype.constructor = ErrorType;
+  return ErrorType;
+}
+
+/** The adapter has no open connection */
+const NotConnectedError = defineErrorType('NotConnectedError', 'Database not connected');
+
+/** Another connection holds a lock (SQLITE_BUSY or SQLITE_LOCKED), and retrying didn't help */
+const BusyError = defineErrorType('BusyError', 'database is locked');
+
+/** A UNIQUE, NOT NULL, CHECK or FOREIGN KEY constraint failed */
+const ConstraintError = defineErrorType('ConstraintError', 'constraint failed');
+
+/** The file is damaged or not a database (SQLITE_CORRUPT or SQLITE_NOTADB) */
+const CorruptDatabaseError = defineErrorType('CorruptDatabaseError', 'database disk image is malformed');
+
+/**
+ * The database can't be read with the configured encryption key: the key is
+ * wrong, or the file is not encrypted (SQLITE_NOTADB on an adapter with an
+ * encryptionKey). Unlike a CorruptDatabaseError it never leads to quarantine.
+ */
+const EncryptionKeyError = defineErrorType('EncryptionKeyError', 'file is not a database');
+
+/** The disk or the database's size limit is full (SQLITE_FULL) */
+const DiskFullError = defineErrorType('DiskFullError', 'database or disk is full');
+
+/**
+ * A write to a database that is read-only, such as an attachment with mode
+ * readonly or immutable (SQLITE_READONLY)
+ */
+const ReadOnlyDatabaseError = defineErrorType('ReadOnlyDatabaseError', 'attempt to write a readonly database');
+
+/** An attached database could not be prepared or attached */
+const AttachmentError = defineErrorType('AttachmentError', 'Failed to attach database');
+
+/** The schema doesn't match the query: a missing table or column, or SQLITE_SCHEMA */
+const SchemaError = defineErrorType('SchemaError', 'database schema has changed');
+
+/**
+ * The database has a newer schema version than the app's migrations know,
+ * e.g. after a downgrade. Fields: version (the database's) and latestVersion.
+ */
+const SchemaVersionError = defineErrorType('SchemaVersionError', 'database schema version is newer than the app supports');
+
+/**
+ * A schema migration failed and was rolled back. Fields: migration
+ * ({ version, name }), report (what ran before it), and cause.
+ */
+const MigrationError = defineErrorType('MigrationError', 'schema migration failed');
+
+const TYPES_BY_CODE = {
+  SQLITE_BUSY: BusyError,
+  SQLITE_LOCKED: BusyError,
+  SQLITE_CONSTRAINT: ConstraintError,
+  SQLITE_CORRUPT: CorruptDatabaseError,
+  SQLITE_NOTADB: CorruptDatabaseError,
+  SQLITE_FULL: DiskFullError,
+  SQLITE_READONLY: ReadOnlyDatabaseError,
+  SQLITE_SCHEMA: SchemaError
+};
+
+/**
+ * Convert an error from expo-sqlite into the matching SqliteStorageError
+ *
+ * Errors that already are SqliteStorageErrors get the missing context filled
+ * in and are returned as they are.
+ *
+ * @param {Error} error - Error to convert
+ * @param {Object} [context] - { sql, fileName, alias, retries }
+ * @returns {SqliteStorageError} Typed error
+ */
+function toSqliteStorageError(error, context) {
+  context = context || {};
+  if (error instanceof SqliteStorageError) {
+    ['sql', 'fileName', 'alias'].forEach(function(field) {
+      if (!error[field] && context[field]) {
+        error[field] = context[field];
+      }
+    });
+    error.retries = Math.max(error.retries, context.retries || 0);
+    return error;
+  }
+
+  const code = getSqliteErrorCode(error);
+  const message = error && error.message ? error.message : String(error);
+  let ErrorType = TYPES_BY_CODE[code] || SqliteStorageError;
+  if (ErrorType === SqliteStorageError && (code === null || code === 'SQLITE_ERROR') && SCHEMA_MESSAGES.test(message)) {
+    ErrorType = SchemaError;
+  }
+
+  return new ErrorType(message, {
+    code: code,
+    sql: context.sql,
+    fileName: context.fileName,
+    alias: context.alias,
+    retries: context.retries,
+    cause: error
+  });
+}
+
+module.exports = {
+  SqliteStorageError,
+  NotConnectedError,
+  BusyError,
+  ConstraintError,
+  CorruptDatabaseError,
+  EncryptionKeyError,
+  DiskFullError,
+  ReadOnlyDatabaseError,
+  AttachmentError,
+  SchemaError,
+  SchemaVersionError,
+  MigrationError,
+  toSqliteStorageError
+};
@@ -73,6 +73,18 @@ SqliteAdapter.prototype.getAllAsync = function(sql, params) {
   throw new Error('getAllAsync() must be implemented by subclass');
 };
 
+/**
+ * Read the rows of a SELECT query in batches
+ * 
+ * @param {string} sql - The SQL query to execute
+ * @param {Array} [params] - Parameters for the SQL query
+ * @param {Object} [options] - { batchSize }
+ * @returns {AsyncIterable<Array>} Async iterable of non-empty row batches
+ */
+SqliteAdapter.prototype.iterateAsync = function(sql, params, options) {
+  throw new Error('iterateAsync() must be implemented by subclass');
+};
+
 /**
  * Execute multiple SQL statements in a transaction
  * 
@@ -83,4 +95,26 @@ SqliteAdapter.prototype.transaction = function(operations) {
   throw new Error('transaction() must be implemented by subclass');
 };
 
+/**
+ * Execute a list of write statements in one transaction
+ * 
+ * @param {Array<Object>} statements - Statements as { sql, params }
+ * @returns {Promise<Array<{lastID?: number, changes?: number}>>} One result per statement
+ */
+SqliteAdapter.prototype.runBatchAsync = function(statements) {
+  throw new Error('runBatchAsync() must be implemented by subclass');
+};
+
+/**
+ * Execute one write statement for each parameter set in one transaction
+ * 
+ * @param {string} sql - The SQL statement to execute
+ * @param {Array<Array>} paramSets - One parameter array per execution
+ * @returns {Promise<Array<{lastID?: number, changes?: number, paramSetCount: number}>>} One result
+ *   per executed statement, covering paramSetCount of the parameter sets, in order
+ */
+SqliteAdapter.prototype.executeMany = function(sql, paramSets) {
+  throw new Error('executeMany() must be implemented by subclass');
+};
+
 module.exports = SqliteAdapter;
\ No newline at end of file
@@ -1,20 +1,97 @@
 /**
- * Simple logger implementation for SQLite storage
- * Matches the interface expected by ShareDB components
+ * Logging for SQLite storage
+ *
+ * Components log through a logger with debug/info/warn/error methods, each
+ * taking a message and an optional object of structured fields:
+ *
+ *   logger.debug('Query', { sql: sql, durationMs: 3, rows: 12 });
+ *
+ * Any object with those methods can be passed as the `logger` option; missing
+ * methods are treated as no-ops. Without one, a console logger is used that
+ * prints warnings and errors, and everything else in debug mode.
  */
 
-const logger = {
-  info: function(message) {
-    console.log('[INFO] ' + message);
-  },
-
-  warn: function(message) {
-    console.warn('[WARN] ' + message);
-  },
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
 
-  error: function(message) {
-    console.error('[ERROR] ' + message);
-  },
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
 };
 
+/**
+ * Create a logger that writes to the console
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level to print: debug, info, warn, error or silent (default: info)
+ * @param {string} [options.name] - Prefix for every message, e.g. the component name
+ * @returns {Object} Logger
+ */
+function createConsoleLogger(options) {
+  options = options || {};
+  const level = options.level || 'info';
+  if (!(level in LOG_LEVELS)) {
+    throw new Error('Unknown log level: ' + level);
+  }
+  const threshold = LOG_LEVELS[level];
+  const logger = { level: level };
+
+  Object.keys(CONSOLE_METHODS).forEach(function(method) {
+    logger[method] = function(message, fields) {
+      if (LOG_LEVELS[method] < threshold) {
+        return;
+      }
+      const prefix = '[' + (options.name || method.toUpperCase()) + '] ';
+      if (fields && Object.keys(fields).length) {
+        console[CONSOLE_METHODS[method]](prefix + message, fields);
+      } else {
+        console[CONSOLE_METHODS[method]](prefix + message);
+      }
+    };
+  });
+
+  return logger;
+}
+
+/**
+ * Resolve the logger a component should use from its options
+ * @param {Object} options - Component options
+ * @param {Object} [options.logger] - Logger to use
+ * @param {string} [options.logLevel] - Level for the default console logger
+ * @param {boolean} [options.debug] - Print debug messages with the default console logger
+ * @param {string} name - Component name, used as the console prefix
+ * @returns {Object} Logger with all four methods
+ */
+function resolveLogger(options, name) {
+  options = options || {};
+  if (!options.logger) {
+    return createConsoleLogger({
+      name: name,
+      level: options.logLevel || (options.debug ? 'debug' : 'warn')
+    });
+  }
+
+  const logger = options.logger;
+  const resolved = {};
+  Object.keys(CONSOLE_METHODS).forEach(function(method) {
+    resolved[method] = typeof logger[method] === 'function'
+      ? logger[method].bind(logger)
+      : function() {};
+  });
+  return resolved;
+}
+
+// Kept as the module's default so existing require('./logger').info() calls work
+const logger = createConsoleLogger();
+
+logger.LOG_LEVELS = LOG_LEVELS;
+logger.createConsoleLogger = createConsoleLogger;
+logger.resolveLogger = resolveLogger;
+
 module.exports = logger;
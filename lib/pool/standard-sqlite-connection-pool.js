@@ -0,0 +1,499 @@
+const genericPool = require('generic-pool');
+const ExpoSqliteAdapter = require('../adapters/expo-sqlite-adapter');
+const { sleep } = require('../utils/retry-utils');
+const { paginate } = require('../utils/keyset-pagination');
+const { resolveLogger } = require('../logger');
+const { NotConnectedError } = require('../errors');
+
+// generic-pool retries a failed create as soon as it fails; pausing first
+// keeps a persistently failing factory from spinning the event loop
+const CREATE_RETRY_DELAY = 50;
+
+/**
+ * StandardSQLiteConnectionPool - connection pool with a read/write split
+ *
+ * Keeps a single writer connection and a pool of reader connections to the
+ * same database file. SQLite allows one writer at a time, so writes queue for
+ * the writer; in WAL mode readers see the last committed state and never wait
+ * for the writer, which keeps list queries responsive during long flushes.
+ *
+ * The pool implements the SqliteAdapter interface itself: runAsync and
+ * transaction go to the writer, getFirstAsync and getAllAsync go to a reader.
+ *
+ * Connections are ExpoSqliteAdapters opened with useNewConnection, unless a
+ * createConnection factory is supplied.
+ *
+ * @param {Object} options
+ * @param {string} options.fileName - Database file name (when createConnection is not given)
+ * @param {string} options.dirPath - Database directory path
+ * @param {Object} options.adapterOptions - Options passed to each ExpoSqliteAdapter
+ * @param {Function} options.createConnection - Factory (role) => connection or Promise<connection>,
+ *   role being 'writer' or 'reader'
+ * @param {Function} options.destroyConnection - Close a connection (default: disconnect())
+ * @param {Function} options.validateConnection - Reject/throw for a broken connection (default: SELECT 1)
+ * @param {number} options.maxConnections - Maximum reader connections (default: 3)
+ * @param {number} options.minConnections - Reader connections kept open (default: 1)
+ * @param {number} options.acquireTimeout - Milliseconds to wait for a connection (default: 5000)
+ * @param {number} options.createTimeout - Milliseconds to wait for a new connection (default: 10000)
+ * @param {number} options.destroyTimeout - Milliseconds to wait for a connection to close (default: 5000)
+ * @param {number} options.idleTimeout - Milliseconds before an idle reader may be closed (default: 30000)
+ * @param {number} options.evictionInterval - Milliseconds between idle checks, 0 to disable (default: 0)
+ * @param {boolean} options.testOnBorrow - Validate connections before handing them out
+ * @param {boolean} options.testOnReturn - Validate connections when they are returned
+ * @param {boolean} options.debug - Enable debug logging
+ * @param {Object} options.logger - Logger for the pool and, unless adapterOptions has
+ *   its own, for its connections
+ * @param {string} options.logLevel - Level for the default console logger
+ * @param {Function} options.onQuery - Query hook for the connections, unless adapterOptions has its own
+ */
+function StandardSQLiteConnectionPool(options) {
+  options = options || {};
+  if (!options.createConnection && !options.fileName) {
+    throw new Error('StandardSQLiteConnectionPool requires either createConnection or fileName');
+  }
+  if (!options.createConnection && !options.dirPath) {
+    throw new Error('dirPath is required when createConnection is not provided');
+  }
+
+  this.options = options;
+  this.debug = options.debug || false;
+  this.logger = resolveLogger(options, 'StandardSQLiteConnectionPool');
+  this.maxConnections = options.maxConnections || 3;
+  this.minConnections = options.minConnections !== undefined ? options.minConnections : 1;
+  if (this.minConnections > this.maxConnections) {
+    throw new Error('minConnections cannot be greater than maxConnections');
+  }
+  this.acquireTimeout = options.acquireTimeout || 5000;
+  this.createTimeout = options.createTimeout || 10000;
+  this.destroyTimeout = options.destroyTimeout || 5000;
+  this.idleTimeout = options.idleTimeout || 30000;
+  this.evictionInterval = options.evictionInterval || options.reapInterval || 0;
+  this.testOnBorrow = !!options.testOnBorrow;
+  this.testOnReturn = !!options.testOnReturn;
+
+  this.writerPool = null;
+  this.readerPool = null;
+  this.connecting = null;
+  this.lastCreateError = null;
+  this.stats = {
+    connectionsCreated: 0,
+    connectionsDestroyed: 0,
+    acquireSuccesses: 0,
+    acquireFailures: 0,
+    validationFailures: 0
+  };
+}
+
+/**
+ * Open the writer connection, then the minimum number of readers.
+ * The writer goes first so that WAL mode is in place before readers attach.
+ */
+StandardSQLiteConnectionPool.prototype.connect = function() {
+  const pool = this;
+
+  if (pool.writerPool) {
+    return Promise.resolve();
+  }
+  if (pool.connecting) {
+    return pool.connecting;
+  }
+
+  pool.connecting = (async function() {
+    const writerPool = createPool(pool, 'writer', { min: 1, max: 1 });
+    try {
+      const writer = await acquireFrom(pool, writerPool, 'writer');
+      await writerPool.release(writer);
+    } catch (error) {
+      await closePool(writerPool);
+      throw error;
+    }
+
+    const readerPool = createPool(pool, 'reader', { min: pool.minConnections, max: pool.maxConnections });
+    try {
+      const readers = [];
+      for (let i = 0; i < pool.minConnections; i++) {
+        readers.push(await acquireFrom(pool, readerPool, 'reader'));
+      }
+      for (const reader of readers) {
+        await readerPool.release(reader);
+      }
+    } catch (error) {
+      await closePool(readerPool);
+      await closePool(writerPool);
+      throw error;
+    }
+
+    pool.writerPool = writerPool;
+    pool.readerPool = readerPool;
+    pool.logger.debug('Pool ready', { readers: pool.minConnections });
+  })();
+
+  return pool.connecting.then(function() {
+    pool.connecting = null;
+  }, function(error) {
+    pool.connecting = null;
+    throw error;
+  });
+};
+
+/**
+ * Wait for borrowed connections to be returned, then close every connection
+ */
+StandardSQLiteConnectionPool.prototype.disconnect = async function() {
+  const pool = this;
+  if (pool.connecting) {
+    await pool.connecting.catch(function() {});
+  }
+  if (!pool.writerPool) {
+    return;
+  }
+
+  const writerPool = pool.writerPool;
+  const readerPool = pool.readerPool;
+  pool.writerPool = null;
+  pool.readerPool = null;
+
+  await closePool(readerPool);
+  await closePool(writerPool);
+  pool.logger.debug('Pool closed');
+};
+
+/**
+ * Run an operation with the writer connection
+ * @param {Function} operation - function(connection) returning a value or promise
+ * @param {Function} callback - Optional (error, result) callback; a promise is returned when omitted
+ */
+StandardSQLiteConnectionPool.prototype.withConnection = function(operation, callback) {
+  return withPooledConnection(this, 'writer', operation, callback);
+};
+
+/**
+ * Run an operation with a reader connection. Readers are query-only: they see
+ * the last committed state and reject writes.
+ * @param {Function} operation - function(connection) returning a value or promise
+ * @param {Function} callback - Optional (error, result) callback; a promise is returned when omitted
+ */
+StandardSQLiteConnectionPool.prototype.withReadConnection = function(operation, callback) {
+  return withPooledConnection(this, 'reader', operation, callback);
+};
+
+/**
+ * Execute a SQL statement on the writer connection
+ */
+StandardSQLiteConnectionPool.prototype.runAsync = function(sql, params) {
+  return this.withConnection(function(connection) {
+    return connection.runAsync(sql, params);
+  });
+};
+
+/**
+ * Get the first row of a query from a reader connection
+ */
+StandardSQLiteConnectionPool.prototype.getFirstAsync = function(sql, params) {
+  return this.withReadConnection(function(connection) {
+    return connection.getFirstAsync(sql, params);
+  });
+};
+
+/**
+ * Get all rows of a query from a reader connection
+ */
+StandardSQLiteConnectionPool.prototype.getAllAsync = function(sql, params) {
+  return this.withReadConnection(function(connection) {
+    return connection.getAllAsync(sql, params);
+  });
+};
+
+/**
+ * Read the rows of a query in batches from a reader connection. The reader
+ * stays checked out until the loop finishes or is left early.
+ */
+StandardSQLiteConnectionPool.prototype.iterateAsync = async function*(sql, params, options) {
+  const pool = this;
+  if (!pool.readerPool) {
+    throw new NotConnectedError('Connection pool is not connected', { fileName: pool.options.fileName });
+  }
+
+  const connection = await acquireFrom(pool, pool.readerPool, 'reader');
+  try {
+    yield* connection.iterateAsync(sql, params, options);
+  } finally {
+    await pool.readerPool.release(connection);
+  }
+};
+
+/**
+ * Read a table with keyset pagination; each page is read by whichever reader
+ * connection is free
+ */
+StandardSQLiteConnectionPool.prototype.paginateAsync = function(table, options) {
+  return paginate(this, table, options);
+};
+
+/**
+ * Run a transaction on the writer connection. Queries inside the transaction
+ * must use the adapter passed to operations; reads through the pool go to a
+ * reader and will not see the uncommitted writes.
+ *
+ * @param {Function} operations - async function(transactionAdapter)
+ * @param {Object} [options] - Passed to the writer's transaction(), e.g. { retry: true }
+ */
+StandardSQLiteConnectionPool.prototype.transaction = function(operations, options) {
+  return this.withConnection(function(connection) {
+    if (typeof connection.transaction !== 'function') {
+      throw new Error('Pooled connection does not support transaction()');
+    }
+    return connection.transaction(operations, options);
+  });
+};
+
+/**
+ * Execute a batch of write statements in one transaction on the writer
+ * @param {Array<Object>} statements - Statements as { sql, params }
+ * @returns {Promise<Array>} One { lastID, changes } per statement
+ */
+StandardSQLiteConnectionPool.prototype.runBatchAsync = function(statements) {
+  return this.withConnection(function(connection) {
+    return connection.runBatchAsync(statements);
+  });
+};
+
+/**
+ * Execute one write statement per parameter set in one transaction on the writer
+ * @param {string} sql - The SQL statement
+ * @param {Array<Array>} paramSets - One parameter array per execution
+ * @param {Object} [options] - { maxVariables }
+ * @returns {Promise<Array>} One { lastID, changes } per executed statement
+ */
+StandardSQLiteConnectionPool.prototype.executeMany = function(sql, paramSets, options) {
+  return this.withConnection(function(connection) {
+    return connection.executeMany(sql, paramSets, options);
+  });
+};
+
+/**
+ * Pool statistics, combined and per role
+ * @returns {Object} Sizes, lifecycle counters and a 0-100 health score
+ */
+StandardSQLiteConnectionPool.prototype.getStats = function() {
+  const pool = this;
+  const writer = describePool(pool.writerPool);
+  const readers = describePool(pool.readerPool);
+
+  const attempts = pool.stats.acquireSuccesses + pool.stats.acquireFailures;
+  let healthScore = attempts === 0 ? 100 : Math.round(100 * pool.stats.acquireSuccesses / attempts);
+  if (!pool.writerPool) {
+    healthScore = 0;
+  }
+
+  return {
+    size: writer.size + readers.size,
+    available: writer.available + readers.available,
+    borrowed: writer.borrowed + readers.borrowed,
+    pending: writer.pending + readers.pending,
+    max: 1 + pool.maxConnections,
+    min: 1 + pool.minConnections,
+    writer: writer,
+    readers: readers,
+    connectionsCreated: pool.stats.connectionsCreated,
+    connectionsDestroyed: pool.stats.connectionsDestroyed,
+    acquireSuccesses: pool.stats.acquireSuccesses,
+    acquireFailures: pool.stats.acquireFailures,
+    invalid: pool.stats.validationFailures,
+    healthScore: healthScore,
+    isHealthy: healthScore >= 80
+  };
+};
+
+function createPool(pool, role, sizes) {
+  const factory = {
+    create: function() {
+      return createConnection(pool, role);
+    },
+    destroy: function(connection) {
+      return destroyConnection(pool, role, connection);
+    },
+    validate: function(connection) {
+      return validateConnection(pool, connection);
+    }
+  };
+
+  const resourcePool = genericPool.createPool(factory, {
+    min: sizes.min,
+    max: sizes.max,
+    acquireTimeoutMillis: pool.acquireTimeout,
+    destroyTimeoutMillis: pool.destroyTimeout,
+    idleTimeoutMillis: pool.idleTimeout,
+    evictionRunIntervalMillis: pool.evictionInterval,
+    testOnBorrow: pool.testOnBorrow,
+    testOnReturn: pool.testOnReturn,
+    autostart: false
+  });
+
+  resourcePool.on('factoryCreateError', function(error) {
+    pool.logger.debug('Failed to create connection', { role: role, error: error.message });
+  });
+  resourcePool.on('factoryDestroyError', function(error) {
+    pool.logger.warn('Failed to close connection', { role: role, error: error.message });
+  });
+
+  return resourcePool;
+}
+
+async function createConnection(pool, role) {
+  pool.logger.debug('Creating connection', { role: role });
+
+  const opening = openConnection(pool, role);
+  let connection;
+  try {
+    connection = await withTimeout(opening, pool.createTimeout,
+      'Timed out creating a ' + role + ' connection after ' + pool.createTimeout + 'ms');
+  } catch (error) {
+    // A connection that opens after the timeout belongs to no one, and would
+    // keep its handle and the database file open
+    opening.then(function(late) {
+      pool.logger.debug('Closing connection that opened after the timeout', { role: role });
+      return closeConnection(pool, late).catch(function(closeError) {
+        pool.logger.warn('Failed to close connection', { role: role, error: closeError.message });
+      });
+    }, function() {
+      // It failed to open, which is the error thrown below
+    });
+    pool.lastCreateError = error;
+    await sleep(CREATE_RETRY_DELAY);
+    throw error;
+  }
+
+  pool.stats.connectionsCreated++;
+  pool.logger.debug('Connection created', { role: role });
+  return connection;
+}
+
+async function openConnection(pool, role) {
+  if (pool.options.createConnection) {
+    return pool.options.createConnection(role);
+  }
+
+  const adapter = new ExpoSqliteAdapter(
+    pool.options.fileName,
+    pool.options.dirPath,
+    Object.assign({
+      logger: pool.options.logger,
+      logLevel: pool.options.logLevel,
+      onQuery: pool.options.onQuery,
+      alias: pool.options.fileName + ':' + role
+    }, pool.options.adapterOptions, { useNewConnection: true })
+  );
+  await adapter.connect();
+  if (role === 'reader') {
+    // Guard against writes sneaking onto a reader and contending with the writer
+    await adapter.runAsync('PRAGMA query_only = ON');
+  }
+  return adapter;
+}
+
+async function destroyConnection(pool, role, connection) {
+  pool.logger.debug('Closing connection', { role: role });
+  await closeConnection(pool, connection);
+  pool.stats.connectionsDestroyed++;
+}
+
+async function closeConnection(pool, connection) {
+  if (pool.options.destroyConnection) {
+    await pool.options.destroyConnection(connection);
+  } else if (typeof connection.disconnect === 'function') {
+    await connection.disconnect();
+  } else if (typeof connection.closeAsync === 'function') {
+    await connection.closeAsync();
+  }
+}
+
+async function validateConnection(pool, connection) {
+  try {
+    if (pool.options.validateConnection) {
+      await pool.options.validateConnection(connection);
+    } else {
+      await connection.getFirstAsync('SELECT 1');
+    }
+    pool.logger.debug('Connection validation passed');
+    return true;
+  } catch (error) {
+    pool.stats.validationFailures++;
+    pool.logger.debug('Connection validation failed', { error: error.message });
+    return false;
+  }
+}
+
+async function acquireFrom(pool, resourcePool, role) {
+  try {
+    const connection = await resourcePool.acquire();
+    pool.stats.acquireSuccesses++;
+    return connection;
+  } catch (error) {
+    pool.stats.acquireFailures++;
+    let message = 'Timed out acquiring a ' + role + ' connection after ' + pool.acquireTimeout + 'ms';
+    if (error.name !== 'TimeoutError') {
+      message = 'Failed to acquire a ' + role + ' connection: ' + error.message;
+    } else if (pool.lastCreateError) {
+      message += ' (last connection error: ' + pool.lastCreateError.message + ')';
+    }
+    throw new Error(message);
+  }
+}
+
+function withPooledConnection(pool, role, operation, callback) {
+  const promise = (async function() {
+    const resourcePool = role === 'writer' ? pool.writerPool : pool.readerPool;
+    if (!resourcePool) {
+      throw new NotConnectedError('Connection pool is not connected', { fileName: pool.options.fileName });
+    }
+
+    const connection = await acquireFrom(pool, resourcePool, role);
+    try {
+      return await operation(connection);
+    } finally {
+      await resourcePool.release(connection);
+    }
+  })();
+
+  if (typeof callback === 'function') {
+    promise.then(function(result) {
+      callback(null, result);
+    }, function(error) {
+      callback(error);
+    });
+    return;
+  }
+  return promise;
+}
+
+async function closePool(resourcePool) {
+  await resourcePool.drain();
+  await resourcePool.clear();
+}
+
+function describePool(resourcePool) {
+  if (!resourcePool) {
+    return { size: 0, available: 0, borrowed: 0, pending: 0 };
+  }
+  return {
+    size: resourcePool.size,
+    available: resourcePool.available,
+    borrowed: resourcePool.borrowed,
+    pending: resourcePool.pending
+  };
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() {
+      reject(new Error(message));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(function() {
+    clearTimeout(timer);
+  });
+}
+
+module.exports = StandardSQLiteConnectionPool;
@@ -0,0 +1,62 @@
+/**
+ * FakeAppState - an in-process stand-in for React Native's AppState
+ *
+ * Holds the current state and reports changes to 'change' listeners, like
+ * AppState does when the app moves between the foreground and the
+ * background. Tests move it with setState().
+ *
+ * @param {Object} [options]
+ * @param {string} [options.currentState] - State to start in (default: 'active')
+ */
+function FakeAppState(options) {
+  options = options || {};
+  this.currentState = options.currentState || 'active';
+  this.listeners = [];
+}
+
+/**
+ * @param {string} type - Event type; only 'change' is reported
+ * @param {Function} listener - function(state)
+ * @returns {Object} Subscription with a remove() method
+ */
+FakeAppState.prototype.addEventListener = function(type, listener) {
+  const appState = this;
+  const entry = { type: type, listener: listener };
+  appState.listeners.push(entry);
+  return {
+    remove: function() {
+      appState.listeners = appState.listeners.filter(function(candidate) {
+        return candidate !== entry;
+      });
+    }
+  };
+};
+
+/**
+ * Move to a state, calling the change listeners when it differs from the
+ * current one
+ * @param {string} state - 'active', 'background' or 'inactive'
+ */
+FakeAppState.prototype.setState = function(state) {
+  if (state === this.currentState) {
+    return;
+  }
+  this.currentState = state;
+  this.listeners.slice().forEach(function(entry) {
+    if (entry.type === 'change') {
+      entry.listener(state);
+    }
+  });
+};
+
+/**
+ * Number of change listeners, to check that subscriptions are removed
+ * @returns {number}
+ */
+FakeAppState.prototype.listenerCount = function() {
+  return this.listeners.filter(function(entry) {
+    return entry.type === 'change';
+  }).length;
+};
+
+module.exports = FakeAppState;
@@ -0,0 +1,774 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FakeExpoSqlite - an in-process stand-in for the expo-sqlite module
+ *
+ * Implements the subset of the expo-sqlite (SDK 50+) API that the adapters in
+ * this package use, backed by a real SQLite engine (better-sqlite3) so that
+ * SQL semantics, locking and ATTACH behave like they do on a device. Every
+ * async method yields to the event loop before touching the database, which
+ * reproduces the way expo-sqlite interleaves concurrent calls on one
+ * connection.
+ *
+ * ATTACH takes file names the way the engine does: better-sqlite3 is built
+ * without URI support, so file:/path?mode=ro is not the file at /path. With
+ * uriFilenames, ATTACH accepts URI filenames like expo-sqlite's bundled
+ * SQLite does, and an attachment opened with mode=ro or immutable=1 is
+ * read-only: statements that write and name its schema fail with
+ * SQLITE_READONLY.
+ *
+ * Connections opened with enableChangeListener report each row they write
+ * to the listeners added with addDatabaseChangeListener, one event per row,
+ * rows later rolled back included, the way expo-sqlite's update hook does.
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Directory used as defaultDatabaseDirectory
+ * @param {Function} [options.Database] - better-sqlite3 compatible constructor
+ * @param {boolean} [options.uriFilenames] - Accept URI filenames in ATTACH (default: false)
+ */
+function FakeExpoSqlite(options) {
+  options = options || {};
+  if (!options.directory) {
+    throw new Error('directory is required');
+  }
+
+  this.defaultDatabaseDirectory = stripFileUri(options.directory);
+  this.Database = options.Database || loadBetterSqlite3();
+  this.uriFilenames = !!options.uriFilenames;
+  this.sharedConnections = {};
+  this.openConnections = [];
+  this.changeListeners = [];
+}
+
+/**
+ * Open a database, mirroring expo-sqlite's openDatabaseSync(name, options, directory)
+ * @param {string} databaseName - Database file name, or ':memory:'
+ * @param {Object} [options] - { useNewConnection, enableChangeListener }
+ * @param {string} [directory] - Directory (defaults to defaultDatabaseDirectory)
+ * @returns {FakeSQLiteDatabase}
+ */
+FakeExpoSqlite.prototype.openDatabaseSync = function(databaseName, options, directory) {
+  options = options || {};
+  const databasePath = this.resolveDatabasePath(databaseName, directory);
+  const connection = options.useNewConnection || databasePath === ':memory:'
+    ? this.createConnection(databasePath)
+    : this.acquireSharedConnection(databasePath);
+  if (options.enableChangeListener) {
+    this.reportChanges(connection);
+  }
+
+  return new FakeSQLiteDatabase(this, databaseName, databasePath, connection, options);
+};
+
+FakeExpoSqlite.prototype.openDatabaseAsync = async function(databaseName, options, directory) {
+  await tick();
+  return this.openDatabaseSync(databaseName, options, directory);
+};
+
+/**
+ * Listen for rows written by connections opened with enableChangeListener,
+ * mirroring expo-sqlite's addDatabaseChangeListener
+ * @param {Function} listener - function({ databaseName, databaseFilePath, tableName, rowId })
+ * @returns {Object} Subscription with a remove() method
+ */
+FakeExpoSqlite.prototype.addDatabaseChangeListener = function(listener) {
+  const sqlite = this;
+  sqlite.changeListeners.push(listener);
+  return {
+    remove: function() {
+      sqlite.changeListeners = sqlite.changeListeners.filter(function(added) {
+        return added !== listener;
+      });
+    }
+  };
+};
+
+/**
+ * Report the rows a connection writes. The engine has no update hook here,
+ * so temporary triggers on every table call back into JS, and the tables
+ * created since the last statement get theirs before the next one runs.
+ */
+FakeExpoSqlite.prototype.reportChanges = function(connection) {
+  const sqlite = this;
+  if (connection.reportsChanges) {
+    return;
+  }
+  connection.reportsChanges = true;
+
+  const native = connection.native;
+  const prepare = native.prepare.bind(native);
+  const exec = native.exec.bind(native);
+  native.function('fake_expo_sqlite_change', function(schema, filePath, table, rowId) {
+    // Delivered later, like expo-sqlite's events, which cross from native code
+    setImmediate(function() {
+      const event = { databaseName: schema, databaseFilePath: filePath, tableName: table, rowId: rowId };
+      sqlite.changeListeners.slice().forEach(function(listener) {
+        listener(event);
+      });
+    });
+    return null;
+  });
+
+  native.prepare = function(source) {
+    const detach = DETACH_STATEMENT.exec(source);
+    if (detach) {
+      // Triggers outlive the schema they watch, and would keep a reattached one from getting new ones
+      dropChangeTriggers(prepare, detach[1]);
+    } else {
+      createChangeTriggers(prepare);
+    }
+    return prepare(source);
+  };
+  native.exec = function(source) {
+    createChangeTriggers(prepare);
+    return exec(source);
+  };
+};
+
+/**
+ * Delete a database file and its WAL sidecars
+ */
+FakeExpoSqlite.prototype.deleteDatabaseSync = function(databaseName, directory) {
+  const databasePath = this.resolveDatabasePath(databaseName, directory);
+  const inUse = this.openConnections.some(function(connection) {
+    return connection.path === databasePath;
+  });
+  if (inUse) {
+    throw new Error('Unable to delete database \'' + databaseName + '\' that is currently open. Close it prior to deletion.');
+  }
+
+  if (!fs.existsSync(databasePath)) {
+    throw new Error('Database file not found: ' + databasePath);
+  }
+  ['', '-wal', '-shm', '-journal'].forEach(function(suffix) {
+    fs.rmSync(databasePath + suffix, { force: true });
+  });
+};
+
+FakeExpoSqlite.prototype.deleteDatabaseAsync = async function(databaseName, directory) {
+  await tick();
+  this.deleteDatabaseSync(databaseName, directory);
+};
+
+/**
+ * Close every connection this fake has opened (used for test cleanup)
+ */
+FakeExpoSqlite.prototype.closeAll = function() {
+  this.openConnections.forEach(function(connection) {
+    if (connection.native.open) {
+      connection.native.close();
+    }
+  });
+  this.openConnections = [];
+  this.sharedConnections = {};
+};
+
+FakeExpoSqlite.prototype.resolveDatabasePath = function(databaseName, directory) {
+  if (databaseName === ':memory:') {
+    return databaseName;
+  }
+  return path.join(stripFileUri(directory || this.defaultDatabaseDirectory), databaseName);
+};
+
+FakeExpoSqlite.prototype.createConnection = function(databasePath) {
+  if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+  }
+
+  // timeout: 0 surfaces SQLITE_BUSY immediately, like expo-sqlite's default
+  const native = new this.Database(databasePath, { timeout: 0 });
+  const connection = {
+    path: databasePath,
+    native: this.uriFilenames ? supportUriAttachments(native) : native,
+    refCount: 1,
+    shared: false
+  };
+  this.openConnections.push(connection);
+  return connection;
+};
+
+FakeExpoSqlite.prototype.acquireSharedConnection = function(databasePath) {
+  const existing = this.sharedConnections[databasePath];
+  if (existing && existing.native.open) {
+    existing.refCount++;
+    return existing;
+  }
+
+  const connection = this.createConnection(databasePath);
+  connection.shared = true;
+  this.sharedConnections[databasePath] = connection;
+  return connection;
+};
+
+FakeExpoSqlite.prototype.releaseConnection = function(connection) {
+  connection.refCount--;
+  if (connection.refCount > 0) {
+    return;
+  }
+
+  if (connection.native.open) {
+    connection.native.close();
+  }
+  if (connection.shared && this.sharedConnections[connection.path] === connection) {
+    delete this.sharedConnections[connection.path];
+  }
+  this.openConnections = this.openConnections.filter(function(open) {
+    return open !== connection;
+  });
+};
+
+/**
+ * FakeSQLiteDatabase - mirrors expo-sqlite's SQLiteDatabase class
+ */
+function FakeSQLiteDatabase(sqlite, databaseName, databasePath, connection, options) {
+  this.sqlite = sqlite;
+  this.databaseName = databaseName;
+  this.databasePath = databasePath;
+  this.options = options;
+  this.connection = connection;
+  this.closed = false;
+}
+
+FakeSQLiteDatabase.prototype.getNative = function(method) {
+  if (this.closed || !this.connection.native.open) {
+    throw new Error('Access to closed resource: ' + method);
+  }
+  return this.connection.native;
+};
+
+FakeSQLiteDatabase.prototype.execSync = function(source) {
+  const native = this.getNative('execSync');
+  try {
+    native.exec(source);
+  } catch (error) {
+    throw toExpoError('execSync', error);
+  }
+};
+
+FakeSQLiteDatabase.prototype.execAsync = async function(source) {
+  await tick();
+  const native = this.getNative('execAsync');
+  try {
+    native.exec(source);
+  } catch (error) {
+    throw toExpoError('execAsync', error);
+  }
+};
+
+FakeSQLiteDatabase.prototype.runSync = function(source) {
+  const params = normalizeParams(Array.prototype.slice.call(arguments, 1));
+  return runStatement(this.getNative('runSync'), 'runSync', source, params);
+};
+
+FakeSQLiteDatabase.prototype.runAsync = async function(source) {
+  const params = normalizeParams(Array.prototype.slice.call(arguments, 1));
+  await tick();
+  return runStatement(this.getNative('runAsync'), 'runAsync', source, params);
+};
+
+FakeSQLiteDatabase.prototype.getFirstSync = function(source) {
+  const params = normalizeParams(Array.prototype.slice.call(arguments, 1));
+  return getFirstRow(this.getNative('getFirstSync'), 'getFirstSync', source, params);
+};
+
+FakeSQLiteDatabase.prototype.getFirstAsync = async function(source) {
+  const params = normalizeParams(Array.prototype.slice.call(arguments, 1));
+  await tick();
+  return getFirstRow(this.getNative('getFirstAsync'), 'getFirstAsync', source, params);
+};
+
+FakeSQLiteDatabase.prototype.getAllSync = function(source) {
+  const params = normalizeParams(Array.prototype.slice.call(arguments, 1));
+  return getAllRows(this.getNative('getAllSync'), 'getAllSync', source, params);
+};
+
+FakeSQLiteDatabase.prototype.getAllAsync = async function(source) {
+  const params = normalizeParams(Array.prototype.slice.call(arguments, 1));
+  await tick();
+  return getAllRows(this.getNative('getAllAsync'), 'getAllAsync', source, params);
+};
+
+FakeSQLiteDatabase.prototype.prepareAsync = async function(source) {
+  await tick();
+  const native = this.getNative('prepareAsync');
+  try {
+    return new FakeSQLiteStatement(this, native.prepare(source));
+  } catch (error) {
+    throw toExpoError('prepareAsync', error);
+  }
+};
+
+FakeSQLiteDatabase.prototype.isInTransactionSync = function() {
+  return this.getNative('isInTransactionSync').inTransaction;
+};
+
+FakeSQLiteDatabase.prototype.isInTransactionAsync = async function() {
+  await tick();
+  return this.getNative('isInTransactionAsync').inTransaction;
+};
+
+/**
+ * Same semantics as expo-sqlite: BEGIN, await the task, COMMIT or ROLLBACK.
+ * Other queries issued on this connection while the task is pending become
+ * part of the transaction, and the task's return value is discarded.
+ */
+FakeSQLiteDatabase.prototype.withTransactionAsync = async function(task) {
+  try {
+    await this.execAsync('BEGIN');
+    await task();
+    await this.execAsync('COMMIT');
+  } catch (error) {
+    if (this.connection.native.open && this.connection.native.inTransaction) {
+      await this.execAsync('ROLLBACK');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Same semantics as expo-sqlite: the task receives a separate connection to
+ * the same database, and only queries made through it are transactional.
+ */
+FakeSQLiteDatabase.prototype.withExclusiveTransactionAsync = async function(task) {
+  if (this.databasePath === ':memory:') {
+    throw new Error('withExclusiveTransactionAsync is not supported for in-memory databases');
+  }
+
+  const transaction = this.sqlite.openDatabaseSync(this.databaseName, { useNewConnection: true }, path.dirname(this.databasePath));
+  try {
+    await transaction.execAsync('BEGIN');
+    await task(transaction);
+    await transaction.execAsync('COMMIT');
+  } catch (error) {
+    if (transaction.connection.native.open && transaction.connection.native.inTransaction) {
+      await transaction.execAsync('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    await transaction.closeAsync();
+  }
+};
+
+FakeSQLiteDatabase.prototype.closeSync = function() {
+  this.getNative('closeSync');
+  this.closed = true;
+  this.sqlite.releaseConnection(this.connection);
+};
+
+FakeSQLiteDatabase.prototype.closeAsync = async function() {
+  await tick();
+  this.closeSync();
+};
+
+/**
+ * FakeSQLiteStatement - mirrors expo-sqlite's SQLiteStatement class
+ */
+function FakeSQLiteStatement(database, statement) {
+  this.database = database;
+  this.statement = statement;
+  this.finalized = false;
+}
+
+FakeSQLiteStatement.prototype.executeAsync = async function() {
+  const params = normalizeParams(Array.prototype.slice.call(arguments));
+  await tick();
+  if (this.finalized) {
+    throw new Error('Access to closed resource: executeAsync');
+  }
+  this.database.getNative('executeAsync');
+  return createExecuteResult(this.statement, params);
+};
+
+FakeSQLiteStatement.prototype.finalizeAsync = async function() {
+  await tick();
+  this.finalized = true;
+};
+
+function createExecuteResult(statement, params) {
+  if (!statement.reader) {
+    let info;
+    try {
+      info = statement.run.apply(statement, params);
+    } catch (error) {
+      throw toExpoError('executeAsync', error);
+    }
+    return {
+      lastInsertRowId: Number(info.lastInsertRowid),
+      changes: info.changes,
+      getFirstAsync: async function() { return null; },
+      getAllAsync: async function() { return []; },
+      resetAsync: async function() {},
+      [Symbol.asyncIterator]: async function*() {}
+    };
+  }
+
+  // better-sqlite3 locks the whole connection while an iterator is open, so
+  // rows are read into a buffer and handed out from there. Like expo-sqlite,
+  // the statement runs when executed rather than when the first row is read.
+  let rows = null;
+  let position = 0;
+  const result = {
+    lastInsertRowId: 0,
+    changes: 0,
+    getFirstAsync: async function() {
+      await tick();
+      const step = nextRow();
+      return step.done ? null : step.value;
+    },
+    getAllAsync: async function() {
+      await tick();
+      const remaining = [];
+      for (let step = nextRow(); !step.done; step = nextRow()) {
+        remaining.push(step.value);
+      }
+      return remaining;
+    },
+    resetAsync: async function() {
+      await tick();
+      rows = null;
+      position = 0;
+    },
+    [Symbol.asyncIterator]: async function*() {
+      for (;;) {
+        await tick();
+        const step = nextRow();
+        if (step.done) {
+          return;
+        }
+        yield step.value;
+      }
+    }
+  };
+
+  function nextRow() {
+    if (!rows) {
+      try {
+        rows = statement.all.apply(statement, params);
+      } catch (error) {
+        throw toExpoError('executeAsync', error);
+      }
+    }
+    return position < rows.length
+      ? { done: false, value: rows[position++] }
+      : { done: true, value: undefined };
+  }
+
+  nextRow();
+  position = 0;
+  return result;
+}
+
+function runStatement(native, method, source, params) {
+  try {
+    const statement = native.prepare(source);
+    if (statement.reader) {
+      // e.g. PRAGMA journal_mode=WAL or INSERT ... RETURNING through runAsync
+      statement.all.apply(statement, params);
+      return { lastInsertRowId: 0, changes: 0 };
+    }
+    const info = statement.run.apply(statement, params);
+    return {
+      lastInsertRowId: Number(info.lastInsertRowid),
+      changes: info.changes
+    };
+  } catch (error) {
+    throw toExpoError(method, error);
+  }
+}
+
+function getFirstRow(native, method, source, params) {
+  try {
+    const statement = native.prepare(source);
+    if (!statement.reader) {
+      statement.run.apply(statement, params);
+      return null;
+    }
+    const row = statement.get.apply(statement, params);
+    return row === undefined ? null : row;
+  } catch (error) {
+    throw toExpoError(method, error);
+  }
+}
+
+function getAllRows(native, method, source, params) {
+  try {
+    const statement = native.prepare(source);
+    if (!statement.reader) {
+      statement.run.apply(statement, params);
+      return [];
+    }
+    return statement.all.apply(statement, params);
+  } catch (error) {
+    throw toExpoError(method, error);
+  }
+}
+
+/**
+ * expo-sqlite accepts params as an array, as variadic arguments, or as an
+ * object keyed with the placeholder prefix ($name, :name, @name)
+ */
+function normalizeParams(args) {
+  if (args.length === 0 || args[0] === undefined) {
+    return [];
+  }
+  if (args.length === 1 && Array.isArray(args[0])) {
+    return args[0].map(normalizeValue);
+  }
+  if (args.length === 1 && isPlainObject(args[0])) {
+    const named = {};
+    Object.keys(args[0]).forEach(function(key) {
+      named[key.replace(/^[$:@]/, '')] = normalizeValue(args[0][key]);
+    });
+    return [named];
+  }
+  return args.map(normalizeValue);
+}
+
+function normalizeValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' &&
+    !Buffer.isBuffer(value) && !(value instanceof Uint8Array);
+}
+
+const SQLITE_RESULT_CODES = {
+  SQLITE_ERROR: 1,
+  SQLITE_INTERNAL: 2,
+  SQLITE_PERM: 3,
+  SQLITE_ABORT: 4,
+  SQLITE_BUSY: 5,
+  SQLITE_LOCKED: 6,
+  SQLITE_NOMEM: 7,
+  SQLITE_READONLY: 8,
+  SQLITE_INTERRUPT: 9,
+  SQLITE_IOERR: 10,
+  SQLITE_CORRUPT: 11,
+  SQLITE_FULL: 13,
+  SQLITE_CANTOPEN: 14,
+  SQLITE_SCHEMA: 17,
+  SQLITE_TOOBIG: 18,
+  SQLITE_CONSTRAINT: 19,
+  SQLITE_MISMATCH: 20,
+  SQLITE_MISUSE: 21,
+  SQLITE_AUTH: 23,
+  SQLITE_RANGE: 25,
+  SQLITE_NOTADB: 26
+};
+
+/**
+ * Wrap an engine error the way expo-sqlite reports native SQLite failures
+ */
+function toExpoError(method, error) {
+  if (!error || typeof error.code !== 'string' || error.code.indexOf('SQLITE_') !== 0) {
+    return error;
+  }
+
+  const primaryCode = error.code.split('_').slice(0, 2).join('_');
+  const resultCode = SQLITE_RESULT_CODES[primaryCode] || SQLITE_RESULT_CODES.SQLITE_ERROR;
+  const wrapped = new Error('Calling the \'' + method + '\' function has failed\n' +
+    '→ Caused by: Error code ' + resultCode + ': ' + error.message);
+  wrapped.code = 'ERR_INTERNAL_SQLITE_ERROR';
+  return wrapped;
+}
+
+const ATTACH_STATEMENT = /^\s*ATTACH\s+(?:DATABASE\s+)?(\?|'((?:[^']|'')*)')\s+AS\s+(\w+)/i;
+const DETACH_STATEMENT = /^\s*DETACH\s+(?:DATABASE\s+)?(\w+)/i;
+// PRAGMA name or PRAGMA schema.name, which reads a setting without changing it
+const PRAGMA_QUERY = /^\s*PRAGMA\s+(?:\w+\s*\.\s*)?\w+\s*;?\s*$/i;
+
+/**
+ * Let ATTACH take URI filenames, and keep track of the attachments opened
+ * read-only through one
+ */
+function supportUriAttachments(native) {
+  const prepare = native.prepare.bind(native);
+  const exec = native.exec.bind(native);
+  const readOnlySchemas = {};
+
+  native.prepare = function(source) {
+    const attach = ATTACH_STATEMENT.exec(source);
+    if (attach) {
+      return prepareAttach(prepare, source, attach, readOnlySchemas);
+    }
+    const detach = DETACH_STATEMENT.exec(source);
+    if (detach) {
+      const statement = prepare(source);
+      return {
+        reader: false,
+        readonly: false,
+        run: function() {
+          const info = statement.run.apply(statement, arguments);
+          delete readOnlySchemas[detach[1].toLowerCase()];
+          return info;
+        }
+      };
+    }
+
+    const statement = prepare(source);
+    // The engine counts pragmas that could set a value, like journal_mode, as
+    // writes even when they only read it
+    if (!statement.readonly && !PRAGMA_QUERY.test(source)) {
+      checkReadOnlySchemas(readOnlySchemas, source);
+    }
+    return statement;
+  };
+
+  native.exec = function(source) {
+    if (/\b(INSERT|UPDATE|DELETE|REPLACE|CREATE|DROP|ALTER)\b/i.test(source)) {
+      checkReadOnlySchemas(readOnlySchemas, source);
+    }
+    return exec(source);
+  };
+  return native;
+}
+
+const CHANGE_OPERATIONS = { INSERT: 'NEW', UPDATE: 'NEW', DELETE: 'OLD' };
+
+/**
+ * Add the triggers that report row changes to the tables that have none yet
+ */
+function createChangeTriggers(prepare) {
+  const existing = {};
+  prepare('SELECT name FROM sqlite_temp_master WHERE type = \'trigger\'').all().forEach(function(row) {
+    existing[row.name] = true;
+  });
+
+  prepare('PRAGMA database_list').all().forEach(function(database) {
+    if (database.name === 'temp') {
+      return;
+    }
+    const schema = quoteIdentifier(database.name);
+    const tables = prepare('SELECT name, sql FROM ' + schema + '.sqlite_master ' +
+      'WHERE type = \'table\' AND name NOT LIKE \'sqlite_%\'').all();
+    tables.forEach(function(table) {
+      if (/^\s*CREATE\s+VIRTUAL\b|\bWITHOUT\s+ROWID\b/i.test(table.sql)) {
+        return;
+      }
+      Object.keys(CHANGE_OPERATIONS).forEach(function(operation) {
+        const name = 'fake_change:' + database.name + '.' + table.name + ':' + operation;
+        if (existing[name]) {
+          return;
+        }
+        const row = CHANGE_OPERATIONS[operation];
+        try {
+          prepare('CREATE TEMP TRIGGER ' + quoteIdentifier(name) + ' AFTER ' + operation +
+            ' ON ' + schema + '.' + quoteIdentifier(table.name) + ' BEGIN' +
+            ' SELECT fake_expo_sqlite_change(' + quoteLiteral(database.name) + ', ' +
+            quoteLiteral(database.file) + ', ' + quoteLiteral(table.name) + ', ' + row + '.rowid);' +
+            ' END').run();
+        } catch (error) {
+          // e.g. a read-only attachment; its rows can't change anyway
+        }
+      });
+    });
+  });
+}
+
+function dropChangeTriggers(prepare, schema) {
+  const prefix = 'fake_change:' + schema.toLowerCase() + '.';
+  prepare('SELECT name FROM sqlite_temp_master WHERE type = \'trigger\'').all().forEach(function(row) {
+    if (row.name.toLowerCase().indexOf(prefix) === 0) {
+      prepare('DROP TRIGGER temp.' + quoteIdentifier(row.name)).run();
+    }
+  });
+}
+
+function quoteIdentifier(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+function prepareAttach(prepare, source, attach, readOnlySchemas) {
+  const literal = attach[1] !== '?';
+  const target = literal ? parseUriFilename(attach[2].replace(/''/g, "'")) : null;
+  const statement = prepare(literal
+    ? source.replace(attach[1], "'" + target.path.replace(/'/g, "''") + "'")
+    : source);
+
+  return {
+    reader: false,
+    readonly: false,
+    run: function() {
+      const params = Array.prototype.slice.call(arguments);
+      let parsed = target;
+      if (!literal) {
+        parsed = parseUriFilename(params[0]);
+        params[0] = parsed.path;
+      }
+      const info = statement.run.apply(statement, params);
+      if (parsed.readOnly) {
+        readOnlySchemas[attach[3].toLowerCase()] = true;
+      }
+      return info;
+    }
+  };
+}
+
+/**
+ * Split file:/path?mode=ro&immutable=1 into the path and whether it is read-only
+ */
+function parseUriFilename(filename) {
+  if (typeof filename !== 'string' || filename.indexOf('file:') !== 0) {
+    return { path: filename, readOnly: false };
+  }
+  const query = filename.indexOf('?');
+  const uriPath = query === -1 ? filename.slice(5) : filename.slice(5, query);
+  const options = new URLSearchParams(query === -1 ? '' : filename.slice(query + 1));
+  return {
+    path: decodeURIComponent(uriPath.replace(/^\/\/(localhost)?(?=\/)/, '')),
+    readOnly: options.get('mode') === 'ro' || options.get('immutable') === '1'
+  };
+}
+
+function checkReadOnlySchemas(readOnlySchemas, source) {
+  Object.keys(readOnlySchemas).forEach(function(schema) {
+    if (new RegExp('\\b' + schema + '\\s*\\.', 'i').test(source)) {
+      const error = new Error('attempt to write a readonly database');
+      error.code = 'SQLITE_READONLY';
+      throw error;
+    }
+  });
+}
+
+function stripFileUri(dirPath) {
+  return dirPath ? dirPath.replace(/^file:\/\//, '') : dirPath;
+}
+
+function tick() {
+  return new Promise(function(resolve) {
+    setImmediate(resolve);
+  });
+}
+
+function loadBetterSqlite3() {
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND' || e.message.indexOf('\'better-sqlite3\'') === -1) {
+      throw e;
+    }
+    throw new Error('FakeExpoSqlite runs on better-sqlite3, an optional peer dependency of ' +
+      '@shaxpir/sharedb-storage-expo-sqlite that is not installed. ' +
+      'Install it with npm install --save-dev better-sqlite3, or pass a compatible Database constructor.');
+  }
+}
+
+FakeExpoSqlite.FakeSQLiteDatabase = FakeSQLiteDatabase;
+FakeExpoSqlite.FakeSQLiteStatement = FakeSQLiteStatement;
+
+module.exports = FakeExpoSqlite;
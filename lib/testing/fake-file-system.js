@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FakeFileSystem - an in-process stand-in for expo-file-system/legacy
+ *
+ * Maps the legacy expo-file-system API onto a real directory tree so the
+ * adapters' file helpers can be exercised in Node. Accepts file:// URIs as
+ * well as bare absolute paths, like the adapters pass around.
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory that stands in for the app sandbox
+ */
+function FakeFileSystem(options) {
+  options = options || {};
+  if (!options.rootDir) {
+    throw new Error('rootDir is required');
+  }
+
+  this.rootDir = options.rootDir;
+  this.documentDirectory = 'file://' + path.join(this.rootDir, 'Documents') + '/';
+  this.cacheDirectory = 'file://' + path.join(this.rootDir, 'Caches') + '/';
+  this.bundleDirectory = 'file://' + path.join(this.rootDir, 'Bundle') + '/';
+
+  fs.mkdirSync(path.join(this.rootDir, 'Documents'), { recursive: true });
+  fs.mkdirSync(path.join(this.rootDir, 'Caches'), { recursive: true });
+  fs.mkdirSync(path.join(this.rootDir, 'Bundle'), { recursive: true });
+}
+
+FakeFileSystem.EncodingType = FakeFileSystem.prototype.EncodingType = {
+  UTF8: 'utf8',
+  Base64: 'base64'
+};
+
+FakeFileSystem.prototype.getInfoAsync = async function(fileUri, options) {
+  options = options || {};
+  const filePath = toPath(fileUri);
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (e) {
+    return { exists: false, isDirectory: false, uri: fileUri };
+  }
+
+  const info = {
+    exists: true,
+    isDirectory: stats.isDirectory(),
+    size: stats.size,
+    modificationTime: stats.mtimeMs / 1000,
+    uri: fileUri
+  };
+  if (options.md5 && !info.isDirectory) {
+    info.md5 = crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+  }
+  return info;
+};
+
+FakeFileSystem.prototype.readAsStringAsync = async function(fileUri, options) {
+  const encoding = (options && options.encoding) || 'utf8';
+  return fs.readFileSync(toPath(fileUri)).toString(encoding);
+};
+
+FakeFileSystem.prototype.writeAsStringAsync = async function(fileUri, contents, options) {
+  const encoding = (options && options.encoding) || 'utf8';
+  fs.writeFileSync(toPath(fileUri), Buffer.from(contents, encoding));
+};
+
+FakeFileSystem.prototype.deleteAsync = async function(fileUri, options) {
+  const filePath = toPath(fileUri);
+  if (!fs.existsSync(filePath)) {
+    if (options && options.idempotent) {
+      return;
+    }
+    throw new Error('File \'' + fileUri + '\' could not be deleted because it could not be found');
+  }
+  fs.rmSync(filePath, { recursive: true, force: true });
+};
+
+FakeFileSystem.prototype.moveAsync = async function(options) {
+  const to = toPath(options.to);
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.renameSync(toPath(options.from), to);
+};
+
+FakeFileSystem.prototype.copyAsync = async function(options) {
+  const to = toPath(options.to);
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.cpSync(toPath(options.from), to, { recursive: true });
+};
+
+FakeFileSystem.prototype.makeDirectoryAsync = async function(fileUri, options) {
+  const intermediates = !!(options && options.intermediates);
+  const dirPath = toPath(fileUri);
+  if (fs.existsSync(dirPath) && !intermediates) {
+    throw new Error('Directory \'' + fileUri + '\' could not be created or already exists');
+  }
+  fs.mkdirSync(dirPath, { recursive: intermediates });
+};
+
+FakeFileSystem.prototype.readDirectoryAsync = async function(fileUri) {
+  return fs.readdirSync(toPath(fileUri));
+};
+
+function toPath(fileUri) {
+  if (!fileUri) {
+    throw new Error('A file URI is required');
+  }
+  return decodeURI(fileUri.replace(/^file:\/\//, ''));
+}
+
+module.exports = FakeFileSystem;
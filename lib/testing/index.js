@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeExpoSqlite = require('./fake-expo-sqlite');
+const FakeFileSystem = require('./fake-file-system');
+const FakeAppState = require('./fake-app-state');
+
+/**
+ * Create a throwaway expo environment rooted in a temporary directory.
+ *
+ * The returned SQLite and FileSystem objects share the same sandbox, laid out
+ * like an iOS app container: databases opened by name live in
+ * <rootDir>/Documents/SQLite, which is where expo-sqlite puts them on device.
+ * AppState starts out active; move it with AppState.setState('background').
+ *
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Sandbox directory (default: a new temp dir)
+ * @param {Function} [options.Database] - better-sqlite3 compatible constructor
+ * @param {boolean} [options.uriFilenames] - Accept URI filenames in ATTACH, like
+ *   expo-sqlite's bundled SQLite; needed for read-only attachments (default: false)
+ * @returns {{rootDir: string, SQLite: FakeExpoSqlite, FileSystem: FakeFileSystem,
+ *   AppState: FakeAppState, cleanup: Function}}
+ */
+function createTestEnvironment(options) {
+  options = options || {};
+  const rootDir = options.rootDir || fs.mkdtempSync(path.join(os.tmpdir(), 'expo-sqlite-test-'));
+
+  const FileSystem = new FakeFileSystem({ rootDir: rootDir });
+  const SQLite = new FakeExpoSqlite({
+    directory: path.join(rootDir, 'Documents', 'SQLite'),
+    Database: options.Database,
+    uriFilenames: options.uriFilenames
+  });
+
+  return {
+    rootDir: rootDir,
+    SQLite: SQLite,
+    FileSystem: FileSystem,
+    AppState: new FakeAppState(),
+    cleanup: function() {
+      SQLite.closeAll();
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  FakeExpoSqlite: FakeExpoSqlite,
+  FakeFileSystem: FakeFileSystem,
+  FakeAppState: FakeAppState,
+  createTestEnvironment: createTestEnvironment
+};
@@ -0,0 +1,163 @@
+/**
+ * Installation of databases bundled with the app as Expo assets
+ *
+ * A bundled database is copied into the SQLite directory before it is
+ * opened, and copied again when the app ships a newer version of it. The
+ * installed version is kept in a sidecar file next to the database,
+ * `<fileName>.version`, so the database file stays exactly as shipped and
+ * its checksum can still be verified.
+ *
+ * The asset is copied to `<fileName>.installing` first and moved into place
+ * once complete, so an interrupted install never leaves a partial database
+ * behind. The sidecar is written last: an install interrupted before it runs
+ * again on the next launch.
+ */
+
+const { resolveAsset, requireFileSystem } = require('./expo-modules');
+const { toFileUri, fileExists, moveDatabaseFiles, deleteDatabaseFiles } = require('./database-files');
+const { resolveDatabasePath } = require('./paths');
+const { resolveLogger } = require('../logger');
+
+/**
+ * Install a bundled database unless the same or a newer version is installed
+ *
+ *   await installDatabaseAsset(require('./assets/dictionary.db'), {
+ *     fileName: 'dictionary.db',
+ *     version: 3
+ *   });
+ *
+ * The database must not be open while a new version is installed, so
+ * install before connecting.
+ *
+ * @param {number|Object|string} asset - Module reference from require(), an expo-asset
+ *   Asset, or the URI of the file to copy
+ * @param {Object} options
+ * @param {string} options.fileName - File name to install the database as
+ * @param {number} options.version - Version of the bundled database, a positive integer
+ * @param {string} [options.dirPath] - Directory to install into, resolved like an adapter's
+ *   dirPath (default: expo-sqlite's SQLite directory in the document directory)
+ * @param {string} [options.md5] - Checksum the copy must have (default: the asset's hash)
+ * @param {Object} [options.Asset] - expo-asset's Asset class to use instead of requiring it
+ * @param {Object} [options.FileSystem] - expo-file-system module to use instead of requiring it
+ * @param {Object} [options.SQLite] - expo-sqlite module, to find its SQLite directory
+ * @param {string} [options.appGroup] - iOS app group a relative dirPath is resolved in
+ * @param {Object} [options.logger] - Logger (see lib/logger.js)
+ * @returns {Promise<Object>} { path, version, previousVersion, installed }; previousVersion
+ *   is null when nothing was installed before
+ */
+async function installDatabaseAsset(asset, options) {
+  options = options || {};
+  if (!options.fileName) {
+    throw new Error('installDatabaseAsset requires a fileName');
+  }
+  if (!Number.isInteger(options.version) || options.version < 1) {
+    throw new Error('Asset version must be a positive integer: ' + options.version);
+  }
+
+  const FileSystem = requireFileSystem(options);
+  const logger = resolveLogger(options, 'installDatabaseAsset');
+  const databasePath = resolveDatabasePath(options.dirPath || FileSystem.documentDirectory, options.fileName, {
+    SQLite: options.SQLite,
+    FileSystem: FileSystem,
+    appGroup: options.appGroup
+  });
+  const previousVersion = await readInstalledVersion(FileSystem, databasePath);
+  const result = {
+    path: databasePath,
+    version: options.version,
+    previousVersion: previousVersion,
+    installed: false
+  };
+
+  if (previousVersion !== null && previousVersion >= options.version) {
+    logger.debug('Bundled database is up to date', { fileName: options.fileName, version: previousVersion });
+    return result;
+  }
+
+  const source = await downloadAsset(asset, options);
+  const directory = databasePath.slice(0, databasePath.lastIndexOf('/') + 1);
+  if (!(await fileExists(FileSystem, directory))) {
+    await FileSystem.makeDirectoryAsync(toFileUri(directory), { intermediates: true });
+  }
+
+  const installingPath = databasePath + '.installing';
+  await FileSystem.deleteAsync(toFileUri(installingPath), { idempotent: true });
+  await FileSystem.copyAsync({ from: source.uri, to: toFileUri(installingPath) });
+  try {
+    await verifyCopy(FileSystem, installingPath, options.md5 || source.md5);
+  } catch (error) {
+    await FileSystem.deleteAsync(toFileUri(installingPath), { idempotent: true });
+    throw error;
+  }
+
+  // The old version's -wal and -shm files must not be applied to the new one
+  const replacedPath = databasePath + '.replaced-' + Date.now();
+  await moveDatabaseFiles(FileSystem, databasePath, replacedPath);
+  await FileSystem.moveAsync({ from: toFileUri(installingPath), to: toFileUri(databasePath) });
+  await deleteDatabaseFiles(FileSystem, replacedPath);
+  await FileSystem.writeAsStringAsync(toFileUri(versionPath(databasePath)), String(options.version));
+
+  logger.info('Installed bundled database', {
+    fileName: options.fileName,
+    version: options.version,
+    previousVersion: previousVersion
+  });
+  result.installed = true;
+  return result;
+}
+
+/**
+ * Version of the bundled database installed at a path
+ * @param {Object} FileSystem - Legacy-shaped expo-file-system module
+ * @param {string} databasePath - Path of the database file
+ * @returns {Promise<number|null>} Installed version, or null when the database or its
+ *   version is missing
+ */
+async function readInstalledVersion(FileSystem, databasePath) {
+  if (!(await fileExists(FileSystem, databasePath)) || !(await fileExists(FileSystem, versionPath(databasePath)))) {
+    return null;
+  }
+  const version = parseInt(await FileSystem.readAsStringAsync(toFileUri(versionPath(databasePath))), 10);
+  return Number.isInteger(version) ? version : null;
+}
+
+function versionPath(databasePath) {
+  return databasePath + '.version';
+}
+
+/**
+ * Local URI of an asset, downloading it first where needed, and its MD5 hash
+ * when expo-asset knows it
+ */
+async function downloadAsset(asset, options) {
+  if (typeof asset === 'string') {
+    return { uri: toFileUri(asset), md5: null };
+  }
+  if (asset === null || asset === undefined) {
+    throw new Error('installDatabaseAsset requires an asset');
+  }
+
+  const resolved = typeof asset.downloadAsync === 'function' ? asset : resolveAsset(options).fromModule(asset);
+  await resolved.downloadAsync();
+  const uri = resolved.localUri || resolved.uri;
+  if (!uri) {
+    throw new Error('Asset ' + (resolved.name || asset) + ' has no local file');
+  }
+  return { uri: uri, md5: resolved.hash || null };
+}
+
+async function verifyCopy(FileSystem, filePath, md5) {
+  if (!md5) {
+    return;
+  }
+  const info = await FileSystem.getInfoAsync(toFileUri(filePath), { md5: true });
+  if (info.md5 && info.md5 !== md5.toLowerCase()) {
+    throw new Error('Checksum mismatch installing ' + filePath.slice(0, -'.installing'.length) +
+      ': expected ' + md5 + ', got ' + info.md5);
+  }
+}
+
+module.exports = {
+  installDatabaseAsset,
+  readInstalledVersion
+};
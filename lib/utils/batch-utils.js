@@ -0,0 +1,93 @@
+/**
+ * Helpers for batched writes
+ */
+
+/**
+ * Default cap on bound variables per statement. SQLite builds before 3.32
+ * allow 999; newer ones allow 32766.
+ */
+const DEFAULT_MAX_VARIABLES = 999;
+
+// INSERT/REPLACE with a single VALUES tuple made only of ? placeholders
+const SINGLE_ROW_INSERT = /^(\s*(?:INSERT|REPLACE)\b[\s\S]*?\bVALUES\s*)(\(\s*\?(?:\s*,\s*\?)*\s*\))([\s\S]*)$/i;
+
+/**
+ * Normalize a batch entry to { sql, params }
+ * @param {Object|Array|string} statement - { sql, params }, [sql, params] or sql
+ * @param {number} index - Position in the batch, for error messages
+ * @returns {{sql: string, params: Array}}
+ */
+function normalizeBatchStatement(statement, index) {
+  let sql;
+  let params;
+
+  if (typeof statement === 'string') {
+    sql = statement;
+  } else if (Array.isArray(statement)) {
+    sql = statement[0];
+    params = statement[1];
+  } else if (statement) {
+    sql = statement.sql;
+    params = statement.params;
+  }
+
+  if (typeof sql !== 'string' || !sql) {
+    throw new Error('Batch statement ' + index + ' has no sql');
+  }
+  return { sql: sql, params: params || [] };
+}
+
+/**
+ * Turn one SQL statement and many parameter sets into the statements to run.
+ *
+ * A single-row INSERT whose VALUES tuple is all ? placeholders is rewritten
+ * as multi-row INSERTs, each binding at most maxVariables values. Any other
+ * statement is run once per parameter set.
+ *
+ * @param {string} sql - Statement to run for every parameter set
+ * @param {Array<Array>} paramSets - One parameter array per row
+ * @param {number} [maxVariables] - Bound variable limit per statement
+ * @returns {Array<{sql: string, params: Array, paramSetCount: number}>} paramSetCount is
+ *   how many of the parameter sets, taken in order, the statement binds
+ */
+function chunkParameterSets(sql, paramSets, maxVariables) {
+  maxVariables = maxVariables || DEFAULT_MAX_VARIABLES;
+
+  const match = SINGLE_ROW_INSERT.exec(sql);
+  // Placeholders after VALUES (e.g. in an upsert clause) can't be repeated per row
+  if (!match || match[3].indexOf('?') !== -1) {
+    return paramSets.map(function(params) {
+      return { sql: sql, params: params, paramSetCount: 1 };
+    });
+  }
+
+  const head = match[1];
+  const tuple = match[2];
+  const tail = match[3];
+  const perRow = tuple.split('?').length - 1;
+  const rowsPerStatement = Math.max(1, Math.floor(maxVariables / perRow));
+
+  const statements = [];
+  for (let start = 0; start < paramSets.length; start += rowsPerStatement) {
+    const rows = paramSets.slice(start, start + rowsPerStatement);
+    const params = [];
+    rows.forEach(function(row, offset) {
+      if (!Array.isArray(row) || row.length !== perRow) {
+        throw new Error('Parameter set ' + (start + offset) + ' must have ' + perRow + ' values');
+      }
+      params.push.apply(params, row);
+    });
+    statements.push({
+      sql: head + new Array(rows.length).fill(tuple).join(', ') + tail,
+      params: params,
+      paramSetCount: rows.length
+    });
+  }
+  return statements;
+}
+
+module.exports = {
+  DEFAULT_MAX_VARIABLES,
+  normalizeBatchStatement,
+  chunkParameterSets
+};
@@ -0,0 +1,198 @@
+/**
+ * Table-level change notifications for one connection
+ *
+ * Changes come from the statements the adapter runs, or from expo-sqlite's
+ * addDatabaseChangeListener, and reach listeners as events:
+ *
+ *   { alias, table, operation, rowIds }
+ *
+ * alias is the schema ('main', or an attachment's alias), operation is
+ * insert, update or delete (null when expo-sqlite reported the change, as it
+ * doesn't say which), and rowIds lists the rowids changed, or is null when
+ * they aren't known.
+ *
+ * Changes made in a transaction are held back until it commits and then
+ * delivered merged, one event per alias, table and operation; a rollback
+ * drops them. Savepoints nest the same way. Events are delivered after the
+ * statement or transaction that caused them has finished, from a microtask.
+ *
+ * expo-sqlite reports each row as it is written, before its transaction
+ * ends, and some time later. Those changes can't be matched to a
+ * transaction, so they bypass it: rows reported together are delivered
+ * merged, from a timer, whether their transaction commits or not.
+ */
+
+// Beyond this many rowids an event reports rowIds: null
+const MAX_ROW_IDS = 1000;
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger for listener failures
+ */
+function ChangeTracker(options) {
+  options = options || {};
+  this.logger = options.logger || null;
+  this.listeners = [];
+  // Changes of the open transaction and its savepoints, innermost last
+  this.buffers = [];
+  // Changes waiting to be delivered, by alias, table and operation
+  this.pending = new Map();
+  this.flushScheduled = false;
+}
+
+ChangeTracker.MAX_ROW_IDS = MAX_ROW_IDS;
+
+/**
+ * Add a listener called with each change event
+ * @param {Function} listener - function(event)
+ * @returns {Object} Subscription with a remove() method
+ */
+ChangeTracker.prototype.addListener = function(listener) {
+  const tracker = this;
+  if (typeof listener !== 'function') {
+    throw new Error('Change listener must be a function');
+  }
+  tracker.listeners.push(listener);
+  return {
+    remove: function() {
+      tracker.listeners = tracker.listeners.filter(function(other) {
+        return other !== listener;
+      });
+    }
+  };
+};
+
+ChangeTracker.prototype.hasListeners = function() {
+  return this.listeners.length > 0;
+};
+
+/**
+ * Record a change, for the open transaction if there is one
+ * @param {Object} change - { alias, table, operation, rowIds }
+ */
+ChangeTracker.prototype.record = function(change) {
+  if (!this.hasListeners()) {
+    return;
+  }
+  if (this.buffers.length > 0) {
+    mergeChange(this.buffers[this.buffers.length - 1], change);
+    return;
+  }
+  mergeChange(this.pending, change);
+  scheduleFlush(this);
+};
+
+/**
+ * Record a change reported by expo-sqlite, outside any transaction
+ * @param {Object} change - { alias, table, operation, rowIds }
+ */
+ChangeTracker.prototype.recordReported = function(change) {
+  const tracker = this;
+  if (!tracker.hasListeners()) {
+    return;
+  }
+  mergeChange(tracker.pending, change);
+  if (tracker.flushScheduled) {
+    return;
+  }
+  // A timer rather than a microtask, so rows reported in a burst arrive as one event
+  tracker.flushScheduled = true;
+  setTimeout(function() {
+    tracker.flush();
+  }, 0);
+};
+
+/**
+ * Start holding back changes for a transaction or savepoint
+ */
+ChangeTracker.prototype.begin = function() {
+  this.buffers.push(new Map());
+};
+
+/**
+ * Pass the innermost transaction's changes on to the enclosing one, or
+ * deliver them when it was the outermost
+ */
+ChangeTracker.prototype.commit = function() {
+  const buffer = this.buffers.pop();
+  if (!buffer) {
+    return;
+  }
+  const target = this.buffers.length > 0 ? this.buffers[this.buffers.length - 1] : this.pending;
+  buffer.forEach(function(change) {
+    mergeChange(target, change);
+  });
+  if (this.buffers.length === 0 && this.pending.size > 0) {
+    scheduleFlush(this);
+  }
+};
+
+/**
+ * Drop the innermost transaction's changes
+ */
+ChangeTracker.prototype.rollback = function() {
+  this.buffers.pop();
+};
+
+/**
+ * Deliver the pending changes now
+ */
+ChangeTracker.prototype.flush = function() {
+  const tracker = this;
+  const events = Array.from(tracker.pending.values());
+  tracker.pending.clear();
+  tracker.flushScheduled = false;
+
+  events.forEach(function(event) {
+    tracker.listeners.slice().forEach(function(listener) {
+      try {
+        listener(event);
+      } catch (error) {
+        if (tracker.logger) {
+          tracker.logger.warn('Change listener failed', { table: event.table, error: error.message });
+        }
+      }
+    });
+  });
+};
+
+function scheduleFlush(tracker) {
+  if (tracker.flushScheduled) {
+    return;
+  }
+  tracker.flushScheduled = true;
+  Promise.resolve().then(function() {
+    tracker.flush();
+  });
+}
+
+function mergeChange(changes, change) {
+  const operation = change.operation || null;
+  const key = change.alias + '\u0000' + change.table + '\u0000' + operation;
+  const rowIds = change.rowIds ? change.rowIds.slice() : null;
+  const existing = changes.get(key);
+
+  if (!existing) {
+    changes.set(key, {
+      alias: change.alias,
+      table: change.table,
+      operation: operation,
+      rowIds: rowIds && rowIds.length <= MAX_ROW_IDS ? rowIds : null
+    });
+    return;
+  }
+  if (!existing.rowIds || !rowIds) {
+    existing.rowIds = null;
+    return;
+  }
+  rowIds.forEach(function(rowId) {
+    if (existing.rowIds.indexOf(rowId) === -1) {
+      existing.rowIds.push(rowId);
+    }
+  });
+  if (existing.rowIds.length > MAX_ROW_IDS) {
+    existing.rowIds = null;
+  }
+}
+
+module.exports = ChangeTracker;
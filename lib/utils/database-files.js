@@ -0,0 +1,98 @@
+/**
+ * Helpers for handling a database file together with the files SQLite keeps
+ * next to it, through a legacy-shaped expo-file-system module
+ */
+
+// The database itself, then the sidecars of WAL and rollback journal mode
+const DATABASE_FILE_SUFFIXES = ['', '-wal', '-shm', '-journal'];
+
+/**
+ * Turn an absolute path into a file:// URI, which expo-file-system's modern
+ * API requires. URIs, of any scheme, are returned unchanged.
+ * @param {string} pathOrUri - Absolute path or URI
+ * @returns {string}
+ */
+function toFileUri(pathOrUri) {
+  if (typeof pathOrUri === 'string' && pathOrUri.charAt(0) === '/') {
+    return 'file://' + pathOrUri;
+  }
+  return pathOrUri;
+}
+
+/**
+ * @param {Object} FileSystem - Legacy-shaped expo-file-system module
+ * @param {string} filePath - Path or file:// URI
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(FileSystem, filePath) {
+  const info = await FileSystem.getInfoAsync(toFileUri(filePath));
+  return info.exists;
+}
+
+/**
+ * Move a database and whichever of its sidecars exist
+ * @param {Object} FileSystem - Legacy-shaped expo-file-system module
+ * @param {string} fromPath - Current path of the database file
+ * @param {string} toPath - New path of the database file; sidecars keep their suffix
+ */
+async function moveDatabaseFiles(FileSystem, fromPath, toPath) {
+  for (const suffix of DATABASE_FILE_SUFFIXES) {
+    if (await fileExists(FileSystem, fromPath + suffix)) {
+      await FileSystem.moveAsync({ from: toFileUri(fromPath + suffix), to: toFileUri(toPath + suffix) });
+    }
+  }
+}
+
+/**
+ * Delete a database and its sidecars
+ * @param {Object} FileSystem - Legacy-shaped expo-file-system module
+ * @param {string} filePath - Path of the database file
+ */
+async function deleteDatabaseFiles(FileSystem, filePath) {
+  for (const suffix of DATABASE_FILE_SUFFIXES) {
+    await FileSystem.deleteAsync(toFileUri(filePath + suffix), { idempotent: true });
+  }
+}
+
+/**
+ * Replace a closed database with a copy of another database file
+ *
+ * The current files are moved aside first. If copying fails, or verify
+ * rejects, they are moved back and the error is rethrown; otherwise they are
+ * deleted.
+ *
+ * @param {Object} FileSystem - Legacy-shaped expo-file-system module
+ * @param {string} sourcePath - Database file to copy in, e.g. a backup
+ * @param {string} databasePath - Database file to replace
+ * @param {Function} [verify] - async function() run after the copy, e.g. reconnecting
+ * @param {Function} [undo] - async function() run before the original files are moved back
+ */
+async function replaceDatabaseFiles(FileSystem, sourcePath, databasePath, verify, undo) {
+  const asidePath = databasePath + '.replaced-' + Date.now();
+  await moveDatabaseFiles(FileSystem, databasePath, asidePath);
+
+  try {
+    await FileSystem.copyAsync({ from: toFileUri(sourcePath), to: toFileUri(databasePath) });
+    if (verify) {
+      await verify();
+    }
+  } catch (error) {
+    if (undo) {
+      await undo();
+    }
+    await deleteDatabaseFiles(FileSystem, databasePath);
+    await moveDatabaseFiles(FileSystem, asidePath, databasePath);
+    throw error;
+  }
+
+  await deleteDatabaseFiles(FileSystem, asidePath);
+}
+
+module.exports = {
+  DATABASE_FILE_SUFFIXES,
+  toFileUri,
+  fileExists,
+  moveDatabaseFiles,
+  deleteDatabaseFiles,
+  replaceDatabaseFiles
+};
@@ -0,0 +1,59 @@
+/**
+ * SQLCipher key handling
+ *
+ * An encryption key option is either a passphrase string or an async
+ * function returning one, e.g. reading it from expo-secure-store, so the key
+ * doesn't have to stay in memory between connections. SQLCipher derives the
+ * actual key from the passphrase.
+ *
+ * PRAGMA key and PRAGMA rekey can't take bound parameters, so the passphrase
+ * is quoted into the statement. Those statements are executed directly on
+ * the connection and never reach query events, logs or the slow query log.
+ */
+
+/**
+ * Resolve an encryption key option to the passphrase
+ * @param {string|Function} encryptionKey - Passphrase, or async function() returning it
+ * @returns {Promise<string>} Passphrase
+ */
+async function resolveEncryptionKey(encryptionKey) {
+  const key = typeof encryptionKey === 'function' ? await encryptionKey() : encryptionKey;
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new Error('encryptionKey must be a non-empty string or a function returning one');
+  }
+  return key;
+}
+
+/**
+ * Quote a value as an SQL string literal
+ * @param {string} value - Value to quote
+ * @returns {string} Literal, e.g. 'it''s'
+ */
+function quoteSqlString(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * Statement setting the key of a connection; must run before any other
+ * @param {string} key - Passphrase
+ * @returns {string} SQL
+ */
+function keyPragma(key) {
+  return 'PRAGMA key = ' + quoteSqlString(key);
+}
+
+/**
+ * Statement re-encrypting the open database with a new key
+ * @param {string} key - New passphrase
+ * @returns {string} SQL
+ */
+function rekeyPragma(key) {
+  return 'PRAGMA rekey = ' + quoteSqlString(key);
+}
+
+module.exports = {
+  resolveEncryptionKey,
+  quoteSqlString,
+  keyPragma,
+  rekeyPragma
+};
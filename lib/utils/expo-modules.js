@@ -0,0 +1,237 @@
+/**
+ * Resolution of the expo-sqlite, expo-file-system and expo-asset modules, and
+ * React Native's AppState
+ *
+ * Adapters accept these modules through their options so they can run against
+ * alternative implementations (web shims, Node test fakes, newer Expo APIs).
+ * When nothing is injected, the installed Expo packages are required.
+ */
+
+const { toFileUri } = require('./database-files');
+
+/**
+ * Resolve the SQLite module
+ * @param {Object} [options] - Adapter options
+ * @param {Object} [options.SQLite] - Injected module exposing openDatabaseSync
+ * @returns {Object} The SQLite module
+ */
+function resolveSQLite(options) {
+  if (options && options.SQLite) {
+    if (typeof options.SQLite.openDatabaseSync !== 'function') {
+      throw new Error('The SQLite option must provide openDatabaseSync()');
+    }
+    return options.SQLite;
+  }
+
+  let SQLite;
+  try {
+    SQLite = require('expo-sqlite');
+  } catch (e) {
+    throw new Error('expo-sqlite module not found: ' + e.message);
+  }
+  if (!SQLite) {
+    throw new Error('expo-sqlite module not found');
+  }
+  return SQLite;
+}
+
+/**
+ * Resolve the FileSystem module, normalized to the legacy expo-file-system API
+ * @param {Object} [options] - Adapter options
+ * @param {Object} [options.FileSystem] - Injected legacy or modern expo-file-system module
+ * @returns {Object|null} Legacy-shaped FileSystem, or null when none is available
+ */
+function resolveFileSystem(options) {
+  if (options && options.FileSystem) {
+    return normalizeFileSystem(options.FileSystem);
+  }
+
+  try {
+    return require('expo-file-system/legacy');
+  } catch (e) {
+    // Fall through to the modern module
+  }
+  try {
+    return normalizeFileSystem(require('expo-file-system'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Like resolveFileSystem, but throws when no FileSystem is available
+ * @param {Object} [options] - Adapter options
+ * @returns {Object} Legacy-shaped FileSystem
+ */
+function requireFileSystem(options) {
+  const FileSystem = resolveFileSystem(options);
+  if (!FileSystem) {
+    throw new Error('expo-file-system module not found');
+  }
+  return FileSystem;
+}
+
+/**
+ * Resolve the Asset class of expo-asset
+ * @param {Object} [options] - Adapter options
+ * @param {Object} [options.Asset] - Injected class exposing fromModule
+ * @returns {Object} The Asset class
+ */
+function resolveAsset(options) {
+  if (options && options.Asset) {
+    if (typeof options.Asset.fromModule !== 'function') {
+      throw new Error('The Asset option must provide fromModule()');
+    }
+    return options.Asset;
+  }
+
+  let ExpoAsset;
+  try {
+    ExpoAsset = require('expo-asset');
+  } catch (e) {
+    throw new Error('expo-asset module not found: ' + e.message);
+  }
+  if (!ExpoAsset || !ExpoAsset.Asset) {
+    throw new Error('expo-asset module not found');
+  }
+  return ExpoAsset.Asset;
+}
+
+/**
+ * Resolve React Native's AppState, or an event source shaped like it
+ * @param {Object} [options] - Adapter options
+ * @param {Object} [options.AppState] - Injected object exposing addEventListener('change', fn)
+ * @returns {Object} The AppState object
+ */
+function resolveAppState(options) {
+  if (options && options.AppState) {
+    if (typeof options.AppState.addEventListener !== 'function') {
+      throw new Error('The AppState option must provide addEventListener()');
+    }
+    return options.AppState;
+  }
+
+  let ReactNative;
+  try {
+    ReactNative = require('react-native');
+  } catch (e) {
+    throw new Error('react-native module not found: ' + e.message);
+  }
+  if (!ReactNative || !ReactNative.AppState) {
+    throw new Error('react-native module not found');
+  }
+  return ReactNative.AppState;
+}
+
+/**
+ * Accept either the legacy API (getInfoAsync, copyAsync, ...) or the
+ * File/Directory/Paths API introduced in expo-file-system 19
+ */
+function normalizeFileSystem(FileSystem) {
+  if (typeof FileSystem.getInfoAsync === 'function') {
+    return FileSystem;
+  }
+  if (FileSystem.File && FileSystem.Directory && FileSystem.Paths) {
+    return wrapModernFileSystem(FileSystem);
+  }
+  throw new Error('Unsupported FileSystem module: expected the legacy API or File/Directory/Paths');
+}
+
+/**
+ * Expose the File/Directory/Paths API through the legacy method names used
+ * throughout this package
+ */
+function wrapModernFileSystem(FileSystem) {
+  const File = FileSystem.File;
+  const Directory = FileSystem.Directory;
+  const Paths = FileSystem.Paths;
+
+  function directoryUri(directory) {
+    return directory ? directory.uri : null;
+  }
+
+  return {
+    documentDirectory: directoryUri(Paths.document),
+    cacheDirectory: directoryUri(Paths.cache),
+    bundleDirectory: directoryUri(Paths.bundle),
+    EncodingType: { UTF8: 'utf8', Base64: 'base64' },
+    modern: FileSystem,
+
+    getInfoAsync: async function(fileUri, options) {
+      const uri = toFileUri(fileUri);
+      const directory = new Directory(uri);
+      if (directory.exists) {
+        return { exists: true, isDirectory: true, uri: uri };
+      }
+
+      const file = new File(uri);
+      if (!file.exists) {
+        return { exists: false, isDirectory: false, uri: uri };
+      }
+      const info = typeof file.info === 'function'
+        ? file.info({ md5: !!(options && options.md5) })
+        : { size: file.size, modificationTime: file.modificationTime, md5: file.md5 };
+      return {
+        exists: true,
+        isDirectory: false,
+        size: info.size,
+        modificationTime: info.modificationTime,
+        md5: info.md5,
+        uri: uri
+      };
+    },
+
+    readAsStringAsync: async function(fileUri, options) {
+      const file = new File(toFileUri(fileUri));
+      return options && options.encoding === 'base64' ? file.base64() : file.text();
+    },
+
+    writeAsStringAsync: async function(fileUri, contents, options) {
+      const file = new File(toFileUri(fileUri));
+      if (!file.exists) {
+        file.create();
+      }
+      file.write(contents, options && options.encoding ? { encoding: options.encoding } : undefined);
+    },
+
+    deleteAsync: async function(fileUri, options) {
+      const uri = toFileUri(fileUri);
+      const directory = new Directory(uri);
+      const target = directory.exists ? directory : new File(uri);
+      if (!target.exists) {
+        if (options && options.idempotent) {
+          return;
+        }
+        throw new Error('File \'' + fileUri + '\' could not be deleted because it could not be found');
+      }
+      target.delete();
+    },
+
+    moveAsync: async function(options) {
+      new File(toFileUri(options.from)).move(new File(toFileUri(options.to)));
+    },
+
+    copyAsync: async function(options) {
+      new File(toFileUri(options.from)).copy(new File(toFileUri(options.to)));
+    },
+
+    makeDirectoryAsync: async function(fileUri, options) {
+      new Directory(toFileUri(fileUri)).create({ intermediates: !!(options && options.intermediates) });
+    },
+
+    readDirectoryAsync: async function(fileUri) {
+      return new Directory(toFileUri(fileUri)).list().map(function(entry) {
+        return entry.name;
+      });
+    }
+  };
+}
+
+module.exports = {
+  resolveSQLite,
+  resolveFileSystem,
+  requireFileSystem,
+  resolveAsset,
+  resolveAppState,
+  normalizeFileSystem
+};
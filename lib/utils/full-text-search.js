@@ -0,0 +1,661 @@
+/**
+ * Full-text search indexes over JSON fields of stored documents
+ *
+ * A search index is an FTS5 table holding the text of chosen JSON paths of
+ * a document table's data column, keyed by the document's rowid. Triggers
+ * on the document table keep it in sync, so ShareDB writes are searchable as
+ * soon as they commit. The index, its triggers and a row describing it in
+ * _search_indexes all live in the document table's schema, so a database
+ * indexed before it is bundled can be searched once attached read-only.
+ *
+ *   notes_fts (title, body)           FTS5 table, rowid = notes.rowid
+ *   notes_fts_ai / _ad / _au          triggers on notes
+ *   notes_fts_bi / _bu                triggers on notes, for REPLACE
+ *   notes_fts_replaced (source_rowid) rows a write is about to replace
+ *   _search_indexes                   name, source_table, source_column, fields, ...
+ *
+ * INSERT OR REPLACE, the usual way documents are written, deletes the row it
+ * replaces without firing DELETE triggers (unless PRAGMA recursive_triggers
+ * is on), which would leave the old document in the index. So before each
+ * write, the rows sharing a unique key with the new one are noted in
+ * notes_fts_replaced, and once the write went through, which means they were
+ * replaced, their entries leave the index. A write that ends up ignored or
+ * updating the existing row leaves them where they are.
+ */
+
+const { validateJsonPaths } = require('@shaxpir/sharedb-storage-sqlite').JsonPathValidator;
+
+// Describes the indexes of a schema, so search() knows their fields and table
+const METADATA_TABLE = '_search_indexes';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DEFAULT_TOKENIZE = 'unicode61 remove_diacritics 2';
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Check a search index definition and fill in its defaults
+ *
+ * @param {Object} definition
+ * @param {string} definition.table - Document table to index
+ * @param {Object|Array<string>} definition.fields - JSON paths to index, by field name
+ *   ({ title: '$.payload.title' }), or a list of paths named after their last key
+ * @param {string} [definition.name] - Name of the FTS5 table (default: <table>_fts)
+ * @param {string} [definition.schema] - Schema of the table: 'main' or an attachment's alias
+ *   (default: 'main')
+ * @param {string} [definition.column] - Column holding the JSON document (default: 'data')
+ * @param {string} [definition.tokenize] - FTS5 tokenizer (default: 'unicode61 remove_diacritics 2')
+ * @param {Array<number>} [definition.prefix] - Prefix lengths to index for faster prefix
+ *   queries, e.g. [2, 3] (default: none)
+ * @returns {Object} { name, schema, table, column, fields: [{ name, path }], tokenize, prefix }
+ */
+function normalizeSearchIndex(definition) {
+  if (!definition || !definition.table) {
+    throw new Error('A search index requires a table');
+  }
+  const index = {
+    name: definition.name || definition.table + '_fts',
+    schema: definition.schema || 'main',
+    table: definition.table,
+    column: definition.column || 'data',
+    fields: normalizeFields(definition.fields),
+    tokenize: definition.tokenize || DEFAULT_TOKENIZE,
+    prefix: definition.prefix ? definition.prefix.slice() : []
+  };
+
+  [index.name, index.schema, index.table, index.column].forEach(checkIdentifier);
+  index.fields.forEach(function(field) {
+    checkIdentifier(field.name);
+  });
+  if (!/^[\w ]+$/.test(index.tokenize)) {
+    throw new Error('Invalid tokenize option for search index ' + index.name + ': ' + index.tokenize);
+  }
+  index.prefix.forEach(function(length) {
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error('Search index prefix lengths must be positive integers: ' + length);
+    }
+  });
+  return index;
+}
+
+function normalizeFields(fields) {
+  let normalized;
+  if (Array.isArray(fields)) {
+    normalized = fields.map(function(path) {
+      const keys = String(path).split('.');
+      return { name: keys[keys.length - 1].replace(/\[\d+\]$/, ''), path: path };
+    });
+  } else if (fields && typeof fields === 'object') {
+    normalized = Object.keys(fields).map(function(name) {
+      return { name: name, path: fields[name] };
+    });
+  } else {
+    normalized = [];
+  }
+  if (normalized.length === 0) {
+    throw new Error('A search index requires at least one field');
+  }
+
+  normalized.forEach(function(field, position) {
+    if (typeof field.path !== 'string' || field.path.charAt(0) !== '$') {
+      throw new Error('Search index fields must be JSON paths starting with $: ' + field.path);
+    }
+    const duplicate = normalized.slice(0, position).some(function(other) {
+      return other.name.toLowerCase() === field.name.toLowerCase();
+    });
+    if (duplicate) {
+      throw new Error('Duplicate search index field: ' + field.name);
+    }
+  });
+  return normalized;
+}
+
+function checkIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error('Invalid identifier in search index: ' + name + ' (use letters, digits and underscores)');
+  }
+}
+
+/**
+ * Expressions reading each field from a row of the document table
+ * @param {Object} index - Normalized index
+ * @param {string} row - 'new', 'old', or the table name
+ * @returns {string} Comma-separated json_extract() calls
+ */
+function fieldExpressions(index, row) {
+  return index.fields.map(function(field) {
+    return 'json_extract(' + row + '.' + index.column + ', \'' + field.path.replace(/'/g, '\'\'') + '\')';
+  }).join(', ');
+}
+
+function fieldNames(index) {
+  return index.fields.map(function(field) {
+    return field.name;
+  }).join(', ');
+}
+
+/**
+ * Condition matching the rows of the document table that share a unique key
+ * with the new row, the ones REPLACE would delete
+ * @param {Object} index - Normalized index
+ * @param {Array<Array<Object>>} keys - Unique keys, see uniqueKeys()
+ * @returns {string}
+ */
+function conflictCondition(index, keys) {
+  if (keys.length === 0) {
+    return '0';
+  }
+  return keys.map(function(key) {
+    return '(' + key.map(function(column) {
+      const name = quoteIdentifier(column.name);
+      return index.table + '.' + name + ' = new.' + name + ' COLLATE ' + column.collation;
+    }).join(' AND ') + ')';
+  }).join(' OR ');
+}
+
+/**
+ * Statements creating the index, its triggers and its description, and
+ * filling it with the documents already stored
+ * @param {Object} index - Normalized index
+ * @param {Array<Array<Object>>} [keys] - Unique keys of the document table, see uniqueKeys()
+ * @returns {Array<string>}
+ */
+function createSearchIndexStatements(index, keys) {
+  const qualified = index.schema + '.';
+  const options = ['tokenize = \'' + index.tokenize + '\''];
+  if (index.prefix.length > 0) {
+    options.push('prefix = \'' + index.prefix.join(' ') + '\'');
+  }
+  const replaced = index.name + '_replaced';
+  const insertNew = 'INSERT INTO ' + index.name + ' (rowid, ' + fieldNames(index) + ') VALUES (new.rowid, ' +
+    fieldExpressions(index, 'new') + ');';
+  const deleteOld = 'DELETE FROM ' + index.name + ' WHERE rowid = old.rowid;';
+  const noteReplaced = 'DELETE FROM ' + replaced + '; INSERT INTO ' + replaced + ' (source_rowid) SELECT rowid FROM ' +
+    index.table + ' WHERE ';
+  const deleteReplaced = 'DELETE FROM ' + index.name + ' WHERE rowid IN (SELECT source_rowid FROM ' + replaced + '); ' +
+    'DELETE FROM ' + replaced + ';';
+  const conflict = conflictCondition(index, keys || []);
+
+  return [
+    'CREATE TABLE IF NOT EXISTS ' + qualified + METADATA_TABLE + ' (' +
+      'name TEXT PRIMARY KEY, source_table TEXT NOT NULL, source_column TEXT NOT NULL, ' +
+      'fields TEXT NOT NULL, tokenize TEXT NOT NULL, prefix TEXT NOT NULL)',
+    'CREATE VIRTUAL TABLE ' + qualified + index.name + ' USING fts5(' + fieldNames(index) + ', ' + options.join(', ') + ')',
+    'CREATE TABLE ' + qualified + replaced + ' (source_rowid INTEGER PRIMARY KEY)',
+    // Triggers can only refer to tables of their own schema, so the names inside are unqualified
+    'CREATE TRIGGER ' + qualified + index.name + '_bi BEFORE INSERT ON ' + index.table +
+      ' BEGIN ' + noteReplaced + conflict + '; END',
+    'CREATE TRIGGER ' + qualified + index.name + '_bu BEFORE UPDATE ON ' + index.table +
+      ' BEGIN ' + noteReplaced + 'rowid <> old.rowid AND (' + conflict + '); END',
+    'CREATE TRIGGER ' + qualified + index.name + '_ai AFTER INSERT ON ' + index.table +
+      ' BEGIN ' + deleteReplaced + ' ' + insertNew + ' END',
+    'CREATE TRIGGER ' + qualified + index.name + '_ad AFTER DELETE ON ' + index.table + ' BEGIN ' + deleteOld + ' END',
+    // Any update, as one that changes a key can replace another row
+    'CREATE TRIGGER ' + qualified + index.name + '_au AFTER UPDATE ON ' + index.table +
+      ' BEGIN ' + deleteReplaced + ' ' + deleteOld + ' ' + insertNew + ' END',
+    populateStatement(index)
+  ];
+}
+
+/**
+ * Statement copying the stored documents' fields into the index
+ */
+function populateStatement(index) {
+  return 'INSERT INTO ' + index.schema + '.' + index.name + ' (rowid, ' + fieldNames(index) + ') SELECT rowid, ' +
+    fieldExpressions(index, index.table) + ' FROM ' + index.schema + '.' + index.table;
+}
+
+/**
+ * Statements removing an index, its triggers and its description
+ * @param {string} schema - Schema of the index
+ * @param {string} name - Name of the FTS5 table
+ * @param {boolean} [hasMetadata] - Whether the schema has a _search_indexes table
+ * @returns {Array<string>}
+ */
+function dropSearchIndexStatements(schema, name, hasMetadata) {
+  const statements = ['_bi', '_bu', '_ai', '_ad', '_au'].map(function(suffix) {
+    return 'DROP TRIGGER IF EXISTS ' + schema + '.' + name + suffix;
+  });
+  statements.push('DROP TABLE IF EXISTS ' + schema + '.' + name);
+  statements.push('DROP TABLE IF EXISTS ' + schema + '.' + name + '_replaced');
+  if (hasMetadata) {
+    statements.push('DELETE FROM ' + schema + '.' + METADATA_TABLE + ' WHERE name = \'' + name + '\'');
+  }
+  return statements;
+}
+
+/**
+ * Statement describing the index in _search_indexes, and its parameters
+ */
+function metadataStatement(index) {
+  return {
+    sql: 'INSERT OR REPLACE INTO ' + index.schema + '.' + METADATA_TABLE +
+      ' (name, source_table, source_column, fields, tokenize, prefix) VALUES (?, ?, ?, ?, ?, ?)',
+    params: [index.name, index.table, index.column, JSON.stringify(index.fields), index.tokenize, JSON.stringify(index.prefix)]
+  };
+}
+
+/**
+ * Index described by a _search_indexes row
+ */
+function indexFromMetadata(schema, row) {
+  return {
+    name: row.name,
+    schema: schema,
+    table: row.source_table,
+    column: row.source_column,
+    fields: JSON.parse(row.fields),
+    tokenize: row.tokenize,
+    prefix: JSON.parse(row.prefix)
+  };
+}
+
+/**
+ * Whether two normalized indexes would hold the same contents
+ */
+function sameSearchIndex(a, b) {
+  return a.table === b.table &&
+    a.column === b.column &&
+    a.tokenize === b.tokenize &&
+    JSON.stringify(a.fields) === JSON.stringify(b.fields) &&
+    JSON.stringify(a.prefix) === JSON.stringify(b.prefix);
+}
+
+/**
+ * Split 'alias.name' into schema and name
+ * @param {string} qualifiedName - 'name' or 'schema.name'
+ * @returns {Object} { schema, name }
+ */
+function parseIndexName(qualifiedName) {
+  const parts = String(qualifiedName).split('.');
+  const parsed = parts.length === 2
+    ? { schema: parts[0], name: parts[1] }
+    : { schema: 'main', name: parts[0] };
+  checkIdentifier(parsed.schema);
+  checkIdentifier(parsed.name);
+  return parsed;
+}
+
+/**
+ * FTS5 query matching documents that contain every word of the user's
+ * text, which can hold any characters; the last word also matches as a
+ * prefix, for search-as-you-type
+ *
+ * @param {string} text - What the user typed
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix] - Match the last word as a prefix (default: true)
+ * @param {boolean} [options.raw] - text already is an FTS5 query (default: false)
+ * @param {Array<string>} [options.fields] - Only match in these fields
+ * @returns {string|null} MATCH expression, or null when there is nothing to search for
+ */
+function toMatchExpression(text, options) {
+  options = options || {};
+  let expression;
+  if (options.raw) {
+    expression = String(text || '').trim() || null;
+  } else {
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    expression = words.length === 0 ? null : words.map(function(word, position) {
+      const phrase = '"' + word.replace(/"/g, '""') + '"';
+      return options.prefix !== false && position === words.length - 1 ? phrase + '*' : phrase;
+    }).join(' ');
+  }
+  if (expression === null) {
+    return null;
+  }
+  if (options.fields && options.fields.length > 0) {
+    options.fields.forEach(checkIdentifier);
+    return '{' + options.fields.join(' ') + '} : (' + expression + ')';
+  }
+  return expression;
+}
+
+/**
+ * Query searching an index
+ *
+ * @param {Object} index - { schema, name, fields: [{ name }], table } (table may be null)
+ * @param {string} match - MATCH expression
+ * @param {Object} [options] - { limit, offset, weights, snippet, highlight, includeRow }
+ * @returns {Object} { sql, params, highlightFields }
+ */
+function searchQuery(index, match, options) {
+  options = options || {};
+  const fts = index.name;
+  const names = index.fields.map(function(field) {
+    return field.name;
+  });
+  const weights = names.map(function(name) {
+    const weight = options.weights && options.weights[name] !== undefined ? options.weights[name] : 1;
+    if (typeof weight !== 'number' || !isFinite(weight)) {
+      throw new Error('Search weights must be numbers: ' + name);
+    }
+    return weight;
+  });
+
+  const columns = [fts + '.rowid AS search_rowid', 'bm25(' + fts + ', ' + weights.join(', ') + ') AS search_rank'];
+  const params = [];
+
+  if (options.snippet) {
+    const snippet = Object.assign({ before: '<b>', after: '</b>', ellipsis: '…', tokens: 10 }, options.snippet === true ? {} : options.snippet);
+    // A negative column lets FTS5 pick the field that matches best
+    const column = snippet.field ? fieldIndex(names, snippet.field) : -1;
+    columns.push('snippet(' + fts + ', ' + column + ', ?, ?, ?, ' + Math.max(1, Math.min(64, snippet.tokens | 0)) + ') AS search_snippet');
+    params.push(snippet.before, snippet.after, snippet.ellipsis);
+  }
+
+  let highlightFields = [];
+  if (options.highlight) {
+    const highlight = Object.assign({ before: '<b>', after: '</b>', fields: names }, options.highlight === true ? {} : options.highlight);
+    highlightFields = highlight.fields;
+    highlightFields.forEach(function(name, position) {
+      columns.push('highlight(' + fts + ', ' + fieldIndex(names, name) + ', ?, ?) AS search_highlight_' + position);
+      params.push(highlight.before, highlight.after);
+    });
+  }
+
+  const includeRow = options.includeRow !== false && !!index.table;
+  let from = index.schema + '.' + fts;
+  if (includeRow) {
+    columns.push('search_source.*');
+    from += ' JOIN ' + index.schema + '.' + index.table + ' AS search_source ON search_source.rowid = ' + fts + '.rowid';
+  }
+
+  params.push(match, options.limit || DEFAULT_LIMIT, options.offset || 0);
+  return {
+    sql: 'SELECT ' + columns.join(', ') + ' FROM ' + from + ' WHERE ' + fts + ' MATCH ? ORDER BY search_rank LIMIT ? OFFSET ?',
+    params: params,
+    highlightFields: highlightFields,
+    includeRow: includeRow
+  };
+}
+
+function fieldIndex(names, name) {
+  const position = names.indexOf(name);
+  if (position === -1) {
+    throw new Error('Unknown search index field: ' + name);
+  }
+  return position;
+}
+
+/**
+ * Shape a row of searchQuery() into a search result
+ * @returns {Object} { rowid, rank, snippet, highlights, row }
+ */
+function toSearchResult(query, row) {
+  const result = { rowid: row.search_rowid, rank: row.search_rank };
+  const source = {};
+  Object.keys(row).forEach(function(key) {
+    if (key.indexOf('search_') !== 0) {
+      source[key] = row[key];
+    }
+  });
+  if (row.search_snippet !== undefined) {
+    result.snippet = row.search_snippet;
+  }
+  if (query.highlightFields.length > 0) {
+    result.highlights = {};
+    query.highlightFields.forEach(function(name, position) {
+      result.highlights[name] = row['search_highlight_' + position];
+    });
+  }
+  if (query.includeRow) {
+    result.row = source;
+  }
+  return result;
+}
+
+/**
+ * Check an index's JSON paths with the same validator as the adapter's
+ * queries, but fail on a bad path rather than warn: a typo would leave the
+ * field empty in every document.
+ */
+function checkJsonPaths(index) {
+  const sql = 'SELECT ' + fieldExpressions(index, index.table) + ' FROM ' + index.table;
+  const result = validateJsonPaths(sql, { throwOnError: true, logWarnings: false });
+  if (result && result.valid === false) {
+    throw new Error('Invalid JSON path in search index ' + index.name + ': ' + (result.warnings || []).join('; '));
+  }
+}
+
+/**
+ * Create a search index, or recreate it when its definition changed
+ *
+ * Runs in one transaction: the FTS5 table, its triggers, its description
+ * and the documents already stored all appear together.
+ *
+ * @param {Object} adapter - Adapter or attached adapter
+ * @param {Object} definition - See normalizeSearchIndex()
+ * @returns {Promise<Object>} { name, created } where created is false when an identical
+ *   index already existed
+ */
+async function createSearchIndex(adapter, definition) {
+  const index = normalizeSearchIndex(definition);
+  checkJsonPaths(index);
+
+  let created;
+  try {
+    created = await adapter.transaction(async function(tx) {
+      const existing = await readSearchIndex(tx, index.schema, index.name);
+      // Indexes made before REPLACE was handled by their triggers are made again
+      if (existing && existing.table && sameSearchIndex(existing, index) &&
+        await hasTable(tx, index.schema, index.name + '_replaced')) {
+        return false;
+      }
+      if (existing) {
+        const hasMetadata = await hasTable(tx, index.schema, METADATA_TABLE);
+        for (const sql of dropSearchIndexStatements(index.schema, index.name, hasMetadata)) {
+          await tx.runAsync(sql);
+        }
+      }
+      const keys = await uniqueKeys(tx, index.schema, index.table);
+      for (const sql of createSearchIndexStatements(index, keys)) {
+        await tx.runAsync(sql);
+      }
+      const metadata = metadataStatement(index);
+      await tx.runAsync(metadata.sql, metadata.params);
+      return true;
+    });
+  } catch (error) {
+    throw fts5Error(error);
+  }
+
+  if (created) {
+    adapter.logger.info('Created search index', { alias: index.schema, name: index.name, table: index.table });
+  }
+  return { name: index.name, created: created };
+}
+
+/**
+ * Remove a search index and its triggers. Removing one that doesn't exist
+ * does nothing.
+ * @param {Object} adapter - Adapter or attached adapter
+ * @param {string} qualifiedName - 'name' or 'alias.name'
+ * @returns {Promise<void>}
+ */
+async function dropSearchIndex(adapter, qualifiedName) {
+  const parsed = parseIndexName(qualifiedName);
+  await adapter.transaction(async function(tx) {
+    const hasMetadata = await hasTable(tx, parsed.schema, METADATA_TABLE);
+    for (const sql of dropSearchIndexStatements(parsed.schema, parsed.name, hasMetadata)) {
+      await tx.runAsync(sql);
+    }
+  });
+  adapter.logger.info('Dropped search index', { alias: parsed.schema, name: parsed.name });
+}
+
+/**
+ * Fill a search index again from its table, for an index whose triggers were
+ * bypassed, e.g. by a database file replaced underneath it
+ * @param {Object} adapter - Adapter or attached adapter
+ * @param {string} qualifiedName - 'name' or 'alias.name'
+ * @returns {Promise<void>}
+ */
+async function rebuildSearchIndex(adapter, qualifiedName) {
+  const parsed = parseIndexName(qualifiedName);
+  await adapter.transaction(async function(tx) {
+    const index = await requireSearchIndex(tx, parsed);
+    if (!index.table) {
+      throw new Error('Search index ' + qualifiedName + ' has no description in ' + METADATA_TABLE + ' and cannot be rebuilt');
+    }
+    await tx.runAsync('DELETE FROM ' + index.schema + '.' + index.name);
+    await tx.runAsync(populateStatement(index));
+  });
+  adapter.logger.info('Rebuilt search index', { alias: parsed.schema, name: parsed.name });
+}
+
+/**
+ * Search an index, best matches first
+ *
+ * @param {Object} adapter - Adapter or attached adapter
+ * @param {string} qualifiedName - 'name' or 'alias.name'
+ * @param {string} text - Words to search for (or an FTS5 query with options.raw)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Results to return (default: 20)
+ * @param {number} [options.offset] - Results to skip (default: 0)
+ * @param {Array<string>} [options.fields] - Only match in these fields
+ * @param {Object} [options.weights] - Weight of each field in the ranking, by field name
+ *   (default: 1 each)
+ * @param {boolean} [options.prefix] - Match the last word as a prefix (default: true)
+ * @param {boolean} [options.raw] - text is an FTS5 query, passed through unchanged
+ * @param {boolean|Object} [options.snippet] - Add an excerpt around the matches:
+ *   { field, before, after, ellipsis, tokens } (default: best field, '<b>', '</b>', '…', 10)
+ * @param {boolean|Object} [options.highlight] - Add each field with the matches marked:
+ *   { fields, before, after } (default: every field, '<b>', '</b>')
+ * @param {boolean} [options.includeRow] - Add the indexed document's row (default: true)
+ * @returns {Promise<Array<Object>>} [{ rowid, rank, snippet?, highlights?, row? }]; a lower
+ *   rank is a better match
+ */
+async function search(adapter, qualifiedName, text, options) {
+  options = options || {};
+  const index = await requireSearchIndex(adapter, parseIndexName(qualifiedName));
+  const match = toMatchExpression(text, options);
+  if (match === null) {
+    return [];
+  }
+  const query = searchQuery(index, match, options);
+  const rows = await adapter.getAllAsync(query.sql, query.params);
+  return rows.map(function(row) {
+    return toSearchResult(query, row);
+  });
+}
+
+/**
+ * Read an index's definition: its _search_indexes row, or for an FTS5 table
+ * built without one, its columns (with table null)
+ * @returns {Promise<Object|null>} Normalized index, or null when there is no such table
+ */
+async function readSearchIndex(adapter, schema, name) {
+  if (await hasTable(adapter, schema, METADATA_TABLE)) {
+    const row = await adapter.getFirstAsync('SELECT * FROM ' + schema + '.' + METADATA_TABLE + ' WHERE name = ?', [name]);
+    if (row) {
+      return indexFromMetadata(schema, row);
+    }
+  }
+  if (!(await hasTable(adapter, schema, name))) {
+    return null;
+  }
+  const columns = await adapter.getAllAsync('PRAGMA ' + schema + '.table_info(' + name + ')');
+  return {
+    name: name,
+    schema: schema,
+    table: null,
+    fields: columns.map(function(column) {
+      return { name: column.name, path: null };
+    })
+  };
+}
+
+async function requireSearchIndex(adapter, parsed) {
+  const index = await readSearchIndex(adapter, parsed.schema, parsed.name);
+  if (!index) {
+    throw new Error('No search index: ' + (parsed.schema === 'main' ? '' : parsed.schema + '.') + parsed.name);
+  }
+  return index;
+}
+
+/**
+ * The unique keys of a table, the columns REPLACE finds conflicting rows by:
+ * its unique indexes, primary key included, and an INTEGER PRIMARY KEY.
+ * Partial and expression indexes are left out, as their conflicts can't be
+ * told from the columns alone.
+ *
+ * @param {Object} adapter - Adapter or transaction
+ * @returns {Promise<Array<Array<Object>>>} [[{ name, collation }]], one list per key
+ */
+async function uniqueKeys(adapter, schema, table) {
+  const keys = [];
+  const indexes = await adapter.getAllAsync('PRAGMA ' + schema + '.index_list(' + table + ')');
+  for (const index of indexes) {
+    if (!index.unique || index.partial) {
+      continue;
+    }
+    const columns = (await adapter.getAllAsync('PRAGMA ' + schema + '.index_xinfo(' + quoteIdentifier(index.name) + ')'))
+      .filter(function(column) {
+        return column.key;
+      });
+    const usable = columns.every(function(column) {
+      return column.name !== null && /^\w+$/.test(column.coll);
+    });
+    if (usable) {
+      keys.push(columns.map(function(column) {
+        return { name: column.name, collation: column.coll };
+      }));
+    }
+  }
+
+  // An INTEGER PRIMARY KEY is the rowid, which has no index
+  const primaryKey = (await adapter.getAllAsync('PRAGMA ' + schema + '.table_info(' + table + ')'))
+    .filter(function(column) {
+      return column.pk > 0;
+    });
+  const hasPrimaryKeyIndex = indexes.some(function(index) {
+    return index.origin === 'pk';
+  });
+  if (primaryKey.length === 1 && /^INTEGER$/i.test(primaryKey[0].type) && !hasPrimaryKeyIndex) {
+    keys.push([{ name: primaryKey[0].name, collation: 'BINARY' }]);
+  }
+  return keys;
+}
+
+function quoteIdentifier(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+async function hasTable(adapter, schema, name) {
+  const row = await adapter.getFirstAsync(
+    'SELECT name FROM ' + schema + '.sqlite_master WHERE type = \'table\' AND name = ?', [name]
+  );
+  return !!row;
+}
+
+/**
+ * Say what to do about a build of SQLite without FTS5
+ */
+function fts5Error(error) {
+  if (/no such module: fts5/i.test(error.message)) {
+    error.message = 'Full-text search requires SQLite with FTS5 (in Expo, set enableFTS in the expo-sqlite ' +
+      'config plugin): ' + error.message;
+  }
+  return error;
+}
+
+module.exports = {
+  METADATA_TABLE,
+  normalizeSearchIndex,
+  createSearchIndexStatements,
+  populateStatement,
+  dropSearchIndexStatements,
+  metadataStatement,
+  indexFromMetadata,
+  sameSearchIndex,
+  parseIndexName,
+  fieldExpressions,
+  toMatchExpression,
+  searchQuery,
+  toSearchResult,
+  createSearchIndex,
+  dropSearchIndex,
+  rebuildSearchIndex,
+  search
+};
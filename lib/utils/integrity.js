@@ -0,0 +1,66 @@
+/**
+ * Integrity checks and quarantine of corrupt database files
+ */
+
+const { moveDatabaseFiles } = require('./database-files');
+
+// Integrity check mode to the PRAGMA that runs it. quick_check skips the
+// index consistency checks, which makes it much faster on large databases.
+const INTEGRITY_PRAGMAS = {
+  quick: 'quick_check',
+  full: 'integrity_check'
+};
+
+/**
+ * Build the PRAGMA statement for an integrity check
+ * @param {string} mode - 'quick' or 'full'
+ * @param {string} [schema] - Schema to check (default: every database on the connection)
+ * @returns {string} SQL
+ */
+function integrityCheckSql(mode, schema) {
+  const pragma = INTEGRITY_PRAGMAS[mode];
+  if (!pragma) {
+    throw new Error('Unknown integrity check mode: ' + mode + ' (expected quick or full)');
+  }
+  return 'PRAGMA ' + (schema ? schema + '.' : '') + pragma;
+}
+
+/**
+ * Turn the rows of an integrity check into a result
+ * @param {string} mode - 'quick' or 'full'
+ * @param {Array<Object>} rows - Rows of the PRAGMA, one message per row
+ * @returns {{ok: boolean, mode: string, problems: Array<string>}}
+ */
+function integrityResult(mode, rows) {
+  const messages = rows.map(function(row) {
+    return String(row[Object.keys(row)[0]]);
+  });
+  const ok = messages.length === 1 && messages[0] === 'ok';
+  return { ok: ok, mode: mode, problems: ok ? [] : messages };
+}
+
+/**
+ * Move a database file and its sidecar files out of the way, so that opening
+ * the database again creates an empty one
+ *
+ * The files are renamed in place to `<name>.corrupt-<timestamp>` (plus the
+ * sidecar's suffix), where they can still be inspected or uploaded.
+ *
+ * @param {Object} FileSystem - Legacy-shaped expo-file-system module
+ * @param {string} databasePath - Path of the database file
+ * @param {Date} [now] - Time used for the timestamp (default: now)
+ * @returns {Promise<string>} Path the database file was moved to
+ */
+async function quarantineDatabase(FileSystem, databasePath, now) {
+  const timestamp = (now || new Date()).toISOString().replace(/[:.]/g, '-');
+  const quarantinedPath = databasePath + '.corrupt-' + timestamp;
+  await moveDatabaseFiles(FileSystem, databasePath, quarantinedPath);
+  return quarantinedPath;
+}
+
+module.exports = {
+  INTEGRITY_PRAGMAS,
+  integrityCheckSql,
+  integrityResult,
+  quarantineDatabase
+};
@@ -0,0 +1,124 @@
+/**
+ * Keyset pagination over a table
+ *
+ * Each page is fetched with `WHERE key > <last key of the previous page>
+ * ORDER BY key LIMIT pageSize`, so every page costs one index seek no matter
+ * how deep into the table it is, and rows inserted or deleted between pages
+ * don't shift the pages that follow.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Build the query for the page after `after`
+ * @param {Object} query - Normalized pagination options
+ * @param {Array|null} after - Key values of the last row of the previous page
+ * @returns {{sql: string, params: Array}}
+ */
+function buildPageQuery(query, after) {
+  const conditions = [];
+  const params = [];
+
+  if (query.where) {
+    conditions.push('(' + query.where + ')');
+    params.push.apply(params, query.params);
+  }
+  if (after) {
+    const comparison = query.descending ? '<' : '>';
+    conditions.push(query.key.length === 1
+      ? query.key[0] + ' ' + comparison + ' ?'
+      : '(' + query.key.join(', ') + ') ' + comparison + ' (' + query.key.map(function() { return '?'; }).join(', ') + ')');
+    params.push.apply(params, after);
+  }
+
+  const direction = query.descending ? ' DESC' : '';
+  let sql = 'SELECT ' + query.columns + ' FROM ' + query.table;
+  if (conditions.length) {
+    sql += ' WHERE ' + conditions.join(' AND ');
+  }
+  sql += ' ORDER BY ' + query.key.map(function(column) { return column + direction; }).join(', ');
+  sql += ' LIMIT ' + query.pageSize;
+
+  return { sql: sql, params: params };
+}
+
+/**
+ * Validate and fill in pagination options
+ */
+function normalizePageQuery(table, options) {
+  options = options || {};
+  if (!table) {
+    throw new Error('paginateAsync requires a table');
+  }
+
+  const key = Array.isArray(options.key) ? options.key : [options.key || 'id'];
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  if (!(pageSize > 0) || Math.floor(pageSize) !== pageSize) {
+    throw new Error('pageSize must be a positive integer');
+  }
+
+  return {
+    table: table,
+    columns: options.columns
+      ? (Array.isArray(options.columns) ? options.columns.join(', ') : options.columns)
+      : '*',
+    key: key,
+    // Result rows are keyed by column name without a table qualifier
+    keyFields: key.map(function(column) {
+      return column.split('.').pop();
+    }),
+    where: options.where || null,
+    params: options.params || [],
+    descending: options.order === 'desc' || options.order === 'DESC',
+    pageSize: pageSize
+  };
+}
+
+/**
+ * Yield pages of rows from a table in key order
+ *
+ * Table, column and where clause text are inserted into the SQL as given and
+ * must not come from user input; values belong in options.params.
+ *
+ * @param {Object} adapter - Anything with getAllAsync(sql, params)
+ * @param {string} table - Table to read, optionally qualified (e.g. ref.words)
+ * @param {Object} [options]
+ * @param {string|Array<string>} [options.key] - Unique key column(s) to page by (default: 'id')
+ * @param {string|Array<string>} [options.columns] - Columns to select; must include the key (default: '*')
+ * @param {string} [options.where] - Extra filter, ANDed with the key condition
+ * @param {Array} [options.params] - Parameters for options.where
+ * @param {string} [options.order] - 'asc' (default) or 'desc'
+ * @param {number} [options.pageSize] - Rows per page (default: 100)
+ * @returns {AsyncGenerator<Array<Object>>} Non-empty pages of rows
+ */
+async function* paginate(adapter, table, options) {
+  const query = normalizePageQuery(table, options);
+  let after = null;
+
+  for (;;) {
+    const page = buildPageQuery(query, after);
+    const rows = await adapter.getAllAsync(page.sql, page.params);
+    if (rows.length === 0) {
+      return;
+    }
+
+    const last = rows[rows.length - 1];
+    after = query.keyFields.map(function(field) {
+      if (!(field in last)) {
+        throw new Error('paginateAsync: rows must include the key column ' + field);
+      }
+      return last[field];
+    });
+
+    yield rows;
+
+    if (rows.length < query.pageSize) {
+      return;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  paginate
+};
@@ -0,0 +1,141 @@
+/**
+ * App lifecycle: flush the database when the app goes to the background
+ *
+ * iOS suspends a backgrounded app within seconds. A connection frozen with
+ * an open write transaction or a long WAL holds locks the app extension or
+ * the next launch then runs into as "database is locked". Once the app is in
+ * the background, the connection waits for queued transactions and in-flight
+ * queries, checkpoints the WAL and, with closeOnBackground, closes. A closed
+ * connection reopens on the next query.
+ *
+ * Settings:
+ *
+ *   {
+ *     checkpoint: true,             // wal_checkpoint every database on the connection
+ *     checkpointMode: 'TRUNCATE',   // PASSIVE, FULL, RESTART or TRUNCATE
+ *     closeOnBackground: false      // close the connection until the next query
+ *   }
+ *
+ * Only 'background' suspends: iOS passes through 'inactive' for the app
+ * switcher and incoming calls as well, and comes back from it without
+ * suspending the app.
+ */
+
+const { CHECKPOINT_MODES } = require('./maintenance');
+
+const DEFAULT_SETTINGS = {
+  checkpoint: true,
+  checkpointMode: 'TRUNCATE',
+  closeOnBackground: false
+};
+
+/**
+ * Fill in the defaults of a lifecycle option
+ * @param {boolean|Object} option - true for the defaults, an object of settings, or
+ *   false/undefined for no lifecycle handling
+ * @returns {Object|null} Settings, or null when lifecycle handling is off
+ */
+function normalizeLifecycle(option) {
+  if (!option) {
+    return null;
+  }
+  const settings = Object.assign({}, DEFAULT_SETTINGS, option === true ? {} : option);
+  settings.checkpoint = settings.checkpoint !== false;
+  settings.closeOnBackground = !!settings.closeOnBackground;
+  settings.checkpointMode = String(settings.checkpointMode).toUpperCase();
+  if (CHECKPOINT_MODES.indexOf(settings.checkpointMode) === -1) {
+    throw new Error('checkpointMode must be one of ' + CHECKPOINT_MODES.join(', ') + ': ' + settings.checkpointMode);
+  }
+  return settings;
+}
+
+/**
+ * Suspends an adapter's connection when the app goes to the background
+ *
+ * @param {Object} adapter - ExpoSqliteAdapter owning the connection
+ * @param {Object} AppState - React Native's AppState, or an object shaped like it
+ * @param {Object} settings - Normalized settings
+ */
+function AppLifecycle(adapter, AppState, settings) {
+  this.adapter = adapter;
+  this.AppState = AppState;
+  this.settings = settings;
+  this.subscription = null;
+  this.state = null;
+  // The suspension started by the last move to the background, until it settles
+  this.suspending = null;
+}
+
+/**
+ * Follow AppState, once connected
+ */
+AppLifecycle.prototype.start = function() {
+  const lifecycle = this;
+  if (lifecycle.subscription) {
+    return;
+  }
+  lifecycle.state = lifecycle.AppState.currentState || 'active';
+  lifecycle.subscription = lifecycle.AppState.addEventListener('change', function(state) {
+    lifecycle.handleChange(state);
+  });
+};
+
+AppLifecycle.prototype.stop = function() {
+  if (this.subscription) {
+    this.subscription.remove();
+    this.subscription = null;
+  }
+};
+
+/**
+ * @param {string} state - New AppState: 'active', 'background' or 'inactive'
+ */
+AppLifecycle.prototype.handleChange = function(state) {
+  const lifecycle = this;
+  const adapter = lifecycle.adapter;
+  const previous = lifecycle.state;
+  lifecycle.state = state;
+
+  if (state === 'background' && previous !== 'background') {
+    const settings = lifecycle.settings;
+    const suspending = adapter.suspend({
+      checkpoint: settings.checkpoint,
+      checkpointMode: settings.checkpointMode,
+      close: settings.closeOnBackground
+    }).catch(function(error) {
+      adapter.logger.warn('Suspending in the background failed', { alias: adapter.alias, error: error.message });
+    }).finally(function() {
+      if (lifecycle.suspending === suspending) {
+        lifecycle.suspending = null;
+      }
+    });
+    lifecycle.suspending = suspending;
+  } else if (state === 'active' && previous === 'background') {
+    // A closed connection reopens on the next query rather than right away
+    adapter.logger.debug('App returned to the foreground', { alias: adapter.alias, suspended: !!adapter.suspended });
+  }
+};
+
+/**
+ * Checkpoint the WAL of every database on the connection
+ * @param {Object} adapter - Connected adapter
+ * @param {string} mode - Checkpoint mode
+ * @returns {Promise<Object>} { busy, walPages, checkpointedPages }; walPages and
+ *   checkpointedPages are -1 when no database is in WAL mode
+ */
+async function checkpointAll(adapter, mode) {
+  // Without a schema name, wal_checkpoint covers every attached database
+  const row = await adapter.getFirstAsync('PRAGMA wal_checkpoint(' + mode + ')');
+  return {
+    busy: row ? row.busy === 1 : false,
+    walPages: row ? row.log : -1,
+    checkpointedPages: row ? row.checkpointed : -1
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  normalizeLifecycle,
+  AppLifecycle,
+  checkpointAll
+};
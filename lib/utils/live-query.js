@@ -0,0 +1,123 @@
+/**
+ * Queries that run again when a table they read changes
+ */
+
+const { readTables } = require('./sql-tables');
+
+/**
+ * Run a query now, and again after every change to one of its tables
+ *
+ * Changes arriving while the query runs lead to one more run once it
+ * finishes, not one per change. A query whose tables can't be found in its
+ * SQL runs again after any change; pass options.tables to narrow it down.
+ * An error thrown by onResult or onError is logged as a warning.
+ *
+ * @param {Object} adapter - Adapter with getAllAsync() and addChangeListener()
+ * @param {string} sql - SELECT statement
+ * @param {Array} params - Bound parameters
+ * @param {Function} onResult - Called with the rows after each run
+ * @param {Object} [options]
+ * @param {Array<string>} [options.tables] - Tables the query depends on, as 'table' or
+ *   'alias.table' (default: the tables after FROM and JOIN in sql)
+ * @param {Function} [options.onError] - Called with the error of a failed run (default: the
+ *   error is logged as a warning)
+ * @returns {Object} { refresh(), remove() }; refresh() runs the query again and resolves
+ *   once the results are delivered
+ */
+function createLiveQuery(adapter, sql, params, onResult, options) {
+  options = options || {};
+  if (typeof onResult !== 'function') {
+    throw new Error('liveQuery requires an onResult function');
+  }
+  const tables = options.tables ? options.tables.map(parseTableName) : readTables(sql);
+  let running = null;
+  let stale = false;
+  let removed = false;
+
+  async function runUntilCurrent() {
+    do {
+      stale = false;
+      let rows;
+      try {
+        rows = await adapter.getAllAsync(sql, params || []);
+      } catch (error) {
+        if (removed) {
+          return;
+        }
+        if (options.onError) {
+          notify(options.onError, error);
+        } else {
+          adapter.logger.warn('Live query failed', { sql: sql, error: error.message });
+        }
+        continue;
+      }
+      if (!removed) {
+        notify(onResult, rows);
+      }
+    } while (stale && !removed);
+  }
+
+  // A callback that throws is the app's bug, not a failed run: it is logged
+  // and the query keeps running
+  function notify(callback, value) {
+    try {
+      callback(value);
+    } catch (error) {
+      adapter.logger.warn('Live query callback failed', { sql: sql, error: error.message });
+    }
+  }
+
+  function refresh() {
+    if (removed) {
+      return Promise.resolve();
+    }
+    if (running) {
+      stale = true;
+      return running;
+    }
+    running = runUntilCurrent().finally(function() {
+      running = null;
+    });
+    return running;
+  }
+
+  const subscription = adapter.addChangeListener(function(event) {
+    if (dependsOn(tables, event)) {
+      refresh();
+    }
+  });
+  refresh();
+
+  return {
+    refresh: refresh,
+    remove: function() {
+      removed = true;
+      subscription.remove();
+    }
+  };
+}
+
+function parseTableName(name) {
+  const dot = name.indexOf('.');
+  return dot === -1
+    ? { schema: null, table: name }
+    : { schema: name.slice(0, dot), table: name.slice(dot + 1) };
+}
+
+/**
+ * Whether a change touches one of the tables. An unqualified name matches
+ * the table in any schema.
+ */
+function dependsOn(tables, event) {
+  if (tables.length === 0) {
+    return true;
+  }
+  return tables.some(function(table) {
+    return table.table.toLowerCase() === String(event.table).toLowerCase() &&
+      (table.schema === null || table.schema.toLowerCase() === String(event.alias).toLowerCase());
+  });
+}
+
+module.exports = {
+  createLiveQuery
+};
@@ -0,0 +1,354 @@
+/**
+ * Database maintenance: WAL checkpoints, incremental vacuum and PRAGMA optimize
+ *
+ * SQLite's automatic checkpoints copy the WAL back into the database but
+ * never shrink the -wal file, and pages freed by deleted rows stay in the
+ * database file. A maintenance run frees up to vacuumPages of them with
+ * incremental_vacuum (once auto_vacuum is INCREMENTAL) and then checkpoints
+ * with wal_checkpoint(TRUNCATE), which empties the -wal file. Runs happen
+ * every checkpointInterval ms and after checkpointAfterWrites rows were
+ * written, and PRAGMA optimize refreshes the query planner's statistics
+ * before the connection closes.
+ *
+ * Settings, per schema (the primary database and each attachment):
+ *
+ *   {
+ *     checkpointInterval: 300000,   // ms between runs; 0 disables
+ *     checkpointAfterWrites: 1000,  // rows written before a run; 0 disables
+ *     checkpointMode: 'TRUNCATE',   // PASSIVE, FULL, RESTART or TRUNCATE
+ *     autoVacuum: false,            // switch to auto_vacuum=INCREMENTAL on connect
+ *     vacuumPages: 500,             // pages incremental_vacuum frees per run; 0 disables
+ *     optimizeOnClose: true         // PRAGMA optimize before disconnecting
+ *   }
+ *
+ * The interval and write count of the primary database's settings trigger
+ * runs, which cover every schema.
+ */
+
+const { toFileUri } = require('./database-files');
+
+const DEFAULT_SETTINGS = {
+  checkpointInterval: 5 * 60 * 1000,
+  checkpointAfterWrites: 1000,
+  checkpointMode: 'TRUNCATE',
+  autoVacuum: false,
+  vacuumPages: 500,
+  optimizeOnClose: true
+};
+
+const CHECKPOINT_MODES = ['PASSIVE', 'FULL', 'RESTART', 'TRUNCATE'];
+
+// PRAGMA auto_vacuum values
+const AUTO_VACUUM_MODES = ['none', 'full', 'incremental'];
+
+/**
+ * Fill in the defaults of a maintenance option
+ * @param {boolean|Object} option - true for the defaults, an object of settings, or
+ *   false/undefined for no maintenance
+ * @param {Object} [base] - Settings to start from instead of the defaults
+ * @returns {Object|null} Settings, or null when maintenance is off
+ */
+function normalizeMaintenance(option, base) {
+  if (!option) {
+    return null;
+  }
+  const settings = Object.assign({}, base || DEFAULT_SETTINGS, option === true ? {} : option);
+  settings.checkpointMode = String(settings.checkpointMode).toUpperCase();
+  if (CHECKPOINT_MODES.indexOf(settings.checkpointMode) === -1) {
+    throw new Error('checkpointMode must be one of ' + CHECKPOINT_MODES.join(', ') + ': ' + settings.checkpointMode);
+  }
+  ['checkpointInterval', 'checkpointAfterWrites', 'vacuumPages'].forEach(function(name) {
+    const value = settings[name] || 0;
+    if (typeof value !== 'number' || value < 0 || !isFinite(value)) {
+      throw new Error('Maintenance setting ' + name + ' must be a non-negative number: ' + settings[name]);
+    }
+    settings[name] = Math.floor(value);
+  });
+  return settings;
+}
+
+/**
+ * Runs maintenance for one connection
+ *
+ * @param {Object} adapter - ExpoSqliteAdapter owning the connection
+ * @param {Object|null} settings - Normalized settings of its main schema
+ */
+function MaintenanceScheduler(adapter, settings) {
+  this.adapter = adapter;
+  // Settings by schema; only schemas listed here are maintained
+  this.schemas = {};
+  if (settings) {
+    this.schemas.main = settings;
+  }
+  this.timer = null;
+  this.writes = 0;
+  this.running = null;
+  // The part of a run that holds the connection, which close() waits for
+  this.executing = null;
+  this.started = false;
+}
+
+/**
+ * Maintain another schema, e.g. an attachment, from now on
+ * @param {string} alias - Schema name
+ * @param {Object|null} settings - Normalized settings; null stops maintaining it
+ */
+MaintenanceScheduler.prototype.setSchema = function(alias, settings) {
+  if (settings) {
+    this.schemas[alias] = settings;
+  } else {
+    delete this.schemas[alias];
+  }
+};
+
+MaintenanceScheduler.prototype.removeSchema = function(alias) {
+  delete this.schemas[alias];
+};
+
+/**
+ * Start the periodic runs, once connected
+ */
+MaintenanceScheduler.prototype.start = function() {
+  const scheduler = this;
+  const settings = scheduler.schemas.main;
+  scheduler.started = true;
+  scheduler.writes = 0;
+  if (!settings || !settings.checkpointInterval || scheduler.timer) {
+    return;
+  }
+  scheduler.timer = setInterval(function() {
+    scheduler.runInBackground('interval');
+  }, settings.checkpointInterval);
+  // Don't keep a Node process (e.g. a test run) alive for maintenance
+  if (typeof scheduler.timer.unref === 'function') {
+    scheduler.timer.unref();
+  }
+};
+
+MaintenanceScheduler.prototype.stop = function() {
+  if (this.timer) {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+};
+
+/**
+ * Count rows written, and run once enough have been
+ * @param {number} count - Rows a statement changed
+ */
+MaintenanceScheduler.prototype.recordWrites = function(count) {
+  const settings = this.schemas.main;
+  if (!this.started || !settings || !settings.checkpointAfterWrites || !count) {
+    return;
+  }
+  this.writes += count;
+  if (this.writes >= settings.checkpointAfterWrites) {
+    this.runInBackground('writes');
+  }
+};
+
+/**
+ * Start a run unless one is already going, logging rather than throwing
+ * its failure
+ * @param {string} reason - What triggered the run, for the log
+ */
+MaintenanceScheduler.prototype.runInBackground = function(reason) {
+  const scheduler = this;
+  if (scheduler.running) {
+    return;
+  }
+  scheduler.run().catch(function(error) {
+    // A run that was queued when the connection closed has nothing to do
+    if (!scheduler.started) {
+      return;
+    }
+    scheduler.adapter.logger.warn('Maintenance failed', { alias: scheduler.adapter.alias, reason: reason, error: error.message });
+  });
+};
+
+/**
+ * Vacuum and checkpoint every maintained schema, once queued transactions
+ * and in-flight queries have finished. A call during a run shares it.
+ * @returns {Promise<Object>} Report by schema: { main: { vacuumedPages, checkpoint }, ... }
+ */
+MaintenanceScheduler.prototype.run = function() {
+  const scheduler = this;
+  if (scheduler.running) {
+    return scheduler.running;
+  }
+  const adapter = scheduler.adapter;
+  scheduler.writes = 0;
+
+  scheduler.running = adapter.runExclusive(function() {
+    scheduler.executing = maintainSchemas(adapter, scheduler.schemas).finally(function() {
+      scheduler.executing = null;
+    });
+    return scheduler.executing;
+  }).finally(function() {
+    scheduler.running = null;
+  });
+  return scheduler.running;
+};
+
+async function maintainSchemas(adapter, schemas) {
+  const report = {};
+  for (const alias of Object.keys(schemas)) {
+    report[alias] = await maintainSchema(adapter, alias, schemas[alias]);
+  }
+  adapter.logger.debug('Ran maintenance', { alias: adapter.alias, schemas: report });
+  return report;
+}
+
+/**
+ * Stop the periodic runs, wait for a run in progress and optimize the
+ * schemas that ask for it, before the connection closes
+ * @returns {Promise<void>}
+ */
+MaintenanceScheduler.prototype.close = async function() {
+  const scheduler = this;
+  const adapter = scheduler.adapter;
+  scheduler.stop();
+  if (!scheduler.started) {
+    return;
+  }
+  scheduler.started = false;
+  // Only a run that has started: a queued one may be waiting for the very
+  // task that is closing the connection, such as restoreFrom()
+  if (scheduler.executing) {
+    await scheduler.executing.catch(function() {});
+  }
+  if (!adapter.db) {
+    return;
+  }
+  for (const alias of Object.keys(scheduler.schemas)) {
+    if (!scheduler.schemas[alias].optimizeOnClose) {
+      continue;
+    }
+    try {
+      await adapter.runAsync('PRAGMA ' + alias + '.optimize');
+    } catch (error) {
+      adapter.logger.warn('PRAGMA optimize failed', { alias: alias, error: error.message });
+    }
+  }
+};
+
+/**
+ * Free pages with incremental_vacuum, then checkpoint the WAL
+ * @returns {Promise<Object>} { vacuumedPages, checkpoint: { busy, walPages, checkpointedPages } };
+ *   walPages and checkpointedPages are -1 for a database not in WAL mode
+ */
+async function maintainSchema(adapter, alias, settings) {
+  let vacuumedPages = 0;
+  if (settings.vacuumPages > 0) {
+    const autoVacuum = await pragmaValue(adapter, alias, 'auto_vacuum');
+    const before = autoVacuum === 2 ? await pragmaValue(adapter, alias, 'freelist_count') : 0;
+    if (before > 0) {
+      // Each step of incremental_vacuum frees one page, so it goes through
+      // execAsync, which steps it to the end, rather than runAsync
+      await adapter.db.execAsync('PRAGMA ' + alias + '.incremental_vacuum(' + settings.vacuumPages + ')');
+      vacuumedPages = before - await pragmaValue(adapter, alias, 'freelist_count');
+    }
+  }
+
+  const row = await adapter.getFirstAsync('PRAGMA ' + alias + '.wal_checkpoint(' + settings.checkpointMode + ')');
+  return {
+    vacuumedPages: vacuumedPages,
+    checkpoint: {
+      busy: row ? row.busy === 1 : false,
+      walPages: row ? row.log : -1,
+      checkpointedPages: row ? row.checkpointed : -1
+    }
+  };
+}
+
+/**
+ * Switch a schema to auto_vacuum=INCREMENTAL
+ *
+ * A database that already has tables only switches when rebuilt, so this
+ * runs VACUUM on it once, which takes as long as copying the database.
+ * The caller makes sure no transaction or query is running.
+ *
+ * @returns {Promise<boolean>} Whether the schema was switched now
+ */
+async function enableIncrementalVacuum(adapter, alias) {
+  if (await pragmaValue(adapter, alias, 'auto_vacuum') === 2) {
+    return false;
+  }
+  await adapter.runAsync('PRAGMA ' + alias + '.auto_vacuum = INCREMENTAL');
+  const vacuumed = await pragmaValue(adapter, alias, 'auto_vacuum') !== 2;
+  if (vacuumed) {
+    await adapter.runAsync('VACUUM ' + alias);
+  }
+  adapter.logger.info('Enabled incremental auto_vacuum', { alias: alias, vacuumed: vacuumed });
+  return true;
+}
+
+/**
+ * Describe how a schema uses its space
+ *
+ * Table sizes come from the dbstat virtual table, which reads every page of
+ * the database; tables is null where SQLite is built without it.
+ *
+ * @param {Object} adapter - Adapter with the schema on its connection
+ * @param {string} alias - Schema name
+ * @returns {Promise<Object>} { alias, path, pageSize, pageCount, freelistCount, size, freeBytes,
+ *   walSize, autoVacuum, journalMode, tables: [{ name, pages, bytes }] }
+ */
+async function readStorageInfo(adapter, alias) {
+  const databases = await adapter.getAllAsync('PRAGMA database_list');
+  const database = databases.find(function(candidate) {
+    return candidate.name.toLowerCase() === alias.toLowerCase();
+  });
+  if (!database) {
+    throw new Error('No database attached as ' + alias);
+  }
+  const databasePath = database.file || null;
+  const pageSize = await pragmaValue(adapter, alias, 'page_size');
+  const pageCount = await pragmaValue(adapter, alias, 'page_count');
+  const freelistCount = await pragmaValue(adapter, alias, 'freelist_count');
+  const autoVacuum = await pragmaValue(adapter, alias, 'auto_vacuum');
+
+  let walSize = null;
+  if (adapter.FileSystem && databasePath) {
+    const info = await adapter.FileSystem.getInfoAsync(toFileUri(databasePath + '-wal'));
+    walSize = info.exists ? info.size : 0;
+  }
+
+  let tables = null;
+  try {
+    tables = await adapter.getAllAsync(
+      'SELECT name, COUNT(*) AS pages, SUM(pgsize) AS bytes FROM dbstat(?) GROUP BY name ORDER BY bytes DESC, name',
+      [alias]
+    );
+  } catch (error) {
+    adapter.logger.debug('Table sizes not available', { alias: alias, error: error.message });
+  }
+
+  return {
+    alias: alias,
+    path: databasePath,
+    pageSize: pageSize,
+    pageCount: pageCount,
+    freelistCount: freelistCount,
+    size: pageSize * pageCount,
+    freeBytes: pageSize * freelistCount,
+    walSize: walSize,
+    autoVacuum: AUTO_VACUUM_MODES[autoVacuum] || null,
+    journalMode: await pragmaValue(adapter, alias, 'journal_mode'),
+    tables: tables
+  };
+}
+
+async function pragmaValue(adapter, alias, pragma) {
+  const row = await adapter.getFirstAsync('PRAGMA ' + alias + '.' + pragma);
+  return row ? row[pragma] : null;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  CHECKPOINT_MODES,
+  normalizeMaintenance,
+  MaintenanceScheduler,
+  enableIncrementalVacuum,
+  readStorageInfo
+};
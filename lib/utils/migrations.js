@@ -0,0 +1,160 @@
+/**
+ * Schema migrations, versioned with PRAGMA user_version
+ *
+ * A migration is a plain object:
+ *
+ *   {
+ *     version: 2,                    // positive integer; versions only need to increase
+ *     name: 'add price projection',  // optional, used in reports and errors
+ *     up: async function(tx) { ... } // or an SQL statement, or an array of them
+ *   }
+ *
+ * Each pending migration runs in a transaction of its own, which also sets
+ * user_version to the migration's version, so a failed migration leaves the
+ * database at the previous version.
+ */
+
+const { SchemaVersionError, MigrationError, toSqliteStorageError } = require('../errors');
+
+/**
+ * Check a list of migrations and sort it by version
+ * @param {Array<Object>} migrations - Migrations in any order
+ * @returns {Array<Object>} Migrations sorted by version
+ */
+function sortMigrations(migrations) {
+  if (!Array.isArray(migrations)) {
+    throw new Error('migrations must be an array');
+  }
+
+  const sorted = migrations.slice().sort(function(a, b) {
+    return a.version - b.version;
+  });
+  sorted.forEach(function(migration, index) {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error('Migration version must be a positive integer: ' + migration.version);
+    }
+    if (index > 0 && sorted[index - 1].version === migration.version) {
+      throw new Error('Duplicate migration version: ' + migration.version);
+    }
+    if (typeof migration.up !== 'function' && typeof migration.up !== 'string' && !Array.isArray(migration.up)) {
+      throw new Error('Migration ' + migration.version + ' needs an up function or SQL');
+    }
+  });
+  return sorted;
+}
+
+/**
+ * Read the schema version of a database
+ * @param {Object} adapter - Adapter or transaction adapter
+ * @returns {Promise<number>}
+ */
+async function readSchemaVersion(adapter) {
+  const row = await adapter.getFirstAsync('PRAGMA user_version');
+  return row ? row.user_version : 0;
+}
+
+/**
+ * Bring a database up to the latest version
+ *
+ * The version is checked again inside each migration's transaction, so
+ * connections migrating the same file at once run every migration only once.
+ *
+ * @param {Object} adapter - Connected ExpoSqliteAdapter
+ * @param {Array<Object>} migrations - Migrations (see above)
+ * @param {Function} [transaction] - function(operations) running operations in a
+ *   transaction (default: adapter.transaction())
+ * @returns {Promise<Object>} Report: { alias, fileName, fromVersion, toVersion,
+ *   latestVersion, applied: [{ version, name, durationMs }] }
+ * @throws {SchemaVersionError} When the database is newer than the latest migration
+ * @throws {MigrationError} When a migration fails; it is rolled back
+ */
+async function runMigrations(adapter, migrations, transaction) {
+  transaction = transaction || function(operations) {
+    return adapter.transaction(operations);
+  };
+  const sorted = sortMigrations(migrations);
+  const latestVersion = sorted.length === 0 ? 0 : sorted[sorted.length - 1].version;
+  const fromVersion = await readSchemaVersion(adapter);
+  const report = {
+    alias: adapter.alias,
+    fileName: adapter.fileName,
+    fromVersion: fromVersion,
+    toVersion: fromVersion,
+    latestVersion: latestVersion,
+    applied: []
+  };
+
+  if (fromVersion > latestVersion) {
+    const error = new SchemaVersionError(
+      'Database ' + adapter.fileName + ' is at schema version ' + fromVersion +
+        ', newer than the latest version this app knows (' + latestVersion + ')',
+      { fileName: adapter.fileName, alias: adapter.alias }
+    );
+    error.version = fromVersion;
+    error.latestVersion = latestVersion;
+    throw error;
+  }
+
+  for (const migration of sorted) {
+    if (migration.version <= report.toVersion) {
+      continue;
+    }
+
+    const startedAt = Date.now();
+    let ran;
+    try {
+      ran = await transaction(async function(tx) {
+        if (await readSchemaVersion(tx) >= migration.version) {
+          return false;
+        }
+        await applyMigration(tx, migration);
+        await tx.runAsync('PRAGMA user_version = ' + migration.version);
+        return true;
+      });
+    } catch (error) {
+      throw migrationError(adapter, migration, report, error);
+    }
+
+    report.toVersion = migration.version;
+    if (ran) {
+      report.applied.push({
+        version: migration.version,
+        name: migration.name || null,
+        durationMs: Date.now() - startedAt
+      });
+    }
+  }
+  return report;
+}
+
+async function applyMigration(tx, migration) {
+  if (typeof migration.up === 'function') {
+    await migration.up(tx);
+    return;
+  }
+  const statements = Array.isArray(migration.up) ? migration.up : [migration.up];
+  for (const sql of statements) {
+    await tx.runAsync(sql);
+  }
+}
+
+function migrationError(adapter, migration, report, cause) {
+  const label = migration.version + (migration.name ? ' (' + migration.name + ')' : '');
+  const typed = toSqliteStorageError(cause);
+  const error = new MigrationError('Migration ' + label + ' failed: ' + typed.message, {
+    code: typed.code,
+    sql: typed.sql,
+    fileName: adapter.fileName,
+    alias: adapter.alias,
+    cause: cause
+  });
+  error.migration = { version: migration.version, name: migration.name || null };
+  error.report = report;
+  return error;
+}
+
+module.exports = {
+  sortMigrations,
+  readSchemaVersion,
+  runMigrations
+};
@@ -0,0 +1,159 @@
+/**
+ * Database file paths
+ *
+ * Every database this package opens, attaches, copies or checks is located
+ * with resolveDatabaseDirectory(), so that a dirPath means the same directory
+ * everywhere:
+ *
+ * - an absolute path or file:// URI is used as given, e.g. a directory in an
+ *   app group container shared with extensions
+ * - a relative path is resolved against the document directory, or against
+ *   the app group container when an appGroup is given
+ * - the document directory itself stands for expo-sqlite's SQLite directory
+ *   inside it, where databases opened by name have always been put
+ *
+ * Directories are returned as plain paths with one trailing slash, which is
+ * what expo-sqlite's defaultDatabaseDirectory and directory argument use.
+ */
+
+/**
+ * Strip a file:// prefix, leaving a plain path
+ * @param {string} filePath - Path or file:// URI
+ * @returns {string}
+ */
+function stripFileUri(filePath) {
+  return filePath ? filePath.replace(/^file:\/\//, '') : filePath;
+}
+
+/**
+ * Join a directory and a file name with exactly one slash between them
+ * @param {string} dirPath - Directory path or file:// URI, with or without a trailing slash
+ * @param {string} fileName - File name
+ * @returns {string} Plain path
+ */
+function joinPath(dirPath, fileName) {
+  const dir = stripFileUri(dirPath).replace(/\/+$/, '');
+  return dir + '/' + fileName.replace(/^\/+/, '');
+}
+
+/**
+ * Normalize a directory to a plain path ending in exactly one slash
+ * @param {string} dirPath - Directory path or file:// URI
+ * @returns {string}
+ */
+function normalizeDirectory(dirPath) {
+  return stripFileUri(dirPath).replace(/\/{2,}/g, '/').replace(/\/*$/, '/');
+}
+
+/**
+ * Directory a database lives in
+ * @param {string} dirPath - Directory path or file:// URI, absolute or relative
+ * @param {Object} [modules] - { SQLite, FileSystem, appGroup }
+ * @returns {string} Plain path with a trailing slash
+ */
+function resolveDatabaseDirectory(dirPath, modules) {
+  modules = modules || {};
+  if (!dirPath) {
+    throw new Error('dirPath is required');
+  }
+  const documentDirectory = getDocumentDirectory(modules);
+  let directory = stripFileUri(dirPath);
+
+  if (directory.charAt(0) !== '/') {
+    const base = modules.appGroup ? getSharedContainerDirectory(modules.FileSystem, modules.appGroup) : documentDirectory;
+    if (!base) {
+      throw new Error('Cannot resolve relative dirPath ' + dirPath + ' without expo-file-system');
+    }
+    directory = base + directory;
+  }
+
+  directory = normalizeDirectory(directory);
+  if (directory === documentDirectory) {
+    return getDefaultDatabaseDirectory(modules);
+  }
+  return directory;
+}
+
+/**
+ * Full path of a database file
+ * @param {string} dirPath - Directory path or file:// URI, see resolveDatabaseDirectory
+ * @param {string} fileName - File name
+ * @param {Object} [modules] - { SQLite, FileSystem, appGroup }
+ * @returns {string} Plain path
+ */
+function resolveDatabasePath(dirPath, fileName, modules) {
+  return joinPath(resolveDatabaseDirectory(dirPath, modules), fileName);
+}
+
+/**
+ * expo-sqlite's default directory: its defaultDatabaseDirectory where the
+ * module reports it, otherwise SQLite/ in the document directory
+ * @param {Object} modules - { SQLite, FileSystem }
+ * @returns {string} Plain path with a trailing slash
+ */
+function getDefaultDatabaseDirectory(modules) {
+  if (modules.SQLite && modules.SQLite.defaultDatabaseDirectory) {
+    return normalizeDirectory(modules.SQLite.defaultDatabaseDirectory);
+  }
+  const documentDirectory = getDocumentDirectory(modules);
+  if (!documentDirectory) {
+    throw new Error('Cannot locate the SQLite directory without expo-file-system');
+  }
+  return documentDirectory + 'SQLite/';
+}
+
+function getDocumentDirectory(modules) {
+  if (modules.FileSystem && modules.FileSystem.documentDirectory) {
+    return normalizeDirectory(modules.FileSystem.documentDirectory);
+  }
+  if (modules.SQLite && modules.SQLite.defaultDatabaseDirectory) {
+    return normalizeDirectory(modules.SQLite.defaultDatabaseDirectory).replace(/[^/]+\/$/, '');
+  }
+  return null;
+}
+
+/**
+ * Container directory of an iOS app group, from the Paths.appleSharedContainers
+ * of expo-file-system 19 and later
+ * @param {Object} FileSystem - expo-file-system module, as returned by resolveFileSystem
+ * @param {string} appGroup - App group identifier, e.g. group.com.example.app
+ * @returns {string} Plain path with a trailing slash
+ */
+function getSharedContainerDirectory(FileSystem, appGroup) {
+  const modern = FileSystem && (FileSystem.modern || FileSystem);
+  const containers = modern && modern.Paths && modern.Paths.appleSharedContainers;
+  const container = containers && containers[appGroup];
+  if (!container) {
+    throw new Error('App group container not available: ' + appGroup +
+      ' (requires iOS, expo-file-system 19 or later, and the group in the app\'s entitlements)');
+  }
+  return normalizeDirectory(container.uri || container);
+}
+
+/**
+ * SQLite URI filename for a path, e.g. file:/data/ref%20pack.db?mode=ro
+ * @param {string} filePath - Plain path
+ * @param {Object} [query] - URI parameters, e.g. { mode: 'ro' }
+ * @returns {string}
+ */
+function toSqliteUri(filePath, query) {
+  // SQLite decodes %HH escapes; ? and # would end the path
+  const encoded = stripFileUri(filePath).replace(/[%?#]/g, function(character) {
+    return '%' + character.charCodeAt(0).toString(16).toUpperCase();
+  });
+  const parameters = Object.keys(query || {}).map(function(key) {
+    return key + '=' + encodeURIComponent(query[key]);
+  });
+  return 'file:' + encoded + (parameters.length ? '?' + parameters.join('&') : '');
+}
+
+module.exports = {
+  stripFileUri,
+  joinPath,
+  normalizeDirectory,
+  resolveDatabaseDirectory,
+  resolveDatabasePath,
+  getDefaultDatabaseDirectory,
+  getSharedContainerDirectory,
+  toSqliteUri
+};
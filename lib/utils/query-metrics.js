@@ -0,0 +1,147 @@
+/**
+ * Per-adapter query metrics
+ *
+ * Counts, latency histograms, retries, lock waits and rows per kind of
+ * statement, plus a bounded log of slow queries.
+ */
+
+// Histogram bucket upper bounds in milliseconds; slower queries land in +Inf
+const LATENCY_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500];
+
+const DEFAULT_SLOW_QUERY_LOG_SIZE = 20;
+
+// Adapter method, or 'transaction', to the kind it is reported under
+const KINDS = {
+  runAsync: 'run',
+  getFirstAsync: 'getFirst',
+  getAllAsync: 'getAll',
+  iterateAsync: 'iterate',
+  transaction: 'transaction'
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.slowQueryThreshold] - Queries taking at least this many ms are
+ *   logged as slow (default: disabled)
+ * @param {number} [options.slowQueryLogSize] - Slow queries kept, most recent first (default: 20)
+ */
+function QueryMetrics(options) {
+  options = options || {};
+  this.slowQueryThreshold = options.slowQueryThreshold || 0;
+  this.slowQueryLogSize = options.slowQueryLogSize || DEFAULT_SLOW_QUERY_LOG_SIZE;
+  this.reset();
+}
+
+QueryMetrics.LATENCY_BUCKETS = LATENCY_BUCKETS;
+
+/**
+ * Clear every counter and the slow query log
+ */
+QueryMetrics.prototype.reset = function() {
+  const metrics = this;
+  metrics.since = Date.now();
+  metrics.kinds = {};
+  Object.keys(KINDS).forEach(function(method) {
+    metrics.kinds[KINDS[method]] = createKindStats();
+  });
+  metrics.slowQueries = [];
+};
+
+/**
+ * Record a finished query or transaction
+ * @param {Object} event - Query event: { method, durationMs, retries, lockWaitMs, rows?, error? }
+ */
+QueryMetrics.prototype.record = function(event) {
+  const stats = this.kinds[KINDS[event.method]];
+  if (!stats) {
+    return;
+  }
+
+  stats.count++;
+  if (event.error) {
+    stats.errors++;
+  }
+  stats.totalMs += event.durationMs;
+  stats.maxMs = Math.max(stats.maxMs, event.durationMs);
+  stats.retries += event.retries || 0;
+  stats.lockWaitMs += event.lockWaitMs || 0;
+  stats.rows += event.rows || 0;
+
+  const bucket = LATENCY_BUCKETS.find(function(bound) {
+    return event.durationMs <= bound;
+  });
+  stats.histogram[bucket === undefined ? '+Inf' : String(bucket)]++;
+};
+
+/**
+ * Whether a query event should be captured as slow. Iterations are excluded
+ * because their duration includes the time the caller spent on each batch.
+ */
+QueryMetrics.prototype.isSlow = function(event) {
+  return this.slowQueryThreshold > 0 &&
+    event.method !== 'iterateAsync' &&
+    event.method !== 'transaction' &&
+    event.durationMs >= this.slowQueryThreshold;
+};
+
+/**
+ * Add a slow query to the log, dropping the oldest beyond slowQueryLogSize
+ * @param {Object} entry - { method, sql, paramCount, durationMs, at, plan }
+ */
+QueryMetrics.prototype.recordSlowQuery = function(entry) {
+  this.slowQueries.unshift(entry);
+  if (this.slowQueries.length > this.slowQueryLogSize) {
+    this.slowQueries.length = this.slowQueryLogSize;
+  }
+};
+
+/**
+ * Snapshot of the metrics
+ * @returns {Object} { since, queries: { run, getFirst, getAll, iterate, transaction }, totals, slowQueries }
+ */
+QueryMetrics.prototype.getStats = function() {
+  const metrics = this;
+  const queries = {};
+  const totals = { count: 0, errors: 0, retries: 0, lockWaitMs: 0, rows: 0 };
+
+  Object.keys(metrics.kinds).forEach(function(kind) {
+    const stats = metrics.kinds[kind];
+    queries[kind] = Object.assign({}, stats, {
+      meanMs: stats.count === 0 ? 0 : stats.totalMs / stats.count,
+      histogram: Object.assign({}, stats.histogram)
+    });
+    if (kind !== 'transaction') {
+      Object.keys(totals).forEach(function(field) {
+        totals[field] += stats[field];
+      });
+    }
+  });
+
+  return {
+    since: metrics.since,
+    queries: queries,
+    totals: totals,
+    slowQueries: metrics.slowQueries.slice()
+  };
+};
+
+function createKindStats() {
+  const histogram = {};
+  LATENCY_BUCKETS.forEach(function(bound) {
+    histogram[String(bound)] = 0;
+  });
+  histogram['+Inf'] = 0;
+
+  return {
+    count: 0,
+    errors: 0,
+    totalMs: 0,
+    maxMs: 0,
+    retries: 0,
+    lockWaitMs: 0,
+    rows: 0,
+    histogram: histogram
+  };
+}
+
+module.exports = QueryMetrics;
@@ -1,7 +1,78 @@
 /**
  * Retry utility functions for database operations
+ *
+ * A retry policy is a plain object:
+ *
+ *   {
+ *     maxRetries: 3,          // retries after the first attempt; 0 disables retrying
+ *     baseDelay: 100,         // ms before the first retry, doubled for each further one
+ *     maxDelay: 5000,         // cap on a single delay
+ *     jitter: 'none',         // 'none', 'full', 'equal' or 'decorrelated'
+ *     maxTotalTime: 0,        // give up once this many ms have passed (0: no deadline)
+ *     retryableCodes: ['SQLITE_BUSY', 'SQLITE_LOCKED'],
+ *     shouldRetry: null       // function(error, attempt) overriding the classification
+ *   }
  */
 
+const { createConsoleLogger } = require('../logger');
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelay: 100,
+  maxDelay: 5000,
+  jitter: 'none',
+  maxTotalTime: 0,
+  // Not SQLITE_IOERR: failing storage doesn't recover in a few seconds, and
+  // retrying would only delay the error
+  retryableCodes: ['SQLITE_BUSY', 'SQLITE_LOCKED'],
+  shouldRetry: null
+};
+
+const JITTER_STRATEGIES = ['none', 'full', 'equal', 'decorrelated'];
+
+// Primary result codes, see https://www.sqlite.org/rescode.html
+const SQLITE_ERROR_CODES = {
+  1: 'SQLITE_ERROR',
+  2: 'SQLITE_INTERNAL',
+  3: 'SQLITE_PERM',
+  4: 'SQLITE_ABORT',
+  5: 'SQLITE_BUSY',
+  6: 'SQLITE_LOCKED',
+  7: 'SQLITE_NOMEM',
+  8: 'SQLITE_READONLY',
+  9: 'SQLITE_INTERRUPT',
+  10: 'SQLITE_IOERR',
+  11: 'SQLITE_CORRUPT',
+  12: 'SQLITE_NOTFOUND',
+  13: 'SQLITE_FULL',
+  14: 'SQLITE_CANTOPEN',
+  15: 'SQLITE_PROTOCOL',
+  16: 'SQLITE_EMPTY',
+  17: 'SQLITE_SCHEMA',
+  18: 'SQLITE_TOOBIG',
+  19: 'SQLITE_CONSTRAINT',
+  20: 'SQLITE_MISMATCH',
+  21: 'SQLITE_MISUSE',
+  22: 'SQLITE_NOLFS',
+  23: 'SQLITE_AUTH',
+  24: 'SQLITE_FORMAT',
+  25: 'SQLITE_RANGE',
+  26: 'SQLITE_NOTADB'
+};
+
+const PRIMARY_CODE_NAMES = Object.keys(SQLITE_ERROR_CODES).map(function(code) {
+  return SQLITE_ERROR_CODES[code];
+});
+
+// Messages from drivers that report neither a name nor a number
+const MESSAGE_CODES = [
+  { text: 'database table is locked', code: 'SQLITE_LOCKED' },
+  { text: 'database schema is locked', code: 'SQLITE_LOCKED' },
+  { text: 'database is locked', code: 'SQLITE_BUSY' },
+  { text: 'database is busy', code: 'SQLITE_BUSY' },
+  { text: 'disk i/o error', code: 'SQLITE_IOERR' }
+];
+
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -11,57 +82,191 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Find the primary SQLite result code of an error
+ *
+ * Understands `code` properties such as 'SQLITE_BUSY_SNAPSHOT', names in the
+ * message, numeric codes as reported by expo-sqlite ("Error code 5: ...") or
+ * Android ("(code 517 SQLITE_BUSY_SNAPSHOT)"), and the plain SQLite messages.
+ *
+ * @param {Error} error - The error to inspect
+ * @returns {string|null} Primary code name, e.g. 'SQLITE_BUSY', or null
+ */
+function getSqliteErrorCode(error) {
+  if (!error) {
+    return null;
+  }
+
+  const fromName = primaryCodeName(typeof error.code === 'string' ? error.code : null) ||
+    primaryCodeName(matchFirst(/\b(SQLITE_[A-Z_]+)\b/, error.message));
+  if (fromName) {
+    return fromName;
+  }
+
+  const number = typeof error.code === 'number'
+    ? error.code
+    : parseInt(matchFirst(/\bcode[\s:=]*(\d+)/i, error.message), 10);
+  if (!isNaN(number)) {
+    // Extended codes carry the primary code in their low byte
+    return SQLITE_ERROR_CODES[number & 0xff] || null;
+  }
+
+  const message = (error.message || '').toLowerCase();
+  const known = MESSAGE_CODES.find(function(entry) {
+    return message.indexOf(entry.text) !== -1;
+  });
+  return known ? known.code : null;
+}
+
+function matchFirst(pattern, text) {
+  const match = typeof text === 'string' ? pattern.exec(text) : null;
+  return match ? match[1] : null;
+}
+
+function primaryCodeName(name) {
+  if (!name) {
+    return null;
+  }
+  // Extended names start with their primary name: SQLITE_BUSY_SNAPSHOT -> SQLITE_BUSY
+  const primary = PRIMARY_CODE_NAMES.find(function(code) {
+    return name === code || name.indexOf(code + '_') === 0;
+  });
+  return primary || null;
+}
+
 /**
  * Check if an error should trigger a retry
  * @param {Error} error - The error to check
+ * @param {Object} [policy] - Retry policy; its retryableCodes are used (default: busy and locked)
  * @returns {boolean} True if the operation should be retried
  */
-function shouldRetry(error) {
-  if (!error || !error.message) return false;
+function shouldRetry(error, policy) {
+  const codes = (policy && policy.retryableCodes) || DEFAULT_RETRY_POLICY.retryableCodes;
+  const code = getSqliteErrorCode(error);
+  return code !== null && codes.indexOf(code) !== -1;
+}
 
-  const message = error.message.toLowerCase();
-  return message.includes('database is locked') ||
-         message.includes('database is busy') ||
-         message.includes('sqlite_busy');
+/**
+ * Fill in a retry policy with the defaults
+ * @param {Object} [policy] - Partial retry policy
+ * @returns {Object} Complete retry policy
+ */
+function createRetryPolicy(policy) {
+  const resolved = Object.assign({}, DEFAULT_RETRY_POLICY);
+  Object.keys(policy || {}).forEach(function(key) {
+    if (policy[key] !== undefined) {
+      resolved[key] = policy[key];
+    }
+  });
+
+  if (JITTER_STRATEGIES.indexOf(resolved.jitter) === -1) {
+    throw new Error('Unknown jitter strategy: ' + resolved.jitter + ' (expected ' + JITTER_STRATEGIES.join(', ') + ')');
+  }
+  if (!(resolved.maxRetries >= 0)) {
+    throw new Error('maxRetries must be zero or more');
+  }
+  return resolved;
+}
+
+/**
+ * Delay before a retry
+ * @param {Object} policy - Complete retry policy
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {number} previousDelay - Delay used before that attempt (decorrelated jitter)
+ * @returns {number} Milliseconds to wait
+ */
+function computeDelay(policy, attempt, previousDelay) {
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+
+  switch (policy.jitter) {
+    case 'full':
+      return Math.round(Math.random() * exponential);
+    case 'equal':
+      return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    case 'decorrelated': {
+      const upper = Math.max(policy.baseDelay, (previousDelay || policy.baseDelay) * 3);
+      return Math.round(Math.min(policy.maxDelay, policy.baseDelay + Math.random() * (upper - policy.baseDelay)));
+    }
+    default:
+      return exponential;
+  }
 }
 
 /**
  * Execute an async operation with exponential backoff retry
- * @param {Function} operation - Async function to execute
- * @param {Object} options - Retry options
- * @param {number} options.maxRetries - Maximum number of retries (default: 3)
- * @param {number} options.baseDelay - Base delay in milliseconds (default: 100)
- * @param {boolean} options.debug - Enable debug logging (default: false)
+ * @param {Function} operation - Async function(attempt) to execute; attempt starts at 0
+ * @param {Object} options - Retry policy (see above), plus:
+ * @param {boolean} options.debug - Log retries to the console when no logger is given (default: false)
+ * @param {Object} options.logger - Logger for retry messages (see lib/logger.js)
+ * @param {Function} options.onRetry - Called as onRetry({ attempt, delay, error }) before each retry
  * @returns {Promise} Promise that resolves with the operation result
  */
 async function retryWithBackoff(operation, options = {}) {
-  const maxRetries = options.maxRetries || 3;
-  const baseDelay = options.baseDelay || 100;
-  const debug = options.debug || false;
-
-  let lastError;
+  const policy = createRetryPolicy({
+    maxRetries: options.maxRetries,
+    baseDelay: options.baseDelay,
+    maxDelay: options.maxDelay,
+    jitter: options.jitter,
+    maxTotalTime: options.maxTotalTime,
+    retryableCodes: options.retryableCodes,
+    shouldRetry: options.shouldRetry
+  });
+  const logger = options.logger || createConsoleLogger({
+    name: 'RetryUtils',
+    level: options.debug ? 'debug' : 'silent'
+  });
+  const startedAt = Date.now();
+  let delay = 0;
 
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+  for (let attempt = 0; ; attempt++) {
     try {
-      return await operation();
+      return await operation(attempt);
     } catch (error) {
-      lastError = error;
+      if (attempt >= policy.maxRetries || !isRetryable(policy, error, attempt)) {
+        throw error;
+      }
 
-      if (attempt === maxRetries || !shouldRetry(error)) {
+      delay = computeDelay(policy, attempt, delay);
+      if (policy.maxTotalTime > 0 && Date.now() - startedAt + delay > policy.maxTotalTime) {
+        logger.debug('Retry deadline reached, giving up', {
+          attempt: attempt + 1,
+          maxTotalTime: policy.maxTotalTime,
+          error: error.message
+        });
         throw error;
       }
 
-      const delay = baseDelay * Math.pow(2, attempt);
-      debug && console.log(`[RetryUtils] Attempt ${attempt + 1} failed, retrying in ${delay}ms: ${error.message}`);
+      logger.debug('Attempt ' + (attempt + 1) + ' failed, retrying', {
+        attempt: attempt + 1,
+        delay: delay,
+        error: error.message
+      });
+      options.onRetry && options.onRetry({ attempt: attempt + 1, delay: delay, error: error });
       await sleep(delay);
     }
   }
+}
 
-  throw lastError;
+/**
+ * A custom classifier decides when it returns a boolean; otherwise the
+ * error's SQLite code is checked against the retryable codes
+ */
+function isRetryable(policy, error, attempt) {
+  if (typeof policy.shouldRetry === 'function') {
+    const decision = policy.shouldRetry(error, attempt);
+    if (typeof decision === 'boolean') {
+      return decision;
+    }
+  }
+  return shouldRetry(error, policy);
 }
 
 module.exports = {
+  DEFAULT_RETRY_POLICY,
   sleep,
   shouldRetry,
+  getSqliteErrorCode,
+  createRetryPolicy,
+  computeDelay,
   retryWithBackoff
-};
\ No newline at end of file
+};
@@ -0,0 +1,52 @@
+/**
+ * Overwriting a database's content before its files are deleted
+ *
+ * Deleting a file leaves its blocks on the storage until something reuses
+ * them. With PRAGMA secure_delete, SQLite overwrites the content it deletes
+ * with zeros, so dropping every table zeroes their pages in the database
+ * file itself. The WAL is checkpointed before and after, so the zeroed pages
+ * reach the database file too.
+ *
+ * This is best effort: blocks the -wal file used before its last checkpoint
+ * are freed, not overwritten, and flash storage may keep copies of blocks it
+ * moved. Encrypting the whole database is what keeps the data unreadable.
+ */
+
+/**
+ * Drop every table of a schema with secure_delete on
+ * @param {Object} db - expo-sqlite database with execAsync() and getAllAsync()
+ * @param {string} schema - 'main' or an attachment's alias
+ * @returns {Promise<number>} Number of tables the schema had, shadow tables included
+ */
+async function overwriteDatabase(db, schema) {
+  await db.execAsync('PRAGMA ' + schema + '.wal_checkpoint(TRUNCATE)');
+  // Dropping a parent table would otherwise check the rows that refer to it
+  await db.execAsync('PRAGMA foreign_keys = OFF');
+  await db.execAsync('PRAGMA ' + schema + '.secure_delete = ON');
+
+  const tables = await db.getAllAsync(
+    'SELECT name, sql FROM ' + schema + '.sqlite_master WHERE type = \'table\' AND name NOT LIKE \'sqlite_%\''
+  );
+  // Virtual tables first: dropping one drops its shadow tables with it
+  tables.sort(function(a, b) {
+    return isVirtual(b) - isVirtual(a);
+  });
+  for (const table of tables) {
+    await db.execAsync('DROP TABLE IF EXISTS ' + schema + '.' + quoteIdentifier(table.name));
+  }
+
+  await db.execAsync('PRAGMA ' + schema + '.wal_checkpoint(TRUNCATE)');
+  return tables.length;
+}
+
+function isVirtual(table) {
+  return /^\s*CREATE\s+VIRTUAL\b/i.test(table.sql || '') ? 1 : 0;
+}
+
+function quoteIdentifier(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+module.exports = {
+  overwriteDatabase
+};
@@ -0,0 +1,237 @@
+/**
+ * Tables named in SQL text, for change notifications and live queries
+ *
+ * A tokenizer rather than a parser: it finds the table an INSERT, UPDATE or
+ * DELETE writes, and the tables a query reads after FROM and JOIN. Names
+ * are returned unquoted, with the schema when the SQL qualifies them
+ * (ref.words), otherwise with schema null.
+ */
+
+// Strings, comments, quoted identifiers, words, and single characters
+const TOKEN = /'(?:[^']|'')*'|--[^\n]*|\/\*[\s\S]*?\*\/|"(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|[A-Za-z_][\w$]*|\S/g;
+
+const OPERATIONS = {
+  INSERT: 'insert',
+  REPLACE: 'insert',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+// Words that end a FROM list item rather than naming its alias
+const CLAUSE_KEYWORDS = [
+  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'WINDOW', 'UNION', 'INTERSECT', 'EXCEPT',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'ON', 'USING',
+  'INDEXED', 'NOT', 'RETURNING', 'SET', 'VALUES', 'SELECT', 'DEFAULT'
+];
+
+/**
+ * Table written by an INSERT, REPLACE, UPDATE or DELETE statement
+ * @param {string} sql - SQL text
+ * @returns {Object|null} { schema, table, operation } with operation insert, update or
+ *   delete; null for other statements
+ */
+function writtenTable(sql) {
+  const tokens = tokenize(sql);
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.value === '(') {
+      depth++;
+      continue;
+    }
+    if (token.value === ')') {
+      depth--;
+      continue;
+    }
+    if (depth > 0 || !token.word) {
+      continue;
+    }
+
+    const operation = OPERATIONS[token.upper];
+    if (operation) {
+      const start = targetStart(tokens, i);
+      const name = start === -1 ? null : readName(tokens, start);
+      return name ? { schema: name.schema, table: name.table, operation: operation } : null;
+    }
+    // Anything but a common table expression before the verb means another kind of statement
+    if (i === 0 && token.upper !== 'WITH') {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Index of the table name following the verb at tokens[index]
+ */
+function targetStart(tokens, index) {
+  const verb = tokens[index].upper;
+  let i = index + 1;
+  if (verb === 'INSERT' || verb === 'UPDATE') {
+    // INSERT OR REPLACE INTO, UPDATE OR IGNORE
+    if (tokens[i] && tokens[i].upper === 'OR') {
+      i += 2;
+    }
+  }
+  if (verb === 'INSERT' || verb === 'REPLACE') {
+    return tokens[i] && tokens[i].upper === 'INTO' ? i + 1 : -1;
+  }
+  if (verb === 'DELETE') {
+    return tokens[i] && tokens[i].upper === 'FROM' ? i + 1 : -1;
+  }
+  return i;
+}
+
+/**
+ * Tables a query reads: the names after FROM and JOIN, in subqueries too,
+ * leaving out common table expressions and table-valued functions
+ * @param {string} sql - SQL text
+ * @returns {Array<Object>} [{ schema, table }], without duplicates
+ */
+function readTables(sql) {
+  const tokens = tokenize(sql);
+  const cteNames = commonTableNames(tokens);
+  const tables = [];
+
+  function add(name) {
+    if (!name || (name.schema === null && cteNames.indexOf(name.table.toLowerCase()) !== -1)) {
+      return;
+    }
+    const duplicate = tables.some(function(existing) {
+      return existing.table.toLowerCase() === name.table.toLowerCase() &&
+        String(existing.schema).toLowerCase() === String(name.schema).toLowerCase();
+    });
+    if (!duplicate) {
+      tables.push(name);
+    }
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const upper = tokens[i].upper;
+    if (upper !== 'FROM' && upper !== 'JOIN') {
+      continue;
+    }
+    let j = i + 1;
+    // FROM a, b lists several tables
+    for (;;) {
+      const name = readName(tokens, j);
+      if (!name) {
+        break;
+      }
+      j = name.end;
+      if (tokens[j] && tokens[j].value === '(') {
+        break; // table-valued function such as json_each(...)
+      }
+      add({ schema: name.schema, table: name.table });
+      j = skipAlias(tokens, j);
+      if (!tokens[j] || tokens[j].value !== ',') {
+        break;
+      }
+      j++;
+    }
+  }
+  return tables;
+}
+
+/**
+ * Names defined by WITH name AS (...), which are not tables
+ */
+function commonTableNames(tokens) {
+  const names = [];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const next = tokens[i + 1];
+    if (tokens[i].word && next.upper === 'AS' && tokens[i + 2] && tokens[i + 2].value === '(') {
+      names.push(tokens[i].name.toLowerCase());
+    } else if (tokens[i].word && next.value === '(' && isColumnListOfCte(tokens, i + 1)) {
+      names.push(tokens[i].name.toLowerCase());
+    }
+  }
+  return names;
+}
+
+/**
+ * Whether the parenthesis at index opens the column list of WITH name(a, b) AS (...)
+ */
+function isColumnListOfCte(tokens, index) {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    if (tokens[i].value === '(') {
+      depth++;
+    } else if (tokens[i].value === ')') {
+      depth--;
+      if (depth === 0) {
+        return !!tokens[i + 1] && tokens[i + 1].upper === 'AS' && !!tokens[i + 2] && tokens[i + 2].value === '(';
+      }
+    }
+  }
+  return false;
+}
+
+function skipAlias(tokens, index) {
+  let i = index;
+  if (tokens[i] && tokens[i].upper === 'AS') {
+    i++;
+  }
+  if (tokens[i] && tokens[i].word && CLAUSE_KEYWORDS.indexOf(tokens[i].upper) === -1) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Read a name, optionally schema-qualified, starting at tokens[index]
+ * @returns {Object|null} { schema, table, end } where end is the index after the name
+ */
+function readName(tokens, index) {
+  const first = tokens[index];
+  if (!first || !first.word || (!first.quoted && CLAUSE_KEYWORDS.indexOf(first.upper) !== -1)) {
+    return null;
+  }
+  const dot = tokens[index + 1];
+  const second = tokens[index + 2];
+  if (dot && dot.value === '.' && second && second.word) {
+    return { schema: first.name, table: second.name, end: index + 3 };
+  }
+  return { schema: null, table: first.name, end: index + 1 };
+}
+
+function tokenize(sql) {
+  const tokens = [];
+  const matches = String(sql || '').match(TOKEN) || [];
+  matches.forEach(function(value) {
+    const first = value.charAt(0);
+    if (first === '\'' || value.indexOf('--') === 0 || value.indexOf('/*') === 0) {
+      return;
+    }
+    const quoted = first === '"' || first === '`' || first === '[';
+    const word = quoted || /^[A-Za-z_]/.test(value);
+    tokens.push({
+      value: value,
+      word: word,
+      quoted: quoted,
+      upper: word && !quoted ? value.toUpperCase() : null,
+      name: word ? unquote(value) : null
+    });
+  });
+  return tokens;
+}
+
+function unquote(identifier) {
+  const first = identifier.charAt(0);
+  if (first === '"') {
+    return identifier.slice(1, -1).replace(/""/g, '"');
+  }
+  if (first === '`') {
+    return identifier.slice(1, -1).replace(/``/g, '`');
+  }
+  if (first === '[') {
+    return identifier.slice(1, -1);
+  }
+  return identifier;
+}
+
+module.exports = {
+  writtenTable,
+  readTables
+};
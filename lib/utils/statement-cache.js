@@ -0,0 +1,143 @@
+/**
+ * LRU cache of expo-sqlite prepared statements, keyed by SQL text
+ *
+ * A prepared statement can only run one query at a time, so a cached
+ * statement is checked out while it is in use. A caller that finds the
+ * statement checked out gets nothing back and should run the SQL directly.
+ * Statements evicted while checked out are finalized when they are returned.
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Maximum number of cached statements (default: 100)
+ */
+function StatementCache(options) {
+  options = options || {};
+  this.maxSize = options.maxSize !== undefined ? options.maxSize : StatementCache.DEFAULT_MAX_SIZE;
+  // Map iteration order is insertion order, so the first key is the least recently used
+  this.entries = new Map();
+  this.hits = 0;
+  this.misses = 0;
+  this.evictions = 0;
+}
+
+StatementCache.DEFAULT_MAX_SIZE = 100;
+
+/**
+ * Check out the prepared statement for sql, preparing it on a miss
+ * @param {Object} db - expo-sqlite database
+ * @param {string} sql - SQL text
+ * @returns {Promise<Object|null>} Cache entry with a statement, or null when the
+ *   statement for this SQL is already checked out
+ */
+StatementCache.prototype.acquire = async function(db, sql) {
+  const cache = this;
+  let entry = cache.entries.get(sql);
+
+  if (entry) {
+    if (entry.inUse) {
+      return null;
+    }
+    cache.hits++;
+    // Move to the most recently used position
+    cache.entries.delete(sql);
+    cache.entries.set(sql, entry);
+    entry.inUse = true;
+    return entry;
+  }
+
+  cache.misses++;
+  const statement = await db.prepareAsync(sql);
+
+  // Another caller may have prepared the same SQL while we were waiting
+  if (cache.entries.has(sql)) {
+    return { sql: sql, statement: statement, inUse: true, evicted: true };
+  }
+
+  entry = { sql: sql, statement: statement, inUse: true, evicted: false };
+  cache.entries.set(sql, entry);
+  await cache.evictOverflow();
+  return entry;
+};
+
+/**
+ * Return a checked-out statement to the cache
+ * @param {Object} entry - Entry returned by acquire()
+ * @returns {Promise<void>}
+ */
+StatementCache.prototype.release = async function(entry) {
+  entry.inUse = false;
+  if (entry.evicted) {
+    await finalizeQuietly(entry.statement);
+  }
+};
+
+/**
+ * Evict least recently used statements beyond maxSize
+ */
+StatementCache.prototype.evictOverflow = async function() {
+  const cache = this;
+  const iterator = cache.entries.values();
+
+  while (cache.entries.size > cache.maxSize) {
+    const entry = iterator.next().value;
+    cache.entries.delete(entry.sql);
+    cache.evictions++;
+    entry.evicted = true;
+    if (!entry.inUse) {
+      await finalizeQuietly(entry.statement);
+    }
+  }
+};
+
+/**
+ * Finalize and drop every cached statement. Checked-out statements are
+ * finalized when they are returned.
+ * @returns {Promise<void>}
+ */
+StatementCache.prototype.clear = async function() {
+  const entries = Array.from(this.entries.values());
+  this.entries.clear();
+
+  for (const entry of entries) {
+    entry.evicted = true;
+    if (!entry.inUse) {
+      await finalizeQuietly(entry.statement);
+    }
+  }
+};
+
+/**
+ * Cache statistics
+ * @returns {{size: number, maxSize: number, hits: number, misses: number, evictions: number, hitRate: number}}
+ */
+StatementCache.prototype.getStats = function() {
+  const lookups = this.hits + this.misses;
+  return {
+    size: this.entries.size,
+    maxSize: this.maxSize,
+    hits: this.hits,
+    misses: this.misses,
+    evictions: this.evictions,
+    hitRate: lookups === 0 ? 0 : this.hits / lookups
+  };
+};
+
+/**
+ * Reset the hit, miss and eviction counters
+ */
+StatementCache.prototype.resetStats = function() {
+  this.hits = 0;
+  this.misses = 0;
+  this.evictions = 0;
+};
+
+async function finalizeQuietly(statement) {
+  try {
+    await statement.finalizeAsync();
+  } catch (error) {
+    // The connection may already be closed, which finalizes the statement
+  }
+}
+
+module.exports = StatementCache;
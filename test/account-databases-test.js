@@ -0,0 +1,150 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { setUpEnvironment, tearDownEnvironment } = require('./helpers/expo-environment');
+const AccountDatabases = require('../lib/account-databases');
+const ExpoSqliteAdapter = require('../lib/adapters/expo-sqlite-adapter');
+const AttachedExpoSqliteAdapter = require('../lib/adapters/attached-expo-sqlite-adapter');
+
+describe('AccountDatabases', function() {
+  let env;
+  let sqliteDir;
+  let accounts;
+
+  beforeEach(function() {
+    env = setUpEnvironment({ uriFilenames: true });
+    sqliteDir = path.join(env.rootDir, 'Documents', 'SQLite');
+    accounts = new AccountDatabases({ fileName: 'app.db', adapterOptions: env.modules });
+  });
+
+  afterEach(async function() {
+    await accounts.close();
+    tearDownEnvironment();
+  });
+
+  describe('accountFileName', function() {
+    it('adds the account before the extension', function() {
+      expect(AccountDatabases.accountFileName('app.db', 'u42')).to.equal('app.u42.db');
+      expect(AccountDatabases.accountFileName('app', 'u42')).to.equal('app.u42');
+    });
+
+    it('encodes ids into names without dots, slashes or percent signs', function() {
+      expect(AccountDatabases.accountFileName('app.db', 'a.b/c%d~e')).to.equal('app.a~2Eb~2Fc~25d~7Ee.db');
+    });
+  });
+
+  it('requires a fileName', function() {
+    expect(function() {
+      new AccountDatabases({ adapterOptions: env.modules });
+    }).to.throw('AccountDatabases requires a fileName');
+  });
+
+  it('switches between the accounts\' databases', async function() {
+    const first = await accounts.switchAccount('alice');
+    await first.runAsync('CREATE TABLE notes (note TEXT)');
+    await first.runAsync('INSERT INTO notes (note) VALUES (?)', ['for alice']);
+    expect(first).to.be.an.instanceof(ExpoSqliteAdapter);
+    expect(await accounts.switchAccount('alice')).to.equal(first);
+
+    const second = await accounts.switchAccount('bob');
+    expect(first.db).to.equal(null);
+    expect(accounts.accountId).to.equal('bob');
+    expect(await second.getAllAsync('SELECT name FROM sqlite_master WHERE name = \'notes\'')).to.deep.equal([]);
+
+    const again = await accounts.switchAccount('alice');
+    expect(await again.getAllAsync('SELECT note FROM notes')).to.deep.equal([{ note: 'for alice' }]);
+  });
+
+  it('rejects a missing account id', function() {
+    expect(function() {
+      accounts.switchAccount('');
+    }).to.throw('accountId is required');
+  });
+
+  it('lists the accounts with a database', async function() {
+    expect(await accounts.listAccounts()).to.deep.equal([]);
+
+    await accounts.switchAccount('bob');
+    await accounts.switchAccount('alice@example.com');
+    fs.writeFileSync(path.join(sqliteDir, 'other.db'), '');
+
+    expect(await accounts.listAccounts()).to.deep.equal([
+      {
+        accountId: 'alice@example.com',
+        fileName: 'app.alice~40example~2Ecom.db',
+        path: path.join(sqliteDir, 'app.alice~40example~2Ecom.db'),
+        active: true
+      },
+      { accountId: 'bob', fileName: 'app.bob.db', path: path.join(sqliteDir, 'app.bob.db'), active: false }
+    ]);
+  });
+
+  it('destroys the active account, leaving no account active', async function() {
+    await accounts.switchAccount('bob');
+    await accounts.switchAccount('alice');
+
+    const result = await accounts.destroyAccount('alice', { secureDelete: true });
+
+    expect(result).to.deep.equal({ path: path.join(sqliteDir, 'app.alice.db'), overwritten: true });
+    expect(accounts.adapter).to.equal(null);
+    expect(accounts.accountId).to.equal(null);
+    expect(fs.readdirSync(sqliteDir)).to.deep.equal(['app.bob.db']);
+  });
+
+  it('destroys an account that is not active', async function() {
+    await accounts.switchAccount('bob');
+    await accounts.switchAccount('alice');
+
+    await accounts.destroyAccount('bob');
+
+    expect(accounts.accountId).to.equal('alice');
+    expect((await accounts.listAccounts()).map(function(account) {
+      return account.accountId;
+    })).to.deep.equal(['alice']);
+  });
+
+  describe('with attachments', function() {
+    beforeEach(async function() {
+      const shared = env.SQLite.openDatabaseSync('dictionary.db', { useNewConnection: true });
+      await shared.execAsync('CREATE TABLE words (text TEXT)');
+      await shared.closeAsync();
+
+      accounts = new AccountDatabases({
+        fileName: 'app.db',
+        attachments: [
+          { fileName: 'progress.db', alias: 'progress' },
+          { fileName: 'dictionary.db', alias: 'dict', mode: 'readonly' }
+        ],
+        adapterOptions: env.modules
+      });
+    });
+
+    it('keeps read-write attachments per account and shares read-only ones', async function() {
+      const adapter = await accounts.switchAccount('alice');
+
+      expect(adapter).to.be.an.instanceof(AttachedExpoSqliteAdapter);
+      expect(adapter.isAttached('progress')).to.equal(true);
+      expect(adapter.isAttached('dict')).to.equal(true);
+      expect(fs.readdirSync(sqliteDir)).to.include.members(['app.alice.db', 'progress.alice.db', 'dictionary.db']);
+    });
+
+    it('shares an attachment marked shared', function() {
+      accounts.attachments[0].shared = true;
+      const adapter = accounts.createAdapter('alice');
+
+      expect(adapter.originalAttachmentConfig.attachments[0]).to.deep.equal({
+        fileName: 'progress.db',
+        alias: 'progress',
+        dirPath: env.FileSystem.documentDirectory
+      });
+    });
+
+    it('destroys the account\'s databases only', async function() {
+      await accounts.switchAccount('alice');
+
+      await accounts.destroyAccount('alice');
+
+      expect(fs.readdirSync(sqliteDir)).to.deep.equal(['dictionary.db']);
+    });
+  });
+});
@@ -0,0 +1,1091 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setUpEnvironment, tearDownEnvironment } = require('./helpers/expo-environment');
+const { createCorruptDatabase } = require('./helpers/corrupt-database');
+const { createFakeSqlcipher } = require('./helpers/fake-sqlcipher');
+const AttachedExpoSqliteAdapter = require('../lib/adapters/attached-expo-sqlite-adapter');
+const ExpoSqliteAdapter = require('../lib/adapters/expo-sqlite-adapter');
+const { AttachmentError, ReadOnlyDatabaseError } = require('../lib/errors');
+
+describe('AttachedExpoSqliteAdapter', function() {
+  let env;
+  let sqliteDir;
+  let adapter;
+
+  beforeEach(async function() {
+    env = setUpEnvironment({ uriFilenames: true });
+    sqliteDir = path.join(env.rootDir, 'Documents', 'SQLite') + '/';
+
+    // Seed the reference database that will be attached
+    const reference = env.SQLite.openDatabaseSync('reference.db', { useNewConnection: true });
+    await reference.execAsync('CREATE TABLE words (id INTEGER PRIMARY KEY, text TEXT)');
+    await reference.runAsync('INSERT INTO words (text) VALUES (?), (?)', ['hello', 'world']);
+    await reference.closeAsync();
+
+    adapter = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+      attachments: [
+        { fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }
+      ]
+    }, env.modules);
+  });
+
+  afterEach(async function() {
+    await adapter.disconnect();
+    tearDownEnvironment();
+  });
+
+  it('requires fileName, dirPath and alias on every attachment', function() {
+    expect(function() {
+      new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', alias: 'ref' }]
+      }, env.modules);
+    }).to.throw('Each attachment must have fileName, dirPath, and alias properties');
+  });
+
+  it('attaches the databases on connect', async function() {
+    await adapter.connect();
+    const rows = await adapter.getAllAsync('SELECT text FROM ref.words ORDER BY id');
+    expect(rows).to.deep.equal([{ text: 'hello' }, { text: 'world' }]);
+  });
+
+  it('supports queries across the primary and attached databases', async function() {
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE notes (word_id INTEGER, note TEXT)');
+    await adapter.runAsync('INSERT INTO notes (word_id, note) VALUES (?, ?)', [2, 'second']);
+
+    const row = await adapter.getFirstAsync(
+      'SELECT w.text, n.note FROM notes n JOIN ref.words w ON w.id = n.word_id'
+    );
+    expect(row).to.deep.equal({ text: 'world', note: 'second' });
+  });
+
+  it('is idempotent when connecting twice', async function() {
+    await adapter.connect();
+    await adapter.connect();
+    const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words');
+    expect(row.count).to.equal(2);
+  });
+
+  it('runs batched writes on the primary connection', async function() {
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE notes (word_id INTEGER, note TEXT)');
+    await adapter.executeMany('INSERT INTO notes (word_id, note) VALUES (?, ?)', [[1, 'first'], [2, 'second']]);
+
+    const rows = await adapter.getAllAsync(
+      'SELECT w.text, n.note FROM notes n JOIN ref.words w ON w.id = n.word_id ORDER BY w.id'
+    );
+    expect(rows).to.deep.equal([{ text: 'hello', note: 'first' }, { text: 'world', note: 'second' }]);
+  });
+
+  it('paginates tables of attached databases', async function() {
+    await adapter.connect();
+    const pages = [];
+    for await (const rows of adapter.paginateAsync('ref.words', { key: 'ref.words.id', pageSize: 1 })) {
+      pages.push(rows[0].text);
+    }
+    expect(pages).to.deep.equal(['hello', 'world']);
+  });
+
+  it('pre-initializes attachments through the schema strategy', async function() {
+    const strategy = {
+      preInitializeDatabase: sinon.spy(async function(dbPath, createAdapter) {
+        const attachmentAdapter = createAdapter(dbPath);
+        expect(attachmentAdapter).to.be.an.instanceof(ExpoSqliteAdapter);
+        expect(attachmentAdapter.fileName).to.equal('reference.db');
+        expect(attachmentAdapter.SQLite).to.equal(env.SQLite);
+      })
+    };
+    adapter.setSchemaStrategy(strategy);
+
+    await adapter.connect();
+    expect(strategy.preInitializeDatabase).to.have.been.calledOnceWith(sqliteDir + 'reference.db');
+  });
+
+  it('looks up attachments to pre-initialize by file URI', async function() {
+    const getInfoAsync = sinon.spy(env.FileSystem, 'getInfoAsync');
+    adapter.setSchemaStrategy({ preInitializeDatabase: sinon.stub().resolves() });
+
+    await adapter.connect();
+    expect(getInfoAsync).to.have.been.calledWith('file://' + sqliteDir + 'reference.db');
+    expect(getInfoAsync).to.not.have.been.calledWith(sqliteDir + 'reference.db');
+  });
+
+  it('rejects with an AttachmentError when pre-initialization fails', async function() {
+    adapter.setSchemaStrategy({
+      preInitializeDatabase: sinon.stub().rejects(Object.assign(new Error('database or disk is full'), { code: 'SQLITE_FULL' }))
+    });
+    const warn = sinon.stub(adapter.logger, 'warn');
+
+    let error;
+    try {
+      await adapter.connect();
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(AttachmentError);
+    expect(error).to.include({ alias: 'ref', code: 'SQLITE_FULL' });
+    expect(error.cause.message).to.equal('database or disk is full');
+    expect(warn).to.have.been.calledWith('Failed to pre-initialize database', sinon.match({
+      alias: 'ref',
+      error: 'database or disk is full'
+    }));
+  });
+
+  it('rejects with an AttachmentError when a database cannot be attached', async function() {
+    adapter = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+      attachments: [
+        { fileName: 'reference.db', dirPath: sqliteDir + 'missing/', alias: 'ref' }
+      ]
+    }, env.modules);
+
+    let error;
+    try {
+      await adapter.connect();
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(AttachmentError);
+    expect(error.alias).to.equal('ref');
+    expect(error.message).to.match(/^Failed to attach database ref: [\s\S]*unable to open database/);
+    expect(error.code).to.equal('SQLITE_CANTOPEN');
+  });
+
+  describe('integrity', function() {
+    function withCorruptAttachment(options) {
+      return new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [
+          { fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' },
+          { fileName: 'broken.db', dirPath: sqliteDir, alias: 'broken' }
+        ]
+      }, Object.assign({}, options, env.modules));
+    }
+
+    beforeEach(async function() {
+      await createCorruptDatabase(env, 'broken.db');
+    });
+
+    it('checks the primary database and every attachment', async function() {
+      adapter = withCorruptAttachment();
+      await adapter.connect();
+
+      const results = await adapter.checkIntegrity();
+      expect(Object.keys(results)).to.deep.equal(['main', 'ref', 'broken']);
+      expect(results.main.ok).to.equal(true);
+      expect(results.ref.ok).to.equal(true);
+      expect(results.broken.ok).to.equal(false);
+    });
+
+    it('rejects connect with an AttachmentError for a corrupt attachment', async function() {
+      adapter = withCorruptAttachment({ integrityCheck: 'quick' });
+      let error;
+      try {
+        await adapter.connect();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error).to.include({ alias: 'broken', code: 'SQLITE_CORRUPT' });
+      expect(error.message).to.match(/^Attached database broken is corrupt: Integrity check failed/);
+    });
+
+    it('recovers a corrupt attachment before attaching it', async function() {
+      const onCorruption = sinon.spy();
+      const logger = { warn: sinon.spy() };
+      adapter = withCorruptAttachment({ integrityCheck: 'quick', recoverFromCorruption: true, onCorruption: onCorruption, logger: logger });
+      await adapter.connect();
+
+      expect(onCorruption).to.have.been.calledOnce;
+      expect(onCorruption.firstCall.args[0]).to.include({ alias: 'broken', fileName: 'broken.db' });
+      expect(await adapter.getAllAsync("SELECT name FROM broken.sqlite_master WHERE type = 'table'")).to.deep.equal([]);
+      expect((await adapter.checkIntegrity()).broken.ok).to.equal(true);
+      expect(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words')).to.deep.equal({ count: 2 });
+      expect(logger.warn).to.have.been.calledWith('Quarantined corrupt database', sinon.match({ alias: 'broken' }));
+    });
+
+    it('looks up attachments to check by file URI', async function() {
+      const getInfoAsync = sinon.spy(env.FileSystem, 'getInfoAsync');
+      adapter = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }]
+      }, Object.assign({ integrityCheck: 'quick' }, env.modules));
+
+      await adapter.connect();
+      expect(getInfoAsync).to.have.been.calledWith('file://' + sqliteDir + 'reference.db');
+      expect(getInfoAsync).to.not.have.been.calledWith(sqliteDir + 'reference.db');
+    });
+  });
+
+  describe('migrations', function() {
+    it('migrates each database with its own migrations before attaching', async function() {
+      const onMigrate = sinon.spy();
+      const migrated = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }]
+      }, Object.assign({}, env.modules, {
+        onMigrate: onMigrate,
+        migrations: {
+          main: [{ version: 1, up: 'CREATE TABLE notes (word_id INTEGER, note TEXT)' }],
+          ref: [{ version: 1, up: 'ALTER TABLE words ADD COLUMN language TEXT' }, { version: 2, up: "UPDATE words SET language = 'en'" }]
+        }
+      }));
+
+      await migrated.connect();
+      try {
+        expect(await migrated.getAllAsync('SELECT DISTINCT language FROM ref.words')).to.deep.equal([{ language: 'en' }]);
+        expect(await migrated.getFirstAsync('PRAGMA ref.user_version')).to.deep.equal({ user_version: 2 });
+        expect(await migrated.getFirstAsync('PRAGMA main.user_version')).to.deep.equal({ user_version: 1 });
+      } finally {
+        await migrated.disconnect();
+      }
+
+      expect(onMigrate.args.map(function(args) {
+        return [args[0].alias, args[0].toVersion];
+      })).to.deep.equal([['ref', 2], ['primary.db', 1]]);
+    });
+
+    it('rejects migrations for an unknown alias', function() {
+      expect(function() {
+        new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+          attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }]
+        }, Object.assign({}, env.modules, { migrations: { other: [] } }));
+      }).to.throw('Migrations for unknown database: other');
+    });
+  });
+
+  describe('encryption', function() {
+    let SQLite;
+    let encrypted;
+
+    beforeEach(async function() {
+      SQLite = createFakeSqlcipher(env.SQLite);
+      const secret = new ExpoSqliteAdapter('secret.db', sqliteDir, { SQLite: SQLite, encryptionKey: 'attachment key' });
+      await secret.connect();
+      await secret.runAsync('CREATE TABLE facts (text TEXT)');
+      await secret.runAsync('INSERT INTO facts (text) VALUES (?)', ['hidden']);
+      await secret.disconnect();
+    });
+
+    afterEach(async function() {
+      await encrypted.disconnect();
+    });
+
+    function createAdapter(attachments, options) {
+      encrypted = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: attachments
+      }, Object.assign({ SQLite: SQLite, FileSystem: env.FileSystem, encryptionKey: 'primary key' }, options));
+      return encrypted;
+    }
+
+    it('attaches with the key of each attachment', async function() {
+      const events = [];
+      createAdapter([
+        { fileName: 'secret.db', dirPath: sqliteDir, alias: 'secret', encryptionKey: sinon.stub().resolves('attachment key') },
+        { fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref', encryptionKey: null }
+      ], { onQuery: function(event) { events.push(event); } });
+      await encrypted.connect();
+
+      expect(await encrypted.getAllAsync('SELECT text FROM secret.facts')).to.deep.equal([{ text: 'hidden' }]);
+      expect(await encrypted.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words')).to.deep.equal({ count: 2 });
+      expect(encrypted.getAttachedAliases()).to.deep.equal(['secret', 'ref']);
+      expect(JSON.stringify(events)).to.not.contain('key\'');
+      expect(JSON.stringify(events)).to.not.contain('attachment key');
+    });
+
+    it('attaches with the primary key when an attachment has none', async function() {
+      createAdapter([{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }]);
+
+      let error;
+      try {
+        await encrypted.connect();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.code).to.equal('SQLITE_NOTADB');
+      expect(error.message).to.match(/^Failed to attach database ref: [\s\S]*file is not a database/);
+    });
+  });
+
+  describe('dynamic attachments', function() {
+    beforeEach(async function() {
+      const pack = env.SQLite.openDatabaseSync('pack.db', { useNewConnection: true });
+      await pack.execAsync('CREATE TABLE entries (text TEXT); PRAGMA user_version = 3');
+      await pack.runAsync('INSERT INTO entries (text) VALUES (?)', ['packed']);
+      await pack.closeAsync();
+    });
+
+    it('validates aliases', async function() {
+      for (const alias of ['main', 'TEMP', 'bad-alias', '1st']) {
+        let error;
+        try {
+          await adapter.attach({ fileName: 'pack.db', dirPath: sqliteDir, alias: alias });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.match(/^(Invalid attachment alias|Attachment alias is reserved)/);
+      }
+      expect(function() {
+        new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+          attachments: [
+            { fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' },
+            { fileName: 'pack.db', dirPath: sqliteDir, alias: 'REF' }
+          ]
+        }, env.modules);
+      }).to.throw('Duplicate attachment alias: REF');
+    });
+
+    it('attaches a database after connect', async function() {
+      await adapter.connect();
+      await adapter.attach({ fileName: 'pack.db', dirPath: sqliteDir.replace(/\/$/, ''), alias: 'pack' });
+
+      expect(adapter.getAttachedAliases()).to.deep.equal(['ref', 'pack']);
+      expect(await adapter.getAllAsync('SELECT text FROM pack.entries')).to.deep.equal([{ text: 'packed' }]);
+
+      let error;
+      try {
+        await adapter.attach({ fileName: 'reference.db', dirPath: sqliteDir, alias: 'pack' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Duplicate attachment alias: pack');
+    });
+
+    it('keeps dynamic attachments across reconnects', async function() {
+      await adapter.attach({ fileName: 'pack.db', dirPath: sqliteDir, alias: 'pack' });
+      await adapter.connect();
+      await adapter.disconnect();
+      await adapter.connect();
+      expect(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM pack.entries')).to.deep.equal({ count: 1 });
+    });
+
+    it('forgets an attachment that fails to attach', async function() {
+      await adapter.connect();
+      let error;
+      try {
+        await adapter.attach({ fileName: 'pack.db', dirPath: sqliteDir + 'missing/', alias: 'pack' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.alias).to.equal('pack');
+      expect((await adapter.listAttachments()).map(function(attachment) {
+        return attachment.alias;
+      })).to.deep.equal(['ref']);
+    });
+
+    it('attaches read-only databases with mode=ro', async function() {
+      const strategy = { preInitializeDatabase: sinon.stub().resolves() };
+      adapter.setSchemaStrategy(strategy);
+      await adapter.connect();
+      await adapter.attach({ fileName: 'pack.db', dirPath: sqliteDir, alias: 'pack', readOnly: true });
+
+      expect(strategy.preInitializeDatabase).to.have.been.calledOnceWith(sqliteDir + 'reference.db');
+      expect(await adapter.getAllAsync('SELECT text FROM pack.entries')).to.deep.equal([{ text: 'packed' }]);
+      let error;
+      try {
+        await adapter.runAsync('DELETE FROM pack.entries');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).to.equal('SQLITE_READONLY');
+    });
+
+    it('detaches after in-flight queries have finished', async function() {
+      await adapter.connect();
+      await adapter.attach({ fileName: 'pack.db', dirPath: sqliteDir, alias: 'pack' });
+
+      const batches = adapter.iterateAsync('SELECT text FROM pack.entries');
+      const first = await batches.next();
+      const detached = adapter.detach('pack');
+      await new Promise(function(resolve) {
+        setTimeout(resolve, 10);
+      });
+      expect(adapter.isAttached('pack')).to.equal(true);
+
+      expect(first.value).to.deep.equal([{ text: 'packed' }]);
+      expect((await batches.next()).done).to.equal(true);
+      await detached;
+
+      expect(adapter.isAttached('pack')).to.equal(false);
+      await adapter.disconnect();
+      await adapter.connect();
+      expect(adapter.getAttachedAliases()).to.deep.equal(['ref']);
+    });
+
+    it('rejects detaching an unknown alias', async function() {
+      await adapter.connect();
+      let error;
+      try {
+        await adapter.detach('pack');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('No attachment with alias: pack');
+    });
+
+    it('lists attachments with their file size and schema version', async function() {
+      await adapter.connect();
+      await adapter.attach({ fileName: 'pack.db', dirPath: sqliteDir, alias: 'pack', readOnly: true });
+
+      const list = await adapter.listAttachments();
+      expect(list.map(function(attachment) {
+        return [attachment.alias, attachment.path, attachment.readOnly, attachment.attached, attachment.schemaVersion];
+      })).to.deep.equal([
+        ['ref', sqliteDir + 'reference.db', false, true, 0],
+        ['pack', sqliteDir + 'pack.db', true, true, 3]
+      ]);
+      expect(list[1]).to.include({ fileName: 'pack.db', dirPath: sqliteDir, size: fs.statSync(sqliteDir + 'pack.db').size });
+    });
+
+    it('lists attachments that are not attached yet', async function() {
+      await adapter.attach({ fileName: 'later.db', dirPath: sqliteDir, alias: 'later' });
+      const list = await adapter.listAttachments();
+      expect(list[1]).to.include({ alias: 'later', attached: false, size: null, schemaVersion: null });
+    });
+  });
+
+  describe('read-only attachments', function() {
+    let readOnly;
+
+    afterEach(async function() {
+      if (readOnly) {
+        await readOnly.disconnect();
+        readOnly = null;
+      }
+    });
+
+    function createAdapter(attachment, options) {
+      readOnly = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [Object.assign({ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }, attachment)]
+      }, Object.assign({}, env.modules, options));
+      return readOnly;
+    }
+
+    async function connectError(connecting) {
+      try {
+        await connecting.connect();
+      } catch (e) {
+        return e;
+      }
+      return null;
+    }
+
+    it('rejects writes to the attachment with a ReadOnlyDatabaseError', async function() {
+      createAdapter({ mode: 'readonly' });
+      await readOnly.connect();
+      expect(await readOnly.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words')).to.deep.equal({ count: 2 });
+
+      let error;
+      try {
+        await readOnly.transaction(async function(tx) {
+          await tx.runAsync('UPDATE ref.words SET text = ?', ['changed']);
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(ReadOnlyDatabaseError);
+      expect(error).to.include({ alias: 'ref', code: 'SQLITE_READONLY' });
+      expect(error.message).to.match(/^Cannot write to readonly attachment ref: [\s\S]*attempt to write a readonly database/);
+
+      await readOnly.runAsync('CREATE TABLE notes (note TEXT)');
+      await readOnly.runAsync('INSERT INTO notes (note) VALUES (?)', ['main stays writable']);
+    });
+
+    it('attaches immutable databases without pre-initializing them', async function() {
+      const strategy = { preInitializeDatabase: sinon.stub().resolves() };
+      createAdapter({ mode: 'immutable' });
+      readOnly.setSchemaStrategy(strategy);
+      await readOnly.connect();
+
+      expect(strategy.preInitializeDatabase).to.not.have.been.called;
+      expect(await readOnly.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words')).to.deep.equal({ count: 2 });
+      expect((await readOnly.listAttachments())[0]).to.include({ mode: 'immutable', readOnly: true });
+      expect(fs.existsSync(sqliteDir + 'reference.db-wal')).to.equal(false);
+    });
+
+    it('rejects unknown modes and migrations for read-only attachments', function() {
+      expect(function() {
+        createAdapter({ mode: 'append' });
+      }).to.throw('Unknown attachment mode: append (expected readwrite, readonly or immutable)');
+      expect(function() {
+        createAdapter({ mode: 'readonly' }, { migrations: { ref: [] } });
+      }).to.throw('Migrations for read-only database: ref');
+    });
+
+    it('verifies the checksum before attaching', async function() {
+      const md5 = crypto.createHash('md5').update(fs.readFileSync(sqliteDir + 'reference.db')).digest('hex');
+      createAdapter({ mode: 'readonly', md5: md5.toUpperCase() });
+      await readOnly.connect();
+      expect(readOnly.isAttached('ref')).to.equal(true);
+      await readOnly.disconnect();
+
+      createAdapter({ mode: 'readonly', md5: 'd41d8cd98f00b204e9800998ecf8427e' });
+      const error = await connectError(readOnly);
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.alias).to.equal('ref');
+      expect(error.message).to.equal('Checksum mismatch for attached database ref: expected ' +
+        'd41d8cd98f00b204e9800998ecf8427e, got ' + md5);
+    });
+
+    it('verifies the schema version once attached', async function() {
+      const reference = env.SQLite.openDatabaseSync('reference.db', { useNewConnection: true });
+      await reference.execAsync('PRAGMA user_version = 4');
+      await reference.closeAsync();
+
+      createAdapter({ mode: 'readonly', version: 4 });
+      await readOnly.connect();
+      await readOnly.disconnect();
+
+      createAdapter({ mode: 'readonly', version: 5 });
+      const error = await connectError(readOnly);
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.message).to.equal('Attached database ref is at version 4, expected 5');
+      expect(readOnly.getAttachedAliases()).to.deep.equal([]);
+      expect(await readOnly.primaryAdapter.getAllAsync('PRAGMA database_list')).to.have.lengthOf(1);
+    });
+
+    it('fails to attach where SQLite takes the URI for a file name', async function() {
+      env.SQLite.uriFilenames = false;
+      createAdapter({ mode: 'readonly' });
+      const error = await connectError(readOnly);
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.alias).to.equal('ref');
+      expect(error.message).to.match(/^Failed to attach database ref: [\s\S]*unable to open database: file:/);
+    });
+
+    it('detaches a database that SQLite attached writable or from another file', async function() {
+      createAdapter({ mode: 'readonly' });
+      let target = sqliteDir + 'reference.db';
+      const runAsync = readOnly.primaryAdapter.runAsync;
+      sinon.stub(readOnly.primaryAdapter, 'runAsync').callsFake(function(sql, params) {
+        // A build that drops the URI parameters
+        return runAsync.call(this, sql, /^ATTACH/.test(sql) ? [target] : params);
+      });
+
+      let error = await connectError(readOnly);
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.alias).to.equal('ref');
+      expect(error.message).to.equal('Attached database ref is writable, expected readonly; ' +
+        'check that SQLite accepts URI filenames');
+      expect(await readOnly.primaryAdapter.getAllAsync('PRAGMA database_list')).to.have.lengthOf(1);
+      await readOnly.disconnect();
+
+      const reference = env.SQLite.openDatabaseSync('reference.db', { useNewConnection: true });
+      expect(await reference.getAllAsync('SELECT name FROM sqlite_master WHERE type = ?', ['table']))
+        .to.deep.equal([{ name: 'words' }]);
+      await reference.closeAsync();
+
+      target = sqliteDir + 'other.db';
+      error = await connectError(readOnly);
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.message).to.equal('Attached database ref is ' + sqliteDir + 'other.db, expected ' +
+        sqliteDir + 'reference.db; check that SQLite accepts URI filenames');
+      expect(readOnly.getAttachedAliases()).to.deep.equal([]);
+    });
+
+    it('checks integrity on the primary connection without recovering', async function() {
+      const brokenPath = await createCorruptDatabase(env, 'broken.db');
+      const contents = fs.readFileSync(brokenPath);
+      createAdapter({ fileName: 'broken.db', mode: 'readonly' }, { integrityCheck: 'quick', recoverFromCorruption: true });
+
+      const error = await connectError(readOnly);
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error).to.include({ alias: 'ref', code: 'SQLITE_CORRUPT' });
+      expect(error.message).to.match(/^Attached database ref is corrupt: /);
+      expect(fs.readFileSync(brokenPath).equals(contents)).to.equal(true);
+    });
+  });
+
+  describe('maintenance', function() {
+    let maintained;
+
+    afterEach(async function() {
+      if (maintained) {
+        await maintained.disconnect();
+        maintained = null;
+      }
+    });
+
+    function createAdapter(attachments, maintenance, options) {
+      maintained = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: attachments.map(function(attachment) {
+          return Object.assign({ dirPath: sqliteDir }, attachment);
+        })
+      }, Object.assign({ maintenance: maintenance }, env.modules, options));
+      return maintained;
+    }
+
+    it('maintains attachments with the primary\'s settings unless they say otherwise', async function() {
+      const other = env.SQLite.openDatabaseSync('other.db', { useNewConnection: true });
+      await other.execAsync('CREATE TABLE t (x)');
+      await other.closeAsync();
+      createAdapter([
+        { fileName: 'reference.db', alias: 'ref', maintenance: { autoVacuum: true } },
+        { fileName: 'other.db', alias: 'other', maintenance: false }
+      ], { checkpointInterval: 0 });
+      await maintained.connect();
+
+      const report = await maintained.runMaintenance();
+
+      expect(Object.keys(report)).to.deep.equal(['main', 'ref']);
+      expect(report.ref.checkpoint.busy).to.equal(false);
+      const storage = await maintained.getStorageInfo();
+      expect(Object.keys(storage)).to.deep.equal(['main', 'ref', 'other']);
+      expect(storage.ref).to.include({ alias: 'ref', path: sqliteDir + 'reference.db', autoVacuum: 'incremental' });
+      expect(storage.other.autoVacuum).to.equal('none');
+    });
+
+    it('leaves read-only attachments alone', async function() {
+      createAdapter([{ fileName: 'reference.db', alias: 'ref', mode: 'readonly' }], { checkpointInterval: 0 });
+      await maintained.connect();
+
+      expect(Object.keys(await maintained.runMaintenance())).to.deep.equal(['main']);
+      expect((await maintained.getStorageInfo()).ref.tables.map(function(table) {
+        return table.name;
+      })).to.include('words');
+
+      expect(function() {
+        createAdapter([{ fileName: 'reference.db', alias: 'ref', mode: 'readonly', maintenance: true }], true);
+      }).to.throw('Maintenance for read-only database: ref');
+    });
+
+    it('optimizes the attachments before detaching them', async function() {
+      const queries = [];
+      createAdapter([{ fileName: 'reference.db', alias: 'ref' }], { checkpointInterval: 0 }, {
+        onQuery: function(event) {
+          queries.push(event.sql);
+        }
+      });
+      await maintained.connect();
+      await maintained.disconnect();
+
+      expect(queries).to.include.members(['PRAGMA main.optimize', 'PRAGMA ref.optimize']);
+      expect(queries.indexOf('PRAGMA ref.optimize')).to.be.below(queries.indexOf('DETACH DATABASE ref'));
+      expect(maintained.primaryAdapter.maintenance.schemas).to.have.all.keys('main');
+    });
+  });
+
+  describe('app lifecycle', function() {
+    let followed;
+
+    afterEach(async function() {
+      if (followed) {
+        await followed.disconnect();
+        followed = null;
+      }
+    });
+
+    it('attaches every database again when a query reopens the connection', async function() {
+      followed = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref', mode: 'readonly' }]
+      }, Object.assign({ lifecycle: { closeOnBackground: true }, AppState: env.AppState }, env.modules));
+      await followed.connect();
+      await followed.runAsync('CREATE TABLE notes (word_id INTEGER, note TEXT)');
+      await followed.runAsync('INSERT INTO notes (word_id, note) VALUES (?, ?)', [1, 'first']);
+
+      env.AppState.setState('background');
+      await followed.primaryAdapter.lifecycle.suspending;
+      expect(followed.primaryAdapter.suspended).to.equal(true);
+      env.AppState.setState('active');
+
+      const row = await followed.getFirstAsync(
+        'SELECT w.text, n.note FROM notes n JOIN ref.words w ON w.id = n.word_id'
+      );
+      expect(row).to.deep.equal({ text: 'hello', note: 'first' });
+      expect(followed.getAttachedAliases()).to.deep.equal(['ref']);
+      let error;
+      try {
+        await followed.runAsync('DELETE FROM ref.words');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/^Cannot write to readonly attachment ref/);
+    });
+
+    it('leaves detached databases out', async function() {
+      await adapter.connect();
+      await adapter.detach('ref');
+
+      const result = await adapter.suspend({ close: true });
+      expect(result.closed).to.equal(true);
+      expect(await adapter.getAllAsync('PRAGMA database_list')).to.have.lengthOf(1);
+    });
+  });
+
+  describe('full-text search', function() {
+    let dictionary;
+
+    beforeEach(async function() {
+      // Build the dictionary and its index through a read-write attachment
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE ref.entries (id TEXT PRIMARY KEY, data TEXT)');
+      await adapter.runAsync('INSERT INTO ref.entries (id, data) VALUES (?, ?), (?, ?)', [
+        'cafe', JSON.stringify({ payload: { headword: 'café', gloss: 'coffee shop' } }),
+        'the', JSON.stringify({ payload: { headword: 'thé', gloss: 'tea' } })
+      ]);
+      await adapter.createSearchIndex({ schema: 'ref', table: 'entries', fields: ['$.payload.headword', '$.payload.gloss'] });
+      await adapter.runAsync('INSERT INTO ref.entries (id, data) VALUES (?, ?)', [
+        'lait', JSON.stringify({ payload: { headword: 'lait', gloss: 'milk' } })
+      ]);
+      await adapter.disconnect();
+
+      dictionary = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref', mode: 'readonly' }]
+      }, env.modules);
+      await dictionary.connect();
+    });
+
+    afterEach(async function() {
+      await dictionary.disconnect();
+    });
+
+    it('searches an index in a read-only attachment', async function() {
+      const results = await dictionary.search('ref.entries_fts', 'cafe', { highlight: { fields: ['headword'] } });
+      expect(results).to.have.length(1);
+      expect(results[0].row.id).to.equal('cafe');
+      expect(results[0].highlights).to.deep.equal({ headword: '<b>café</b>' });
+
+      expect((await dictionary.search('ref.entries_fts', 'milk')).map(function(result) {
+        return result.row.id;
+      })).to.deep.equal(['lait']);
+    });
+
+    it('searches the primary database alongside the attachment', async function() {
+      await dictionary.runAsync('CREATE TABLE notes (id TEXT PRIMARY KEY, data TEXT)');
+      await dictionary.createSearchIndex({ table: 'notes', fields: { body: '$.payload.body' } });
+      await dictionary.runAsync('INSERT INTO notes (id, data) VALUES (?, ?)', ['n1', JSON.stringify({ payload: { body: 'Thé at the café' } })]);
+
+      expect(await dictionary.search('notes_fts', 'the cafe')).to.have.length(1);
+      expect(await dictionary.search('ref.entries_fts', 'the')).to.have.length(1);
+    });
+
+    it('keeps an index in a read-write attachment in sync with INSERT OR REPLACE', async function() {
+      await dictionary.disconnect();
+      dictionary = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }]
+      }, env.modules);
+      await dictionary.connect();
+
+      await dictionary.runAsync('INSERT OR REPLACE INTO ref.entries (id, data) VALUES (?, ?)', [
+        'cafe', JSON.stringify({ payload: { headword: 'café', gloss: 'bar' } })
+      ]);
+
+      expect(await dictionary.search('ref.entries_fts', 'shop', { includeRow: false })).to.deep.equal([]);
+      expect(await dictionary.getFirstAsync('SELECT COUNT(*) AS count FROM ref.entries_fts')).to.deep.equal({ count: 3 });
+    });
+
+    it('rejects changes to the attachment\'s indexes', async function() {
+      let error;
+      try {
+        await dictionary.rebuildSearchIndex('ref.entries_fts');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(ReadOnlyDatabaseError);
+      expect(error.message).to.match(/^Cannot write to readonly attachment ref: /);
+    });
+  });
+
+  describe('asset attachments', function() {
+    let bundleDir;
+
+    beforeEach(async function() {
+      bundleDir = path.join(env.rootDir, 'Bundle') + '/';
+      await bundleDictionary('first');
+    });
+
+    async function bundleDictionary(text) {
+      fs.rmSync(bundleDir + 'dictionary.db', { force: true });
+      const db = env.SQLite.openDatabaseSync('dictionary.db', { useNewConnection: true }, bundleDir);
+      await db.execAsync('PRAGMA journal_mode=DELETE; CREATE TABLE entries (text TEXT)');
+      await db.runAsync('INSERT INTO entries (text) VALUES (?)', [text]);
+      await db.closeAsync();
+    }
+
+    function withAsset(version) {
+      adapter = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ asset: bundleDir + 'dictionary.db', version: version, alias: 'dict', mode: 'immutable' }]
+      }, env.modules);
+      return adapter;
+    }
+
+    it('installs the asset into the primary directory before attaching it', async function() {
+      await withAsset(1).connect();
+      expect(await adapter.getAllAsync('SELECT text FROM dict.entries')).to.deep.equal([{ text: 'first' }]);
+      expect((await adapter.listAttachments())[0]).to.include({ fileName: 'dict.db', path: sqliteDir + 'dict.db' });
+    });
+
+    it('installs a newer version on the next connect', async function() {
+      await withAsset(1).connect();
+      await adapter.disconnect();
+      await bundleDictionary('second');
+
+      await withAsset(1).connect();
+      expect(await adapter.getAllAsync('SELECT text FROM dict.entries')).to.deep.equal([{ text: 'first' }]);
+      await adapter.disconnect();
+
+      await withAsset(2).connect();
+      expect(await adapter.getAllAsync('SELECT text FROM dict.entries')).to.deep.equal([{ text: 'second' }]);
+    });
+
+    it('rejects with an AttachmentError when the asset cannot be installed', async function() {
+      adapter = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, { attachments: [] }, env.modules);
+      await adapter.connect();
+
+      let error;
+      try {
+        await adapter.attach({ asset: bundleDir + 'dictionary.db', alias: 'dict' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.message).to.equal('Failed to install database dict: Asset version must be a positive integer: undefined');
+      expect(adapter.getAttachedAliases()).to.deep.equal([]);
+    });
+  });
+
+  describe('backup and restore', function() {
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE notes (note TEXT)');
+      await adapter.runAsync('INSERT INTO notes (note) VALUES (?)', ['kept']);
+    });
+
+    it('backs up the primary database and every attachment', async function() {
+      const paths = await adapter.backupTo('backup.db', sqliteDir + 'backups/');
+      expect(paths).to.deep.equal({
+        main: sqliteDir + 'backups/backup.db',
+        ref: sqliteDir + 'backups/backup.ref.db'
+      });
+
+      const copy = env.SQLite.openDatabaseSync('backup.ref.db', { useNewConnection: true }, sqliteDir + 'backups/');
+      try {
+        expect(await copy.getFirstAsync('SELECT COUNT(*) AS count FROM words')).to.deep.equal({ count: 2 });
+      } finally {
+        await copy.closeAsync();
+      }
+    });
+
+    it('restores every database and reattaches', async function() {
+      await adapter.backupTo('backup.db', sqliteDir + 'backups/');
+      await adapter.runAsync('DELETE FROM notes');
+      await adapter.runAsync('DELETE FROM ref.words');
+
+      await adapter.restoreFrom('backup.db', sqliteDir + 'backups/');
+
+      expect(adapter.isAttached('ref')).to.equal(true);
+      expect(await adapter.getAllAsync('SELECT note FROM notes')).to.deep.equal([{ note: 'kept' }]);
+      expect(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words')).to.deep.equal({ count: 2 });
+    });
+
+    it('waits for a transaction in flight before restoring', async function() {
+      await adapter.backupTo('backup.db', sqliteDir + 'backups/');
+      let release;
+      const transaction = adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO notes (note) VALUES (?)', ['in flight']);
+        await new Promise(function(resolve) {
+          release = resolve;
+        });
+        await tx.runAsync('INSERT INTO notes (note) VALUES (?)', ['after the wait']);
+      });
+      await new Promise(function(resolve) { setTimeout(resolve, 10); });
+
+      const restore = adapter.restoreFrom('backup.db', sqliteDir + 'backups/');
+      await new Promise(function(resolve) { setTimeout(resolve, 10); });
+      release();
+      await transaction;
+      await restore;
+
+      expect(await adapter.getAllAsync('SELECT note FROM notes')).to.deep.equal([{ note: 'kept' }]);
+      expect(adapter.isAttached('ref')).to.equal(true);
+    });
+
+    it('replaces nothing when an attachment backup can\'t be opened', async function() {
+      await adapter.backupTo('backup.db', sqliteDir + 'backups/');
+      await adapter.runAsync('DELETE FROM notes');
+      fs.writeFileSync(sqliteDir + 'backups/backup.ref.db', 'not a database, but long enough to have a header'.repeat(4));
+
+      let error;
+      try {
+        await adapter.restoreFrom('backup.db', sqliteDir + 'backups/');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(AttachmentError);
+      expect(error.alias).to.equal('ref');
+      expect(error.message).to.match(/^Backup of ref can't be opened: /);
+      expect(await adapter.getAllAsync('SELECT note FROM notes')).to.deep.equal([]);
+      expect(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words')).to.deep.equal({ count: 2 });
+    });
+
+    it('puts every database back when one can\'t be swapped in', async function() {
+      await adapter.backupTo('backup.db', sqliteDir + 'backups/');
+      await adapter.runAsync('DELETE FROM notes');
+      await adapter.runAsync('DELETE FROM ref.words WHERE id = 1');
+      const copyAsync = env.FileSystem.copyAsync;
+      sinon.stub(env.FileSystem, 'copyAsync').callsFake(function(options) {
+        if (/backup\.ref\.db$/.test(options.from)) {
+          return Promise.reject(new Error('disk full'));
+        }
+        return copyAsync.call(this, options);
+      });
+      const warn = sinon.stub(adapter.logger, 'warn');
+
+      let error;
+      try {
+        await adapter.restoreFrom('backup.db', sqliteDir + 'backups/');
+      } catch (e) {
+        error = e;
+      }
+      env.FileSystem.copyAsync.restore();
+      expect(error.message).to.equal('disk full');
+      expect(warn).to.have.been.calledWith('Restore failed, kept the current databases', sinon.match({ error: 'disk full' }));
+      expect(adapter.isAttached('ref')).to.equal(true);
+      expect(await adapter.getAllAsync('SELECT note FROM notes')).to.deep.equal([]);
+      expect(await adapter.getAllAsync('SELECT text FROM ref.words')).to.deep.equal([{ text: 'world' }]);
+      expect(fs.readdirSync(sqliteDir).filter(function(name) {
+        return name.indexOf('.replaced-') !== -1;
+      })).to.deep.equal([]);
+    });
+
+    it('migrates backups with an older schema', async function() {
+      await adapter.backupTo('backup.db', sqliteDir + 'backups/');
+      await adapter.disconnect();
+
+      const migrated = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref' }]
+      }, Object.assign({}, env.modules, {
+        migrations: {
+          main: [{ version: 1, up: 'ALTER TABLE notes ADD COLUMN done INTEGER' }],
+          ref: [{ version: 1, up: 'ALTER TABLE words ADD COLUMN language TEXT' }]
+        }
+      }));
+      await migrated.connect();
+      try {
+        await migrated.restoreFrom('backup.db', sqliteDir + 'backups/');
+
+        expect(await migrated.getAllAsync('SELECT note, done FROM notes')).to.deep.equal([{ note: 'kept', done: null }]);
+        expect(await migrated.getFirstAsync('PRAGMA main.user_version')).to.deep.equal({ user_version: 1 });
+        expect(await migrated.getFirstAsync('PRAGMA ref.user_version')).to.deep.equal({ user_version: 1 });
+      } finally {
+        await migrated.disconnect();
+      }
+    });
+  });
+
+  it('creates an adapter in the document directory with the injected modules', function() {
+    const created = AttachedExpoSqliteAdapter.createWithDocumentDirectory('primary.db', {
+      attachments: [{ fileName: 'reference.db', alias: 'ref' }]
+    }, env.modules);
+    expect(created.primaryDirPath).to.equal(env.FileSystem.documentDirectory);
+    expect(created.SQLite).to.equal(env.SQLite);
+    expect(created.FileSystem).to.equal(env.FileSystem);
+  });
+
+  it('reports whether every database exists', async function() {
+    const status = await adapter.checkAllDatabasesExist();
+    expect(status).to.deep.equal({
+      primary: { fileName: 'primary.db', exists: false },
+      attachments: {
+        ref: { fileName: 'reference.db', exists: true }
+      }
+    });
+  });
+
+  it('reports changes to attached tables under their alias', async function() {
+    await adapter.connect();
+    const events = [];
+    adapter.addChangeListener(function(event) {
+      events.push(event);
+    });
+    const results = [];
+    const live = adapter.liveQuery('SELECT count(*) AS n FROM ref.words', [], function(rows) {
+      results.push(rows[0].n);
+    });
+    await live.refresh();
+
+    await adapter.runAsync('INSERT INTO ref.words (text) VALUES (?)', ['again']);
+    await new Promise(function(resolve) {
+      setImmediate(resolve);
+    });
+    await live.refresh();
+    live.remove();
+
+    expect(events).to.deep.equal([{ alias: 'ref', table: 'words', operation: 'insert', rowIds: [3] }]);
+    expect(results[results.length - 1]).to.equal(3);
+    expect(adapter.primaryAdapter.attachedPaths).to.deep.equal({ [sqliteDir + 'reference.db']: 'ref' });
+    await adapter.detach('ref');
+    expect(adapter.primaryAdapter.attachedPaths).to.deep.equal({});
+  });
+
+  it('reports the primary database as existing once it is opened', async function() {
+    await adapter.connect();
+    expect((await adapter.checkAllDatabasesExist()).primary.exists).to.equal(true);
+    expect(adapter.getDatabasePath()).to.equal(sqliteDir + 'primary.db');
+  });
+
+  it('finds attachments in the document directory where expo-sqlite put them', async function() {
+    await adapter.disconnect();
+    adapter = AttachedExpoSqliteAdapter.createWithDocumentDirectory('primary.db', {
+      attachments: [{ fileName: 'reference.db', alias: 'ref' }]
+    }, env.modules);
+
+    await adapter.connect();
+    expect(await adapter.getAllAsync('SELECT text FROM ref.words ORDER BY id')).to.deep.equal([
+      { text: 'hello' },
+      { text: 'world' }
+    ]);
+    expect((await adapter.checkAllDatabasesExist()).attachments.ref.exists).to.equal(true);
+  });
+  describe('destroying databases', function() {
+    it('deletes the primary database and every read-write attachment', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE notes (note TEXT)');
+
+      const results = await adapter.destroyDatabase({ secureDelete: true });
+
+      expect(results).to.deep.equal({
+        main: { path: sqliteDir + 'primary.db', overwritten: true },
+        ref: { path: sqliteDir + 'reference.db', overwritten: true }
+      });
+      expect(fs.readdirSync(sqliteDir)).to.deep.equal([]);
+    });
+
+    it('waits for a transaction in flight before deleting', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE notes (note TEXT)');
+      let release;
+      const transaction = adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO notes (note) VALUES (?)', ['in flight']);
+        await new Promise(function(resolve) {
+          release = resolve;
+        });
+        await tx.runAsync('INSERT INTO notes (note) VALUES (?)', ['after the wait']);
+      });
+      await new Promise(function(resolve) { setTimeout(resolve, 10); });
+
+      const destroying = adapter.destroyDatabase();
+      await new Promise(function(resolve) { setTimeout(resolve, 10); });
+      release();
+      await transaction;
+      const results = await destroying;
+
+      expect(Object.keys(results)).to.deep.equal(['main', 'ref']);
+      expect(adapter.isAttached('ref')).to.equal(false);
+      expect(fs.readdirSync(sqliteDir)).to.deep.equal([]);
+    });
+
+    it('leaves read-only attachments in place', async function() {
+      const withReadOnly = new AttachedExpoSqliteAdapter('primary.db', sqliteDir, {
+        attachments: [{ fileName: 'reference.db', dirPath: sqliteDir, alias: 'ref', mode: 'readonly' }]
+      }, env.modules);
+      await withReadOnly.connect();
+
+      const results = await withReadOnly.destroyDatabase();
+
+      expect(Object.keys(results)).to.deep.equal(['main']);
+      expect(fs.readdirSync(sqliteDir)).to.deep.equal(['reference.db']);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const {
+  SqliteStorageError,
+  NotConnectedError,
+  BusyError,
+  ConstraintError,
+  CorruptDatabaseError,
+  DiskFullError,
+  ReadOnlyDatabaseError,
+  AttachmentError,
+  SchemaError,
+  toSqliteStorageError
+} = require('../lib/errors');
+
+describe('errors', function() {
+  it('are Errors with a name, a message and a stack', function() {
+    const error = new ConstraintError('UNIQUE constraint failed: docs.id', { code: 'SQLITE_CONSTRAINT', sql: 'INSERT' });
+    expect(error).to.be.an.instanceof(Error);
+    expect(error).to.be.an.instanceof(SqliteStorageError);
+    expect(error).to.be.an.instanceof(ConstraintError);
+    expect(error.name).to.equal('ConstraintError');
+    expect(error.message).to.equal('UNIQUE constraint failed: docs.id');
+    expect(error.stack).to.match(/ConstraintError/);
+    expect(error).to.include({ code: 'SQLITE_CONSTRAINT', sql: 'INSERT', fileName: null, alias: null, retries: 0 });
+  });
+
+  it('use a default message', function() {
+    expect(new NotConnectedError().message).to.equal('Database not connected');
+    expect(new AttachmentError().message).to.equal('Failed to attach database');
+  });
+
+  describe('toSqliteStorageError', function() {
+    const context = { sql: 'SELECT 1', fileName: 'app.db', alias: 'main', retries: 2 };
+
+    function convert(error) {
+      return toSqliteStorageError(error, context);
+    }
+
+    it('maps result codes to error types', function() {
+      expect(convert(Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' }))).to.be.an.instanceof(BusyError);
+      expect(convert(new Error('database table is locked'))).to.be.an.instanceof(BusyError);
+      expect(convert(Object.assign(new Error('UNIQUE constraint failed: t.id'), { code: 'SQLITE_CONSTRAINT_UNIQUE' })))
+        .to.be.an.instanceof(ConstraintError);
+      expect(convert(new Error('Error code 11: database disk image is malformed'))).to.be.an.instanceof(CorruptDatabaseError);
+      expect(convert(Object.assign(new Error('file is not a database'), { code: 'SQLITE_NOTADB' })))
+        .to.be.an.instanceof(CorruptDatabaseError);
+      expect(convert(new Error('Error code 13: database or disk is full'))).to.be.an.instanceof(DiskFullError);
+      expect(convert(new Error('Error code 8: attempt to write a readonly database'))).to.be.an.instanceof(ReadOnlyDatabaseError);
+      expect(convert(Object.assign(new Error('database schema has changed'), { code: 'SQLITE_SCHEMA' })))
+        .to.be.an.instanceof(SchemaError);
+    });
+
+    it('maps missing tables and columns to SchemaError', function() {
+      expect(convert(new Error('no such table: docs'))).to.be.an.instanceof(SchemaError);
+      expect(convert(Object.assign(new Error('table docs has no column named body'), { code: 'SQLITE_ERROR' })))
+        .to.be.an.instanceof(SchemaError);
+    });
+
+    it('keeps other errors as SqliteStorageError', function() {
+      const error = convert(new Error('near "SELEC": syntax error'));
+      expect(error.constructor).to.equal(SqliteStorageError);
+      expect(error.code).to.equal(null);
+    });
+
+    it('carries the context, the code and the original error', function() {
+      const original = Object.assign(new Error('UNIQUE constraint failed: t.id'), { code: 'SQLITE_CONSTRAINT_UNIQUE' });
+      const error = convert(original);
+      expect(error).to.include({
+        message: 'UNIQUE constraint failed: t.id',
+        code: 'SQLITE_CONSTRAINT',
+        sql: 'SELECT 1',
+        fileName: 'app.db',
+        alias: 'main',
+        retries: 2,
+        cause: original
+      });
+    });
+
+    it('fills in the context of errors that are already typed', function() {
+      const typed = new NotConnectedError(null, { fileName: 'app.db' });
+      const error = convert(typed);
+      expect(error).to.equal(typed);
+      expect(error).to.include({ sql: 'SELECT 1', fileName: 'app.db', alias: 'main', retries: 2 });
+    });
+  });
+});
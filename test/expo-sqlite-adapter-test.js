@@ -0,0 +1,2598 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { setUpEnvironment, tearDownEnvironment } = require('./helpers/expo-environment');
+const { createCorruptDatabase } = require('./helpers/corrupt-database');
+const { createFakeSqlcipher } = require('./helpers/fake-sqlcipher');
+const ExpoSqliteAdapter = require('../lib/adapters/expo-sqlite-adapter');
+const {
+  NotConnectedError,
+  BusyError,
+  ConstraintError,
+  CorruptDatabaseError,
+  EncryptionKeyError,
+  DiskFullError,
+  SchemaError,
+  SchemaVersionError
+} = require('../lib/errors');
+
+describe('ExpoSqliteAdapter', function() {
+  let env;
+  let adapter;
+
+  beforeEach(function() {
+    env = setUpEnvironment();
+    adapter = new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory, Object.assign({ baseDelay: 10 }, env.modules));
+  });
+
+  afterEach(async function() {
+    await adapter.disconnect();
+    tearDownEnvironment();
+  });
+
+  describe('constructor', function() {
+    it('requires a fileName', function() {
+      expect(function() {
+        new ExpoSqliteAdapter(null, env.FileSystem.documentDirectory, env.modules);
+      }).to.throw('fileName is required');
+    });
+
+    it('requires a dirPath', function() {
+      expect(function() {
+        new ExpoSqliteAdapter('test.db', null, env.modules);
+      }).to.throw(/dirPath is required/);
+    });
+
+    it('uses the injected SQLite and FileSystem modules', function() {
+      expect(adapter.SQLite).to.equal(env.SQLite);
+      expect(adapter.FileSystem).to.equal(env.FileSystem);
+    });
+
+    it('rejects a SQLite module without openDatabaseSync', function() {
+      expect(function() {
+        new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory, { SQLite: {} });
+      }).to.throw(/must provide openDatabaseSync/);
+    });
+
+    it('strips the file:// prefix from dirPath', function() {
+      expect(adapter.dirPath.indexOf('file://')).to.equal(-1);
+    });
+  });
+
+  describe('connect and disconnect', function() {
+    it('is idempotent when connecting twice', async function() {
+      await adapter.connect();
+      const db = adapter.db;
+      await adapter.connect();
+      expect(adapter.db).to.equal(db);
+    });
+
+    it('enables WAL mode and foreign keys', async function() {
+      await adapter.connect();
+      const journal = await adapter.getFirstAsync('PRAGMA journal_mode');
+      const foreignKeys = await adapter.getFirstAsync('PRAGMA foreign_keys');
+      expect(journal.journal_mode).to.equal('wal');
+      expect(foreignKeys.foreign_keys).to.equal(1);
+    });
+
+    it('leaves the journal mode alone when WAL is disabled', async function() {
+      adapter = new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory, Object.assign({ enableWAL: false }, env.modules));
+      await adapter.connect();
+      const journal = await adapter.getFirstAsync('PRAGMA journal_mode');
+      expect(journal.journal_mode).to.equal('delete');
+    });
+
+    it('sets busy_timeout when configured', async function() {
+      adapter = new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory, Object.assign({ busyTimeout: 250 }, env.modules));
+      await adapter.connect();
+      expect(await adapter.getFirstAsync('PRAGMA busy_timeout')).to.deep.equal({ timeout: 250 });
+    });
+
+    it('is idempotent when disconnecting twice', async function() {
+      await adapter.connect();
+      await adapter.disconnect();
+      await adapter.disconnect();
+      expect(adapter.db).to.equal(null);
+    });
+
+    it('can reconnect after disconnecting', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['kept']);
+      await adapter.disconnect();
+
+      await adapter.connect();
+      const row = await adapter.getFirstAsync('SELECT name FROM items');
+      expect(row.name).to.equal('kept');
+    });
+
+    it('rejects queries when not connected', async function() {
+      let error;
+      try {
+        await adapter.runAsync('SELECT 1');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Database not connected');
+    });
+  });
+
+  describe('queries', function() {
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    });
+
+    it('returns lastID and changes from runAsync', async function() {
+      const first = await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      const second = await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+      expect(first).to.deep.equal({ lastID: 1, changes: 1 });
+      expect(second).to.deep.equal({ lastID: 2, changes: 1 });
+
+      const update = await adapter.runAsync('UPDATE items SET name = ?', ['c']);
+      expect(update.changes).to.equal(2);
+    });
+
+    it('returns null from getFirstAsync when there are no rows', async function() {
+      const row = await adapter.getFirstAsync('SELECT * FROM items WHERE id = ?', [42]);
+      expect(row).to.equal(null);
+    });
+
+    it('returns every row from getAllAsync', async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?), (?)', ['a', 'b']);
+      const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+      expect(rows).to.deep.equal([{ name: 'a' }, { name: 'b' }]);
+    });
+  });
+
+  describe('statement cache', function() {
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    });
+
+    it('reuses a prepared statement for the same SQL', async function() {
+      const prepareSpy = sinon.spy(adapter.db, 'prepareAsync');
+      for (let i = 0; i < 3; i++) {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['item ' + i]);
+      }
+      const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+      await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+
+      expect(row.count).to.equal(3);
+      expect(prepareSpy).to.have.been.calledTwice;
+      const stats = adapter.getStatementCacheStats();
+      expect(stats.hits).to.equal(3);
+      expect(stats.misses).to.equal(3); // CREATE TABLE, INSERT, SELECT
+    });
+
+    it('returns fresh results from a reused statement', async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?), (?)', ['a', 'b']);
+      const sql = 'SELECT name FROM items WHERE name = ?';
+      expect(await adapter.getFirstAsync(sql, ['a'])).to.deep.equal({ name: 'a' });
+      expect(await adapter.getFirstAsync(sql, ['b'])).to.deep.equal({ name: 'b' });
+      expect(await adapter.getAllAsync('SELECT name FROM items ORDER BY id')).to.have.length(2);
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?), (?)', ['c', 'd']);
+      expect(await adapter.getAllAsync('SELECT name FROM items ORDER BY id')).to.have.length(4);
+    });
+
+    it('runs concurrent calls with the same SQL', async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?), (?)', ['a', 'b']);
+      const sql = 'SELECT name FROM items WHERE name = ?';
+      const rows = await Promise.all([
+        adapter.getFirstAsync(sql, ['a']),
+        adapter.getFirstAsync(sql, ['b'])
+      ]);
+      expect(rows).to.deep.equal([{ name: 'a' }, { name: 'b' }]);
+    });
+
+    it('evicts the least recently used statement', async function() {
+      const small = new ExpoSqliteAdapter('small.db', env.FileSystem.documentDirectory, Object.assign({ statementCacheSize: 2 }, env.modules));
+      await small.connect();
+      try {
+        await small.getFirstAsync('SELECT 1 AS n');
+        await small.getFirstAsync('SELECT 2 AS n');
+        await small.getFirstAsync('SELECT 1 AS n');
+        await small.getFirstAsync('SELECT 3 AS n');
+        await small.getFirstAsync('SELECT 1 AS n');
+
+        const stats = small.getStatementCacheStats();
+        expect(stats).to.include({ size: 2, maxSize: 2, hits: 2, misses: 3, evictions: 1 });
+      } finally {
+        await small.disconnect();
+      }
+    });
+
+    it('shares the cache with transactions', async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      await adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+      });
+      expect(adapter.getStatementCacheStats().hits).to.equal(1);
+    });
+
+    it('finalizes cached statements on disconnect', async function() {
+      const statement = await adapter.db.prepareAsync('SELECT 1');
+      const finalizeSpy = sinon.spy(Object.getPrototypeOf(statement), 'finalizeAsync');
+      try {
+        await adapter.getFirstAsync('SELECT name FROM items');
+        await adapter.disconnect();
+        expect(finalizeSpy).to.have.been.calledTwice; // CREATE TABLE and SELECT
+        expect(adapter.getStatementCacheStats().size).to.equal(0);
+
+        await adapter.connect();
+        expect(await adapter.getFirstAsync('SELECT name FROM items')).to.equal(null);
+      } finally {
+        finalizeSpy.restore();
+      }
+    });
+
+    it('can be disabled', async function() {
+      const uncached = new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory, Object.assign({ statementCacheSize: 0 }, env.modules));
+      await uncached.connect();
+      try {
+        const prepareSpy = sinon.spy(uncached.db, 'prepareAsync');
+        await uncached.getAllAsync('SELECT * FROM items');
+        expect(prepareSpy).not.to.have.been.called;
+        expect(uncached.getStatementCacheStats()).to.equal(null);
+      } finally {
+        await uncached.disconnect();
+      }
+    });
+  });
+
+  describe('streaming reads', function() {
+    async function collect(iterable) {
+      const batches = [];
+      for await (const batch of iterable) {
+        batches.push(batch.map(function(row) { return row.id; }));
+      }
+      return batches;
+    }
+
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.executeMany('INSERT INTO items (id, name) VALUES (?, ?)', [
+        [1, 'a'], [2, 'b'], [3, 'c'], [4, 'd'], [5, 'e']
+      ]);
+    });
+
+    it('yields the rows of a query in batches', async function() {
+      const batches = await collect(adapter.iterateAsync('SELECT id FROM items WHERE id > ? ORDER BY id', [0], { batchSize: 2 }));
+      expect(batches).to.deep.equal([[1, 2], [3, 4], [5]]);
+    });
+
+    it('yields nothing for an empty result', async function() {
+      expect(await collect(adapter.iterateAsync('SELECT id FROM items WHERE id > 99'))).to.deep.equal([]);
+    });
+
+    it('finalizes the statement when the loop is left early', async function() {
+      const prepareSpy = sinon.spy(adapter.db, 'prepareAsync');
+      for await (const batch of adapter.iterateAsync('SELECT id FROM items', [], { batchSize: 1 })) {
+        expect(batch).to.have.length(1);
+        break;
+      }
+      const statement = await prepareSpy.returnValues[0];
+      expect(statement.finalized).to.be.true;
+    });
+
+    it('retries a query that fails with a lock error', async function() {
+      const prepareAsync = adapter.db.prepareAsync;
+      let attempts = 0;
+      const prepareStub = sinon.stub(adapter.db, 'prepareAsync').callsFake(function(sql) {
+        attempts++;
+        if (attempts === 1) {
+          return Promise.reject(new Error('database is locked'));
+        }
+        return prepareAsync.call(this, sql);
+      });
+
+      const batches = await collect(adapter.iterateAsync('SELECT id FROM items ORDER BY id'));
+      expect(batches).to.deep.equal([[1, 2, 3, 4, 5]]);
+      expect(prepareStub).to.have.been.calledTwice;
+    });
+
+    it('rejects when not connected', async function() {
+      await adapter.disconnect();
+      let error;
+      try {
+        await collect(adapter.iterateAsync('SELECT id FROM items'));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Database not connected');
+    });
+
+    it('refuses to iterate on a completed transaction', async function() {
+      let scoped;
+      await adapter.transaction(async function(tx) {
+        scoped = tx;
+        expect(await collect(tx.iterateAsync('SELECT id FROM items WHERE id < 3'))).to.deep.equal([[1, 2]]);
+      });
+
+      let error;
+      try {
+        await collect(scoped.iterateAsync('SELECT id FROM items'));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Transaction has already completed');
+    });
+
+    it('paginates a table by key', async function() {
+      const pages = await collect(adapter.paginateAsync('items', { pageSize: 2, where: 'id <> ?', params: [3] }));
+      expect(pages).to.deep.equal([[1, 2], [4, 5]]);
+
+      const descending = await collect(adapter.paginateAsync('items', { pageSize: 3, order: 'desc' }));
+      expect(descending).to.deep.equal([[5, 4, 3], [2, 1]]);
+    });
+  });
+
+  describe('batched writes', function() {
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT UNIQUE)');
+    });
+
+    it('returns a result for every statement in the batch', async function() {
+      const results = await adapter.runBatchAsync([
+        { sql: 'INSERT INTO items (name) VALUES (?)', params: ['a'] },
+        ['INSERT INTO items (name) VALUES (?)', ['b']],
+        "UPDATE items SET name = name || '!'"
+      ]);
+      expect(results).to.deep.equal([
+        { lastID: 1, changes: 1 },
+        { lastID: 2, changes: 1 },
+        { lastID: 2, changes: 2 }
+      ]);
+    });
+
+    it('applies none of the batch when a statement fails', async function() {
+      let error;
+      try {
+        await adapter.runBatchAsync([
+          { sql: 'INSERT INTO items (name) VALUES (?)', params: ['a'] },
+          { sql: 'INSERT INTO items (name) VALUES (?)', params: ['a'] }
+        ]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/UNIQUE constraint failed/);
+      const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+      expect(row.count).to.equal(0);
+    });
+
+    it('resolves an empty batch without a transaction', async function() {
+      const transactionSpy = sinon.spy(adapter, 'transaction');
+      expect(await adapter.runBatchAsync([])).to.deep.equal([]);
+      expect(transactionSpy).not.to.have.been.called;
+    });
+
+    it('rejects a statement without sql', async function() {
+      let error;
+      try {
+        await adapter.runBatchAsync([{ params: [] }]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Batch statement 0 has no sql');
+    });
+
+    it('combines single-row inserts within the variable limit', async function() {
+      const prepareSpy = sinon.spy(adapter.db, 'prepareAsync');
+      const paramSets = [];
+      for (let i = 0; i < 5; i++) {
+        paramSets.push([i + 1, 'item ' + i]);
+      }
+
+      const results = await adapter.executeMany('INSERT INTO items (id, name) VALUES (?, ?)', paramSets, { maxVariables: 4 });
+
+      expect(results).to.deep.equal([
+        { lastID: 2, changes: 2, paramSetCount: 2 },
+        { lastID: 4, changes: 2, paramSetCount: 2 },
+        { lastID: 5, changes: 1, paramSetCount: 1 }
+      ]);
+      expect(prepareSpy.args.map(function(args) { return args[0]; })).to.deep.equal([
+        'INSERT INTO items (id, name) VALUES (?, ?), (?, ?)',
+        'INSERT INTO items (id, name) VALUES (?, ?)'
+      ]);
+      const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+      expect(rows).to.have.length(5);
+    });
+
+    it('runs other statements once per parameter set', async function() {
+      await adapter.executeMany('INSERT INTO items (name) VALUES (?)', [['a'], ['b']]);
+      const results = await adapter.executeMany('UPDATE items SET name = ? WHERE id = ?', [['x', 1], ['y', 2], ['z', 3]]);
+
+      expect(results).to.deep.equal([
+        { lastID: 2, changes: 1, paramSetCount: 1 },
+        { lastID: 2, changes: 1, paramSetCount: 1 },
+        { lastID: 2, changes: 0, paramSetCount: 1 }
+      ]);
+      const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+      expect(rows).to.deep.equal([{ name: 'x' }, { name: 'y' }]);
+    });
+
+    it('nests inside a transaction', async function() {
+      await adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['outer']);
+        try {
+          await tx.executeMany('INSERT INTO items (name) VALUES (?)', [['inner'], ['outer']]);
+        } catch (e) {
+          // the nested batch rolls back on its own
+        }
+      });
+      const rows = await adapter.getAllAsync('SELECT name FROM items');
+      expect(rows).to.deep.equal([{ name: 'outer' }]);
+    });
+  });
+
+  describe('logging and query tracing', function() {
+    let logger;
+    let events;
+    let traced;
+
+    beforeEach(async function() {
+      logger = { debug: sinon.spy(), warn: sinon.spy() };
+      events = [];
+      traced = new ExpoSqliteAdapter('traced.db', env.FileSystem.documentDirectory, Object.assign({
+        logger: logger,
+        alias: 'main',
+        onQuery: function(event) {
+          events.push(event);
+        }
+      }, env.modules));
+      await traced.connect();
+      await traced.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      events.length = 0;
+    });
+
+    afterEach(async function() {
+      await traced.disconnect();
+    });
+
+    it('reports every query with structured fields', async function() {
+      const sql = 'INSERT INTO items (name) VALUES (?), (?) /* ' + 'x'.repeat(60) + ' */';
+      await traced.runAsync(sql, ['a', 'b']);
+      await traced.getFirstAsync('SELECT name FROM items WHERE id = ?', [1]);
+      await traced.getAllAsync('SELECT name FROM items');
+
+      expect(events.map(function(event) { return event.method; })).to.deep.equal(['runAsync', 'getFirstAsync', 'getAllAsync']);
+      expect(events[0]).to.include({
+        adapter: 'ExpoSqliteAdapter',
+        alias: 'main',
+        sql: sql,
+        paramCount: 2,
+        retries: 0,
+        changes: 2,
+        lastID: 2
+      });
+      expect(events[0].durationMs).to.be.a('number');
+      expect(events[1].rows).to.equal(1);
+      expect(events[2].rows).to.equal(2);
+      expect(logger.debug).to.have.been.calledWith('Query', events[2]);
+    });
+
+    it('reports failed queries', async function() {
+      try {
+        await traced.getAllAsync('SELECT * FROM missing');
+      } catch (e) {
+        // expected
+      }
+      expect(events[0].error).to.match(/no such table: missing/);
+      expect(logger.debug).to.have.been.calledWith('Query failed', events[0]);
+    });
+
+    it('reports iterations once they finish', async function() {
+      await traced.executeMany('INSERT INTO items (name) VALUES (?)', [['a'], ['b'], ['c']]);
+      events.length = 0;
+      for await (const rows of traced.iterateAsync('SELECT name FROM items', [], { batchSize: 2 })) {
+        expect(rows).not.to.be.empty;
+      }
+      expect(events).to.have.length(1);
+      expect(events[0]).to.include({ method: 'iterateAsync', rows: 3 });
+    });
+
+    it('reports queries made inside transactions', async function() {
+      await traced.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      });
+      expect(events).to.have.length(1);
+      expect(events[0]).to.include({ method: 'runAsync', alias: 'main' });
+    });
+
+    it('keeps running queries when the hook throws', async function() {
+      traced.onQuery = function() {
+        throw new Error('analytics offline');
+      };
+      const row = await traced.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+      expect(row.count).to.equal(0);
+      expect(logger.warn).to.have.been.calledWith('onQuery hook failed', sinon.match({ error: 'analytics offline' }));
+    });
+
+    it('accepts a logger without every level', async function() {
+      const partial = new ExpoSqliteAdapter('partial.db', env.FileSystem.documentDirectory, Object.assign({
+        logger: { error: sinon.spy() }
+      }, env.modules));
+      await partial.connect();
+      await partial.getFirstAsync('SELECT 1');
+      await partial.disconnect();
+    });
+
+    it('stays quiet by default unless debug is on', async function() {
+      const logSpy = sinon.stub(console, 'log');
+      // Without the test environment's logLevel, to get the default console logger
+      const modules = { SQLite: env.SQLite, FileSystem: env.FileSystem };
+      try {
+        const quiet = new ExpoSqliteAdapter('quiet.db', env.FileSystem.documentDirectory, modules);
+        await quiet.connect();
+        await quiet.getFirstAsync('SELECT 1');
+        await quiet.disconnect();
+        expect(logSpy).not.to.have.been.called;
+
+        const noisy = new ExpoSqliteAdapter('noisy.db', env.FileSystem.documentDirectory, Object.assign({ debug: true }, modules));
+        await noisy.connect();
+        await noisy.getFirstAsync('SELECT 1');
+        await noisy.disconnect();
+        expect(logSpy).to.have.been.calledWith('[ExpoSqliteAdapter] Query', sinon.match({ sql: 'SELECT 1', rows: 1 }));
+      } finally {
+        logSpy.restore();
+      }
+    });
+  });
+
+  describe('metrics', function() {
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      adapter.resetStats();
+    });
+
+    it('counts queries, rows and latencies per kind', async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?), (?)', ['a', 'b']);
+      await adapter.getFirstAsync('SELECT name FROM items');
+      await adapter.getAllAsync('SELECT name FROM items');
+      await adapter.getAllAsync('SELECT name FROM items WHERE id = ?', [1]);
+      try {
+        await adapter.getAllAsync('SELECT * FROM missing');
+      } catch (e) {
+        // counted as an error
+      }
+
+      const stats = adapter.getStats();
+      expect(stats.queries.run).to.include({ count: 1, errors: 0 });
+      expect(stats.queries.getFirst).to.include({ count: 1, rows: 1 });
+      expect(stats.queries.getAll).to.include({ count: 3, errors: 1, rows: 3 });
+      expect(stats.totals).to.include({ count: 5, errors: 1, rows: 4 });
+
+      const histogram = stats.queries.getAll.histogram;
+      const bucketed = Object.keys(histogram).reduce(function(sum, bound) { return sum + histogram[bound]; }, 0);
+      expect(bucketed).to.equal(3);
+      expect(histogram).to.have.property('+Inf');
+      expect(stats.queries.getAll.meanMs).to.equal(stats.queries.getAll.totalMs / 3);
+      expect(stats.statementCache).to.include({ hits: 1, misses: 4 });
+    });
+
+    it('counts committed and rolled back transactions', async function() {
+      await adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      });
+      try {
+        await adapter.transaction(async function() {
+          throw new Error('abort');
+        });
+      } catch (e) {
+        // counted as an error
+      }
+
+      const stats = adapter.getStats();
+      expect(stats.queries.transaction).to.include({ count: 2, errors: 1 });
+      expect(stats.queries.run.count).to.equal(1);
+      expect(stats.totals.count).to.equal(1);
+    });
+
+    it('resets every counter', async function() {
+      await adapter.getAllAsync('SELECT name FROM items');
+      const before = adapter.getStats().since;
+      adapter.resetStats();
+
+      const stats = adapter.getStats();
+      expect(stats.totals.count).to.equal(0);
+      expect(stats.statementCache).to.include({ hits: 0, misses: 0 });
+      expect(stats.since).to.be.at.least(before);
+    });
+
+    describe('slow queries', function() {
+      let slow;
+      let logger;
+
+      beforeEach(async function() {
+        logger = { warn: sinon.spy() };
+        slow = new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory, Object.assign({
+          slowQueryThreshold: 1,
+          slowQueryLogSize: 2,
+          logger: logger
+        }, env.modules));
+        await slow.connect();
+        // Every query through the stubbed database takes at least 5ms
+        const getAllAsync = slow.db.getAllAsync;
+        sinon.stub(slow, 'statementCache').value(null);
+        sinon.stub(slow.db, 'getAllAsync').callsFake(async function(sql, params) {
+          if (sql.indexOf('EXPLAIN') !== 0) {
+            await new Promise(function(resolve) { setTimeout(resolve, 5); });
+          }
+          return getAllAsync.call(this, sql, params);
+        });
+      });
+
+      afterEach(async function() {
+        await slow.disconnect();
+      });
+
+      it('captures slow queries with their query plan', async function() {
+        await slow.getAllAsync('SELECT name FROM items WHERE id = ?', [1]);
+
+        const entry = slow.getStats().slowQueries[0];
+        expect(entry).to.include({ method: 'getAllAsync', sql: 'SELECT name FROM items WHERE id = ?', paramCount: 1 });
+        expect(entry.durationMs).to.be.at.least(1);
+        expect(entry.plan).to.have.length(1);
+        expect(entry.plan[0].detail).to.match(/SEARCH items USING INTEGER PRIMARY KEY/);
+        expect(logger.warn).to.have.been.calledWith('Slow query', entry);
+      });
+
+      it('keeps the most recent slow queries', async function() {
+        await slow.getAllAsync('SELECT 1');
+        await slow.getAllAsync('SELECT 2');
+        await slow.getAllAsync('SELECT 3');
+        const logged = slow.getStats().slowQueries.map(function(entry) { return entry.sql; });
+        expect(logged).to.deep.equal(['SELECT 3', 'SELECT 2']);
+      });
+
+      it('does not capture fast queries', async function() {
+        slow.metrics.slowQueryThreshold = 1000;
+        await slow.getAllAsync('SELECT 1');
+        expect(slow.getStats().slowQueries).to.be.empty;
+      });
+
+      it('skips the query plan when disabled', async function() {
+        slow.explainSlowQueries = false;
+        await slow.getAllAsync('SELECT name FROM items');
+        expect(slow.getStats().slowQueries[0].plan).to.equal(null);
+      });
+    });
+  });
+
+  describe('retries', function() {
+    let blocker;
+
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+
+      // A second connection holding the write lock makes the adapter's writes fail with SQLITE_BUSY
+      blocker = env.SQLite.openDatabaseSync('test.db', { useNewConnection: true });
+      await blocker.execAsync('BEGIN IMMEDIATE');
+    });
+
+    afterEach(async function() {
+      if (await blocker.isInTransactionAsync()) {
+        await blocker.execAsync('ROLLBACK');
+      }
+      await blocker.closeAsync();
+    });
+
+    it('retries a locked write until the lock is released', async function() {
+      setTimeout(function() {
+        blocker.execSync('COMMIT');
+      }, 25);
+
+      const result = await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      expect(result.changes).to.equal(1);
+    });
+
+    it('reports the retries of a query', async function() {
+      const events = [];
+      adapter.onQuery = function(event) {
+        events.push(event);
+      };
+      setTimeout(function() {
+        blocker.execSync('COMMIT');
+      }, 25);
+
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      expect(events).to.have.length(1);
+      expect(events[0].retries).to.be.above(0);
+    });
+
+    it('reports the time spent waiting on the lock', async function() {
+      setTimeout(function() {
+        blocker.execSync('COMMIT');
+      }, 25);
+
+      adapter.resetStats();
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      const stats = adapter.getStats().queries.run;
+      expect(stats.retries).to.be.above(0);
+      expect(stats.lockWaitMs).to.be.at.least(10);
+      expect(stats.lockWaitMs).to.be.at.most(stats.totalMs);
+    });
+
+    it('gives up after maxRetries', async function() {
+      adapter.retryOptions = { maxRetries: 2, baseDelay: 1 };
+      let error;
+      try {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/database is locked/);
+    });
+
+    it('does not retry errors that are not lock related', async function() {
+      let error;
+      const started = Date.now();
+      try {
+        await adapter.runAsync('INSERT INTO missing_table (name) VALUES (?)', ['a']);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/no such table/);
+      expect(Date.now() - started).to.be.below(50);
+    });
+
+    it('does not retry when maxRetries is 0', async function() {
+      const retried = new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory,
+        Object.assign({ retry: { maxRetries: 0 } }, env.modules));
+      await retried.connect();
+      const events = [];
+      retried.onQuery = function(event) {
+        events.push(event);
+      };
+
+      let error;
+      try {
+        await retried.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      } catch (e) {
+        error = e;
+      } finally {
+        await retried.disconnect();
+      }
+      expect(error.message).to.match(/database is locked/);
+      expect(events[0].retries).to.equal(0);
+    });
+
+    it('retries connecting while another connection holds the lock', async function() {
+      await blocker.execAsync('ROLLBACK');
+      await adapter.disconnect();
+
+      // Switching a new database to WAL needs the lock
+      const holder = env.SQLite.openDatabaseSync('fresh.db', { useNewConnection: true });
+      await holder.execAsync('CREATE TABLE t (id INTEGER)');
+      await holder.execAsync('BEGIN EXCLUSIVE');
+      setTimeout(function() {
+        holder.execSync('COMMIT');
+      }, 25);
+
+      const fresh = new ExpoSqliteAdapter('fresh.db', env.FileSystem.documentDirectory,
+        Object.assign({ baseDelay: 10 }, env.modules));
+      try {
+        await fresh.connect();
+        expect(await fresh.getFirstAsync('PRAGMA journal_mode')).to.deep.equal({ journal_mode: 'wal' });
+      } finally {
+        await fresh.disconnect();
+        await holder.closeAsync();
+      }
+    });
+
+    describe('whole transactions', function() {
+      it('re-runs the operations once the lock is released', async function() {
+        setTimeout(function() {
+          blocker.execSync('COMMIT');
+        }, 25);
+
+        const operations = sinon.spy(async function(tx) {
+          await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+          return 'done';
+        });
+        let attempts = 0;
+        const result = await adapter.transaction(async function(tx) {
+          attempts++;
+          if (attempts === 1) {
+            throw Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+          }
+          return operations(tx);
+        }, { retry: true });
+
+        expect(result).to.equal('done');
+        expect(attempts).to.equal(2);
+        expect(operations).to.have.been.calledOnce;
+        expect(await adapter.getAllAsync('SELECT name FROM items')).to.deep.equal([{ name: 'a' }]);
+      });
+
+      it('rolls back the failed attempt before retrying', async function() {
+        await blocker.execAsync('COMMIT');
+        let attempts = 0;
+        await adapter.transaction(async function(tx) {
+          attempts++;
+          await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['attempt ' + attempts]);
+          if (attempts === 1) {
+            throw new Error('database table is locked');
+          }
+        }, { retry: true });
+
+        expect(await adapter.getAllAsync('SELECT name FROM items')).to.deep.equal([{ name: 'attempt 2' }]);
+      });
+
+      it('uses the retryTransactions option by default', async function() {
+        await blocker.execAsync('COMMIT');
+        adapter.retryTransactions = true;
+        let attempts = 0;
+        await adapter.transaction(async function() {
+          attempts++;
+          if (attempts === 1) {
+            throw new Error('database is locked');
+          }
+        });
+        expect(attempts).to.equal(2);
+      });
+
+      it('does not re-run transactions without retry', async function() {
+        await blocker.execAsync('COMMIT');
+        let attempts = 0;
+        let error;
+        try {
+          await adapter.transaction(async function() {
+            attempts++;
+            throw new Error('database is locked');
+          });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.equal('database is locked');
+        expect(attempts).to.equal(1);
+      });
+    });
+  });
+
+  describe('transaction', function() {
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    });
+
+    it('commits the operations when they succeed', async function() {
+      await adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+      });
+
+      const rows = await adapter.getAllAsync('SELECT name FROM items');
+      expect(rows).to.have.length(2);
+    });
+
+    it('rolls back the operations when they fail', async function() {
+      let error;
+      try {
+        await adapter.transaction(async function() {
+          await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+          throw new Error('boom');
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('boom');
+      const rows = await adapter.getAllAsync('SELECT name FROM items');
+      expect(rows).to.have.length(0);
+    });
+
+    it('rejects when not connected', async function() {
+      await adapter.disconnect();
+      let error;
+      try {
+        await adapter.transaction(async function() {});
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Database not connected');
+    });
+
+    it('resolves with the value returned by the operations', async function() {
+      const result = await adapter.transaction(async function(tx) {
+        return (await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a'])).lastID;
+      });
+      expect(result).to.equal(1);
+    });
+
+    it('passes a transaction-scoped adapter to the operations', async function() {
+      await adapter.transaction(async function(tx) {
+        expect(tx).not.to.equal(adapter);
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+        const row = await tx.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+        expect(row.count).to.equal(1);
+      });
+    });
+
+    it('refuses queries on the scoped adapter after the transaction completes', async function() {
+      let scoped;
+      await adapter.transaction(async function(tx) {
+        scoped = tx;
+      });
+
+      let error;
+      try {
+        await scoped.runAsync('INSERT INTO items (name) VALUES (?)', ['late']);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Transaction has already completed');
+    });
+
+    it('commits nested transactions with the outer transaction', async function() {
+      await adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['outer']);
+        await tx.transaction(async function(nested) {
+          await nested.runAsync('INSERT INTO items (name) VALUES (?)', ['inner']);
+        });
+      });
+
+      const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+      expect(rows).to.deep.equal([{ name: 'outer' }, { name: 'inner' }]);
+    });
+
+    it('rolls back only the failed nested transaction', async function() {
+      await adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['outer']);
+        try {
+          await tx.transaction(async function(nested) {
+            await nested.runAsync('INSERT INTO items (name) VALUES (?)', ['inner']);
+            await nested.transaction(async function(deepest) {
+              await deepest.runAsync('INSERT INTO items (name) VALUES (?)', ['deepest']);
+            });
+            throw new Error('inner failure');
+          });
+        } catch (e) {
+          expect(e.message).to.equal('inner failure');
+        }
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['after']);
+      });
+
+      const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+      expect(rows).to.deep.equal([{ name: 'outer' }, { name: 'after' }]);
+    });
+
+    it('rolls back nested work when the outer transaction fails', async function() {
+      try {
+        await adapter.transaction(async function(tx) {
+          await tx.transaction(async function(nested) {
+            await nested.runAsync('INSERT INTO items (name) VALUES (?)', ['inner']);
+          });
+          throw new Error('outer failure');
+        });
+      } catch (e) {
+        expect(e.message).to.equal('outer failure');
+      }
+
+      const rows = await adapter.getAllAsync('SELECT name FROM items');
+      expect(rows).to.have.length(0);
+    });
+
+    it('runs concurrent transactions one after another', async function() {
+      const events = [];
+      async function record(label) {
+        await adapter.transaction(async function(tx) {
+          events.push(label + ':start');
+          await tx.runAsync('INSERT INTO items (name) VALUES (?)', [label]);
+          await new Promise(function(resolve) { setTimeout(resolve, 5); });
+          events.push(label + ':end');
+        });
+      }
+
+      await Promise.all([record('a'), record('b'), record('c')]);
+      expect(events).to.deep.equal(['a:start', 'a:end', 'b:start', 'b:end', 'c:start', 'c:end']);
+    });
+
+    it('keeps serving queued transactions after one fails', async function() {
+      const failed = adapter.transaction(async function() {
+        throw new Error('first');
+      });
+      const succeeded = adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['second']);
+        return 'ok';
+      });
+
+      let error;
+      try {
+        await failed;
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('first');
+      expect(await succeeded).to.equal('ok');
+    });
+
+    it('refuses to run without a way to issue transaction statements', async function() {
+      const db = adapter.db;
+      adapter.db = { getFirstAsync: db.getFirstAsync.bind(db) };
+      let error;
+      try {
+        await adapter.transaction(async function() {});
+      } catch (e) {
+        error = e;
+      } finally {
+        adapter.db = db;
+      }
+      expect(error.message).to.match(/does not support transactions/);
+    });
+  });
+
+  describe('typed errors', function() {
+    async function failure(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected a failure');
+    }
+
+    it('throws NotConnectedError before connecting', async function() {
+      const error = await failure(adapter.getAllAsync('SELECT 1'));
+      expect(error).to.be.an.instanceof(NotConnectedError);
+      expect(error).to.include({ message: 'Database not connected', sql: 'SELECT 1', fileName: 'test.db', alias: 'test.db' });
+    });
+
+    it('throws ConstraintError for constraint violations', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      await adapter.runAsync('INSERT INTO items (id) VALUES (1)');
+
+      const error = await failure(adapter.runAsync('INSERT INTO items (id) VALUES (?)', [1]));
+      expect(error).to.be.an.instanceof(ConstraintError);
+      expect(error.code).to.equal('SQLITE_CONSTRAINT');
+      expect(error.sql).to.equal('INSERT INTO items (id) VALUES (?)');
+      expect(error.message).to.match(/UNIQUE constraint failed/);
+      expect(error.cause).to.be.an.instanceof(Error);
+    });
+
+    it('throws SchemaError for missing tables', async function() {
+      await adapter.connect();
+      const error = await failure(adapter.getFirstAsync('SELECT * FROM missing'));
+      expect(error).to.be.an.instanceof(SchemaError);
+      expect(error.message).to.match(/no such table: missing/);
+    });
+
+    it('throws DiskFullError when the database cannot grow', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE blobs (data BLOB)');
+      const pages = await adapter.getFirstAsync('PRAGMA page_count');
+      await adapter.getFirstAsync('PRAGMA max_page_count = ' + pages.page_count);
+
+      const error = await failure(adapter.runAsync('INSERT INTO blobs (data) VALUES (zeroblob(100000))'));
+      expect(error).to.be.an.instanceof(DiskFullError);
+      expect(error.code).to.equal('SQLITE_FULL');
+    });
+
+    it('throws BusyError with the retry count once retries run out', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      const blocker = env.SQLite.openDatabaseSync('test.db', { useNewConnection: true });
+      await blocker.execAsync('BEGIN IMMEDIATE');
+      adapter.retryOptions = { maxRetries: 2, baseDelay: 1 };
+
+      try {
+        const error = await failure(adapter.runAsync('INSERT INTO items (id) VALUES (1)'));
+        expect(error).to.be.an.instanceof(BusyError);
+        expect(error.retries).to.equal(2);
+      } finally {
+        await blocker.execAsync('ROLLBACK');
+        await blocker.closeAsync();
+      }
+    });
+
+    it('throws CorruptDatabaseError when the file is not a database', async function() {
+      const sqliteDir = path.join(env.rootDir, 'Documents', 'SQLite');
+      fs.mkdirSync(sqliteDir, { recursive: true });
+      fs.writeFileSync(path.join(sqliteDir, 'broken.db'), 'this is not a database, just some text '.repeat(50));
+      const broken = new ExpoSqliteAdapter('broken.db', env.FileSystem.documentDirectory, env.modules);
+
+      const error = await failure(broken.connect());
+      await broken.disconnect();
+      expect(error).to.be.an.instanceof(CorruptDatabaseError);
+      expect(error.fileName).to.equal('broken.db');
+    });
+
+    it('throws typed errors from streaming reads', async function() {
+      await adapter.connect();
+      const error = await failure((async function() {
+        for await (const rows of adapter.iterateAsync('SELECT * FROM missing')) {
+          rows.forEach(function() {});
+        }
+      })());
+      expect(error).to.be.an.instanceof(SchemaError);
+    });
+
+    it('leaves errors thrown by transaction operations alone', async function() {
+      await adapter.connect();
+      const thrown = new Error('validation failed');
+      const error = await failure(adapter.transaction(async function() {
+        throw thrown;
+      }));
+      expect(error).to.equal(thrown);
+    });
+  });
+
+  describe('integrity', function() {
+    let filePath;
+    let corrupt;
+
+    beforeEach(async function() {
+      filePath = await createCorruptDatabase(env, 'corrupt.db');
+    });
+
+    afterEach(async function() {
+      if (corrupt) {
+        await corrupt.disconnect();
+        corrupt = null;
+      }
+    });
+
+    function openCorrupt(options) {
+      corrupt = new ExpoSqliteAdapter('corrupt.db', env.FileSystem.documentDirectory, Object.assign({}, options, env.modules));
+      return corrupt;
+    }
+
+    it('rejects unknown integrity check modes', function() {
+      expect(function() {
+        new ExpoSqliteAdapter('test.db', env.FileSystem.documentDirectory, Object.assign({ integrityCheck: 'deep' }, env.modules));
+      }).to.throw('integrityCheck must be quick or full');
+    });
+
+    it('reports a healthy database as ok', async function() {
+      await adapter.connect();
+      expect(await adapter.checkIntegrity()).to.deep.equal({ ok: true, mode: 'quick', problems: [] });
+      expect(await adapter.checkIntegrity('full')).to.deep.equal({ ok: true, mode: 'full', problems: [] });
+    });
+
+    it('reports the problems of a corrupt database', async function() {
+      await openCorrupt().connect();
+      const result = await corrupt.checkIntegrity('full');
+      expect(result.ok).to.equal(false);
+      expect(result.mode).to.equal('full');
+      expect(result.problems.join('\n')).to.match(/malformed|Tree \d+ page \d+/);
+    });
+
+    it('does not check integrity on connect by default', async function() {
+      await openCorrupt().connect();
+      expect(fs.existsSync(filePath)).to.equal(true);
+    });
+
+    it('rejects connect with a CorruptDatabaseError when the check fails', async function() {
+      let error;
+      try {
+        await openCorrupt({ integrityCheck: 'quick' }).connect();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(CorruptDatabaseError);
+      expect(error.message).to.match(/^Integrity check failed: /);
+      expect(error.code).to.equal('SQLITE_CORRUPT');
+      expect(error.problems).to.be.an('array').that.is.not.empty;
+    });
+
+    it('quarantines the corrupt file and starts over with an empty database', async function() {
+      const onCorruption = sinon.spy();
+      const logger = { warn: sinon.spy() };
+      await openCorrupt({ integrityCheck: 'full', recoverFromCorruption: true, onCorruption: onCorruption, logger: logger }).connect();
+
+      expect(await corrupt.getAllAsync("SELECT name FROM sqlite_master WHERE type = 'table'")).to.deep.equal([]);
+      expect(await corrupt.checkIntegrity()).to.include({ ok: true });
+
+      const quarantined = fs.readdirSync(path.dirname(filePath)).filter(function(name) {
+        return name.indexOf('corrupt.db.corrupt-') === 0;
+      });
+      expect(quarantined).to.have.length(1);
+      expect(quarantined[0]).to.match(/^corrupt\.db\.corrupt-\d{4}-\d{2}-\d{2}T[\d-]+Z$/);
+
+      expect(onCorruption).to.have.been.calledOnce;
+      const event = onCorruption.firstCall.args[0];
+      expect(event).to.include({
+        adapter: 'ExpoSqliteAdapter',
+        alias: 'corrupt.db',
+        fileName: 'corrupt.db',
+        path: filePath,
+        quarantinedPath: path.join(path.dirname(filePath), quarantined[0])
+      });
+      expect(event.error).to.be.an.instanceof(CorruptDatabaseError);
+      expect(event.problems).to.be.an('array').that.is.not.empty;
+      expect(logger.warn).to.have.been.calledWith('Quarantined corrupt database', sinon.match({
+        alias: 'corrupt.db',
+        path: filePath,
+        quarantinedPath: event.quarantinedPath
+      }));
+    });
+
+    it('recovers files that are not databases at all', async function() {
+      fs.writeFileSync(filePath, 'this is not a database, just some text '.repeat(50));
+      const onCorruption = sinon.spy();
+      const logger = { warn: sinon.spy() };
+      await openCorrupt({ recoverFromCorruption: true, onCorruption: onCorruption, logger: logger }).connect();
+
+      expect(await corrupt.getFirstAsync('SELECT 1 AS one')).to.deep.equal({ one: 1 });
+      expect(onCorruption).to.have.been.calledOnce;
+      expect(logger.warn).to.have.been.calledWith('Quarantined corrupt database', sinon.match({
+        error: sinon.match(/file is not a database/)
+      }));
+    });
+
+    it('keeps connecting when the onCorruption hook throws', async function() {
+      const logger = { warn: sinon.spy() };
+      await openCorrupt({
+        integrityCheck: 'quick',
+        recoverFromCorruption: true,
+        logger: logger,
+        onCorruption: function() {
+          throw new Error('hook failed');
+        }
+      }).connect();
+
+      expect(await corrupt.checkIntegrity()).to.include({ ok: true });
+      expect(logger.warn).to.have.been.calledWith('onCorruption hook failed', sinon.match({ error: 'hook failed' }));
+    });
+
+    it('does not recover from other errors', async function() {
+      const busy = Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+      sinon.stub(ExpoSqliteAdapter.prototype, 'checkIntegrity').rejects(busy);
+      let error;
+      try {
+        await openCorrupt({ integrityCheck: 'quick', recoverFromCorruption: true }).connect();
+      } catch (e) {
+        error = e;
+      } finally {
+        ExpoSqliteAdapter.prototype.checkIntegrity.restore();
+      }
+      expect(error).to.be.an.instanceof(BusyError);
+      expect(fs.existsSync(filePath)).to.equal(true);
+    });
+  });
+
+  describe('backup and restore', function() {
+    let backupDir;
+
+    beforeEach(async function() {
+      backupDir = env.FileSystem.documentDirectory + 'backups/';
+      await env.FileSystem.makeDirectoryAsync(backupDir, { intermediates: true });
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['before backup']);
+    });
+
+    async function names(target) {
+      return (await target.getAllAsync('SELECT name FROM items ORDER BY id')).map(function(row) {
+        return row.name;
+      });
+    }
+
+    it('writes a snapshot that includes changes still in the WAL', async function() {
+      const backupPath = await adapter.backupTo('backup.db', backupDir);
+      expect(backupPath).to.equal(backupDir.replace('file://', '') + 'backup.db');
+
+      // The snapshot is a standalone database, without sidecar files
+      const files = fs.readdirSync(backupPath.replace(/backup\.db$/, ''));
+      expect(files).to.deep.equal(['backup.db']);
+
+      const copy = env.SQLite.openDatabaseSync('backup.db', { useNewConnection: true }, backupDir);
+      try {
+        expect(await copy.getAllAsync('SELECT name FROM items')).to.deep.equal([{ name: 'before backup' }]);
+      } finally {
+        await copy.closeAsync();
+      }
+    });
+
+    it('refuses to overwrite an existing backup unless asked to', async function() {
+      await adapter.backupTo('backup.db', backupDir);
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['second']);
+
+      let error;
+      try {
+        await adapter.backupTo('backup.db', backupDir);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/^Backup file already exists: /);
+
+      await adapter.backupTo('backup.db', backupDir, { overwrite: true });
+      await adapter.runAsync('DELETE FROM items');
+      await adapter.restoreFrom('backup.db', backupDir);
+      expect(await names(adapter)).to.deep.equal(['before backup', 'second']);
+    });
+
+    it('rejects a schema that is not an identifier', async function() {
+      let error;
+      try {
+        await adapter.backupTo('backup.db', backupDir, { schema: 'main INTO \'/tmp/elsewhere.db\' --' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Invalid schema name: main INTO \'/tmp/elsewhere.db\' -- (use letters, digits and underscores)');
+      expect(fs.existsSync(backupDir.replace('file://', '') + 'backup.db')).to.equal(false);
+
+      const backupPath = await adapter.backupTo('backup.db', backupDir, { schema: 'main' });
+      expect(fs.existsSync(backupPath)).to.equal(true);
+    });
+
+    it('waits for queued transactions before backing up', async function() {
+      const transaction = adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['in transaction']);
+      });
+      const backup = adapter.backupTo('backup.db', backupDir);
+      await Promise.all([transaction, backup]);
+
+      await adapter.runAsync('DELETE FROM items');
+      await adapter.restoreFrom('backup.db', backupDir);
+      expect(await names(adapter)).to.deep.equal(['before backup', 'in transaction']);
+    });
+
+    it('restores a backup and removes the current WAL files', async function() {
+      await adapter.backupTo('backup.db', backupDir);
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['after backup']);
+
+      await adapter.restoreFrom('backup.db', backupDir);
+
+      expect(adapter.db).to.not.equal(null);
+      expect(await names(adapter)).to.deep.equal(['before backup']);
+      const sqliteDir = path.join(env.rootDir, 'Documents', 'SQLite');
+      expect(fs.readdirSync(sqliteDir).filter(function(name) {
+        return name.indexOf('.replaced-') !== -1;
+      })).to.deep.equal([]);
+    });
+
+    it('leaves a disconnected adapter disconnected', async function() {
+      await adapter.backupTo('backup.db', backupDir);
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['after backup']);
+      await adapter.disconnect();
+
+      await adapter.restoreFrom('backup.db', backupDir);
+      expect(adapter.db).to.equal(null);
+
+      await adapter.connect();
+      expect(await names(adapter)).to.deep.equal(['before backup']);
+    });
+
+    it('keeps the current database when the backup cannot be opened', async function() {
+      fs.writeFileSync(backupDir.replace('file://', '') + 'broken.db', 'this is not a database, just some text '.repeat(50));
+      const warn = sinon.stub(adapter.logger, 'warn');
+
+      let error;
+      try {
+        await adapter.restoreFrom('broken.db', backupDir);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(CorruptDatabaseError);
+      expect(await names(adapter)).to.deep.equal(['before backup']);
+      expect(warn).to.have.been.calledWith('Restore failed, kept the current database', sinon.match({
+        error: sinon.match(/file is not a database/)
+      }));
+    });
+
+    it('migrates a backup with an older schema', async function() {
+      const migrations = [
+        { version: 1, up: 'CREATE TABLE notes (id INTEGER PRIMARY KEY, note TEXT)' },
+        { version: 2, up: 'ALTER TABLE notes ADD COLUMN done INTEGER' }
+      ];
+      const older = new ExpoSqliteAdapter('notes.db', env.FileSystem.documentDirectory, Object.assign({
+        migrations: migrations.slice(0, 1)
+      }, env.modules));
+      await older.connect();
+      await older.runAsync('INSERT INTO notes (note) VALUES (?)', ['from v1']);
+      await older.backupTo('notes-v1.db', backupDir);
+      await older.disconnect();
+
+      const current = new ExpoSqliteAdapter('notes.db', env.FileSystem.documentDirectory, Object.assign({
+        migrations: migrations
+      }, env.modules));
+      try {
+        await current.connect();
+        await current.restoreFrom('notes-v1.db', backupDir);
+
+        expect(await current.getSchemaVersion()).to.equal(2);
+        expect(await current.getAllAsync('SELECT note, done FROM notes')).to.deep.equal([{ note: 'from v1', done: null }]);
+      } finally {
+        await current.disconnect();
+      }
+    });
+
+    it('rejects a missing backup', async function() {
+      let error;
+      try {
+        await adapter.restoreFrom('missing.db', backupDir);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/^Backup file not found: /);
+      expect(await names(adapter)).to.deep.equal(['before backup']);
+    });
+  });
+
+  describe('migrations', function() {
+    const migrations = [
+      { version: 1, up: 'CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)' },
+      { version: 2, name: 'add price', up: 'ALTER TABLE items ADD COLUMN price REAL' }
+    ];
+
+    function createAdapter(options) {
+      return new ExpoSqliteAdapter('migrated.db', env.FileSystem.documentDirectory, Object.assign({}, env.modules, options));
+    }
+
+    it('validates the migrations in the constructor', function() {
+      expect(function() {
+        createAdapter({ migrations: [{ version: 1.5, up: 'SELECT 1' }] });
+      }).to.throw('Migration version must be a positive integer: 1.5');
+    });
+
+    it('migrates on connect and reports what ran', async function() {
+      const onMigrate = sinon.spy();
+      const migrated = createAdapter({ migrations: migrations, onMigrate: onMigrate });
+      await migrated.connect();
+      try {
+        expect(await migrated.getSchemaVersion()).to.equal(2);
+        await migrated.runAsync('INSERT INTO items (name, price) VALUES (?, ?)', ['tea', 3]);
+      } finally {
+        await migrated.disconnect();
+      }
+
+      expect(onMigrate).to.have.been.calledOnce;
+      const report = onMigrate.firstCall.args[0];
+      expect(report).to.include({ fromVersion: 0, toVersion: 2, latestVersion: 2 });
+      expect(report.applied.map(function(migration) { return migration.name; })).to.deep.equal([null, 'add price']);
+
+      // Nothing is pending the second time
+      await migrated.connect();
+      await migrated.disconnect();
+      expect(onMigrate.secondCall.args[0].applied).to.deep.equal([]);
+    });
+
+    it('leaves the adapter disconnected when the database is newer than the app', async function() {
+      const newer = createAdapter({});
+      await newer.connect();
+      await newer.runAsync('PRAGMA user_version = 3');
+      await newer.disconnect();
+
+      const migrated = createAdapter({ migrations: migrations });
+      let error;
+      try {
+        await migrated.connect();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(SchemaVersionError);
+      expect(error.version).to.equal(3);
+      expect(migrated.db).to.equal(null);
+    });
+
+    it('runs migrations on demand with migrate()', async function() {
+      await adapter.connect();
+      const report = await adapter.migrate(migrations.slice(0, 1));
+      expect(report.applied.map(function(migration) { return migration.version; })).to.deep.equal([1]);
+      expect(await adapter.getSchemaVersion()).to.equal(1);
+    });
+
+    it('rejects migrate() when not connected', async function() {
+      let error;
+      try {
+        await adapter.migrate(migrations);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(NotConnectedError);
+    });
+  });
+
+  describe('encryption', function() {
+    let SQLite;
+
+    beforeEach(function() {
+      SQLite = createFakeSqlcipher(env.SQLite);
+    });
+
+    function createAdapter(options) {
+      return new ExpoSqliteAdapter('secret.db', env.FileSystem.documentDirectory, Object.assign({
+        SQLite: SQLite,
+        FileSystem: env.FileSystem
+      }, options));
+    }
+
+    async function writeItem(options, name) {
+      const writer = createAdapter(options);
+      await writer.connect();
+      try {
+        await writer.runAsync('CREATE TABLE IF NOT EXISTS items (id INTEGER PRIMARY KEY, name TEXT)');
+        await writer.runAsync('INSERT INTO items (name) VALUES (?)', [name]);
+      } finally {
+        await writer.disconnect();
+      }
+    }
+
+    async function readItems(options) {
+      const reader = createAdapter(options);
+      await reader.connect();
+      try {
+        return (await reader.getAllAsync('SELECT name FROM items ORDER BY id')).map(function(row) {
+          return row.name;
+        });
+      } finally {
+        await reader.disconnect();
+      }
+    }
+
+    async function connectError(target) {
+      try {
+        await target.connect();
+      } catch (error) {
+        return error;
+      }
+      throw new Error('connect should have failed');
+    }
+
+    it('issues PRAGMA key before any other statement', async function() {
+      await writeItem({ encryptionKey: 'correct horse' }, 'first');
+
+      expect(SQLite.statements[0].sql).to.equal("PRAGMA key = 'correct horse'");
+      expect(await readItems({ encryptionKey: 'correct horse' })).to.deep.equal(['first']);
+    });
+
+    it('asks a key provider for the key on every connect', async function() {
+      const provider = sinon.stub().resolves("it's a secret");
+      await writeItem({ encryptionKey: provider }, 'first');
+      expect(await readItems({ encryptionKey: provider })).to.deep.equal(['first']);
+
+      expect(provider).to.have.been.calledTwice;
+      expect(SQLite.statements[0].sql).to.equal("PRAGMA key = 'it''s a secret'");
+    });
+
+    it('rejects a key provider that returns no key', async function() {
+      const error = await connectError(createAdapter({ encryptionKey: sinon.stub().resolves(undefined) }));
+      expect(error.message).to.match(/encryptionKey must be a non-empty string/);
+    });
+
+    it('reports a wrong key as an EncryptionKeyError without quarantining the file', async function() {
+      await writeItem({ encryptionKey: 'right' }, 'first');
+      const onCorruption = sinon.spy();
+      const wrong = createAdapter({ encryptionKey: 'wrong', recoverFromCorruption: true, onCorruption: onCorruption });
+
+      const error = await connectError(wrong);
+      expect(error).to.be.an.instanceof(EncryptionKeyError);
+      expect(error).to.not.be.an.instanceof(CorruptDatabaseError);
+      expect(error.code).to.equal('SQLITE_NOTADB');
+      expect(error.message).to.equal('Cannot open database with the given encryption key');
+      expect(wrong.db).to.equal(null);
+      expect(onCorruption).to.not.have.been.called;
+      expect(await readItems({ encryptionKey: 'right' })).to.deep.equal(['first']);
+    });
+
+    it('keeps the key out of query events and logs', async function() {
+      const events = [];
+      const logger = { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      const options = {
+        encryptionKey: 'hunter2',
+        onQuery: function(event) { events.push(event); },
+        logger: logger,
+        slowQueryThreshold: 1
+      };
+      await writeItem(options, 'first');
+      const keyed = createAdapter(options);
+      await keyed.connect();
+      await keyed.rekey('hunter3');
+      await keyed.disconnect();
+
+      const recorded = JSON.stringify([events, logger.debug.args, logger.info.args, logger.warn.args]);
+      expect(recorded).to.not.contain('hunter');
+      expect(events.length).to.be.above(0);
+    });
+
+    it('re-encrypts the database with rekey', async function() {
+      await writeItem({ encryptionKey: 'old key' }, 'first');
+      const keyed = createAdapter({ encryptionKey: sinon.stub().resolves('old key') });
+      await keyed.connect();
+      await keyed.rekey('new key');
+      expect(keyed.encryptionKey).to.equal('new key');
+      await keyed.runAsync('INSERT INTO items (name) VALUES (?)', ['second']);
+      await keyed.disconnect();
+
+      expect(await connectError(createAdapter({ encryptionKey: 'old key' }))).to.be.an.instanceof(EncryptionKeyError);
+      expect(await readItems({ encryptionKey: 'new key' })).to.deep.equal(['first', 'second']);
+    });
+
+    it('refuses to rekey an unencrypted or closed database', async function() {
+      const plain = createAdapter({});
+      let error;
+      try {
+        await plain.rekey('key');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(NotConnectedError);
+
+      await plain.connect();
+      try {
+        await plain.rekey('key');
+      } catch (e) {
+        error = e;
+      } finally {
+        await plain.disconnect();
+      }
+      expect(error.message).to.equal('rekey requires an encrypted database (set encryptionKey)');
+    });
+
+    describe('plaintext databases', function() {
+      beforeEach(async function() {
+        await writeItem({}, 'plain');
+        const plain = createAdapter({});
+        await plain.connect();
+        await plain.runAsync('PRAGMA user_version = 7');
+        await plain.disconnect();
+      });
+
+      it('rejects a plaintext database unless migratePlaintext is set', async function() {
+        const error = await connectError(createAdapter({ encryptionKey: 'key' }));
+        expect(error).to.be.an.instanceof(EncryptionKeyError);
+        expect(error.message).to.equal('Database is not encrypted; set migratePlaintext to encrypt it');
+        expect(await readItems({})).to.deep.equal(['plain']);
+      });
+
+      it('encrypts a plaintext database with migratePlaintext', async function() {
+        const migrating = createAdapter({ encryptionKey: 'key', migratePlaintext: true });
+        await migrating.connect();
+        try {
+          expect(await migrating.getAllAsync('SELECT name FROM items')).to.deep.equal([{ name: 'plain' }]);
+          expect(await migrating.getFirstAsync('PRAGMA user_version')).to.deep.equal({ user_version: 7 });
+          await migrating.runAsync('INSERT INTO items (name) VALUES (?)', ['encrypted']);
+        } finally {
+          await migrating.disconnect();
+        }
+
+        expect(await connectError(createAdapter({}))).to.be.an.instanceof(CorruptDatabaseError);
+        expect(await readItems({ encryptionKey: 'key' })).to.deep.equal(['plain', 'encrypted']);
+        const sqliteDir = path.join(env.rootDir, 'Documents', 'SQLite');
+        expect(fs.readdirSync(sqliteDir).filter(function(name) {
+          return /\.(encrypting|replaced-)/.test(name);
+        })).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('change notifications', function() {
+    let events;
+
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.runAsync('CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT)');
+      events = [];
+      adapter.addChangeListener(function(event) {
+        events.push(event);
+      });
+    });
+
+    function tick() {
+      return new Promise(function(resolve) {
+        setImmediate(resolve);
+      });
+    }
+
+    // Events from expo-sqlite's listener wait for a timer, to arrive merged
+    function nativeEvents() {
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 5);
+      });
+    }
+
+    it('reports the table, operation and rowid of each write', async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      await adapter.runAsync('UPDATE items SET name = ? WHERE id = ?', ['b', 99]);
+      await adapter.runAsync('DELETE FROM items');
+      await tick();
+
+      expect(events).to.deep.equal([
+        { alias: 'main', table: 'items', operation: 'insert', rowIds: [1] },
+        { alias: 'main', table: 'items', operation: 'delete', rowIds: null }
+      ]);
+    });
+
+    it('reports a transaction\'s changes once, after it commits', async function() {
+      await adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+        await tx.transaction(async function(nested) {
+          await nested.runAsync('INSERT INTO tags (name) VALUES (?)', ['x']);
+        });
+        await tick();
+        expect(events).to.deep.equal([]);
+      });
+      await tick();
+
+      expect(events).to.deep.equal([
+        { alias: 'main', table: 'items', operation: 'insert', rowIds: [1, 2] },
+        { alias: 'main', table: 'tags', operation: 'insert', rowIds: [1] }
+      ]);
+    });
+
+    it('reports nothing for rolled back changes', async function() {
+      try {
+        await adapter.transaction(async function(tx) {
+          await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+          await tx.transaction(async function(nested) {
+            await nested.runAsync('INSERT INTO tags (name) VALUES (?)', ['x']);
+            throw new Error('undo the tag');
+          }).catch(function() {});
+          throw new Error('undo everything');
+        });
+      } catch (error) {
+        expect(error.message).to.equal('undo everything');
+      }
+      await adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+        await tx.transaction(async function(nested) {
+          await nested.runAsync('INSERT INTO tags (name) VALUES (?)', ['y']);
+          throw new Error('undo the tag');
+        }).catch(function() {});
+      });
+      await tick();
+
+      expect(events).to.deep.equal([{ alias: 'main', table: 'items', operation: 'insert', rowIds: [1] }]);
+    });
+
+    it('leaves expo-sqlite\'s change listener off by default', async function() {
+      const native = sinon.spy();
+      const subscription = env.SQLite.addDatabaseChangeListener(native);
+      sinon.spy(env.SQLite, 'openDatabaseSync');
+      await adapter.disconnect();
+      await adapter.connect();
+      try {
+        await adapter.transaction(async function(tx) {
+          await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+          throw new Error('undo');
+        });
+      } catch (error) {
+        expect(error.message).to.equal('undo');
+      }
+      await nativeEvents();
+      subscription.remove();
+
+      expect(env.SQLite.openDatabaseSync.firstCall.args[1]).not.to.have.property('enableChangeListener');
+      expect(native).not.to.have.been.called;
+      expect(events).to.deep.equal([]);
+    });
+
+    it('uses expo-sqlite\'s change listener with nativeChangeListener', async function() {
+      let nativeListener;
+      const subscription = { remove: sinon.spy() };
+      const SQLite = Object.create(env.SQLite);
+      SQLite.openDatabaseSync = sinon.spy(env.SQLite.openDatabaseSync.bind(env.SQLite));
+      SQLite.addDatabaseChangeListener = function(listener) {
+        nativeListener = listener;
+        return subscription;
+      };
+      const onChange = sinon.spy();
+      const native = new ExpoSqliteAdapter('native.db', env.FileSystem.documentDirectory, {
+        SQLite: SQLite,
+        FileSystem: env.FileSystem,
+        onChange: onChange,
+        nativeChangeListener: true
+      });
+
+      await native.connect();
+      expect(SQLite.openDatabaseSync.firstCall.args[1]).to.include({ enableChangeListener: true });
+      await native.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      await native.runAsync('INSERT INTO items DEFAULT VALUES');
+      nativeListener({ databaseName: 'main', databaseFilePath: native.getDatabasePath(), tableName: 'items', rowId: 1 });
+      nativeListener({ databaseName: 'main', databaseFilePath: '/elsewhere/other.db', tableName: 'items', rowId: 1 });
+      await nativeEvents();
+      await native.disconnect();
+
+      expect(onChange).to.have.been.calledOnceWith({ alias: 'main', table: 'items', operation: null, rowIds: [1] });
+      expect(subscription.remove).to.have.been.calledOnce;
+    });
+
+    it('merges the rows expo-sqlite reports one by one', async function() {
+      const onChange = sinon.spy();
+      const native = new ExpoSqliteAdapter('native.db', env.FileSystem.documentDirectory, {
+        SQLite: env.SQLite,
+        FileSystem: env.FileSystem,
+        onChange: onChange,
+        nativeChangeListener: true
+      });
+
+      await native.connect();
+      await native.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      await native.runAsync('INSERT INTO items (id) VALUES (1), (2), (3)');
+      await nativeEvents();
+      await native.disconnect();
+
+      expect(onChange).to.have.been.calledOnceWith({ alias: 'main', table: 'items', operation: null, rowIds: [1, 2, 3] });
+    });
+
+    it('delivers the rows expo-sqlite reports without waiting for the transaction', async function() {
+      const onChange = sinon.spy();
+      const native = new ExpoSqliteAdapter('native.db', env.FileSystem.documentDirectory, {
+        SQLite: env.SQLite,
+        FileSystem: env.FileSystem,
+        onChange: onChange,
+        nativeChangeListener: true
+      });
+      await native.connect();
+      await native.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+
+      try {
+        await native.transaction(async function(tx) {
+          await tx.runAsync('INSERT INTO items (id) VALUES (1)');
+          await nativeEvents();
+          // expo-sqlite can't tell whose row it was, so it isn't held back for the transaction
+          expect(onChange).to.have.been.calledOnceWith({ alias: 'main', table: 'items', operation: null, rowIds: [1] });
+          throw new Error('undo');
+        });
+      } catch (error) {
+        expect(error.message).to.equal('undo');
+      }
+      await nativeEvents();
+      await native.disconnect();
+
+      expect(onChange).to.have.been.calledOnce;
+    });
+
+    describe('liveQuery', function() {
+      it('runs again when a table it reads changes', async function() {
+        const results = [];
+        const live = adapter.liveQuery('SELECT name FROM items ORDER BY id', [], function(rows) {
+          results.push(rows.map(function(row) {
+            return row.name;
+          }));
+        });
+        await live.refresh();
+
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+        await tick();
+        await live.refresh();
+        await adapter.runAsync('INSERT INTO tags (name) VALUES (?)', ['x']);
+        await tick();
+        live.remove();
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+        await tick();
+
+        expect(results).to.deep.equal([[], [], ['a'], ['a']]);
+      });
+
+      it('coalesces changes made while it runs into one more run', async function() {
+        const onResult = sinon.spy();
+        const live = adapter.liveQuery('SELECT count(*) AS n FROM items', [], onResult, { tables: ['items'] });
+        await adapter.runBatchAsync([
+          ['INSERT INTO items (name) VALUES (?)', ['a']]
+        ]);
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+        await tick();
+        await live.refresh();
+        live.remove();
+
+        expect(onResult.lastCall.args[0]).to.deep.equal([{ n: 2 }]);
+        expect(onResult.callCount).to.be.at.most(4);
+      });
+
+      it('reports failed runs to onError', async function() {
+        const onError = sinon.spy();
+        const live = adapter.liveQuery('SELECT * FROM missing', [], sinon.spy(), { onError: onError });
+        await live.refresh();
+        live.remove();
+        expect(onError).to.have.been.calledTwice;
+        expect(onError.firstCall.args[0]).to.be.an.instanceof(SchemaError);
+      });
+
+      it('logs callbacks that throw and keeps running', async function() {
+        const warn = sinon.stub(adapter.logger, 'warn');
+        const onResult = sinon.stub().throws(new Error('render failed'));
+        const onError = sinon.spy();
+        const live = adapter.liveQuery('SELECT count(*) AS n FROM items', [], onResult, { onError: onError });
+        await live.refresh();
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+        await live.refresh();
+        live.remove();
+
+        const failing = adapter.liveQuery('SELECT * FROM missing', [], sinon.spy(), {
+          onError: sinon.stub().throws(new Error('report failed'))
+        });
+        await failing.refresh();
+        failing.remove();
+        warn.restore();
+
+        expect(onResult.firstCall.args[0]).to.deep.equal([{ n: 0 }]);
+        expect(onResult.lastCall.args[0]).to.deep.equal([{ n: 1 }]);
+        expect(onError).to.not.have.been.called;
+        expect(warn).to.have.been.calledWith('Live query callback failed',
+          { sql: 'SELECT count(*) AS n FROM items', error: 'render failed' });
+        expect(warn).to.have.been.calledWith('Live query callback failed',
+          { sql: 'SELECT * FROM missing', error: 'report failed' });
+      });
+    });
+  });
+
+  describe('full-text search', function() {
+    function note(id, title, body) {
+      return adapter.runAsync('INSERT INTO notes (id, data) VALUES (?, ?)', [
+        id, JSON.stringify({ payload: { title: title, body: body } })
+      ]);
+    }
+
+    beforeEach(async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE notes (id TEXT PRIMARY KEY, data TEXT)');
+      await note('a', 'Café au lait', 'Milk with coffee');
+      await adapter.createSearchIndex({
+        table: 'notes',
+        fields: { title: '$.payload.title', body: '$.payload.body' }
+      });
+    });
+
+    it('indexes the documents already stored and ranks matches', async function() {
+      await note('b', 'Tea', 'Not coffee, but it does go with milk and a cafe nearby');
+
+      const results = await adapter.search('notes_fts', 'cafe', { weights: { title: 10 } });
+
+      expect(results.map(function(result) {
+        return result.row.id;
+      })).to.deep.equal(['a', 'b']);
+      expect(results[0].rank).to.be.below(results[1].rank);
+      expect(JSON.parse(results[0].row.data).payload.title).to.equal('Café au lait');
+    });
+
+    it('keeps the index in sync with writes', async function() {
+      await note('b', 'Espresso', 'Strong');
+      await adapter.runAsync('UPDATE notes SET data = ? WHERE id = ?', [JSON.stringify({ payload: { title: 'Tea' } }), 'a']);
+
+      expect(await adapter.search('notes_fts', 'espr')).to.have.length(1);
+      expect(await adapter.search('notes_fts', 'lait')).to.deep.equal([]);
+
+      await adapter.runAsync('DELETE FROM notes WHERE id = ?', ['b']);
+      expect(await adapter.search('notes_fts', 'espresso')).to.deep.equal([]);
+    });
+
+    it('keeps the index in sync with INSERT OR REPLACE', async function() {
+      async function replaceNote() {
+        await adapter.runAsync('INSERT OR REPLACE INTO notes (id, data) VALUES (?, ?)', [
+          'a', JSON.stringify({ payload: { title: 'Banana bread' } })
+        ]);
+      }
+      async function indexedRowids() {
+        return (await adapter.getAllAsync('SELECT rowid FROM notes_fts ORDER BY rowid')).map(function(row) {
+          return row.rowid;
+        });
+      }
+
+      await replaceNote();
+      expect(await adapter.search('notes_fts', 'lait', { includeRow: false })).to.deep.equal([]);
+      expect(await adapter.search('notes_fts', 'banana')).to.have.length(1);
+
+      // A new connection to the indexed database replaces the same way
+      await adapter.disconnect();
+      await adapter.connect();
+      await replaceNote();
+      const rowids = await adapter.getAllAsync('SELECT rowid FROM notes');
+      expect(await indexedRowids()).to.deep.equal([rowids[0].rowid]);
+      expect(await adapter.getFirstAsync('PRAGMA recursive_triggers')).to.deep.equal({ recursive_triggers: 0 });
+    });
+
+    it('keeps the index in sync with writes that ignore, update or replace on conflict', async function() {
+      function doc(title) {
+        return JSON.stringify({ payload: { title: title } });
+      }
+      await note('b', 'Espresso', 'Strong');
+
+      await adapter.runAsync('INSERT OR IGNORE INTO notes (id, data) VALUES (?, ?)', ['a', doc('Tea')]);
+      expect(await adapter.search('notes_fts', 'lait')).to.have.length(1);
+      expect(await adapter.search('notes_fts', 'tea')).to.deep.equal([]);
+
+      await adapter.runAsync('INSERT INTO notes (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data',
+        ['a', doc('Mocha')]);
+      expect(await adapter.search('notes_fts', 'lait')).to.deep.equal([]);
+      expect(await adapter.search('notes_fts', 'mocha')).to.have.length(1);
+
+      await adapter.runAsync('UPDATE OR REPLACE notes SET id = ? WHERE id = ?', ['a', 'b']);
+      expect(await adapter.search('notes_fts', 'mocha')).to.deep.equal([]);
+      expect(await adapter.search('notes_fts', 'espresso')).to.have.length(1);
+      expect(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM notes_fts')).to.deep.equal({ count: 1 });
+    });
+
+    it('makes an index from before REPLACE was handled again', async function() {
+      await adapter.runAsync('DROP TABLE notes_fts_replaced');
+      await adapter.runAsync('DROP TRIGGER notes_fts_bi');
+
+      expect(await adapter.createSearchIndex({
+        table: 'notes',
+        fields: { title: '$.payload.title', body: '$.payload.body' }
+      })).to.deep.equal({ name: 'notes_fts', created: true });
+      await adapter.runAsync('INSERT OR REPLACE INTO notes (id, data) VALUES (?, ?)', ['a', JSON.stringify({ payload: { title: 'Tea' } })]);
+      expect(await adapter.search('notes_fts', 'lait')).to.deep.equal([]);
+    });
+
+    it('returns snippets and highlights', async function() {
+      const results = await adapter.search('notes_fts', 'coffee', {
+        snippet: { before: '[', after: ']' },
+        highlight: { fields: ['title', 'body'], before: '*', after: '*' },
+        includeRow: false
+      });
+
+      expect(results).to.deep.equal([{
+        rowid: results[0].rowid,
+        rank: results[0].rank,
+        snippet: 'Milk with [coffee]',
+        highlights: { title: 'Café au lait', body: 'Milk with *coffee*' }
+      }]);
+    });
+
+    it('matches within the fields asked for', async function() {
+      expect(await adapter.search('notes_fts', 'milk', { fields: ['title'] })).to.deep.equal([]);
+      expect(await adapter.search('notes_fts', 'milk', { fields: ['body'] })).to.have.length(1);
+    });
+
+    it('creates an index once, and again when its definition changes', async function() {
+      expect(await adapter.createSearchIndex({
+        table: 'notes',
+        fields: { title: '$.payload.title', body: '$.payload.body' }
+      })).to.deep.equal({ name: 'notes_fts', created: false });
+
+      expect(await adapter.createSearchIndex({ table: 'notes', fields: { title: '$.payload.title' } }))
+        .to.deep.equal({ name: 'notes_fts', created: true });
+      expect(await adapter.search('notes_fts', 'milk')).to.deep.equal([]);
+      expect(await adapter.search('notes_fts', 'lait')).to.have.length(1);
+    });
+
+    it('rebuilds and drops an index', async function() {
+      await adapter.runAsync('DROP TRIGGER notes_fts_ai');
+      await note('b', 'Espresso', 'Strong');
+      expect(await adapter.search('notes_fts', 'espresso')).to.deep.equal([]);
+
+      await adapter.rebuildSearchIndex('notes_fts');
+      expect(await adapter.search('notes_fts', 'espresso')).to.have.length(1);
+
+      await adapter.dropSearchIndex('notes_fts');
+      await note('c', 'Mocha', 'Chocolate');
+      expect(await adapter.getAllAsync('SELECT name FROM sqlite_master WHERE name LIKE \'notes_fts%\'')).to.deep.equal([]);
+      let error;
+      try {
+        await adapter.search('notes_fts', 'mocha');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('No search index: notes_fts');
+    });
+
+    it('returns no results for an empty query', async function() {
+      expect(await adapter.search('notes_fts', '  ')).to.deep.equal([]);
+    });
+  });
+
+  describe('maintenance', function() {
+    let maintained;
+
+    afterEach(async function() {
+      if (maintained) {
+        await maintained.disconnect();
+        maintained = null;
+      }
+    });
+
+    function createAdapter(maintenance, options) {
+      maintained = new ExpoSqliteAdapter('maintained.db', env.FileSystem.documentDirectory, Object.assign({
+        maintenance: maintenance
+      }, env.modules, options));
+      return maintained;
+    }
+
+    async function fillAndEmpty(target, rows) {
+      await target.runAsync('CREATE TABLE IF NOT EXISTS items (id INTEGER PRIMARY KEY, text TEXT)');
+      const paramSets = [];
+      for (let i = 0; i < rows; i++) {
+        paramSets.push(['x'.repeat(1000)]);
+      }
+      await target.executeMany('INSERT INTO items (text) VALUES (?)', paramSets);
+      await target.runAsync('DELETE FROM items');
+    }
+
+    function walSize(target) {
+      return fs.statSync(target.getDatabasePath() + '-wal').size;
+    }
+
+    it('checkpoints the WAL once enough rows were written', async function() {
+      createAdapter({ checkpointAfterWrites: 50, checkpointInterval: 0 });
+      await maintained.connect();
+      await maintained.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, text TEXT)');
+      await maintained.runAsync('INSERT INTO items (text) VALUES (?)', ['a']);
+      expect(maintained.maintenance.running).to.equal(null);
+      expect(walSize(maintained)).to.be.above(0);
+
+      await maintained.executeMany('INSERT INTO items (text) VALUES (?)', Array(60).fill(['b']));
+      expect(maintained.maintenance.running).to.not.equal(null);
+      const report = await maintained.maintenance.running;
+
+      expect(report.main.checkpoint).to.include({ busy: false, walPages: 0, checkpointedPages: 0 });
+      expect(walSize(maintained)).to.equal(0);
+    });
+
+    it('runs periodically', async function() {
+      createAdapter({ checkpointInterval: 10 });
+      await maintained.connect();
+      const run = sinon.spy(maintained.maintenance, 'run');
+
+      await new Promise(function(resolve) {
+        setTimeout(resolve, 50);
+      });
+      expect(run).to.have.been.called;
+
+      await maintained.disconnect();
+      run.resetHistory();
+      await new Promise(function(resolve) {
+        setTimeout(resolve, 30);
+      });
+      expect(run).not.to.have.been.called;
+    });
+
+    it('switches to incremental auto_vacuum and frees pages in budgets', async function() {
+      createAdapter(false);
+      await maintained.connect();
+      await fillAndEmpty(maintained, 200);
+      expect(await maintained.getStorageInfo()).to.include({ autoVacuum: 'none' });
+      await maintained.disconnect();
+
+      const info = sinon.spy();
+      createAdapter({ autoVacuum: true, vacuumPages: 20 }, { logger: { debug: function() {}, info: info, warn: function() {}, error: function() {} } });
+      await maintained.connect();
+      expect(info).to.have.been.calledWith('Enabled incremental auto_vacuum', { alias: 'main', vacuumed: true });
+      expect(await maintained.getStorageInfo()).to.include({ autoVacuum: 'incremental', freelistCount: 0 });
+
+      await fillAndEmpty(maintained, 200);
+      const before = (await maintained.getStorageInfo()).freelistCount;
+      const report = await maintained.runMaintenance();
+
+      expect(report.main.vacuumedPages).to.equal(20);
+      expect((await maintained.getStorageInfo()).freelistCount).to.equal(before - 20);
+    });
+
+    it('runs PRAGMA optimize before disconnecting', async function() {
+      const queries = [];
+      createAdapter({ checkpointInterval: 0 }, {
+        onQuery: function(event) {
+          queries.push(event.sql);
+        }
+      });
+      await maintained.connect();
+      await maintained.disconnect();
+      expect(queries).to.include('PRAGMA main.optimize');
+
+      queries.length = 0;
+      createAdapter({ checkpointInterval: 0, optimizeOnClose: false }, {
+        onQuery: function(event) {
+          queries.push(event.sql);
+        }
+      });
+      await maintained.connect();
+      await maintained.disconnect();
+      expect(queries).not.to.include('PRAGMA main.optimize');
+    });
+
+    it('does nothing without the maintenance option', async function() {
+      await adapter.connect();
+      expect(await adapter.runMaintenance()).to.deep.equal({});
+    });
+
+    it('rejects maintenance when not connected', async function() {
+      let error;
+      try {
+        await adapter.runMaintenance();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(NotConnectedError);
+    });
+
+    it('rejects unknown checkpoint modes', function() {
+      expect(function() {
+        createAdapter({ checkpointMode: 'sometimes' });
+      }).to.throw('checkpointMode must be one of PASSIVE, FULL, RESTART, TRUNCATE: SOMETIMES');
+    });
+
+    it('reports how the database uses its space', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, text TEXT)');
+      await adapter.runAsync('INSERT INTO items (text) VALUES (?)', ['x'.repeat(10000)]);
+
+      const info = await adapter.getStorageInfo();
+
+      expect(info).to.include({
+        alias: 'main',
+        path: adapter.getDatabasePath(),
+        autoVacuum: 'none',
+        journalMode: 'wal',
+        freeBytes: info.freelistCount * info.pageSize,
+        size: info.pageCount * info.pageSize,
+        walSize: walSize(adapter)
+      });
+      expect(info.walSize).to.be.above(0);
+      const items = info.tables.find(function(table) {
+        return table.name === 'items';
+      });
+      expect(items.bytes).to.be.at.least(10000);
+      expect(items.pages).to.equal(items.bytes / info.pageSize);
+    });
+  });
+
+  describe('app lifecycle', function() {
+    let followed;
+
+    afterEach(async function() {
+      if (followed) {
+        await followed.disconnect();
+        followed = null;
+      }
+    });
+
+    function createAdapter(lifecycle, options) {
+      followed = new ExpoSqliteAdapter('followed.db', env.FileSystem.documentDirectory, Object.assign({
+        lifecycle: lifecycle,
+        AppState: env.AppState
+      }, env.modules, options));
+      return followed;
+    }
+
+    function walSize(target) {
+      return fs.statSync(target.getDatabasePath() + '-wal').size;
+    }
+
+    it('checkpoints the WAL when the app goes to the background', async function() {
+      createAdapter(true);
+      await followed.connect();
+      await followed.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, text TEXT)');
+      await followed.runAsync('INSERT INTO items (text) VALUES (?)', ['a']);
+      expect(walSize(followed)).to.be.above(0);
+
+      env.AppState.setState('background');
+      await followed.lifecycle.suspending;
+
+      expect(walSize(followed)).to.equal(0);
+      expect(followed.suspended).to.equal(false);
+      expect(await followed.getAllAsync('SELECT text FROM items')).to.deep.equal([{ text: 'a' }]);
+    });
+
+    it('does nothing while the app is only inactive', async function() {
+      createAdapter(true);
+      await followed.connect();
+      const suspend = sinon.spy(followed, 'suspend');
+
+      env.AppState.setState('inactive');
+      env.AppState.setState('active');
+
+      expect(suspend).to.not.have.been.called;
+    });
+
+    it('closes the connection on background and reopens it on the next query', async function() {
+      createAdapter({ closeOnBackground: true }, { busyTimeout: 250 });
+      await followed.connect();
+      await followed.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, text TEXT)');
+      await followed.runAsync('INSERT INTO items (text) VALUES (?)', ['a']);
+
+      env.AppState.setState('background');
+      await followed.lifecycle.suspending;
+      expect(followed.suspended).to.equal(true);
+      expect(followed.db).to.equal(null);
+
+      env.AppState.setState('active');
+      expect(followed.db).to.equal(null);
+      const open = sinon.spy(env.SQLite, 'openDatabaseSync');
+      const results = await Promise.all([
+        followed.getAllAsync('SELECT text FROM items'),
+        followed.runAsync('INSERT INTO items (text) VALUES (?)', ['b']),
+        followed.getFirstAsync('PRAGMA busy_timeout')
+      ]);
+
+      expect(open).to.have.been.calledOnce;
+      expect(followed.suspended).to.equal(false);
+      expect(results[0]).to.deep.equal([{ text: 'a' }]);
+      expect(results[2]).to.deep.equal({ timeout: 250 });
+      expect(await followed.getAllAsync('SELECT text FROM items ORDER BY id')).to.have.lengthOf(2);
+    });
+
+    it('waits for queued transactions before closing', async function() {
+      createAdapter({ closeOnBackground: true });
+      await followed.connect();
+      await followed.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, text TEXT)');
+      let finish;
+      const finished = new Promise(function(resolve) {
+        finish = resolve;
+      });
+      const transaction = followed.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (text) VALUES (?)', ['a']);
+        await finished;
+        await tx.runAsync('INSERT INTO items (text) VALUES (?)', ['b']);
+      });
+
+      env.AppState.setState('background');
+      await new Promise(function(resolve) {
+        setTimeout(resolve, 20);
+      });
+      expect(followed.db).to.not.equal(null);
+
+      finish();
+      await transaction;
+      await followed.lifecycle.suspending;
+      expect(followed.suspended).to.equal(true);
+      expect(await followed.getAllAsync('SELECT text FROM items ORDER BY id')).to.deep.equal([
+        { text: 'a' },
+        { text: 'b' }
+      ]);
+    });
+
+    it('runs transactions and maintenance on a reopened connection', async function() {
+      createAdapter({ closeOnBackground: true }, { maintenance: { checkpointInterval: 0 } });
+      await followed.connect();
+      await followed.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, text TEXT)');
+
+      const suspended = await followed.suspend({ close: true });
+      expect(suspended.closed).to.equal(true);
+      expect(followed.maintenance.started).to.equal(false);
+
+      await followed.transaction(function(tx) {
+        return tx.runAsync('INSERT INTO items (text) VALUES (?)', ['a']);
+      });
+      expect(followed.maintenance.started).to.equal(true);
+      expect(await followed.runMaintenance()).to.have.all.keys('main');
+
+      await followed.suspend({ close: true });
+      expect((await followed.getStorageInfo()).alias).to.equal('main');
+    });
+
+    it('suspends on request without the lifecycle option', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+
+      const result = await adapter.suspend({ checkpointMode: 'passive' });
+
+      expect(result.closed).to.equal(false);
+      expect(result.checkpoint.busy).to.equal(false);
+      expect(result.checkpoint.walPages).to.be.above(0);
+      expect(adapter.lifecycle).to.equal(null);
+      expect(function() {
+        adapter.suspend({ checkpointMode: 'SOMETIMES' });
+      }).to.throw(/checkpointMode must be one of/);
+    });
+
+    it('stops following AppState on disconnect, also while suspended', async function() {
+      createAdapter({ closeOnBackground: true });
+      await followed.connect();
+      expect(env.AppState.listenerCount()).to.equal(1);
+
+      env.AppState.setState('background');
+      await followed.lifecycle.suspending;
+      await followed.disconnect();
+
+      expect(env.AppState.listenerCount()).to.equal(0);
+      expect(followed.suspended).to.equal(false);
+      let error;
+      try {
+        await followed.getAllAsync('SELECT 1');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(NotConnectedError);
+    });
+
+    it('logs a suspension that fails', async function() {
+      const logger = { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      createAdapter(true, { logger: logger });
+      await followed.connect();
+      sinon.stub(followed, 'suspend').rejects(new Error('disk I/O error'));
+
+      env.AppState.setState('background');
+      await followed.lifecycle.suspending;
+
+      expect(logger.warn).to.have.been.calledWith('Suspending in the background failed', {
+        alias: 'followed.db',
+        error: 'disk I/O error'
+      });
+    });
+
+    it('requires AppState', function() {
+      expect(function() {
+        new ExpoSqliteAdapter('followed.db', env.FileSystem.documentDirectory, Object.assign({
+          lifecycle: true
+        }, env.modules));
+      }).to.throw(/The lifecycle option requires react-native/);
+    });
+  });
+
+  describe('destroying databases', function() {
+    let sqliteDir;
+
+    beforeEach(async function() {
+      sqliteDir = path.join(env.rootDir, 'Documents', 'SQLite');
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['top-secret-marker']);
+    });
+
+    it('deletes the database with its sidecar files', async function() {
+      fs.writeFileSync(path.join(sqliteDir, 'test.db-journal'), 'journal');
+      expect(fs.readdirSync(sqliteDir)).to.include.members(['test.db', 'test.db-wal', 'test.db-shm']);
+
+      const result = await adapter.destroyDatabase();
+
+      expect(result).to.deep.equal({ path: path.join(sqliteDir, 'test.db'), overwritten: false });
+      expect(adapter.db).to.equal(null);
+      expect(fs.readdirSync(sqliteDir)).to.deep.equal([]);
+    });
+
+    it('overwrites the content first with secureDelete', async function() {
+      const databasePath = path.join(sqliteDir, 'test.db');
+      const deletedFile = fs.openSync(databasePath, 'r');
+      try {
+        const result = await adapter.destroyDatabase({ secureDelete: true });
+
+        expect(result.overwritten).to.equal(true);
+        expect(fs.existsSync(databasePath)).to.equal(false);
+        // The file handle still sees the deleted file's blocks
+        const size = fs.fstatSync(deletedFile).size;
+        const contents = Buffer.alloc(size);
+        fs.readSync(deletedFile, contents, 0, size, 0);
+        expect(contents.includes('top-secret-marker')).to.equal(false);
+      } finally {
+        fs.closeSync(deletedFile);
+      }
+    });
+
+    it('waits for queued transactions', async function() {
+      const transaction = adapter.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['queued']);
+      });
+
+      await adapter.destroyDatabase();
+      await transaction;
+
+      expect(fs.existsSync(path.join(sqliteDir, 'test.db'))).to.equal(false);
+    });
+
+    it('connects to a new empty database afterwards', async function() {
+      await adapter.destroyDatabase();
+      await adapter.connect();
+
+      const tables = await adapter.getAllAsync('SELECT name FROM sqlite_master WHERE type = \'table\' AND name = \'items\'');
+      expect(tables).to.deep.equal([]);
+    });
+  });
+
+  describe('database paths', function() {
+    it('opens the document directory\'s databases in the SQLite directory', async function() {
+      const sqlitePath = path.join(env.rootDir, 'Documents', 'SQLite', 'test.db');
+      expect(adapter.getDatabasePath()).to.equal(sqlitePath);
+      await adapter.connect();
+      expect(adapter.getDatabasePath()).to.equal(sqlitePath);
+      expect(fs.existsSync(sqlitePath)).to.equal(true);
+    });
+
+    it('opens databases in the directory given', async function() {
+      const custom = new ExpoSqliteAdapter('custom.db', 'file://' + env.rootDir + '/Library/Databases', env.modules);
+      expect(custom.databaseDirectory).to.equal(env.rootDir + '/Library/Databases/');
+      await custom.connect();
+      try {
+        await custom.runAsync('CREATE TABLE items (id INTEGER)');
+        expect(fs.existsSync(path.join(env.rootDir, 'Library', 'Databases', 'custom.db'))).to.equal(true);
+        expect(fs.existsSync(path.join(env.rootDir, 'Documents', 'SQLite', 'custom.db'))).to.equal(false);
+      } finally {
+        await custom.disconnect();
+      }
+    });
+
+    describe('databases in the SQLite directory from earlier versions', function() {
+      const legacyDir = function() {
+        return path.join(env.rootDir, 'Documents', 'SQLite');
+      };
+
+      beforeEach(async function() {
+        // Where expo-sqlite put a database opened by name alone
+        const legacy = env.SQLite.openDatabaseSync('custom.db', { useNewConnection: true });
+        await legacy.execAsync('PRAGMA journal_mode = WAL; CREATE TABLE items (name TEXT)');
+        await legacy.runAsync('INSERT INTO items (name) VALUES (?)', ['kept']);
+        await legacy.closeAsync();
+      });
+
+      it('moves the database to dirPath once', async function() {
+        const custom = new ExpoSqliteAdapter('custom.db', 'accounts/42', env.modules);
+        await custom.connect();
+        try {
+          expect(await custom.getAllAsync('SELECT name FROM items')).to.deep.equal([{ name: 'kept' }]);
+          expect(fs.readdirSync(legacyDir())).to.deep.equal([]);
+          expect(fs.existsSync(path.join(env.rootDir, 'Documents', 'accounts', '42', 'custom.db'))).to.equal(true);
+        } finally {
+          await custom.disconnect();
+        }
+      });
+
+      it('keeps a database already in dirPath', async function() {
+        const customDir = path.join(env.rootDir, 'Library', 'Databases');
+        const current = env.SQLite.openDatabaseSync('custom.db', { useNewConnection: true }, customDir);
+        await current.execAsync('CREATE TABLE current (id INTEGER)');
+        await current.closeAsync();
+
+        const custom = new ExpoSqliteAdapter('custom.db', customDir, env.modules);
+        await custom.connect();
+        try {
+          expect(await custom.getAllAsync('SELECT name FROM sqlite_master WHERE type = \'table\'')).to.deep.equal([{ name: 'current' }]);
+          expect(fs.existsSync(path.join(legacyDir(), 'custom.db'))).to.equal(true);
+        } finally {
+          await custom.disconnect();
+        }
+      });
+
+      it('leaves the database where it is with moveLegacyDatabase: false', async function() {
+        const custom = new ExpoSqliteAdapter('custom.db', 'accounts/42', Object.assign({ moveLegacyDatabase: false }, env.modules));
+        await custom.connect();
+        try {
+          expect(await custom.getAllAsync('SELECT name FROM sqlite_master')).to.deep.equal([]);
+          expect(fs.existsSync(path.join(legacyDir(), 'custom.db'))).to.equal(true);
+        } finally {
+          await custom.disconnect();
+        }
+      });
+    });
+
+    it('resolves relative directories against the document directory', function() {
+      const relative = new ExpoSqliteAdapter('relative.db', 'accounts/42/', env.modules);
+      expect(relative.getDatabasePath()).to.equal(env.rootDir + '/Documents/accounts/42/relative.db');
+    });
+
+    it('reports databases it opened as existing', async function() {
+      await adapter.connect();
+      expect(await ExpoSqliteAdapter.checkDatabaseExists('test.db', env.FileSystem.documentDirectory, env.modules)).to.equal(true);
+      expect(await ExpoSqliteAdapter.checkDatabaseExists('test.db', null, env.modules)).to.equal(true);
+    });
+  });
+
+  describe('static helpers', function() {
+    it('creates an adapter in the document directory', function() {
+      const created = ExpoSqliteAdapter.createWithDocumentDirectory('doc.db', env.modules);
+      expect(created.fileName).to.equal('doc.db');
+      expect(created.dirPath).to.equal(env.FileSystem.documentDirectory.replace('file://', ''));
+      expect(created.SQLite).to.equal(env.SQLite);
+    });
+
+    it('copies a database and reports that it exists', async function() {
+      const source = env.FileSystem.bundleDirectory + 'bundled.db';
+      await env.FileSystem.writeAsStringAsync(source, 'contents');
+
+      expect(await ExpoSqliteAdapter.checkDatabaseExists('copied.db', null, env.modules)).to.equal(false);
+      await ExpoSqliteAdapter.copyDatabase(source, 'copied.db', null, env.modules);
+      expect(await ExpoSqliteAdapter.checkDatabaseExists('copied.db', null, env.modules)).to.equal(true);
+    });
+
+
+    it('deletes a database that is not open', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.disconnect();
+
+      const result = await ExpoSqliteAdapter.destroyDatabase('test.db', null, env.modules);
+
+      expect(result).to.deep.equal({ path: adapter.getDatabasePath(), overwritten: false });
+      expect(await ExpoSqliteAdapter.checkDatabaseExists('test.db', null, env.modules)).to.equal(false);
+    });
+
+    it('overwrites a database that is not open with secureDelete', async function() {
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.disconnect();
+
+      const result = await ExpoSqliteAdapter.destroyDatabase('test.db', null, Object.assign({ secureDelete: true }, env.modules));
+
+      expect(result.overwritten).to.equal(true);
+      expect(await ExpoSqliteAdapter.checkDatabaseExists('test.db', null, env.modules)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a database in the sandbox's SQLite directory whose last page is
+ * overwritten with garbage: it opens and answers simple queries, but fails
+ * PRAGMA quick_check and integrity_check.
+ *
+ * @param {Object} env - Test environment from setUpEnvironment()
+ * @param {string} fileName - Database file name
+ * @returns {Promise<string>} Path of the database file
+ */
+async function createCorruptDatabase(env, fileName) {
+  const db = env.SQLite.openDatabaseSync(fileName, { useNewConnection: true });
+  await db.execAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT); CREATE INDEX items_name ON items (name)');
+  await db.execAsync(
+    "WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 2000) " +
+    "INSERT INTO items (name) SELECT 'name ' || i FROM n"
+  );
+  await db.execAsync('PRAGMA journal_mode=DELETE');
+  await db.closeAsync();
+
+  const filePath = path.join(env.rootDir, 'Documents', 'SQLite', fileName);
+  const contents = fs.readFileSync(filePath);
+  const pageSize = contents.readUInt16BE(16);
+  contents.fill(0xff, contents.length - pageSize + 8, contents.length - pageSize + 200);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+module.exports = {
+  createCorruptDatabase
+};
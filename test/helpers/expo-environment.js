@@ -0,0 +1,31 @@
+const { createTestEnvironment } = require('../../lib/testing');
+
+/**
+ * Each test gets a fresh sandbox; adapters receive its fakes via the
+ * SQLite and FileSystem options. Options go to createTestEnvironment().
+ * The modules also silence the console logger, so a test expecting a
+ * warning passes a logger of its own and checks it.
+ */
+let activeEnvironment = null;
+
+function setUpEnvironment(options) {
+  activeEnvironment = createTestEnvironment(options);
+  activeEnvironment.modules = {
+    SQLite: activeEnvironment.SQLite,
+    FileSystem: activeEnvironment.FileSystem,
+    logLevel: 'silent'
+  };
+  return activeEnvironment;
+}
+
+function tearDownEnvironment() {
+  if (activeEnvironment) {
+    activeEnvironment.cleanup();
+    activeEnvironment = null;
+  }
+}
+
+module.exports = {
+  setUpEnvironment,
+  tearDownEnvironment
+};
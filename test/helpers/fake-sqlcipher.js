@@ -0,0 +1,192 @@
+const fs = require('fs');
+
+/**
+ * Wrap a FakeExpoSqlite module so that it behaves like a SQLCipher build of
+ * expo-sqlite, as far as keys are concerned
+ *
+ * Files stay readable SQLite databases; an encrypted one carries its key in
+ * a fake_sqlcipher table. A connection whose PRAGMA key doesn't match the
+ * file's key - including a key on a plaintext file, or none on an encrypted
+ * one - fails its first statement with "file is not a database", like
+ * SQLCipher does. PRAGMA rekey, ATTACH ... KEY and sqlcipher_export() are
+ * emulated. Every statement is recorded in `statements` as { method, sql, params }.
+ *
+ * @param {Object} SQLite - FakeExpoSqlite module from the test environment
+ * @returns {Object} expo-sqlite compatible module
+ */
+function createFakeSqlcipher(SQLite) {
+  const sqlcipher = Object.create(SQLite);
+  sqlcipher.statements = [];
+  sqlcipher.openDatabaseSync = function(databaseName, options, directory) {
+    return wrapDatabase(sqlcipher, SQLite.openDatabaseSync(databaseName, options, directory));
+  };
+  return sqlcipher;
+}
+
+const WRAPPED_METHODS = ['execAsync', 'runAsync', 'getFirstAsync', 'getAllAsync', 'prepareAsync'];
+
+function wrapDatabase(sqlcipher, db) {
+  const wrapped = Object.create(db);
+  wrapped.key = '';
+  wrapped.attachments = {};
+
+  WRAPPED_METHODS.forEach(function(method) {
+    wrapped[method] = async function(source) {
+      const rest = Array.prototype.slice.call(arguments, 1);
+      const params = Array.isArray(rest[0]) ? rest[0] : rest;
+      sqlcipher.statements.push({ method: method, sql: source, params: params });
+      if (method === 'prepareAsync' && INTERCEPTED.some(function(pattern) { return pattern.test(source.trim()); })) {
+        return prepareIntercepted(wrapped, db, source.trim());
+      }
+      const handled = intercept(wrapped, db, method, source.trim(), params);
+      if (handled) {
+        return handled.result;
+      }
+      return db[method].apply(db, arguments);
+    };
+  });
+  return wrapped;
+}
+
+/**
+ * Statements the wrapper emulates run when the prepared statement executes
+ */
+function prepareIntercepted(wrapped, db, sql) {
+  return {
+    executeAsync: async function() {
+      const params = Array.isArray(arguments[0]) ? arguments[0] : Array.prototype.slice.call(arguments);
+      const rows = intercept(wrapped, db, 'executeAsync', sql, params).rows || [];
+      return {
+        lastInsertRowId: 0,
+        changes: 0,
+        getFirstAsync: async function() { return rows[0] || null; },
+        getAllAsync: async function() { return rows; },
+        resetAsync: async function() {}
+      };
+    },
+    finalizeAsync: async function() {}
+  };
+}
+
+const KEY_PRAGMA = /^PRAGMA (re)?key = '((?:[^']|'')*)'$/;
+const ATTACH = /^ATTACH DATABASE (\?|'((?:[^']|'')*)') AS (\w+)(?: KEY (\?|'((?:[^']|'')*)'))?$/i;
+const EXPORT = /^SELECT sqlcipher_export\('(\w+)'\)$/;
+const INTERCEPTED = [KEY_PRAGMA, ATTACH, EXPORT];
+
+function intercept(wrapped, db, method, sql, params) {
+  const native = db.getNative(method);
+  let match = KEY_PRAGMA.exec(sql);
+  if (match && !match[1]) {
+    wrapped.key = unquote(match[2]);
+    return { result: undefined };
+  }
+
+  checkKey(wrapped, native, method);
+  if (match) {
+    wrapped.key = unquote(match[2]);
+    writeKey(native, 'main', wrapped.key);
+    return { result: undefined };
+  }
+
+  match = ATTACH.exec(sql);
+  if (match) {
+    const paths = match[1] === '?' ? params.slice(0, 1) : [unquote(match[2])];
+    const keyParams = match[1] === '?' ? params.slice(1) : params;
+    const path = paths[0];
+    let key = wrapped.key;
+    if (match[4]) {
+      key = match[4] === '?' ? keyParams[0] : unquote(match[5]);
+    }
+    const stored = readKeyFromFile(db.sqlite.Database, path);
+    if (stored !== null && stored !== (key || '')) {
+      throw notADatabase(method);
+    }
+    native.prepare('ATTACH DATABASE ? AS ' + match[3]).run(path);
+    if (stored === null && key) {
+      writeKey(native, match[3], key);
+    }
+    wrapped.attachments[match[3]] = { path: path, key: key || '' };
+    return { result: { changes: 0, lastInsertRowId: 0 } };
+  }
+
+  match = EXPORT.exec(sql);
+  if (match) {
+    const target = wrapped.attachments[match[1]];
+    native.exec('DETACH DATABASE ' + match[1]);
+    fs.rmSync(target.path, { force: true });
+    native.prepare('VACUUM main INTO ?').run(target.path);
+    native.prepare('ATTACH DATABASE ? AS ' + match[1]).run(target.path);
+    native.exec('DROP TABLE IF EXISTS ' + match[1] + '.fake_sqlcipher');
+    if (target.key) {
+      writeKey(native, match[1], target.key);
+    }
+    const row = {};
+    row[sql.replace(/^SELECT /, '')] = '';
+    return { result: method === 'getAllAsync' ? [row] : row, rows: [row] };
+  }
+  return null;
+}
+
+/**
+ * The first statement of a connection is where SQLCipher finds out whether
+ * the key fits; an empty database takes the connection's key
+ */
+function checkKey(wrapped, native, method) {
+  if (wrapped.checked) {
+    return;
+  }
+  const stored = readKey(native, 'main');
+  if (stored === null) {
+    if (wrapped.key) {
+      writeKey(native, 'main', wrapped.key);
+    }
+  } else if (stored !== wrapped.key) {
+    throw notADatabase(method);
+  }
+  wrapped.checked = true;
+}
+
+// null for an empty database, '' for a plaintext one, otherwise the key
+function readKey(native, schema) {
+  const tables = native.prepare('SELECT name FROM ' + schema + '.sqlite_master').all();
+  if (tables.length === 0) {
+    return null;
+  }
+  const marker = tables.some(function(table) {
+    return table.name === 'fake_sqlcipher';
+  });
+  return marker ? native.prepare('SELECT key FROM ' + schema + '.fake_sqlcipher').get().key : '';
+}
+
+function readKeyFromFile(Database, path) {
+  if (!fs.existsSync(path) || fs.statSync(path).size === 0) {
+    return null;
+  }
+  const native = new Database(path, { readonly: true });
+  try {
+    return readKey(native, 'main');
+  } finally {
+    native.close();
+  }
+}
+
+function writeKey(native, schema, key) {
+  native.exec('CREATE TABLE IF NOT EXISTS ' + schema + '.fake_sqlcipher (key TEXT)');
+  native.exec('DELETE FROM ' + schema + '.fake_sqlcipher');
+  native.prepare('INSERT INTO ' + schema + '.fake_sqlcipher (key) VALUES (?)').run(key);
+}
+
+function unquote(literal) {
+  return literal.replace(/''/g, "'");
+}
+
+function notADatabase(method) {
+  const error = new Error('Calling the \'' + method + '\' function has failed\n' +
+    '→ Caused by: Error code 26: file is not a database');
+  error.code = 'ERR_INTERNAL_SQLITE_ERROR';
+  return error;
+}
+
+module.exports = {
+  createFakeSqlcipher
+};
@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const path = require('path');
+const base = require('@shaxpir/sharedb-storage-sqlite');
+const { setUpEnvironment, tearDownEnvironment } = require('./helpers/expo-environment');
+const SqliteStorage = require('..');
+const ExpoSqliteAdapter = require('../lib/adapters/expo-sqlite-adapter');
+const AttachedExpoSqliteAdapter = require('../lib/adapters/attached-expo-sqlite-adapter');
+
+describe('index', function() {
+  describe('exports', function() {
+    it('re-exports the storage and the schema strategies', function() {
+      expect(SqliteStorage.SqliteStorage).to.equal(base.SqliteStorage);
+      expect(SqliteStorage.DefaultSchemaStrategy).to.equal(base.DefaultSchemaStrategy);
+      expect(SqliteStorage.CollectionPerTableStrategy).to.equal(base.CollectionPerTableStrategy);
+      expect(SqliteStorage.AttachedCollectionPerTableStrategy).to.equal(base.AttachedCollectionPerTableStrategy);
+    });
+
+    it('exports the Expo adapters', function() {
+      expect(SqliteStorage.ExpoSqliteAdapter).to.equal(ExpoSqliteAdapter);
+      expect(SqliteStorage.AttachedExpoSqliteAdapter).to.equal(AttachedExpoSqliteAdapter);
+      expect(SqliteStorage.StandardSQLiteConnectionPool).to.be.a('function');
+      expect(SqliteStorage.createExpoStorage).to.be.a('function');
+      expect(SqliteStorage.AccountDatabases).to.equal(require('../lib/account-databases'));
+    });
+
+    it('exports the error types', function() {
+      const errors = require('../lib/errors');
+      ['SqliteStorageError', 'NotConnectedError', 'BusyError', 'ConstraintError',
+        'CorruptDatabaseError', 'EncryptionKeyError', 'DiskFullError', 'ReadOnlyDatabaseError', 'AttachmentError', 'SchemaError',
+        'SchemaVersionError', 'MigrationError'].forEach(function(name) {
+        expect(SqliteStorage[name]).to.equal(errors[name]);
+      });
+    });
+
+    it('provides a default export that constructs a SqliteStorage', function() {
+      expect(SqliteStorage.default).to.equal(SqliteStorage);
+
+      const adapter = {};
+      const storage = new SqliteStorage.default({ adapter: adapter });
+      expect(storage).to.be.an.instanceof(base.SqliteStorage);
+      expect(storage).to.be.an.instanceof(SqliteStorage);
+      expect(storage.adapter).to.equal(adapter);
+    });
+
+    it('does not decorate the base SqliteStorage class', function() {
+      expect(base.SqliteStorage.ExpoSqliteAdapter).to.be.undefined;
+    });
+  });
+
+  describe('createExpoStorage', function() {
+    let env;
+
+    beforeEach(function() {
+      env = setUpEnvironment();
+    });
+
+    afterEach(function() {
+      tearDownEnvironment();
+    });
+
+    it('requires a fileName', function() {
+      expect(function() {
+        SqliteStorage.createExpoStorage({ adapterOptions: env.modules });
+      }).to.throw('createExpoStorage requires a fileName');
+    });
+
+    it('creates an adapter in the document directory with the default strategy', function() {
+      const storage = SqliteStorage.createExpoStorage({
+        fileName: 'app.db',
+        adapterOptions: env.modules
+      });
+
+      expect(storage).to.be.an.instanceof(base.SqliteStorage);
+      expect(storage.adapter).to.be.an.instanceof(ExpoSqliteAdapter);
+      expect(storage.adapter.fileName).to.equal('app.db');
+      expect(storage.adapter.dirPath).to.equal(env.FileSystem.documentDirectory.replace('file://', ''));
+      expect(storage.adapter.SQLite).to.equal(env.SQLite);
+      expect(storage.schemaStrategy).to.be.an.instanceof(base.DefaultSchemaStrategy);
+    });
+
+    it('uses the given directory, strategy and debug flag', function() {
+      const strategy = new SqliteStorage.CollectionPerTableStrategy({ collectionConfig: {} });
+      const dirPath = path.join(env.rootDir, 'data') + '/';
+      const storage = SqliteStorage.createExpoStorage({
+        fileName: 'app.db',
+        dirPath: dirPath,
+        strategy: strategy,
+        debug: true,
+        adapterOptions: env.modules
+      });
+
+      expect(storage.adapter.dirPath).to.equal(dirPath);
+      expect(storage.adapter.debug).to.be.true;
+      expect(storage.schemaStrategy).to.equal(strategy);
+    });
+
+    it('wires attachments and hands the strategy to the adapter', function() {
+      const strategy = new SqliteStorage.AttachedCollectionPerTableStrategy({ attachmentAlias: 'ref' });
+      const storage = SqliteStorage.createExpoStorage({
+        fileName: 'user.db',
+        strategy: strategy,
+        attachments: [{ fileName: 'reference.db', alias: 'ref' }],
+        adapterOptions: env.modules
+      });
+
+      const adapter = storage.adapter;
+      expect(adapter).to.be.an.instanceof(AttachedExpoSqliteAdapter);
+      expect(adapter.primaryDirPath).to.equal(env.FileSystem.documentDirectory);
+      expect(adapter.originalAttachmentConfig.attachments).to.deep.equal([
+        { fileName: 'reference.db', dirPath: env.FileSystem.documentDirectory, alias: 'ref' }
+      ]);
+      expect(adapter.schemaStrategy).to.equal(strategy);
+      expect(storage.schemaStrategy).to.equal(strategy);
+    });
+
+    it('defaults attachment directories to the given dirPath', function() {
+      const dirPath = path.join(env.rootDir, 'data') + '/';
+      const storage = SqliteStorage.createExpoStorage({
+        fileName: 'user.db',
+        dirPath: dirPath,
+        attachments: [
+          { fileName: 'reference.db', alias: 'ref' },
+          { fileName: 'extra.db', dirPath: '/elsewhere/', alias: 'extra' }
+        ],
+        adapterOptions: env.modules
+      });
+
+      expect(storage.adapter.originalAttachmentConfig.attachments).to.deep.equal([
+        { fileName: 'reference.db', dirPath: dirPath, alias: 'ref' },
+        { fileName: 'extra.db', dirPath: '/elsewhere/', alias: 'extra' }
+      ]);
+    });
+  });
+});
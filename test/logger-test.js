@@ -0,0 +1,60 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../lib/logger');
+
+describe('logger', function() {
+  let logStub;
+  let warnStub;
+
+  beforeEach(function() {
+    logStub = sinon.stub(console, 'log');
+    warnStub = sinon.stub(console, 'warn');
+  });
+
+  afterEach(function() {
+    logStub.restore();
+    warnStub.restore();
+  });
+
+  it('keeps the default console logger', function() {
+    logger.info('hello');
+    logger.warn('careful');
+    expect(logStub).to.have.been.calledWith('[INFO] hello');
+    expect(warnStub).to.have.been.calledWith('[WARN] careful');
+  });
+
+  describe('createConsoleLogger', function() {
+    it('drops messages below its level', function() {
+      const consoleLogger = logger.createConsoleLogger({ level: 'warn', name: 'Test' });
+      consoleLogger.debug('hidden');
+      consoleLogger.info('hidden');
+      consoleLogger.warn('shown', { alias: 'main' });
+      expect(logStub).not.to.have.been.called;
+      expect(warnStub).to.have.been.calledOnceWith('[Test] shown', { alias: 'main' });
+    });
+
+    it('rejects unknown levels', function() {
+      expect(function() {
+        logger.createConsoleLogger({ level: 'verbose' });
+      }).to.throw('Unknown log level: verbose');
+    });
+  });
+
+  describe('resolveLogger', function() {
+    it('fills in missing methods of a custom logger', function() {
+      const custom = { error: sinon.spy() };
+      const resolved = logger.resolveLogger({ logger: custom }, 'Test');
+      resolved.debug('ignored');
+      resolved.error('failed', { code: 5 });
+      expect(custom.error).to.have.been.calledOnceWith('failed', { code: 5 });
+    });
+
+    it('prints debug messages only in debug mode', function() {
+      logger.resolveLogger({}, 'Quiet').debug('hidden');
+      logger.resolveLogger({ debug: true }, 'Noisy').debug('shown');
+      logger.resolveLogger({ logLevel: 'silent' }, 'Silent').warn('hidden');
+      expect(logStub).to.have.been.calledOnceWith('[Noisy] shown');
+      expect(warnStub).not.to.have.been.called;
+    });
+  });
+});
@@ -0,0 +1,359 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { setUpEnvironment, tearDownEnvironment } = require('../helpers/expo-environment');
+const StandardSQLiteConnectionPool = require('../../lib/pool/standard-sqlite-connection-pool');
+const ExpoSqliteAdapter = require('../../lib/adapters/expo-sqlite-adapter');
+
+describe('StandardSQLiteConnectionPool', function() {
+  let env;
+  let pool;
+
+  function createPool(options) {
+    return new StandardSQLiteConnectionPool(Object.assign({
+      fileName: 'pooled.db',
+      dirPath: env.FileSystem.documentDirectory,
+      adapterOptions: env.modules
+    }, options));
+  }
+
+  beforeEach(async function() {
+    env = setUpEnvironment();
+    pool = createPool({ maxConnections: 2, minConnections: 1, acquireTimeout: 200 });
+    await pool.connect();
+    await pool.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(async function() {
+    await pool.disconnect();
+    tearDownEnvironment();
+  });
+
+  describe('constructor', function() {
+    it('requires createConnection or fileName', function() {
+      expect(function() {
+        new StandardSQLiteConnectionPool({});
+      }).to.throw(/requires either createConnection or fileName/);
+    });
+
+    it('rejects minConnections above maxConnections', function() {
+      expect(function() {
+        createPool({ minConnections: 4, maxConnections: 2 });
+      }).to.throw('minConnections cannot be greater than maxConnections');
+    });
+  });
+
+  describe('connect', function() {
+    it('opens the writer and the minimum number of readers', function() {
+      const stats = pool.getStats();
+      expect(stats.writer.size).to.equal(1);
+      expect(stats.readers.size).to.equal(1);
+      expect(stats.connectionsCreated).to.equal(2);
+    });
+
+    it('opens each connection with useNewConnection in WAL mode', async function() {
+      await pool.withConnection(async function(writer) {
+        expect(writer).to.be.an.instanceof(ExpoSqliteAdapter);
+        expect(writer.db.options.useNewConnection).to.equal(true);
+        const journal = await writer.getFirstAsync('PRAGMA journal_mode');
+        expect(journal.journal_mode).to.equal('wal');
+      });
+      await pool.withReadConnection(async function(reader) {
+        expect(reader.db.connection).not.to.equal(undefined);
+        expect(reader.db.options.useNewConnection).to.equal(true);
+      });
+    });
+
+    it('is idempotent', async function() {
+      await pool.connect();
+      expect(pool.getStats().connectionsCreated).to.equal(2);
+    });
+  });
+
+  describe('read/write split', function() {
+    it('sends writes to the writer and reads to a reader', async function() {
+      await pool.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      const rows = await pool.getAllAsync('SELECT name FROM items');
+      const row = await pool.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+      expect(rows).to.deep.equal([{ name: 'a' }]);
+      expect(row.count).to.equal(1);
+    });
+
+    it('serves reads while a long write transaction is open', async function() {
+      await pool.runAsync('INSERT INTO items (name) VALUES (?)', ['committed']);
+
+      let finishWrite;
+      const writeBlocked = new Promise(function(resolve) {
+        finishWrite = resolve;
+      });
+      const write = pool.transaction(async function(tx) {
+        await tx.runAsync('INSERT INTO items (name) VALUES (?)', ['pending']);
+        await writeBlocked;
+      });
+
+      // Readers see the committed snapshot without waiting for the writer
+      const rows = await pool.getAllAsync('SELECT name FROM items ORDER BY id');
+      expect(rows).to.deep.equal([{ name: 'committed' }]);
+
+      finishWrite();
+      await write;
+      const after = await pool.getAllAsync('SELECT name FROM items ORDER BY id');
+      expect(after).to.deep.equal([{ name: 'committed' }, { name: 'pending' }]);
+    });
+
+    it('queues writes behind the single writer', async function() {
+      const order = [];
+      await Promise.all([1, 2, 3].map(function(n) {
+        return pool.withConnection(async function(writer) {
+          order.push('start ' + n);
+          await writer.runAsync('INSERT INTO items (name) VALUES (?)', ['w' + n]);
+          order.push('end ' + n);
+        });
+      }));
+      expect(order).to.deep.equal(['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+    });
+
+    it('rejects writes on reader connections', async function() {
+      let error;
+      try {
+        await pool.withReadConnection(function(reader) {
+          return reader.runAsync('INSERT INTO items (name) VALUES (?)', ['nope']);
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/readonly/);
+    });
+
+    it('grows the reader pool up to maxConnections', async function() {
+      let release;
+      const held = new Promise(function(resolve) {
+        release = resolve;
+      });
+      const readers = [];
+      const borrowed = [1, 2].map(function() {
+        return pool.withReadConnection(async function(reader) {
+          readers.push(reader);
+          await held;
+        });
+      });
+
+      await new Promise(function(resolve) { setTimeout(resolve, 20); });
+      expect(pool.getStats().readers.borrowed).to.equal(2);
+      expect(readers[0]).not.to.equal(readers[1]);
+      release();
+      await Promise.all(borrowed);
+    });
+  });
+
+  describe('streaming reads', function() {
+    beforeEach(async function() {
+      await pool.executeMany('INSERT INTO items (name) VALUES (?)', [['a'], ['b'], ['c']]);
+    });
+
+    it('holds a reader for the whole iteration', async function() {
+      const batches = [];
+      for await (const rows of pool.iterateAsync('SELECT name FROM items ORDER BY id', [], { batchSize: 2 })) {
+        expect(pool.getStats().readers.borrowed).to.equal(1);
+        batches.push(rows);
+      }
+      expect(batches).to.deep.equal([[{ name: 'a' }, { name: 'b' }], [{ name: 'c' }]]);
+      expect(pool.getStats().readers.borrowed).to.equal(0);
+    });
+
+    it('paginates through reader connections', async function() {
+      const pages = [];
+      for await (const rows of pool.paginateAsync('items', { pageSize: 2, columns: ['id', 'name'] })) {
+        pages.push(rows.map(function(row) { return row.name; }));
+      }
+      expect(pages).to.deep.equal([['a', 'b'], ['c']]);
+    });
+  });
+
+  describe('query tracing', function() {
+    it('passes the hook to its connections, tagged with their role', async function() {
+      const events = [];
+      const traced = createPool({
+        fileName: 'traced.db',
+        onQuery: function(event) {
+          events.push(event);
+        }
+      });
+      await traced.connect();
+      try {
+        events.length = 0;
+        await traced.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+        await traced.getAllAsync('SELECT id FROM items');
+      } finally {
+        await traced.disconnect();
+      }
+      expect(events.map(function(event) { return event.alias; })).to.deep.equal(['traced.db:writer', 'traced.db:reader']);
+    });
+  });
+
+  describe('batched writes', function() {
+    it('runs batches and executeMany on the writer', async function() {
+      const batch = await pool.runBatchAsync([
+        { sql: 'INSERT INTO items (name) VALUES (?)', params: ['a'] }
+      ]);
+      const many = await pool.executeMany('INSERT INTO items (name) VALUES (?)', [['b'], ['c']]);
+
+      expect(batch).to.deep.equal([{ lastID: 1, changes: 1 }]);
+      expect(many).to.deep.equal([{ lastID: 3, changes: 2, paramSetCount: 2 }]);
+      const row = await pool.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+      expect(row.count).to.equal(3);
+    });
+  });
+
+  describe('withConnection', function() {
+    it('supports the documented callback style', function(done) {
+      pool.withConnection(function(connection) {
+        return connection.getFirstAsync('SELECT 41 + 1 AS answer');
+      }, function(error, row) {
+        expect(error).to.equal(null);
+        expect(row.answer).to.equal(42);
+        done();
+      });
+    });
+
+    it('reports operation errors through the callback and releases the connection', function(done) {
+      pool.withConnection(function() {
+        throw new Error('operation failed');
+      }, function(error) {
+        expect(error.message).to.equal('operation failed');
+        expect(pool.getStats().writer.borrowed).to.equal(0);
+        done();
+      });
+    });
+
+    it('times out when no connection becomes available', async function() {
+      let release;
+      const held = pool.withConnection(function() {
+        return new Promise(function(resolve) {
+          release = resolve;
+        });
+      });
+
+      let error;
+      try {
+        await pool.runAsync('INSERT INTO items (name) VALUES (?)', ['late']);
+      } catch (e) {
+        error = e;
+      }
+      release();
+      await held;
+
+      expect(error.message).to.equal('Timed out acquiring a writer connection after 200ms');
+      expect(pool.getStats().acquireFailures).to.equal(1);
+    });
+
+    it('rejects when the pool is not connected', async function() {
+      await pool.disconnect();
+      let error;
+      try {
+        await pool.getAllAsync('SELECT 1');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Connection pool is not connected');
+    });
+  });
+
+  describe('custom connections', function() {
+    it('uses createConnection, validateConnection and destroyConnection', async function() {
+      const created = [];
+      const custom = new StandardSQLiteConnectionPool({
+        createConnection: sinon.spy(async function(role) {
+          const adapter = new ExpoSqliteAdapter('custom.db', env.FileSystem.documentDirectory,
+            Object.assign({ useNewConnection: true }, env.modules));
+          await adapter.connect();
+          created.push(role);
+          return adapter;
+        }),
+        validateConnection: sinon.spy(function(connection) {
+          return connection.getFirstAsync('SELECT 1');
+        }),
+        destroyConnection: sinon.spy(function(connection) {
+          return connection.disconnect();
+        }),
+        minConnections: 1,
+        testOnBorrow: true
+      });
+
+      await custom.connect();
+      expect(created).to.deep.equal(['writer', 'reader']);
+      await custom.getFirstAsync('SELECT 1');
+      expect(custom.options.validateConnection).to.have.been.called;
+
+      await custom.disconnect();
+      expect(custom.options.destroyConnection).to.have.been.calledTwice;
+      expect(custom.getStats().connectionsDestroyed).to.equal(2);
+    });
+
+    it('surfaces connection creation failures from connect', async function() {
+      const failing = new StandardSQLiteConnectionPool({
+        createConnection: function() {
+          throw new Error('cannot open');
+        },
+        acquireTimeout: 50
+      });
+
+      let error;
+      try {
+        await failing.connect();
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Timed out acquiring a writer connection after 50ms (last connection error: cannot open)');
+    });
+
+    it('closes connections that open after createTimeout', async function() {
+      const connections = [];
+      const slow = new StandardSQLiteConnectionPool({
+        createConnection: function() {
+          const connection = { disconnect: sinon.stub().resolves() };
+          connections.push(connection);
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 60, connection);
+          });
+        },
+        createTimeout: 20,
+        acquireTimeout: 100
+      });
+
+      let error;
+      try {
+        await slow.connect();
+      } catch (e) {
+        error = e;
+      }
+      await slow.disconnect();
+      await new Promise(function(resolve) {
+        setTimeout(resolve, 100);
+      });
+
+      expect(error.message).to.match(/last connection error: Timed out creating a writer connection after 20ms/);
+      expect(connections).to.not.be.empty;
+      connections.forEach(function(connection) {
+        expect(connection.disconnect).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  describe('getStats', function() {
+    it('reports health from acquire outcomes', async function() {
+      await pool.getAllAsync('SELECT 1');
+      const stats = pool.getStats();
+      expect(stats.acquireSuccesses).to.be.above(0);
+      expect(stats.healthScore).to.equal(100);
+      expect(stats.isHealthy).to.equal(true);
+      expect(stats.max).to.equal(3);
+    });
+
+    it('reports an unhealthy pool once disconnected', async function() {
+      await pool.disconnect();
+      const stats = pool.getStats();
+      expect(stats.size).to.equal(0);
+      expect(stats.isHealthy).to.equal(false);
+    });
+  });
+});
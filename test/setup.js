@@ -0,0 +1,4 @@
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+
+chai.use(sinonChai);
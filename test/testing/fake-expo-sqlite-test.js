@@ -0,0 +1,250 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const sinon = require('sinon');
+const { createTestEnvironment } = require('../../lib/testing');
+const FakeExpoSqlite = require('../../lib/testing/fake-expo-sqlite');
+
+describe('testing/FakeExpoSqlite', function() {
+  let env;
+
+  beforeEach(function() {
+    env = createTestEnvironment();
+  });
+
+  afterEach(function() {
+    env.cleanup();
+  });
+
+  it('says better-sqlite3 is needed when it is not installed', function() {
+    const Module = require('module');
+    const load = Module._load;
+    const stub = sinon.stub(Module, '_load').callsFake(function(request) {
+      if (request === 'better-sqlite3') {
+        const error = new Error('Cannot find module \'better-sqlite3\'');
+        error.code = 'MODULE_NOT_FOUND';
+        throw error;
+      }
+      return load.apply(this, arguments);
+    });
+    try {
+      expect(function() {
+        return new FakeExpoSqlite({ directory: env.rootDir });
+      }).to.throw(/optional peer dependency.*npm install --save-dev better-sqlite3/);
+    } finally {
+      stub.restore();
+    }
+  });
+
+  it('opens databases in the default SQLite directory', async function() {
+    const db = env.SQLite.openDatabaseSync('fake.db');
+    await db.execAsync('CREATE TABLE t (x)');
+    expect(db.databasePath).to.equal(path.join(env.rootDir, 'Documents', 'SQLite', 'fake.db'));
+    expect(fs.existsSync(db.databasePath)).to.equal(true);
+    await db.closeAsync();
+  });
+
+  it('shares a connection unless useNewConnection is set', async function() {
+    const first = env.SQLite.openDatabaseSync('fake.db');
+    const second = env.SQLite.openDatabaseSync('fake.db');
+    const separate = env.SQLite.openDatabaseSync('fake.db', { useNewConnection: true });
+    expect(first.connection).to.equal(second.connection);
+    expect(separate.connection).not.to.equal(first.connection);
+
+    await first.closeAsync();
+    expect(await second.getFirstAsync('SELECT 1 AS one')).to.deep.equal({ one: 1 });
+    await second.closeAsync();
+    await separate.closeAsync();
+  });
+
+  it('binds array, variadic and named parameters', async function() {
+    const db = env.SQLite.openDatabaseSync(':memory:');
+    await db.execAsync('CREATE TABLE t (a, b)');
+    await db.runAsync('INSERT INTO t VALUES (?, ?)', [1, true]);
+    await db.runAsync('INSERT INTO t VALUES (?, ?)', 2, undefined);
+    await db.runAsync('INSERT INTO t VALUES ($a, $b)', { $a: 3, $b: 'three' });
+
+    const rows = await db.getAllAsync('SELECT a, b FROM t ORDER BY a');
+    expect(rows).to.deep.equal([{ a: 1, b: 1 }, { a: 2, b: null }, { a: 3, b: 'three' }]);
+    await db.closeAsync();
+  });
+
+  it('reports SQLite failures the way expo-sqlite does', async function() {
+    const db = env.SQLite.openDatabaseSync(':memory:');
+    let error;
+    try {
+      await db.runAsync('INSERT INTO missing VALUES (1)');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^Calling the 'runAsync' function has failed\n→ Caused by: Error code 1: no such table: missing/);
+    await db.closeAsync();
+  });
+
+  it('rolls back withTransactionAsync when the task throws', async function() {
+    const db = env.SQLite.openDatabaseSync(':memory:');
+    await db.execAsync('CREATE TABLE t (x)');
+    try {
+      await db.withTransactionAsync(async function() {
+        await db.runAsync('INSERT INTO t VALUES (1)');
+        throw new Error('boom');
+      });
+    } catch (e) {
+      // expected
+    }
+    expect(await db.getAllAsync('SELECT * FROM t')).to.deep.equal([]);
+    expect(await db.isInTransactionAsync()).to.equal(false);
+    await db.closeAsync();
+  });
+
+  it('iterates prepared statement results', async function() {
+    const db = env.SQLite.openDatabaseSync(':memory:');
+    await db.execAsync('CREATE TABLE t (x); INSERT INTO t VALUES (1), (2), (3);');
+    const statement = await db.prepareAsync('SELECT x FROM t WHERE x > ? ORDER BY x');
+    const result = await statement.executeAsync([1]);
+
+    const seen = [];
+    for await (const row of result) {
+      seen.push(row.x);
+    }
+    expect(seen).to.deep.equal([2, 3]);
+    await statement.finalizeAsync();
+    await db.closeAsync();
+  });
+
+  it('refuses access after close', async function() {
+    const db = env.SQLite.openDatabaseSync(':memory:');
+    await db.closeAsync();
+    let error;
+    try {
+      await db.getFirstAsync('SELECT 1');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/closed resource/);
+  });
+
+  it('deletes a closed database with its sidecars', async function() {
+    const db = env.SQLite.openDatabaseSync('doomed.db');
+    await db.execAsync('PRAGMA journal_mode=WAL; CREATE TABLE t (x);');
+    expect(function() {
+      env.SQLite.deleteDatabaseSync('doomed.db');
+    }).to.throw(/currently open/);
+
+    await db.closeAsync();
+    await env.SQLite.deleteDatabaseAsync('doomed.db');
+    expect(fs.existsSync(db.databasePath)).to.equal(false);
+    expect(fs.existsSync(db.databasePath + '-wal')).to.equal(false);
+  });
+
+  it('takes URI filenames in ATTACH as file names by default', async function() {
+    const reference = env.SQLite.openDatabaseSync('ref.db', { useNewConnection: true });
+    await reference.execAsync('CREATE TABLE words (text TEXT)');
+    await reference.closeAsync();
+
+    const db = env.SQLite.openDatabaseSync('main.db');
+    let error;
+    try {
+      await db.runAsync('ATTACH DATABASE ? AS ref', ['file:' + encodeURI(reference.databasePath) + '?mode=ro']);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/Error code 14: unable to open database/);
+    await db.closeAsync();
+  });
+
+  it('attaches URI filenames, read-only with mode=ro, with uriFilenames', async function() {
+    env.cleanup();
+    env = createTestEnvironment({ uriFilenames: true });
+    const reference = env.SQLite.openDatabaseSync('my ref.db', { useNewConnection: true });
+    await reference.execAsync('CREATE TABLE words (text TEXT); INSERT INTO words VALUES (\'hi\')');
+    await reference.closeAsync();
+
+    const db = env.SQLite.openDatabaseSync('main.db');
+    await db.runAsync('ATTACH DATABASE ? AS ref', ['file:' + encodeURI(reference.databasePath) + '?mode=ro']);
+    expect(await db.getAllAsync('SELECT text FROM ref.words')).to.deep.equal([{ text: 'hi' }]);
+
+    let error;
+    try {
+      await db.runAsync('INSERT INTO ref.words VALUES (?)', ['no']);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/Error code 8: attempt to write a readonly database/);
+    expect(await db.getFirstAsync('PRAGMA ref.journal_mode')).to.deep.equal({ journal_mode: 'delete' });
+
+    await db.runAsync('DETACH DATABASE ref');
+    await db.runAsync("ATTACH DATABASE 'file:" + encodeURI(reference.databasePath) + "' AS ref");
+    await db.runAsync('INSERT INTO ref.words VALUES (?)', ['yes']);
+    expect(await db.getFirstAsync('SELECT COUNT(*) AS count FROM ref.words')).to.deep.equal({ count: 2 });
+    await db.closeAsync();
+  });
+
+  it('reports every row written with enableChangeListener, rolled back ones too', async function() {
+    const events = [];
+    const subscription = env.SQLite.addDatabaseChangeListener(function(event) {
+      events.push(event);
+    });
+    const quiet = env.SQLite.openDatabaseSync('quiet.db');
+    await quiet.execAsync('CREATE TABLE t (x)');
+    await quiet.runAsync('INSERT INTO t VALUES (1)');
+    const db = env.SQLite.openDatabaseSync('fake.db', { enableChangeListener: true });
+    await db.execAsync('CREATE TABLE t (x)');
+    await db.runAsync('INSERT INTO t VALUES (1), (2)');
+    try {
+      await db.withTransactionAsync(async function() {
+        await db.runAsync('DELETE FROM t WHERE x = 1');
+        throw new Error('undo');
+      });
+    } catch (error) {
+      expect(error.message).to.equal('undo');
+    }
+    subscription.remove();
+    await db.runAsync('INSERT INTO t VALUES (3)');
+    await new Promise(function(resolve) {
+      setImmediate(resolve);
+    });
+
+    expect(events).to.deep.equal([1, 2, 1].map(function(rowId) {
+      return { databaseName: 'main', databaseFilePath: db.databasePath, tableName: 't', rowId: rowId };
+    }));
+    expect(await db.getFirstAsync('SELECT COUNT(*) AS count FROM t')).to.deep.equal({ count: 3 });
+    await db.closeAsync();
+    await quiet.closeAsync();
+  });
+});
+
+describe('testing/FakeFileSystem', function() {
+  let env;
+
+  beforeEach(function() {
+    env = createTestEnvironment();
+  });
+
+  afterEach(function() {
+    env.cleanup();
+  });
+
+  it('exposes sandbox directories as file:// URIs', function() {
+    expect(env.FileSystem.documentDirectory).to.equal('file://' + path.join(env.rootDir, 'Documents') + '/');
+  });
+
+  it('copies, moves and deletes files', async function() {
+    const fileSystem = env.FileSystem;
+    const source = fileSystem.documentDirectory + 'a.txt';
+    await fileSystem.writeAsStringAsync(source, 'hello');
+
+    await fileSystem.copyAsync({ from: source, to: fileSystem.cacheDirectory + 'b.txt' });
+    await fileSystem.moveAsync({ from: source, to: fileSystem.documentDirectory + 'nested/c.txt' });
+
+    expect((await fileSystem.getInfoAsync(source)).exists).to.equal(false);
+    expect(await fileSystem.readAsStringAsync(fileSystem.cacheDirectory + 'b.txt')).to.equal('hello');
+    const moved = await fileSystem.getInfoAsync(fileSystem.documentDirectory + 'nested/c.txt', { md5: true });
+    expect(moved.size).to.equal(5);
+    expect(moved.md5).to.equal('5d41402abc4b2a76b9719d911017c592');
+
+    await fileSystem.deleteAsync(fileSystem.cacheDirectory + 'b.txt');
+    await fileSystem.deleteAsync(fileSystem.cacheDirectory + 'b.txt', { idempotent: true });
+    expect(await fileSystem.readDirectoryAsync(fileSystem.cacheDirectory)).to.deep.equal([]);
+  });
+});
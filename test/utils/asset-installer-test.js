@@ -0,0 +1,147 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTestEnvironment } = require('../../lib/testing');
+const { installDatabaseAsset, readInstalledVersion } = require('../../lib/utils/asset-installer');
+const ExpoSqliteAdapter = require('../../lib/adapters/expo-sqlite-adapter');
+
+describe('utils/asset-installer', function() {
+  let env;
+  let bundleDir;
+  let sqliteDir;
+
+  beforeEach(async function() {
+    env = createTestEnvironment();
+    bundleDir = path.join(env.rootDir, 'Bundle') + '/';
+    sqliteDir = path.join(env.rootDir, 'Documents', 'SQLite') + '/';
+    await writeBundledDatabase('first');
+  });
+
+  afterEach(function() {
+    env.cleanup();
+  });
+
+  async function writeBundledDatabase(text) {
+    fs.rmSync(bundleDir + 'dictionary.db', { force: true });
+    const db = env.SQLite.openDatabaseSync('dictionary.db', { useNewConnection: true }, bundleDir);
+    await db.execAsync('PRAGMA journal_mode=DELETE; CREATE TABLE entries (text TEXT)');
+    await db.runAsync('INSERT INTO entries (text) VALUES (?)', [text]);
+    await db.closeAsync();
+  }
+
+  function install(version, options) {
+    return installDatabaseAsset(bundleDir + 'dictionary.db', Object.assign({
+      fileName: 'dictionary.db',
+      version: version,
+      FileSystem: env.FileSystem
+    }, options));
+  }
+
+  async function installedText() {
+    const db = env.SQLite.openDatabaseSync('dictionary.db', { useNewConnection: true });
+    try {
+      return (await db.getFirstAsync('SELECT text FROM entries')).text;
+    } finally {
+      await db.closeAsync();
+    }
+  }
+
+  it('installs a missing database into the SQLite directory', async function() {
+    const result = await install(1);
+
+    expect(result).to.deep.equal({ path: sqliteDir + 'dictionary.db', version: 1, previousVersion: null, installed: true });
+    expect(fs.readFileSync(sqliteDir + 'dictionary.db').equals(fs.readFileSync(bundleDir + 'dictionary.db'))).to.equal(true);
+    expect(fs.readFileSync(sqliteDir + 'dictionary.db.version', 'utf8')).to.equal('1');
+    expect(fs.existsSync(sqliteDir + 'dictionary.db.installing')).to.equal(false);
+  });
+
+  it('keeps an installed database of the same or a newer version', async function() {
+    await install(2);
+    await writeBundledDatabase('second');
+
+    expect(await install(2)).to.include({ installed: false, previousVersion: 2 });
+    expect(await install(1)).to.include({ installed: false, previousVersion: 2 });
+    expect(await installedText()).to.equal('first');
+  });
+
+  it('replaces an older version along with its sidecar files', async function() {
+    await install(1);
+    fs.writeFileSync(sqliteDir + 'dictionary.db-wal', 'stale');
+    await writeBundledDatabase('second');
+
+    expect(await install(2)).to.include({ installed: true, previousVersion: 1, version: 2 });
+    expect(await installedText()).to.equal('second');
+    expect(fs.existsSync(sqliteDir + 'dictionary.db-wal')).to.equal(false);
+    expect(fs.readdirSync(sqliteDir).filter(function(name) {
+      return /replaced|installing/.test(name);
+    })).to.deep.equal([]);
+  });
+
+  it('reinstalls a database without a version', async function() {
+    fs.mkdirSync(sqliteDir, { recursive: true });
+    fs.writeFileSync(sqliteDir + 'dictionary.db', 'copied without the installer');
+    expect(await readInstalledVersion(env.FileSystem, sqliteDir + 'dictionary.db')).to.equal(null);
+
+    expect(await install(1)).to.include({ installed: true, previousVersion: null });
+    expect(await installedText()).to.equal('first');
+  });
+
+  it('resolves module references through expo-asset and checks their hash', async function() {
+    const contents = fs.readFileSync(bundleDir + 'dictionary.db');
+    const asset = {
+      name: 'dictionary',
+      hash: crypto.createHash('md5').update(contents).digest('hex'),
+      localUri: null,
+      downloadAsync: sinon.spy(async function() {
+        asset.localUri = 'file://' + bundleDir + 'dictionary.db';
+      })
+    };
+    const Asset = { fromModule: sinon.stub().returns(asset) };
+
+    const result = await installDatabaseAsset(42, {
+      fileName: 'dictionary.db',
+      dirPath: 'file://' + env.rootDir + '/Library/Databases',
+      version: 1,
+      Asset: Asset,
+      FileSystem: env.FileSystem
+    });
+    expect(Asset.fromModule).to.have.been.calledOnceWith(42);
+    expect(asset.downloadAsync).to.have.been.calledOnce;
+    expect(result.path).to.equal(env.rootDir + '/Library/Databases/dictionary.db');
+    expect(fs.existsSync(result.path)).to.equal(true);
+  });
+
+  it('leaves nothing behind when the checksum does not match', async function() {
+    let error;
+    try {
+      await install(1, { md5: 'd41d8cd98f00b204e9800998ecf8427e' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^Checksum mismatch installing .*dictionary\.db: expected d41d8cd98f00b204e9800998ecf8427e, got /);
+    expect(fs.readdirSync(sqliteDir)).to.deep.equal([]);
+  });
+
+  it('rejects versions that are not positive integers', async function() {
+    for (const version of [undefined, 0, 1.5, '2']) {
+      let error;
+      try {
+        await install(version);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Asset version must be a positive integer: ' + version);
+    }
+  });
+
+  it('is available as ExpoSqliteAdapter.installDatabaseAsset', async function() {
+    const result = await ExpoSqliteAdapter.installDatabaseAsset(bundleDir + 'dictionary.db', {
+      fileName: 'dictionary.db',
+      version: 1,
+      FileSystem: env.FileSystem
+    });
+    expect(result.installed).to.equal(true);
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const { normalizeBatchStatement, chunkParameterSets } = require('../../lib/utils/batch-utils');
+
+describe('utils/batch-utils', function() {
+  describe('normalizeBatchStatement', function() {
+    it('accepts objects, tuples and bare SQL', function() {
+      expect(normalizeBatchStatement({ sql: 'A', params: [1] }, 0)).to.deep.equal({ sql: 'A', params: [1] });
+      expect(normalizeBatchStatement(['B', [2]], 1)).to.deep.equal({ sql: 'B', params: [2] });
+      expect(normalizeBatchStatement('C', 2)).to.deep.equal({ sql: 'C', params: [] });
+    });
+
+    it('rejects entries without sql', function() {
+      expect(function() {
+        normalizeBatchStatement(null, 3);
+      }).to.throw('Batch statement 3 has no sql');
+    });
+  });
+
+  describe('chunkParameterSets', function() {
+    it('combines inserts into statements under the variable limit', function() {
+      const statements = chunkParameterSets('INSERT INTO t (a, b) VALUES (?, ?)', [[1, 2], [3, 4], [5, 6]], 5);
+      expect(statements).to.deep.equal([
+        { sql: 'INSERT INTO t (a, b) VALUES (?, ?), (?, ?)', params: [1, 2, 3, 4], paramSetCount: 2 },
+        { sql: 'INSERT INTO t (a, b) VALUES (?, ?)', params: [5, 6], paramSetCount: 1 }
+      ]);
+    });
+
+    it('keeps clauses after the VALUES tuple', function() {
+      const statements = chunkParameterSets('INSERT OR REPLACE INTO t (a) VALUES (?) RETURNING a', [[1], [2]]);
+      expect(statements).to.deep.equal([
+        { sql: 'INSERT OR REPLACE INTO t (a) VALUES (?), (?) RETURNING a', params: [1, 2], paramSetCount: 2 }
+      ]);
+    });
+
+    it('runs statements it cannot combine once per parameter set', function() {
+      const upsert = 'INSERT INTO t (a, b) VALUES (?, ?) ON CONFLICT (a) DO UPDATE SET b = ?';
+      expect(chunkParameterSets(upsert, [[1, 2, 2], [3, 4, 4]])).to.deep.equal([
+        { sql: upsert, params: [1, 2, 2], paramSetCount: 1 },
+        { sql: upsert, params: [3, 4, 4], paramSetCount: 1 }
+      ]);
+      expect(chunkParameterSets('DELETE FROM t WHERE a = ?', [[1]])).to.deep.equal([
+        { sql: 'DELETE FROM t WHERE a = ?', params: [1], paramSetCount: 1 }
+      ]);
+    });
+
+    it('rejects parameter sets of the wrong size', function() {
+      expect(function() {
+        chunkParameterSets('INSERT INTO t (a, b) VALUES (?, ?)', [[1, 2], [3]]);
+      }).to.throw('Parameter set 1 must have 2 values');
+    });
+  });
+});
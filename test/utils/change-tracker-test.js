@@ -0,0 +1,115 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const ChangeTracker = require('../../lib/utils/change-tracker');
+
+describe('utils/ChangeTracker', function() {
+  let tracker;
+  let events;
+
+  beforeEach(function() {
+    tracker = new ChangeTracker();
+    events = [];
+    tracker.addListener(function(event) {
+      events.push(event);
+    });
+  });
+
+  function change(table, operation, rowIds) {
+    return { alias: 'main', table: table, operation: operation, rowIds: rowIds };
+  }
+
+  it('delivers changes after the current statement', async function() {
+    tracker.record(change('docs', 'insert', [1]));
+    expect(events).to.deep.equal([]);
+    await Promise.resolve();
+    expect(events).to.deep.equal([{ alias: 'main', table: 'docs', operation: 'insert', rowIds: [1] }]);
+  });
+
+  it('merges a transaction\'s changes and delivers them on commit', async function() {
+    tracker.begin();
+    tracker.record(change('docs', 'insert', [1]));
+    tracker.record(change('docs', 'insert', [2, 1]));
+    tracker.record(change('docs', 'update', null));
+    tracker.record(change('docs', 'update', [3]));
+    await Promise.resolve();
+    expect(events).to.deep.equal([]);
+
+    tracker.commit();
+    await Promise.resolve();
+    expect(events).to.deep.equal([
+      { alias: 'main', table: 'docs', operation: 'insert', rowIds: [1, 2] },
+      { alias: 'main', table: 'docs', operation: 'update', rowIds: null }
+    ]);
+  });
+
+  it('drops the changes of rolled back transactions and savepoints', async function() {
+    tracker.begin();
+    tracker.record(change('docs', 'insert', [1]));
+    tracker.begin();
+    tracker.record(change('ops', 'insert', [1]));
+    tracker.rollback();
+    tracker.begin();
+    tracker.record(change('snapshots', 'delete', [4]));
+    tracker.commit();
+    tracker.commit();
+    tracker.begin();
+    tracker.record(change('lost', 'insert', [1]));
+    tracker.rollback();
+    await Promise.resolve();
+
+    expect(events.map(function(event) {
+      return event.table;
+    })).to.deep.equal(['docs', 'snapshots']);
+  });
+
+  it('delivers reported changes together, outside any transaction', async function() {
+    tracker.begin();
+    tracker.recordReported(change('docs', null, [1]));
+    tracker.recordReported(change('docs', null, [2]));
+    tracker.rollback();
+    await Promise.resolve();
+    expect(events).to.deep.equal([]);
+
+    await new Promise(function(resolve) { setTimeout(resolve, 5); });
+    expect(events).to.deep.equal([change('docs', null, [1, 2])]);
+  });
+
+  it('gives up listing rowids beyond MAX_ROW_IDS', async function() {
+    const rowIds = [];
+    for (let i = 1; i <= ChangeTracker.MAX_ROW_IDS; i++) {
+      rowIds.push(i);
+    }
+    tracker.record(change('docs', 'insert', rowIds));
+    tracker.record(change('docs', 'insert', [ChangeTracker.MAX_ROW_IDS + 1]));
+    await Promise.resolve();
+    expect(events[0].rowIds).to.equal(null);
+  });
+
+  it('records nothing without listeners and stops calling removed ones', async function() {
+    const quiet = new ChangeTracker();
+    quiet.record(change('docs', 'insert', [1]));
+    expect(quiet.pending.size).to.equal(0);
+
+    const listener = sinon.spy();
+    const subscription = quiet.addListener(listener);
+    subscription.remove();
+    quiet.record(change('docs', 'insert', [1]));
+    await Promise.resolve();
+    expect(listener).to.not.have.been.called;
+  });
+
+  it('logs failing listeners and keeps calling the others', async function() {
+    const logger = { warn: sinon.spy() };
+    const logged = new ChangeTracker({ logger: logger });
+    const second = sinon.spy();
+    logged.addListener(function() {
+      throw new Error('boom');
+    });
+    logged.addListener(second);
+
+    logged.record(change('docs', 'delete', [1]));
+    await Promise.resolve();
+    expect(second).to.have.been.calledOnce;
+    expect(logger.warn).to.have.been.calledWith('Change listener failed', { table: 'docs', error: 'boom' });
+  });
+});
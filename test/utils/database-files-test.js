@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { setUpEnvironment, tearDownEnvironment } = require('../helpers/expo-environment');
+const {
+  toFileUri,
+  moveDatabaseFiles,
+  deleteDatabaseFiles,
+  replaceDatabaseFiles
+} = require('../../lib/utils/database-files');
+
+describe('utils/database-files', function() {
+  let env;
+  let dir;
+
+  beforeEach(function() {
+    env = setUpEnvironment();
+    dir = path.join(env.rootDir, 'Documents', 'SQLite');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'app.db'), 'current');
+    fs.writeFileSync(path.join(dir, 'app.db-wal'), 'current wal');
+    fs.writeFileSync(path.join(dir, 'app.db-shm'), 'current shm');
+    fs.writeFileSync(path.join(dir, 'backup.db'), 'backup');
+  });
+
+  afterEach(function() {
+    tearDownEnvironment();
+  });
+
+  function read(name) {
+    return fs.readFileSync(path.join(dir, name), 'utf8');
+  }
+
+  it('turns absolute paths into file URIs and leaves URIs alone', function() {
+    expect(toFileUri('/data/app.db')).to.equal('file:///data/app.db');
+    expect(toFileUri('file:///data/app.db')).to.equal('file:///data/app.db');
+    expect(toFileUri('content://media/app.db')).to.equal('content://media/app.db');
+  });
+
+  it('moves a database with its sidecars', async function() {
+    await moveDatabaseFiles(env.FileSystem, path.join(dir, 'app.db'), path.join(dir, 'moved.db'));
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(['backup.db', 'moved.db', 'moved.db-shm', 'moved.db-wal']);
+  });
+
+  it('deletes a database with its sidecars', async function() {
+    await deleteDatabaseFiles(env.FileSystem, path.join(dir, 'app.db'));
+    expect(fs.readdirSync(dir)).to.deep.equal(['backup.db']);
+  });
+
+  it('replaces a database and drops the old sidecars', async function() {
+    await replaceDatabaseFiles(env.FileSystem, path.join(dir, 'backup.db'), path.join(dir, 'app.db'));
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(['app.db', 'backup.db']);
+    expect(read('app.db')).to.equal('backup');
+  });
+
+  it('puts the original files back when verification fails', async function() {
+    let undone = false;
+    let error;
+    try {
+      await replaceDatabaseFiles(env.FileSystem, path.join(dir, 'backup.db'), path.join(dir, 'app.db'), async function() {
+        expect(read('app.db')).to.equal('backup');
+        throw new Error('not a database');
+      }, async function() {
+        undone = true;
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).to.equal('not a database');
+    expect(undone).to.equal(true);
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(['app.db', 'app.db-shm', 'app.db-wal', 'backup.db']);
+    expect(read('app.db')).to.equal('current');
+    expect(read('app.db-wal')).to.equal('current wal');
+  });
+});
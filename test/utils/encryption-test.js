@@ -0,0 +1,34 @@
+const { expect } = require('chai');
+const { resolveEncryptionKey, quoteSqlString, keyPragma, rekeyPragma } = require('../../lib/utils/encryption');
+
+describe('utils/encryption', function() {
+  describe('resolveEncryptionKey', function() {
+    it('returns a passphrase as it is', async function() {
+      expect(await resolveEncryptionKey('secret')).to.equal('secret');
+    });
+
+    it('calls a key provider', async function() {
+      expect(await resolveEncryptionKey(async function() { return 'from provider'; })).to.equal('from provider');
+    });
+
+    it('rejects empty keys', async function() {
+      for (const key of ['', null, async function() { return null; }]) {
+        let error;
+        try {
+          await resolveEncryptionKey(key);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.equal('encryptionKey must be a non-empty string or a function returning one');
+      }
+    });
+  });
+
+  describe('key statements', function() {
+    it('quotes the passphrase as a string literal', function() {
+      expect(quoteSqlString("it's")).to.equal("'it''s'");
+      expect(keyPragma("it's")).to.equal("PRAGMA key = 'it''s'");
+      expect(rekeyPragma('new')).to.equal("PRAGMA rekey = 'new'");
+    });
+  });
+});
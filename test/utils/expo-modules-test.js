@@ -0,0 +1,194 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { createTestEnvironment } = require('../../lib/testing');
+const { resolveSQLite, resolveFileSystem, resolveAsset, resolveAppState, normalizeFileSystem } = require('../../lib/utils/expo-modules');
+const ExpoSqliteAdapter = require('../../lib/adapters/expo-sqlite-adapter');
+
+/**
+ * Minimal File/Directory/Paths implementation in the shape of expo-file-system 19
+ */
+function createModernFileSystem(rootDir) {
+  function toPath(uri) {
+    return uri.replace(/^file:\/\//, '');
+  }
+
+  function File(uri) {
+    this.uri = uri;
+    this.name = path.basename(toPath(uri));
+  }
+  Object.defineProperty(File.prototype, 'exists', {
+    get: function() {
+      const filePath = toPath(this.uri);
+      return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+    }
+  });
+  File.prototype.info = function() {
+    const stats = fs.statSync(toPath(this.uri));
+    return { size: stats.size, modificationTime: stats.mtimeMs };
+  };
+  File.prototype.create = function() {
+    fs.writeFileSync(toPath(this.uri), '');
+  };
+  File.prototype.write = function(contents) {
+    fs.writeFileSync(toPath(this.uri), contents);
+  };
+  File.prototype.text = async function() {
+    return fs.readFileSync(toPath(this.uri), 'utf8');
+  };
+  File.prototype.copy = function(destination) {
+    fs.copyFileSync(toPath(this.uri), toPath(destination.uri));
+  };
+  File.prototype.move = function(destination) {
+    fs.renameSync(toPath(this.uri), toPath(destination.uri));
+  };
+  File.prototype.delete = function() {
+    fs.rmSync(toPath(this.uri));
+  };
+
+  function Directory(uri) {
+    this.uri = uri;
+  }
+  Object.defineProperty(Directory.prototype, 'exists', {
+    get: function() {
+      const dirPath = toPath(this.uri);
+      return fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory();
+    }
+  });
+  Directory.prototype.create = function(options) {
+    fs.mkdirSync(toPath(this.uri), { recursive: !!(options && options.intermediates) });
+  };
+  Directory.prototype.list = function() {
+    const uri = this.uri;
+    return fs.readdirSync(toPath(uri)).map(function(name) {
+      return new File(uri + name);
+    });
+  };
+  Directory.prototype.delete = function() {
+    fs.rmSync(toPath(this.uri), { recursive: true });
+  };
+
+  return {
+    File: File,
+    Directory: Directory,
+    Paths: {
+      document: new Directory('file://' + path.join(rootDir, 'Documents') + '/'),
+      cache: new Directory('file://' + path.join(rootDir, 'Caches') + '/')
+    }
+  };
+}
+
+describe('utils/expo-modules', function() {
+  let env;
+
+  beforeEach(function() {
+    env = createTestEnvironment();
+  });
+
+  afterEach(function() {
+    env.cleanup();
+  });
+
+  describe('resolveSQLite', function() {
+    it('returns the injected module', function() {
+      expect(resolveSQLite({ SQLite: env.SQLite })).to.equal(env.SQLite);
+    });
+
+    it('rejects a module without openDatabaseSync', function() {
+      expect(function() {
+        resolveSQLite({ SQLite: { openDatabase: function() {} } });
+      }).to.throw('The SQLite option must provide openDatabaseSync()');
+    });
+  });
+
+  describe('resolveAsset', function() {
+    it('returns the injected class', function() {
+      const Asset = { fromModule: function() {} };
+      expect(resolveAsset({ Asset: Asset })).to.equal(Asset);
+    });
+
+    it('rejects a class without fromModule', function() {
+      expect(function() {
+        resolveAsset({ Asset: {} });
+      }).to.throw('The Asset option must provide fromModule()');
+    });
+  });
+
+  describe('resolveAppState', function() {
+    it('returns the injected object', function() {
+      expect(resolveAppState({ AppState: env.AppState })).to.equal(env.AppState);
+    });
+
+    it('rejects an object without addEventListener', function() {
+      expect(function() {
+        resolveAppState({ AppState: { currentState: 'active' } });
+      }).to.throw('The AppState option must provide addEventListener()');
+    });
+  });
+
+  describe('resolveFileSystem', function() {
+    it('returns an injected legacy module unchanged', function() {
+      expect(resolveFileSystem({ FileSystem: env.FileSystem })).to.equal(env.FileSystem);
+    });
+
+    it('rejects modules that match neither API', function() {
+      expect(function() {
+        normalizeFileSystem({ readFile: function() {} });
+      }).to.throw(/Unsupported FileSystem module/);
+    });
+  });
+
+  describe('modern expo-file-system API', function() {
+    let FileSystem;
+
+    beforeEach(function() {
+      FileSystem = resolveFileSystem({ FileSystem: createModernFileSystem(env.rootDir) });
+    });
+
+    it('exposes the sandbox directories', function() {
+      expect(FileSystem.documentDirectory).to.equal(env.FileSystem.documentDirectory);
+      expect(FileSystem.cacheDirectory).to.equal(env.FileSystem.cacheDirectory);
+    });
+
+    it('reports file and directory info for URIs and bare paths', async function() {
+      const uri = FileSystem.documentDirectory + 'notes.txt';
+      await FileSystem.writeAsStringAsync(uri, 'hello');
+
+      const info = await FileSystem.getInfoAsync(uri.replace('file://', ''));
+      expect(info.exists).to.equal(true);
+      expect(info.isDirectory).to.equal(false);
+      expect(info.size).to.equal(5);
+
+      const directory = await FileSystem.getInfoAsync(FileSystem.documentDirectory);
+      expect(directory.isDirectory).to.equal(true);
+
+      const missing = await FileSystem.getInfoAsync(FileSystem.documentDirectory + 'missing.txt');
+      expect(missing.exists).to.equal(false);
+    });
+
+    it('copies, moves, lists and deletes files', async function() {
+      const source = FileSystem.documentDirectory + 'a.txt';
+      await FileSystem.writeAsStringAsync(source, 'hello');
+      await FileSystem.makeDirectoryAsync(FileSystem.documentDirectory + 'nested', { intermediates: true });
+      await FileSystem.copyAsync({ from: source, to: FileSystem.documentDirectory + 'nested/b.txt' });
+      await FileSystem.moveAsync({ from: source, to: FileSystem.documentDirectory + 'nested/c.txt' });
+
+      const names = await FileSystem.readDirectoryAsync(FileSystem.documentDirectory + 'nested/');
+      expect(names.sort()).to.deep.equal(['b.txt', 'c.txt']);
+      expect(await FileSystem.readAsStringAsync(FileSystem.documentDirectory + 'nested/c.txt')).to.equal('hello');
+
+      await FileSystem.deleteAsync(FileSystem.documentDirectory + 'nested/b.txt');
+      await FileSystem.deleteAsync(FileSystem.documentDirectory + 'nested/b.txt', { idempotent: true });
+      expect(await FileSystem.readDirectoryAsync(FileSystem.documentDirectory + 'nested/')).to.deep.equal(['c.txt']);
+    });
+
+    it('drives the ExpoSqliteAdapter static helpers', async function() {
+      const modern = createModernFileSystem(env.rootDir);
+      const source = env.FileSystem.bundleDirectory + 'bundled.db';
+      await env.FileSystem.writeAsStringAsync(source, 'contents');
+
+      await ExpoSqliteAdapter.copyDatabase(source, 'copied.db', null, { FileSystem: modern });
+      expect(await ExpoSqliteAdapter.checkDatabaseExists('copied.db', null, { FileSystem: modern })).to.equal(true);
+    });
+  });
+});
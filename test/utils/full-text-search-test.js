@@ -0,0 +1,180 @@
+const { expect } = require('chai');
+const {
+  normalizeSearchIndex,
+  createSearchIndexStatements,
+  parseIndexName,
+  toMatchExpression,
+  searchQuery,
+  toSearchResult
+} = require('../../lib/utils/full-text-search');
+
+describe('utils/full-text-search', function() {
+  describe('normalizeSearchIndex', function() {
+    it('fills in the defaults', function() {
+      expect(normalizeSearchIndex({ table: 'notes', fields: { title: '$.payload.title' } })).to.deep.equal({
+        name: 'notes_fts',
+        schema: 'main',
+        table: 'notes',
+        column: 'data',
+        fields: [{ name: 'title', path: '$.payload.title' }],
+        tokenize: 'unicode61 remove_diacritics 2',
+        prefix: []
+      });
+    });
+
+    it('names fields given as a list after the last key of their path', function() {
+      const index = normalizeSearchIndex({ table: 'words', fields: ['$.payload.headword', '$.payload.glosses[0]'] });
+      expect(index.fields).to.deep.equal([
+        { name: 'headword', path: '$.payload.headword' },
+        { name: 'glosses', path: '$.payload.glosses[0]' }
+      ]);
+    });
+
+    it('rejects identifiers that would need quoting', function() {
+      expect(function() {
+        normalizeSearchIndex({ table: 'notes; DROP TABLE notes', fields: ['$.title'] });
+      }).to.throw(/Invalid identifier/);
+    });
+
+    it('rejects fields that are not JSON paths, and duplicate fields', function() {
+      expect(function() {
+        normalizeSearchIndex({ table: 'notes', fields: { title: 'payload.title' } });
+      }).to.throw(/starting with \$/);
+      expect(function() {
+        normalizeSearchIndex({ table: 'notes', fields: ['$.a.title', '$.b.title'] });
+      }).to.throw('Duplicate search index field: title');
+    });
+
+    it('requires a table and fields', function() {
+      expect(function() {
+        normalizeSearchIndex({ fields: ['$.title'] });
+      }).to.throw('A search index requires a table');
+      expect(function() {
+        normalizeSearchIndex({ table: 'notes', fields: {} });
+      }).to.throw('A search index requires at least one field');
+    });
+  });
+
+  describe('createSearchIndexStatements', function() {
+    it('keeps the index in sync with triggers in the table\'s schema', function() {
+      const statements = createSearchIndexStatements(normalizeSearchIndex({
+        schema: 'dict',
+        table: 'entries',
+        fields: { headword: '$.payload.headword' },
+        prefix: [2, 3]
+      }), [[{ name: 'id', collation: 'BINARY' }], [{ name: 'lang', collation: 'NOCASE' }, { name: 'word', collation: 'BINARY' }]]);
+
+      expect(statements).to.include(
+        'CREATE VIRTUAL TABLE dict.entries_fts USING fts5(headword, tokenize = \'unicode61 remove_diacritics 2\', prefix = \'2 3\')'
+      );
+      expect(statements).to.include(
+        'CREATE TRIGGER dict.entries_fts_bi BEFORE INSERT ON entries BEGIN ' +
+        'DELETE FROM entries_fts_replaced; INSERT INTO entries_fts_replaced (source_rowid) SELECT rowid FROM entries WHERE ' +
+        '(entries."id" = new."id" COLLATE BINARY) OR ' +
+        '(entries."lang" = new."lang" COLLATE NOCASE AND entries."word" = new."word" COLLATE BINARY); END'
+      );
+      expect(statements).to.include(
+        'CREATE TRIGGER dict.entries_fts_ai AFTER INSERT ON entries BEGIN ' +
+        'DELETE FROM entries_fts WHERE rowid IN (SELECT source_rowid FROM entries_fts_replaced); DELETE FROM entries_fts_replaced; ' +
+        'INSERT INTO entries_fts (rowid, headword) VALUES (new.rowid, json_extract(new.data, \'$.payload.headword\')); END'
+      );
+      expect(statements[statements.length - 1]).to.equal(
+        'INSERT INTO dict.entries_fts (rowid, headword) SELECT rowid, json_extract(entries.data, \'$.payload.headword\') FROM dict.entries'
+      );
+    });
+
+    it('escapes quotes in JSON paths', function() {
+      const statements = createSearchIndexStatements(normalizeSearchIndex({ table: 'notes', fields: { title: '$."it\'s"' } }));
+      expect(statements[statements.length - 1]).to.contain('json_extract(notes.data, \'$."it\'\'s"\')');
+    });
+  });
+
+  describe('parseIndexName', function() {
+    it('reads an optional schema', function() {
+      expect(parseIndexName('notes_fts')).to.deep.equal({ schema: 'main', name: 'notes_fts' });
+      expect(parseIndexName('dict.entries_fts')).to.deep.equal({ schema: 'dict', name: 'entries_fts' });
+    });
+  });
+
+  describe('toMatchExpression', function() {
+    it('quotes each word and matches the last as a prefix', function() {
+      expect(toMatchExpression('  café au la ')).to.equal('"café" "au" "la"*');
+    });
+
+    it('keeps FTS5 syntax in the text from being interpreted', function() {
+      expect(toMatchExpression('say "hi" OR NEAR(x)', { prefix: false })).to.equal('"say" """hi""" "OR" "NEAR(x)"');
+    });
+
+    it('passes raw queries through', function() {
+      expect(toMatchExpression('cafe OR tea', { raw: true })).to.equal('cafe OR tea');
+    });
+
+    it('limits the match to fields', function() {
+      expect(toMatchExpression('cafe', { fields: ['title', 'body'] })).to.equal('{title body} : ("cafe"*)');
+    });
+
+    it('returns null when there is nothing to search for', function() {
+      expect(toMatchExpression('   ')).to.equal(null);
+      expect(toMatchExpression(null)).to.equal(null);
+    });
+  });
+
+  describe('searchQuery', function() {
+    const index = {
+      schema: 'main',
+      name: 'notes_fts',
+      table: 'notes',
+      fields: [{ name: 'title' }, { name: 'body' }]
+    };
+
+    it('ranks with bm25 and joins the indexed rows', function() {
+      const query = searchQuery(index, '"cafe"*', { weights: { title: 5 }, limit: 5, offset: 10 });
+
+      expect(query.sql).to.equal(
+        'SELECT notes_fts.rowid AS search_rowid, bm25(notes_fts, 5, 1) AS search_rank, search_source.* ' +
+        'FROM main.notes_fts JOIN main.notes AS search_source ON search_source.rowid = notes_fts.rowid ' +
+        'WHERE notes_fts MATCH ? ORDER BY search_rank LIMIT ? OFFSET ?'
+      );
+      expect(query.params).to.deep.equal(['"cafe"*', 5, 10]);
+    });
+
+    it('adds snippets and highlights with their markers as parameters', function() {
+      const query = searchQuery(index, 'x', {
+        includeRow: false,
+        snippet: { field: 'body', tokens: 6 },
+        highlight: { fields: ['title'], before: '[', after: ']' }
+      });
+
+      expect(query.sql).to.contain('snippet(notes_fts, 1, ?, ?, ?, 6) AS search_snippet');
+      expect(query.sql).to.contain('highlight(notes_fts, 0, ?, ?) AS search_highlight_0');
+      expect(query.sql).not.to.contain('JOIN');
+      expect(query.params).to.deep.equal(['<b>', '</b>', '…', '[', ']', 'x', 20, 0]);
+    });
+
+    it('rejects unknown fields', function() {
+      expect(function() {
+        searchQuery(index, 'x', { highlight: { fields: ['summary'] } });
+      }).to.throw('Unknown search index field: summary');
+    });
+  });
+
+  describe('toSearchResult', function() {
+    it('separates the search columns from the row', function() {
+      const query = searchQuery({ schema: 'main', name: 'n', table: 'notes', fields: [{ name: 'title' }] }, 'x', { highlight: true });
+      const result = toSearchResult(query, {
+        search_rowid: 3,
+        search_rank: -1.5,
+        search_highlight_0: '<b>x</b>',
+        id: 'a',
+        data: '{}'
+      });
+
+      expect(result).to.deep.equal({
+        rowid: 3,
+        rank: -1.5,
+        highlights: { title: '<b>x</b>' },
+        row: { id: 'a', data: '{}' }
+      });
+    });
+  });
+});
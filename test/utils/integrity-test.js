@@ -0,0 +1,70 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { setUpEnvironment, tearDownEnvironment } = require('../helpers/expo-environment');
+const { integrityCheckSql, integrityResult, quarantineDatabase } = require('../../lib/utils/integrity');
+
+describe('utils/integrity', function() {
+  describe('integrityCheckSql', function() {
+    it('uses quick_check or integrity_check', function() {
+      expect(integrityCheckSql('quick')).to.equal('PRAGMA quick_check');
+      expect(integrityCheckSql('full')).to.equal('PRAGMA integrity_check');
+    });
+
+    it('checks an attached schema', function() {
+      expect(integrityCheckSql('quick', 'ref')).to.equal('PRAGMA ref.quick_check');
+    });
+
+    it('rejects unknown modes', function() {
+      expect(function() {
+        integrityCheckSql('deep');
+      }).to.throw('Unknown integrity check mode: deep (expected quick or full)');
+    });
+  });
+
+  describe('integrityResult', function() {
+    it('is ok when the only row says ok', function() {
+      expect(integrityResult('quick', [{ quick_check: 'ok' }])).to.deep.equal({ ok: true, mode: 'quick', problems: [] });
+    });
+
+    it('lists every reported problem', function() {
+      const rows = [{ integrity_check: 'row 3 missing from index items_name' }, { integrity_check: 'wrong # of entries' }];
+      expect(integrityResult('full', rows)).to.deep.equal({
+        ok: false,
+        mode: 'full',
+        problems: ['row 3 missing from index items_name', 'wrong # of entries']
+      });
+    });
+  });
+
+  describe('quarantineDatabase', function() {
+    let env;
+    let dir;
+
+    beforeEach(function() {
+      env = setUpEnvironment();
+      dir = path.join(env.rootDir, 'Documents', 'SQLite');
+      fs.mkdirSync(dir, { recursive: true });
+    });
+
+    afterEach(function() {
+      tearDownEnvironment();
+    });
+
+    it('renames the database and its sidecars with a timestamp', async function() {
+      fs.writeFileSync(path.join(dir, 'app.db'), 'db');
+      fs.writeFileSync(path.join(dir, 'app.db-wal'), 'wal');
+      fs.writeFileSync(path.join(dir, 'other.db'), 'other');
+
+      const quarantined = await quarantineDatabase(env.FileSystem, path.join(dir, 'app.db'), new Date(Date.UTC(2026, 0, 2, 3, 4, 5, 6)));
+
+      expect(quarantined).to.equal(path.join(dir, 'app.db.corrupt-2026-01-02T03-04-05-006Z'));
+      expect(fs.readdirSync(dir).sort()).to.deep.equal([
+        'app.db.corrupt-2026-01-02T03-04-05-006Z',
+        'app.db.corrupt-2026-01-02T03-04-05-006Z-wal',
+        'other.db'
+      ]);
+      expect(fs.readFileSync(quarantined, 'utf8')).to.equal('db');
+    });
+  });
+});
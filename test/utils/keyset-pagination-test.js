@@ -0,0 +1,65 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { paginate } = require('../../lib/utils/keyset-pagination');
+
+describe('utils/keyset-pagination', function() {
+  async function collect(iterable) {
+    const pages = [];
+    for await (const page of iterable) {
+      pages.push(page);
+    }
+    return pages;
+  }
+
+  it('seeks past the last key of each page', async function() {
+    const adapter = {
+      getAllAsync: sinon.stub()
+        .onFirstCall().resolves([{ id: 1 }, { id: 2 }])
+        .onSecondCall().resolves([{ id: 3 }])
+    };
+
+    const pages = await collect(paginate(adapter, 'docs', { pageSize: 2, where: 'collection = ?', params: ['posts'] }));
+
+    expect(pages).to.deep.equal([[{ id: 1 }, { id: 2 }], [{ id: 3 }]]);
+    expect(adapter.getAllAsync.args).to.deep.equal([
+      ['SELECT * FROM docs WHERE (collection = ?) ORDER BY id LIMIT 2', ['posts']],
+      ['SELECT * FROM docs WHERE (collection = ?) AND id > ? ORDER BY id LIMIT 2', ['posts', 2]]
+    ]);
+  });
+
+  it('compares composite keys as row values', async function() {
+    const adapter = {
+      getAllAsync: sinon.stub()
+        .onFirstCall().resolves([{ collection: 'a', id: 'x' }])
+        .onSecondCall().resolves([])
+    };
+
+    await collect(paginate(adapter, 'docs', { key: ['collection', 'id'], columns: ['collection', 'id'], pageSize: 1, order: 'desc' }));
+
+    expect(adapter.getAllAsync.secondCall.args).to.deep.equal([
+      'SELECT collection, id FROM docs WHERE (collection, id) < (?, ?) ORDER BY collection DESC, id DESC LIMIT 1',
+      ['a', 'x']
+    ]);
+  });
+
+  it('requires the key in the selected rows', async function() {
+    const adapter = { getAllAsync: sinon.stub().resolves([{ name: 'a' }]) };
+    let error;
+    try {
+      await collect(paginate(adapter, 'docs', { columns: 'name' }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('paginateAsync: rows must include the key column id');
+  });
+
+  it('rejects an invalid page size', async function() {
+    let error;
+    try {
+      await collect(paginate({}, 'docs', { pageSize: 1.5 }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('pageSize must be a positive integer');
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { FakeAppState } = require('../../lib/testing');
+const { DEFAULT_SETTINGS, normalizeLifecycle, AppLifecycle, checkpointAll } = require('../../lib/utils/lifecycle');
+
+describe('utils/lifecycle', function() {
+  describe('normalizeLifecycle', function() {
+    it('turns lifecycle handling off unless asked for', function() {
+      expect(normalizeLifecycle(undefined)).to.equal(null);
+      expect(normalizeLifecycle(false)).to.equal(null);
+      expect(normalizeLifecycle(true)).to.deep.equal(DEFAULT_SETTINGS);
+    });
+
+    it('fills in the defaults', function() {
+      expect(normalizeLifecycle({ closeOnBackground: 1, checkpointMode: 'full' })).to.deep.equal({
+        checkpoint: true,
+        checkpointMode: 'FULL',
+        closeOnBackground: true
+      });
+      expect(normalizeLifecycle({ checkpoint: false }).checkpoint).to.equal(false);
+    });
+
+    it('rejects an unknown checkpoint mode', function() {
+      expect(function() {
+        normalizeLifecycle({ checkpointMode: 'sometimes' });
+      }).to.throw('checkpointMode must be one of PASSIVE, FULL, RESTART, TRUNCATE: SOMETIMES');
+    });
+  });
+
+  describe('AppLifecycle', function() {
+    let AppState;
+
+    function createLifecycle(settings) {
+      const adapter = {
+        alias: 'test.db',
+        suspended: false,
+        logger: { debug: sinon.spy(), warn: sinon.spy() },
+        suspend: sinon.stub().resolves({ checkpoint: null, closed: false })
+      };
+      return new AppLifecycle(adapter, AppState, normalizeLifecycle(settings));
+    }
+
+    beforeEach(function() {
+      AppState = new FakeAppState();
+    });
+
+    it('suspends once each time the app goes to the background', async function() {
+      const lifecycle = createLifecycle({ closeOnBackground: true });
+      lifecycle.start();
+      lifecycle.start();
+
+      AppState.setState('inactive');
+      expect(lifecycle.adapter.suspend).to.not.have.been.called;
+      AppState.setState('background');
+      await lifecycle.suspending;
+      AppState.setState('active');
+      AppState.setState('background');
+
+      expect(lifecycle.adapter.suspend).to.have.been.calledTwice;
+      expect(lifecycle.adapter.suspend).to.have.been.calledWith({
+        checkpoint: true,
+        checkpointMode: 'TRUNCATE',
+        close: true
+      });
+    });
+
+    it('starts from the current state', function() {
+      AppState = new FakeAppState({ currentState: 'background' });
+      const lifecycle = createLifecycle(true);
+      lifecycle.start();
+
+      lifecycle.handleChange('background');
+
+      expect(lifecycle.adapter.suspend).to.not.have.been.called;
+    });
+
+    it('stops listening', function() {
+      const lifecycle = createLifecycle(true);
+      lifecycle.start();
+      lifecycle.stop();
+
+      AppState.setState('background');
+
+      expect(AppState.listenerCount()).to.equal(0);
+      expect(lifecycle.adapter.suspend).to.not.have.been.called;
+    });
+
+    it('logs a suspension that fails', async function() {
+      const lifecycle = createLifecycle(true);
+      lifecycle.adapter.suspend.rejects(new Error('database is locked'));
+      lifecycle.start();
+
+      AppState.setState('background');
+      await lifecycle.suspending;
+
+      expect(lifecycle.suspending).to.equal(null);
+      expect(lifecycle.adapter.logger.warn).to.have.been.calledWith('Suspending in the background failed', {
+        alias: 'test.db',
+        error: 'database is locked'
+      });
+    });
+  });
+
+  describe('checkpointAll', function() {
+    it('checkpoints every database on the connection', async function() {
+      const adapter = { getFirstAsync: sinon.stub().resolves({ busy: 0, log: 12, checkpointed: 12 }) };
+
+      const checkpoint = await checkpointAll(adapter, 'PASSIVE');
+
+      expect(adapter.getFirstAsync).to.have.been.calledWith('PRAGMA wal_checkpoint(PASSIVE)');
+      expect(checkpoint).to.deep.equal({ busy: false, walPages: 12, checkpointedPages: 12 });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { DEFAULT_SETTINGS, normalizeMaintenance, MaintenanceScheduler } = require('../../lib/utils/maintenance');
+
+describe('utils/maintenance', function() {
+  describe('normalizeMaintenance', function() {
+    it('turns maintenance off unless asked for', function() {
+      expect(normalizeMaintenance(undefined)).to.equal(null);
+      expect(normalizeMaintenance(false)).to.equal(null);
+      expect(normalizeMaintenance(true)).to.deep.equal(DEFAULT_SETTINGS);
+    });
+
+    it('fills in the defaults, or the settings given as base', function() {
+      expect(normalizeMaintenance({ checkpointMode: 'passive', vacuumPages: 10.5 })).to.include({
+        checkpointMode: 'PASSIVE',
+        vacuumPages: 10,
+        checkpointAfterWrites: DEFAULT_SETTINGS.checkpointAfterWrites
+      });
+      expect(normalizeMaintenance({ autoVacuum: true }, normalizeMaintenance({ checkpointInterval: 0 }))).to.include({
+        autoVacuum: true,
+        checkpointInterval: 0
+      });
+    });
+
+    it('rejects invalid settings', function() {
+      expect(function() {
+        normalizeMaintenance({ vacuumPages: -1 });
+      }).to.throw('Maintenance setting vacuumPages must be a non-negative number: -1');
+      expect(function() {
+        normalizeMaintenance({ checkpointInterval: '1000' });
+      }).to.throw(/checkpointInterval must be a non-negative number/);
+    });
+  });
+
+  describe('MaintenanceScheduler', function() {
+    function createScheduler(settings) {
+      const adapter = {
+        alias: 'test.db',
+        logger: { debug: sinon.spy(), warn: sinon.spy() },
+        runExclusive: sinon.spy(function(task) {
+          return Promise.resolve().then(task);
+        }),
+        getFirstAsync: sinon.stub().resolves({ busy: 0, log: 0, checkpointed: 0 })
+      };
+      return new MaintenanceScheduler(adapter, normalizeMaintenance(settings));
+    }
+
+    it('runs once enough rows were written, one run at a time', async function() {
+      const scheduler = createScheduler({ checkpointAfterWrites: 10, checkpointInterval: 0, vacuumPages: 0 });
+      scheduler.start();
+
+      scheduler.recordWrites(9);
+      expect(scheduler.running).to.equal(null);
+      scheduler.recordWrites(1);
+      const running = scheduler.running;
+      scheduler.recordWrites(20);
+
+      expect(await running).to.deep.equal({
+        main: { vacuumedPages: 0, checkpoint: { busy: false, walPages: 0, checkpointedPages: 0 } }
+      });
+      expect(scheduler.adapter.runExclusive).to.have.been.calledOnce;
+      expect(scheduler.adapter.getFirstAsync).to.have.been.calledWith('PRAGMA main.wal_checkpoint(TRUNCATE)');
+    });
+
+    it('counts no writes before it starts', function() {
+      const scheduler = createScheduler({ checkpointAfterWrites: 1, checkpointInterval: 0 });
+      scheduler.recordWrites(5);
+      expect(scheduler.running).to.equal(null);
+    });
+
+    it('logs the failure of a background run', async function() {
+      const scheduler = createScheduler({ checkpointAfterWrites: 1, checkpointInterval: 0, vacuumPages: 0 });
+      scheduler.adapter.getFirstAsync.rejects(new Error('disk I/O error'));
+      scheduler.start();
+
+      scheduler.recordWrites(1);
+      await scheduler.running.catch(function() {});
+      await Promise.resolve();
+
+      expect(scheduler.adapter.logger.warn).to.have.been.calledWith('Maintenance failed', {
+        alias: 'test.db',
+        reason: 'writes',
+        error: 'disk I/O error'
+      });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const { setUpEnvironment, tearDownEnvironment } = require('../helpers/expo-environment');
+const ExpoSqliteAdapter = require('../../lib/adapters/expo-sqlite-adapter');
+const { sortMigrations, readSchemaVersion, runMigrations } = require('../../lib/utils/migrations');
+const { SchemaVersionError, MigrationError, SchemaError } = require('../../lib/errors');
+
+describe('utils/migrations', function() {
+  describe('sortMigrations', function() {
+    it('sorts by version', function() {
+      const sorted = sortMigrations([
+        { version: 3, up: 'SELECT 3' },
+        { version: 1, up: 'SELECT 1' }
+      ]);
+      expect(sorted.map(function(migration) { return migration.version; })).to.deep.equal([1, 3]);
+    });
+
+    it('rejects invalid and duplicate versions and missing up', function() {
+      expect(function() {
+        sortMigrations({});
+      }).to.throw('migrations must be an array');
+      expect(function() {
+        sortMigrations([{ version: 0, up: 'SELECT 1' }]);
+      }).to.throw('Migration version must be a positive integer: 0');
+      expect(function() {
+        sortMigrations([{ version: 1, up: 'SELECT 1' }, { version: 1, up: 'SELECT 2' }]);
+      }).to.throw('Duplicate migration version: 1');
+      expect(function() {
+        sortMigrations([{ version: 2 }]);
+      }).to.throw('Migration 2 needs an up function or SQL');
+    });
+  });
+
+  describe('runMigrations', function() {
+    let env;
+    let adapter;
+
+    const migrations = [
+      { version: 1, name: 'create items', up: 'CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)' },
+      {
+        version: 2,
+        name: 'add price',
+        up: async function(tx) {
+          await tx.runAsync('ALTER TABLE items ADD COLUMN price REAL');
+          await tx.runAsync('INSERT INTO items (name, price) VALUES (?, ?)', ['seed', 1.5]);
+        }
+      },
+      { version: 4, up: ['CREATE INDEX items_name ON items (name)', 'CREATE INDEX items_price ON items (price)'] }
+    ];
+
+    beforeEach(async function() {
+      env = setUpEnvironment();
+      adapter = new ExpoSqliteAdapter('migrations.db', env.FileSystem.documentDirectory, env.modules);
+      await adapter.connect();
+    });
+
+    afterEach(async function() {
+      await adapter.disconnect();
+      tearDownEnvironment();
+    });
+
+    it('runs pending migrations in order and reports them', async function() {
+      const report = await runMigrations(adapter, migrations);
+
+      expect(report).to.include({ alias: 'migrations.db', fileName: 'migrations.db', fromVersion: 0, toVersion: 4, latestVersion: 4 });
+      expect(report.applied.map(function(migration) {
+        return [migration.version, migration.name];
+      })).to.deep.equal([[1, 'create items'], [2, 'add price'], [4, null]]);
+      expect(await readSchemaVersion(adapter)).to.equal(4);
+      expect(await adapter.getAllAsync('SELECT name, price FROM items')).to.deep.equal([{ name: 'seed', price: 1.5 }]);
+    });
+
+    it('only runs migrations newer than the database', async function() {
+      await runMigrations(adapter, migrations.slice(0, 2));
+      const report = await runMigrations(adapter, migrations);
+
+      expect(report).to.include({ fromVersion: 2, toVersion: 4 });
+      expect(report.applied.map(function(migration) { return migration.version; })).to.deep.equal([4]);
+      expect(await adapter.getAllAsync('SELECT name FROM items')).to.deep.equal([{ name: 'seed' }]);
+    });
+
+    it('rolls back a failed migration and keeps the earlier ones', async function() {
+      let error;
+      try {
+        await runMigrations(adapter, migrations.concat([{
+          version: 5,
+          name: 'broken',
+          up: async function(tx) {
+            await tx.runAsync('CREATE TABLE extra (id INTEGER)');
+            await tx.runAsync('INSERT INTO missing (id) VALUES (1)');
+          }
+        }]));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(MigrationError);
+      expect(error.message).to.match(/^Migration 5 \(broken\) failed: [\s\S]*no such table: missing/);
+      expect(error.cause).to.be.an.instanceof(SchemaError);
+      expect(error.migration).to.deep.equal({ version: 5, name: 'broken' });
+      expect(error.report).to.include({ fromVersion: 0, toVersion: 4 });
+      expect(await readSchemaVersion(adapter)).to.equal(4);
+      expect(await adapter.getFirstAsync("SELECT name FROM sqlite_master WHERE name = 'extra'")).to.equal(null);
+    });
+
+    it('refuses a database newer than the latest migration', async function() {
+      await adapter.runAsync('PRAGMA user_version = 7');
+
+      let error;
+      try {
+        await runMigrations(adapter, migrations);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(SchemaVersionError);
+      expect(error.message).to.equal('Database migrations.db is at schema version 7, newer than the latest version this app knows (4)');
+      expect(error).to.include({ version: 7, latestVersion: 4, alias: 'migrations.db' });
+    });
+  });
+});
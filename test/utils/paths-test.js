@@ -0,0 +1,60 @@
+const { expect } = require('chai');
+const { stripFileUri, joinPath, toSqliteUri, resolveDatabaseDirectory, resolveDatabasePath } = require('../../lib/utils/paths');
+
+describe('utils/paths', function() {
+  it('strips the file:// prefix', function() {
+    expect(stripFileUri('file:///data/SQLite/')).to.equal('/data/SQLite/');
+    expect(stripFileUri('/data/SQLite/')).to.equal('/data/SQLite/');
+  });
+
+  it('joins with exactly one slash', function() {
+    expect(joinPath('/data/SQLite/', 'ref.db')).to.equal('/data/SQLite/ref.db');
+    expect(joinPath('/data/SQLite', 'ref.db')).to.equal('/data/SQLite/ref.db');
+    expect(joinPath('file:///data/SQLite//', '/ref.db')).to.equal('/data/SQLite/ref.db');
+  });
+
+  describe('resolveDatabaseDirectory', function() {
+    const FileSystem = { documentDirectory: 'file:///data/Documents/' };
+    const SQLite = { defaultDatabaseDirectory: '/data/Documents/SQLite' };
+
+    it('uses absolute directories as given, normalized', function() {
+      expect(resolveDatabaseDirectory('/data/Library/Databases', { FileSystem: FileSystem })).to.equal('/data/Library/Databases/');
+      expect(resolveDatabaseDirectory('file:///data/Library//Databases//', { FileSystem: FileSystem })).to.equal('/data/Library/Databases/');
+    });
+
+    it('resolves relative directories against the document directory', function() {
+      expect(resolveDatabaseDirectory('accounts/42', { FileSystem: FileSystem })).to.equal('/data/Documents/accounts/42/');
+      expect(function() {
+        resolveDatabaseDirectory('accounts', {});
+      }).to.throw('Cannot resolve relative dirPath accounts without expo-file-system');
+    });
+
+    it('maps the document directory to the SQLite directory', function() {
+      expect(resolveDatabaseDirectory('file:///data/Documents', { FileSystem: FileSystem })).to.equal('/data/Documents/SQLite/');
+      expect(resolveDatabaseDirectory('/data/Documents/', { SQLite: SQLite })).to.equal('/data/Documents/SQLite/');
+      expect(resolveDatabaseDirectory('/data/Documents/', {
+        SQLite: { defaultDatabaseDirectory: '/data/Documents/Databases' },
+        FileSystem: FileSystem
+      })).to.equal('/data/Documents/Databases/');
+    });
+
+    it('resolves relative directories in an app group container', function() {
+      const modern = {
+        Paths: { appleSharedContainers: { 'group.com.example': { uri: 'file:///data/Shared/AppGroup/ABC/' } } }
+      };
+      const modules = { FileSystem: { documentDirectory: FileSystem.documentDirectory, modern: modern }, appGroup: 'group.com.example' };
+
+      expect(resolveDatabaseDirectory('SQLite', modules)).to.equal('/data/Shared/AppGroup/ABC/SQLite/');
+      expect(resolveDatabasePath('/data/Library', 'app.db', modules)).to.equal('/data/Library/app.db');
+      expect(function() {
+        resolveDatabaseDirectory('SQLite', { FileSystem: FileSystem, appGroup: 'group.com.other' });
+      }).to.throw(/^App group container not available: group\.com\.other/);
+    });
+  });
+
+  it('builds SQLite URI filenames', function() {
+    expect(toSqliteUri('/data/ref.db')).to.equal('file:/data/ref.db');
+    expect(toSqliteUri('file:///data/ref.db', { mode: 'ro' })).to.equal('file:/data/ref.db?mode=ro');
+    expect(toSqliteUri('/data/50%?#.db', { mode: 'ro', immutable: 1 })).to.equal('file:/data/50%25%3F%23.db?mode=ro&immutable=1');
+  });
+});
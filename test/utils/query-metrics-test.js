@@ -0,0 +1,30 @@
+const { expect } = require('chai');
+const QueryMetrics = require('../../lib/utils/query-metrics');
+
+describe('utils/QueryMetrics', function() {
+  it('sorts latencies into histogram buckets', function() {
+    const metrics = new QueryMetrics();
+    [0, 1, 3, 30, 5000].forEach(function(durationMs) {
+      metrics.record({ method: 'getAllAsync', durationMs: durationMs, retries: 0, lockWaitMs: 0, rows: 1 });
+    });
+
+    const stats = metrics.getStats().queries.getAll;
+    expect(stats.histogram).to.include({ '1': 2, '5': 1, '50': 1, '+Inf': 1 });
+    expect(stats).to.include({ count: 5, rows: 5, maxMs: 5000 });
+  });
+
+  it('only considers queries at or above the threshold slow', function() {
+    const disabled = new QueryMetrics();
+    const metrics = new QueryMetrics({ slowQueryThreshold: 100 });
+    expect(disabled.isSlow({ method: 'runAsync', durationMs: 1000 })).to.be.false;
+    expect(metrics.isSlow({ method: 'runAsync', durationMs: 100 })).to.be.true;
+    expect(metrics.isSlow({ method: 'runAsync', durationMs: 99 })).to.be.false;
+    expect(metrics.isSlow({ method: 'iterateAsync', durationMs: 1000 })).to.be.false;
+  });
+
+  it('ignores unknown methods', function() {
+    const metrics = new QueryMetrics();
+    metrics.record({ method: 'prepareAsync', durationMs: 1 });
+    expect(metrics.getStats().totals.count).to.equal(0);
+  });
+});
@@ -0,0 +1,217 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  retryWithBackoff,
+  createRetryPolicy,
+  computeDelay,
+  getSqliteErrorCode,
+  shouldRetry
+} = require('../../lib/utils/retry-utils');
+
+describe('utils/retry-utils', function() {
+  describe('retryWithBackoff', function() {
+    it('reports each retry to the logger and the onRetry hook', async function() {
+      const logger = { debug: sinon.spy() };
+      const onRetry = sinon.spy();
+      const operation = sinon.stub();
+      operation.onFirstCall().rejects(new Error('database is locked'));
+      operation.onSecondCall().resolves('done');
+
+      const result = await retryWithBackoff(operation, { baseDelay: 1, logger: logger, onRetry: onRetry });
+
+      expect(result).to.equal('done');
+      expect(onRetry).to.have.been.calledOnceWith(sinon.match({ attempt: 1, delay: 1 }));
+      expect(logger.debug).to.have.been.calledOnceWith(
+        'Attempt 1 failed, retrying',
+        { attempt: 1, delay: 1, error: 'database is locked' }
+      );
+    });
+
+    it('does not retry other errors', async function() {
+      const onRetry = sinon.spy();
+      let error;
+      try {
+        await retryWithBackoff(sinon.stub().rejects(new Error('no such table: t')), { onRetry: onRetry });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('no such table: t');
+      expect(onRetry).not.to.have.been.called;
+    });
+
+    it('does not retry when maxRetries is 0', async function() {
+      const operation = sinon.stub().rejects(new Error('database is locked'));
+      let error;
+      try {
+        await retryWithBackoff(operation, { maxRetries: 0, baseDelay: 1 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('database is locked');
+      expect(operation).to.have.been.calledOnce;
+    });
+
+    it('passes the attempt number to the operation', async function() {
+      const operation = sinon.stub();
+      operation.onFirstCall().rejects(new Error('database is locked'));
+      operation.onSecondCall().resolves('done');
+
+      await retryWithBackoff(operation, { baseDelay: 1 });
+      expect(operation.firstCall.args).to.deep.equal([0]);
+      expect(operation.secondCall.args).to.deep.equal([1]);
+    });
+
+    it('gives up once the next delay would pass maxTotalTime', async function() {
+      const onRetry = sinon.spy();
+      const operation = sinon.stub().rejects(new Error('database is locked'));
+      let error;
+      try {
+        await retryWithBackoff(operation, { maxRetries: 10, baseDelay: 10, maxTotalTime: 35, onRetry: onRetry });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('database is locked');
+      // Delays of 10 and 20 fit in 35ms; the third (40) doesn't
+      expect(onRetry).to.have.been.calledTwice;
+      expect(operation).to.have.been.calledThrice;
+    });
+
+    it('lets a custom classifier retry other errors', async function() {
+      const shouldRetry = sinon.stub().returns(true);
+      const operation = sinon.stub();
+      operation.onFirstCall().rejects(new Error('network hiccup'));
+      operation.onSecondCall().resolves('done');
+
+      const result = await retryWithBackoff(operation, { baseDelay: 1, shouldRetry: shouldRetry });
+      expect(result).to.equal('done');
+      expect(shouldRetry).to.have.been.calledOnceWith(sinon.match({ message: 'network hiccup' }), 0);
+    });
+
+    it('lets a custom classifier refuse lock errors', async function() {
+      const operation = sinon.stub().rejects(new Error('database is locked'));
+      let error;
+      try {
+        await retryWithBackoff(operation, { baseDelay: 1, shouldRetry: function() { return false; } });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('database is locked');
+      expect(operation).to.have.been.calledOnce;
+    });
+
+    it('falls back to the retryable codes when the classifier returns nothing', async function() {
+      const operation = sinon.stub();
+      operation.onFirstCall().rejects(new Error('database is locked'));
+      operation.onSecondCall().resolves('done');
+
+      const result = await retryWithBackoff(operation, { baseDelay: 1, shouldRetry: function() {} });
+      expect(result).to.equal('done');
+    });
+  });
+
+  describe('createRetryPolicy', function() {
+    it('fills in the defaults', function() {
+      expect(createRetryPolicy({ maxRetries: 5 })).to.include({
+        maxRetries: 5,
+        baseDelay: 100,
+        maxDelay: 5000,
+        jitter: 'none',
+        maxTotalTime: 0
+      });
+    });
+
+    it('ignores undefined values', function() {
+      expect(createRetryPolicy({ maxRetries: undefined }).maxRetries).to.equal(3);
+    });
+
+    it('keeps maxRetries 0', function() {
+      expect(createRetryPolicy({ maxRetries: 0 }).maxRetries).to.equal(0);
+    });
+
+    it('rejects unknown jitter strategies', function() {
+      expect(function() {
+        createRetryPolicy({ jitter: 'random' });
+      }).to.throw(/Unknown jitter strategy: random/);
+    });
+
+    it('rejects a negative maxRetries', function() {
+      expect(function() {
+        createRetryPolicy({ maxRetries: -1 });
+      }).to.throw('maxRetries must be zero or more');
+    });
+  });
+
+  describe('computeDelay', function() {
+    let random;
+
+    beforeEach(function() {
+      random = sinon.stub(Math, 'random').returns(0.5);
+    });
+
+    afterEach(function() {
+      random.restore();
+    });
+
+    it('doubles the delay without jitter, up to maxDelay', function() {
+      const policy = createRetryPolicy({ baseDelay: 100, maxDelay: 300 });
+      expect([0, 1, 2].map(function(attempt) {
+        return computeDelay(policy, attempt, 0);
+      })).to.deep.equal([100, 200, 300]);
+    });
+
+    it('picks a delay between 0 and the backoff with full jitter', function() {
+      expect(computeDelay(createRetryPolicy({ baseDelay: 100, jitter: 'full' }), 1, 0)).to.equal(100);
+    });
+
+    it('keeps at least half the backoff with equal jitter', function() {
+      expect(computeDelay(createRetryPolicy({ baseDelay: 100, jitter: 'equal' }), 1, 0)).to.equal(150);
+    });
+
+    it('grows from the previous delay with decorrelated jitter', function() {
+      const policy = createRetryPolicy({ baseDelay: 100, jitter: 'decorrelated' });
+      // Between baseDelay and three times the previous delay
+      expect(computeDelay(policy, 3, 200)).to.equal(350);
+    });
+  });
+
+  describe('getSqliteErrorCode', function() {
+    it('reads the code property', function() {
+      expect(getSqliteErrorCode({ code: 'SQLITE_BUSY', message: 'x' })).to.equal('SQLITE_BUSY');
+    });
+
+    it('maps extended code names to their primary code', function() {
+      expect(getSqliteErrorCode({ code: 'SQLITE_BUSY_SNAPSHOT' })).to.equal('SQLITE_BUSY');
+      expect(getSqliteErrorCode(new Error('SQLITE_IOERR_SHORT_READ: disk I/O error'))).to.equal('SQLITE_IOERR');
+    });
+
+    it('reads numeric codes from the message', function() {
+      expect(getSqliteErrorCode(new Error('Call to function NativeStatement.runAsync has been rejected. Error code 5: database is locked')))
+        .to.equal('SQLITE_BUSY');
+      expect(getSqliteErrorCode(new Error('Error code 517'))).to.equal('SQLITE_BUSY');
+    });
+
+    it('recognizes the plain SQLite messages', function() {
+      expect(getSqliteErrorCode(new Error('database table is locked'))).to.equal('SQLITE_LOCKED');
+      expect(getSqliteErrorCode(new Error('database is locked'))).to.equal('SQLITE_BUSY');
+    });
+
+    it('returns null for other errors', function() {
+      expect(getSqliteErrorCode(new Error('something else'))).to.equal(null);
+      expect(getSqliteErrorCode(null)).to.equal(null);
+    });
+  });
+
+  describe('shouldRetry', function() {
+    it('retries busy and locked errors by default', function() {
+      expect(shouldRetry(new Error('database is locked'))).to.equal(true);
+      expect(shouldRetry(new Error('database table is locked'))).to.equal(true);
+      expect(shouldRetry(new Error('disk I/O error'))).to.equal(false);
+    });
+
+    it('retries the codes listed in the policy', function() {
+      const policy = { retryableCodes: ['SQLITE_BUSY', 'SQLITE_IOERR'] };
+      expect(shouldRetry(new Error('disk I/O error'), policy)).to.equal(true);
+      expect(shouldRetry(new Error('database table is locked'), policy)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const { expect } = require('chai');
+const { setUpEnvironment, tearDownEnvironment } = require('../helpers/expo-environment');
+const { overwriteDatabase } = require('../../lib/utils/secure-delete');
+
+describe('utils/secure-delete', function() {
+  let env;
+  let db;
+
+  beforeEach(async function() {
+    env = setUpEnvironment();
+    db = env.SQLite.openDatabaseSync('secret.db', { useNewConnection: true });
+    await db.execAsync(
+      'PRAGMA journal_mode = WAL;' +
+      'PRAGMA foreign_keys = ON;' +
+      'CREATE TABLE docs (id INTEGER PRIMARY KEY, data TEXT);' +
+      'CREATE TABLE refs (id INTEGER PRIMARY KEY, doc INTEGER REFERENCES docs(id));' +
+      'CREATE VIRTUAL TABLE docs_fts USING fts5(data);'
+    );
+    for (let i = 1; i <= 50; i++) {
+      await db.runAsync('INSERT INTO docs (data) VALUES (?)', ['top-secret-marker ' + i]);
+      await db.runAsync('INSERT INTO docs_fts (data) VALUES (?)', ['top-secret-marker ' + i]);
+      await db.runAsync('INSERT INTO refs (doc) VALUES (?)', [i]);
+    }
+    await db.execAsync('PRAGMA wal_checkpoint(TRUNCATE)');
+  });
+
+  afterEach(async function() {
+    await db.closeAsync();
+    tearDownEnvironment();
+  });
+
+  function fileContains(text) {
+    return fs.readFileSync(db.databasePath).includes(text);
+  }
+
+  it('drops every table, virtual tables and their shadow tables included', async function() {
+    const count = await overwriteDatabase(db, 'main');
+
+    expect(count).to.be.above(3);
+    expect(await db.getAllAsync('SELECT name FROM sqlite_master')).to.deep.equal([]);
+  });
+
+  it('overwrites the content in the database file', async function() {
+    expect(fileContains('top-secret-marker')).to.equal(true);
+
+    await overwriteDatabase(db, 'main');
+
+    expect(fileContains('top-secret-marker')).to.equal(false);
+  });
+});
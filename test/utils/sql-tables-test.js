@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const { writtenTable, readTables } = require('../../lib/utils/sql-tables');
+
+describe('utils/sql-tables', function() {
+  describe('writtenTable', function() {
+    it('finds the table and operation of write statements', function() {
+      expect(writtenTable('INSERT INTO docs (id) VALUES (?)')).to.deep.equal({ schema: null, table: 'docs', operation: 'insert' });
+      expect(writtenTable('INSERT OR REPLACE INTO "ref"."words" VALUES (1)')).to.deep.equal({ schema: 'ref', table: 'words', operation: 'insert' });
+      expect(writtenTable('REPLACE INTO docs VALUES (1)')).to.include({ table: 'docs', operation: 'insert' });
+      expect(writtenTable('UPDATE OR IGNORE ref.words SET text = ?')).to.deep.equal({ schema: 'ref', table: 'words', operation: 'update' });
+      expect(writtenTable('-- purge\nDELETE FROM [old docs] WHERE id IN (SELECT id FROM other)')).to.deep.equal({ schema: null, table: 'old docs', operation: 'delete' });
+    });
+
+    it('looks past common table expressions, strings and upsert clauses', function() {
+      expect(writtenTable('WITH x AS (SELECT 1) INSERT INTO t SELECT * FROM x')).to.include({ table: 't', operation: 'insert' });
+      expect(writtenTable('INSERT INTO t VALUES (\'UPDATE u\')')).to.include({ table: 't', operation: 'insert' });
+      expect(writtenTable('INSERT INTO t VALUES (1) ON CONFLICT DO UPDATE SET a = 1')).to.include({ table: 't', operation: 'insert' });
+    });
+
+    it('returns null for other statements', function() {
+      expect(writtenTable('SELECT * FROM docs')).to.equal(null);
+      expect(writtenTable('WITH x AS (SELECT 1) SELECT * FROM x')).to.equal(null);
+      expect(writtenTable('CREATE TRIGGER t AFTER INSERT ON a BEGIN DELETE FROM b; END')).to.equal(null);
+      expect(writtenTable('PRAGMA user_version = 2')).to.equal(null);
+    });
+  });
+
+  describe('readTables', function() {
+    it('lists the tables after FROM and JOIN, subqueries included', function() {
+      expect(readTables('SELECT * FROM docs d JOIN ref.words AS w ON w.id = d.id WHERE d.id IN (SELECT id FROM recent)')).to.deep.equal([
+        { schema: null, table: 'docs' },
+        { schema: 'ref', table: 'words' },
+        { schema: null, table: 'recent' }
+      ]);
+      expect(readTables('SELECT * FROM a, b AS y, "C"')).to.deep.equal([
+        { schema: null, table: 'a' },
+        { schema: null, table: 'b' },
+        { schema: null, table: 'C' }
+      ]);
+    });
+
+    it('leaves out common table expressions, table-valued functions and strings', function() {
+      expect(readTables('WITH recent(id) AS (SELECT id FROM docs) SELECT * FROM recent')).to.deep.equal([{ schema: null, table: 'docs' }]);
+      expect(readTables('SELECT value FROM docs, json_each(docs.data)')).to.deep.equal([{ schema: null, table: 'docs' }]);
+      expect(readTables('SELECT * FROM t WHERE a = \'FROM fake\'')).to.deep.equal([{ schema: null, table: 't' }]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const StatementCache = require('../../lib/utils/statement-cache');
+
+describe('utils/StatementCache', function() {
+  let db;
+
+  beforeEach(function() {
+    db = {
+      prepareAsync: sinon.spy(async function(sql) {
+        return { sql: sql, finalizeAsync: sinon.spy(async function() {}) };
+      })
+    };
+  });
+
+  it('prepares on a miss and reuses the statement on a hit', async function() {
+    const cache = new StatementCache();
+    const first = await cache.acquire(db, 'SELECT 1');
+    await cache.release(first);
+    const second = await cache.acquire(db, 'SELECT 1');
+
+    expect(second.statement).to.equal(first.statement);
+    expect(db.prepareAsync).to.have.been.calledOnce;
+    expect(cache.getStats()).to.include({ size: 1, hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  it('does not hand out a statement that is checked out', async function() {
+    const cache = new StatementCache();
+    const entry = await cache.acquire(db, 'SELECT 1');
+    expect(await cache.acquire(db, 'SELECT 1')).to.equal(null);
+    await cache.release(entry);
+    expect(await cache.acquire(db, 'SELECT 1')).to.equal(entry);
+  });
+
+  it('finalizes evicted statements, waiting for checked out ones', async function() {
+    const cache = new StatementCache({ maxSize: 1 });
+    const busy = await cache.acquire(db, 'SELECT 1');
+    const idle = await cache.acquire(db, 'SELECT 2');
+    await cache.release(idle);
+
+    expect(cache.getStats()).to.include({ size: 1, evictions: 1 });
+    expect(busy.statement.finalizeAsync).not.to.have.been.called;
+    await cache.release(busy);
+    expect(busy.statement.finalizeAsync).to.have.been.calledOnce;
+    expect(idle.statement.finalizeAsync).not.to.have.been.called;
+  });
+
+  it('finalizes every statement on clear', async function() {
+    const cache = new StatementCache();
+    const entry = await cache.acquire(db, 'SELECT 1');
+    await cache.release(entry);
+    await cache.clear();
+
+    expect(entry.statement.finalizeAsync).to.have.been.calledOnce;
+    expect(cache.getStats().size).to.equal(0);
+  });
+
+  it('does not cache a statement that fails to prepare', async function() {
+    const cache = new StatementCache();
+    db.prepareAsync = sinon.stub().rejects(new Error('syntax error'));
+
+    let error;
+    try {
+      await cache.acquire(db, 'SELEC 1');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('syntax error');
+    expect(cache.getStats()).to.include({ size: 0, misses: 1 });
+  });
+
+  it('resets the counters', async function() {
+    const cache = new StatementCache();
+    await cache.release(await cache.acquire(db, 'SELECT 1'));
+    cache.resetStats();
+    expect(cache.getStats()).to.include({ size: 1, hits: 0, misses: 0, evictions: 0, hitRate: 0 });
+  });
+});